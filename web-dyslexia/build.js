@@ -25,13 +25,16 @@ const DIST = path.join(ROOT, 'dist', TARGET);
 // Platform-specific manifest deltas merged on top of base
 const PLATFORM_DELTAS = {
   chrome: {
+    // Tab capture fallback for cross-origin video (see offscreen/tab-capture.js)
+    permissions: ['tabCapture', 'offscreen'],
     background: {
       service_worker: 'background/background.js'
     }
   },
   firefox: {
     background: {
-      scripts: ['background/background.js']
+      // The tab capture fallback samples captureVisibleTab() images here
+      scripts: ['lib/flash-analysis.js', 'lib/tab-capture-sampler.js', 'background/background.js']
     },
     browser_specific_settings: {
       gecko: {
@@ -80,6 +83,8 @@ async function build() {
   const base  = JSON.parse(await fsp.readFile(path.join(ROOT, 'manifests', 'manifest.base.json'), 'utf8'));
   const delta = PLATFORM_DELTAS[TARGET];
   const manifest = Object.assign({}, base, delta);
+  // Platform permissions are added to the base list, not swapped for it
+  manifest.permissions = [...base.permissions, ...(delta.permissions || [])];
 
   await fsp.writeFile(
     path.join(DIST, 'manifest.json'),
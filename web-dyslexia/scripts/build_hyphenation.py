@@ -0,0 +1,162 @@
+#!/usr/bin/env python3
+"""
+Build the hyphenation pattern files used for syllable splitting in dyslexia mode.
+
+Most languages come from the compiled hyph-utf8 (TeX) patterns that Chromium
+ships for CSS `hyphens: auto`: the minikin .hyb files in a Chrome or Chromium
+install's `hyphen-data/` directory. Each file's pattern trie is walked back
+into Liang patterns ("a1b", ".ex5"). Turkish, which Chromium does not ship, is
+generated from its one-vowel-per-syllable rule, the same way hyph-tr was.
+Polish, also missing from Chromium, comes from hyph-pl as packaged for Hypher
+in the `hyphenation.pl` npm package (`npm pack hyphenation.pl`).
+
+Usage:
+  python scripts/build_hyphenation.py /path/to/chrome/hyphen-data \
+    --hypher-pl /path/to/hyphenation.pl/lib/pl.js
+
+Outputs src/assets/hyphenation/<lang>.json:
+  {"lang": "en", "source": "hyph-en-us", "leftmin": 2, "rightmin": 3,
+   "patterns": "space-separated Liang patterns"}
+"""
+
+from __future__ import annotations
+
+import argparse
+import json
+import re
+import struct
+from pathlib import Path
+from typing import Dict, List, Tuple
+
+HYB_MAGIC = 0x62AD7968
+
+# tts-language code -> (hyph-utf8 name, leftmin, rightmin). The minimums are
+# the shortest first and last syllable shown, so English, French and Portuguese
+# go below TeX's typesetting minimum of 3 ("bil·i·ty"). Japanese, Korean,
+# Chinese and Arabic are not hyphenated, so they have no patterns. Polish
+# patterns are not in Chromium's set; see read_hypher_patterns().
+LANGUAGES: Dict[str, Tuple[str, int, int]] = {
+    "en": ("en-us", 2, 2),
+    "fr": ("fr", 2, 2),
+    "es": ("es", 2, 2),
+    "de": ("de-1996", 2, 2),
+    "it": ("it", 2, 2),
+    "pt": ("pt", 2, 2),
+    "ru": ("ru", 2, 2),
+    "nl": ("nl", 2, 2),
+    "hi": ("hi", 1, 1),
+    "ml": ("ml", 1, 1),
+}
+
+TURKISH_VOWELS = "aâeıiîoöuüû"
+TURKISH_CONSONANTS = "bcçdfgğhjklmnprsştvyzqwx"
+
+
+def read_alphabet(data: bytes, offset: int) -> Dict[int, str]:
+    """Alphabet code -> lower-case character (code 0 is the word boundary '.')."""
+    version = struct.unpack_from("<I", data, offset)[0]
+    pairs: List[Tuple[int, int]] = []
+    if version == 0:
+        min_cp, max_cp = struct.unpack_from("<2I", data, offset + 4)
+        for cp in range(min_cp, max_cp):
+            code = data[offset + 12 + cp - min_cp]
+            if code:
+                pairs.append((cp, code))
+    else:
+        count = struct.unpack_from("<I", data, offset + 4)[0]
+        for i in range(count):
+            entry = struct.unpack_from("<I", data, offset + 8 + i * 4)[0]
+            pairs.append((entry >> 11, entry & 0x7FF))
+    chars: Dict[int, str] = {0: "."}
+    for cp, code in pairs:
+        ch = chr(cp)
+        # Upper and lower case share a code; keep the lower-case one
+        if code not in chars or ch.lower() == ch:
+            chars[code] = ch
+    return chars
+
+
+def read_patterns(data: bytes) -> List[str]:
+    magic, _, alpha_off, trie_off, pat_off, _ = struct.unpack_from("<6I", data, 0)
+    if magic != HYB_MAGIC:
+        raise ValueError("not a minikin .hyb file")
+    chars = read_alphabet(data, alpha_off)
+    _, char_mask, link_shift, link_mask, pattern_shift, n_trie = struct.unpack_from("<6I", data, trie_off)
+    trie = struct.unpack_from(f"<{n_trie}I", data, trie_off + 24)
+    _, n_pat, buf_off, _ = struct.unpack_from("<4I", data, pat_off)
+    pat_entries = struct.unpack_from(f"<{n_pat}I", data, pat_off + 16)
+
+    patterns: List[str] = []
+    stack: List[Tuple[int, str]] = [(0, "")]
+    while stack:
+        node, letters = stack.pop()
+        pat_ix = trie[node] >> pattern_shift
+        if pat_ix:
+            entry = pat_entries[pat_ix]
+            length, shift, start = entry >> 26, (entry >> 20) & 0x3F, entry & 0xFFFFF
+            values = list(data[pat_off + buf_off + start: pat_off + buf_off + start + length])
+            # Values cover the gaps before each letter and after the last;
+            # leading and trailing zeros were trimmed when the file was built
+            gaps = [0] * (len(letters) + 1)
+            first = len(letters) + 1 - length - shift
+            for k, value in enumerate(values):
+                # Exceptions are stored as 10 (no break) and 11 (break); 8 and 9
+                # keep their parity and still outrank every ordinary pattern
+                gaps[first + k] = 8 + value % 2 if value >= 10 else value
+            patterns.append("".join(
+                (str(gap) if gap else "") + letter for gap, letter in zip(gaps, letters)
+            ) + (str(gaps[-1]) if gaps[-1] else ""))
+        for code, ch in chars.items():
+            if node + code >= n_trie:
+                continue
+            link = trie[node + code]
+            if (link & char_mask) == code:
+                child = (link & link_mask) >> link_shift
+                if child:
+                    stack.append((child, letters + ch))
+    return sorted(patterns)
+
+
+def read_hypher_patterns(source: str) -> List[str]:
+    """Liang patterns from a Hypher language module. Each numeric key holds
+    patterns of that many characters (digits included) run together, with '_'
+    for the word boundary."""
+    patterns: List[str] = []
+    for length, run in re.findall(r"['\"]?(\d+)['\"]?\s*:\s*\"([^\"]*)\"", source):
+        size = int(length)
+        patterns += [run[i:i + size].replace("_", ".") for i in range(0, len(run), size)]
+    return sorted(patterns)
+
+
+def turkish_patterns() -> List[str]:
+    """Break before the consonant that starts each syllable, and between vowels."""
+    patterns = [f"1{c}{v}" for c in TURKISH_CONSONANTS for v in TURKISH_VOWELS]
+    patterns += [f"{a}1{b}" for a in TURKISH_VOWELS for b in TURKISH_VOWELS]
+    return patterns
+
+
+def write(out_dir: Path, lang: str, source: str, leftmin: int, rightmin: int, patterns: List[str]) -> None:
+    path = out_dir / f"{lang}.json"
+    body = {"lang": lang, "source": source, "leftmin": leftmin, "rightmin": rightmin, "patterns": " ".join(patterns)}
+    path.write_text(json.dumps(body, ensure_ascii=False) + "\n", encoding="utf-8")
+    print(f"{path}: {len(patterns)} patterns")
+
+
+def main() -> None:
+    parser = argparse.ArgumentParser(description=__doc__, formatter_class=argparse.RawDescriptionHelpFormatter)
+    parser.add_argument("hyphen_data", type=Path, help="Chrome/Chromium hyphen-data directory")
+    parser.add_argument("--hypher-pl", type=Path, help="lib/pl.js from the hyphenation.pl npm package")
+    parser.add_argument("--out", type=Path, default=Path(__file__).resolve().parent.parent / "src/assets/hyphenation")
+    args = parser.parse_args()
+
+    args.out.mkdir(parents=True, exist_ok=True)
+    for lang, (name, leftmin, rightmin) in LANGUAGES.items():
+        data = (args.hyphen_data / f"hyph-{name}.hyb").read_bytes()
+        write(args.out, lang, f"hyph-{name}", leftmin, rightmin, read_patterns(data))
+    write(args.out, "tr", "generated", 2, 2, turkish_patterns())
+    if args.hypher_pl:
+        write(args.out, "pl", "hyph-pl", 2, 2, read_hypher_patterns(args.hypher_pl.read_text(encoding="utf-8")))
+
+
+if __name__ == "__main__":
+    main()
@@ -6,6 +6,11 @@
  *
  * Responsibilities:
  *   - Seed default settings on first install via storage.sync
+ *   - Append flash incidents reported by content scripts to storage.local
+ *   - Relay flash warnings between child frames and the top frame of a tab
+ *   - Hand content scripts the flash analysis worker's source
+ *   - Fetch cross-origin images the seizure scanner cannot read itself
+ *   - Capture the visible tab for cross-origin videos the page cannot read
  *   - Content scripts react to storage changes directly via storage.onChanged,
  *     so no active tab-messaging relay is needed here.
  */
@@ -26,8 +31,34 @@ const DEFAULT_SETTINGS = {
   aslMode: false,
   subtitleMode: false,
   sensitivity: 5,
+  flickerGridSize: 8,
+  detectionProfile: 'heuristic',
+  animationMode: 'strict',
+  flashMitigation: 'pause',
+  flashSmoothing: false,
+  videoPrescan: true,
   colorMode: 'default',
-  allowlist: []
+  colorStrength: 100,
+  customFilters: [],
+  siteColorModes: {},
+  cvdSimulation: 'none',
+  cvdSeverity: 60,
+  cvdView: 'full',
+  contrastRepair: 'off',
+  readingFocus: 'off',
+  rulerHeight: 48,
+  rulerTint: 'yellow',
+  syllableSplit: false,
+  syllableStyle: 'shade',
+  fixationEmphasis: false,
+  confusableHighlight: false,
+  homophoneCommonWords: true,
+  wordLookup: true,
+  dictionaryPacks: [],
+  typography: {},
+  siteTypography: {},
+  allowlist: [],
+  allowRules: []
 };
 
 browser.runtime.onInstalled.addListener(async () => {
@@ -56,6 +87,342 @@ browser.runtime.onInstalled.addListener(async () => {
   });
 });
 
+// ── Flash incident log ──────────────────────────────────────────────────────
+// Content scripts in any number of tabs report incidents here; writes are
+// chained so two tabs cannot read-modify-write the list over each other.
+
+const FLASH_INCIDENTS_MAX = 1000;
+const INCIDENT_URL_MAX_LENGTH = 512;
+let incidentWrites = Promise.resolve();
+
+/**
+ * Content scripts shorten URLs before reporting them; this is the backstop
+ * that keeps a whole data: URL or a huge query string out of the log.
+ */
+function clampIncidentUrl(url) {
+  if (typeof url !== 'string') return '';
+  // A shortened data: URL has lost its payload (everything after the comma)
+  if (url.startsWith('data:') && url.includes(',')) return url.slice(0, Math.min(url.indexOf(','), 64));
+  return url.length > INCIDENT_URL_MAX_LENGTH ? `${url.slice(0, INCIDENT_URL_MAX_LENGTH - 1)}\u2026` : url;
+}
+
+function queueIncidentWrite(update) {
+  incidentWrites = incidentWrites
+    .then(async () => {
+      const { flashIncidents = [] } = await browser.storage.local.get('flashIncidents');
+      await browser.storage.local.set({ flashIncidents: update(flashIncidents).slice(-FLASH_INCIDENTS_MAX) });
+    })
+    .catch(err => console.warn('[ScreenShield background] incident log write failed:', err));
+}
+
+browser.runtime.onMessage.addListener((msg) => {
+  if (msg?.action === 'flash-incident' && msg.incident) {
+    const incident = {
+      ...msg.incident,
+      pageUrl: clampIncidentUrl(msg.incident.pageUrl),
+      mediaUrl: clampIncidentUrl(msg.incident.mediaUrl)
+    };
+    queueIncidentWrite(list => [...list, incident]);
+  } else if (msg?.action === 'flash-incident-update' && msg.id) {
+    queueIncidentWrite(list => list.map(i => (i.id === msg.id ? { ...i, ...msg.changes } : i)));
+  } else if (msg?.action === 'flash-incidents-clear') {
+    queueIncidentWrite(() => []);
+  }
+});
+
+// ── Frame warning relay ─────────────────────────────────────────────────────
+// Child frames cannot reach the top frame's content script directly without
+// going through the page. Reports go to frame 0 with the sender's frame id
+// and URL attached, and the top frame's answers go back to that frame id.
+
+browser.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  const tabId = sender.tab?.id;
+  if (tabId == null) return;
+  let relay = null;
+  if ((msg?.action === 'frame-flash-warning' || msg?.action === 'frame-flash-close') && sender.frameId !== 0) {
+    relay = browser.tabs.sendMessage(tabId, { ...msg, frameId: sender.frameId, frameUrl: sender.url }, { frameId: 0 });
+  } else if (msg?.action === 'frame-flash-action' && sender.frameId === 0 && Number.isInteger(msg.frameId)) {
+    relay = browser.tabs.sendMessage(tabId, msg, { frameId: msg.frameId });
+  }
+  if (!relay) return;
+  relay.then(response => sendResponse(response ?? false), () => sendResponse(false));
+  return true; // keeps sendResponse valid until the relay settles
+});
+
+// ── Flash worker source ─────────────────────────────────────────────────────
+// Content scripts build their analysis worker from a blob, as a page cannot
+// start one from an extension URL. The scripts are read here rather than by
+// the content script, so they need not be web-accessible, where any page
+// could probe for them to detect the extension.
+
+const FLASH_WORKER_SCRIPTS = ['lib/flash-analysis.js', 'lib/flash-worker.js'];
+let flashWorkerSource = null;
+
+browser.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (msg?.action !== 'flash-worker-source' || !sender.tab) return;
+  if (!flashWorkerSource) {
+    flashWorkerSource = Promise.all(FLASH_WORKER_SCRIPTS.map(async path => {
+      const res = await fetch(browser.runtime.getURL(path));
+      return res.text();
+    })).then(parts => parts.join('\n;\n'));
+  }
+  flashWorkerSource.then(source => sendResponse({ source }), () => {
+    flashWorkerSource = null;
+    sendResponse(null);
+  });
+  return true;
+});
+
+// ── Image relay ─────────────────────────────────────────────────────────────
+// The content script decodes animated images to check them for flashing, but
+// cannot read a cross-origin image served without CORS headers. Host
+// permissions let this script fetch it; the bytes go back base64-encoded, as
+// Chrome passes extension messages as JSON. Pages choose the URLs, so only an
+// image the asking frame has already loaded is fetched, and without cookies:
+// the relay never reaches a host the page could not, nor as the user.
+
+const IMAGE_RELAY_MAX_BYTES = 15 * 1024 * 1024; // the content script's IMAGE_SCAN_MAX_BYTES
+
+/**
+ * Whether the frame that sent a message shows an image: an <img> in it, or
+ * a resource it loaded for anything but a script's fetch (CSS backgrounds,
+ * images in shadow roots). Runs in the content script's world, where the
+ * page cannot stand in for these.
+ */
+async function frameLoadedImage(sender, url) {
+  const [injection] = await browser.scripting.executeScript({
+    target: { tabId: sender.tab.id, frameIds: [sender.frameId] },
+    func: url => [...document.images].some(img => img.currentSrc === url || img.src === url) ||
+      performance.getEntriesByName(url, 'resource')
+        .some(entry => entry.initiatorType !== 'fetch' && entry.initiatorType !== 'xmlhttprequest'),
+    args: [url]
+  });
+  return injection?.result === true;
+}
+
+async function fetchImageData(url) {
+  if (!/^https?:/i.test(url)) return null;
+  const res = await fetch(url, { credentials: 'omit', cache: 'force-cache' });
+  const type = res.headers.get('content-type');
+  // Only images are handed over, whatever URL the page put in an <img>
+  if (!res.ok || (type && !/^image\//i.test(type))) return null;
+  const buffer = await res.arrayBuffer();
+  if (buffer.byteLength > IMAGE_RELAY_MAX_BYTES) return null;
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+browser.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (msg?.action !== 'fetch-image' || !sender.tab || typeof msg.url !== 'string') return;
+  frameLoadedImage(sender, msg.url)
+    .then(loaded => (loaded ? fetchImageData(msg.url) : null))
+    .then(data => sendResponse({ data }), () => sendResponse({ data: null }));
+  return true;
+});
+
+// ── Tab capture fallback ────────────────────────────────────────────────────
+// Content scripts cannot read cross-origin video without CORS. Once the user
+// starts it from the popup, the visible tab is captured here, each video
+// rectangle the content script lists is sampled (lib/tab-capture-sampler.js)
+// and the cells go back to the tab's top frame. Chrome captures with
+// tabCapture in an offscreen document, as service workers have no
+// getUserMedia. Firefox has no tabCapture, so its background page calls
+// tabs.captureVisibleTab() for just the area around the videos instead, and
+// only while one of them plays in the active tab.
+
+const TAB_CAPTURE_OFFSCREEN_URL = 'offscreen/tab-capture.html';
+const TAB_CAPTURE_SCALE = 0.5;  // captureVisibleTab() image px per CSS px (Firefox)
+const visibleTabCaptures = new Map(); // Firefox: tabId -> { request, wake }
+let captureDocumentReady = null;
+
+/** 'offscreen' (Chrome), 'visible-tab' (Firefox) or null. */
+function getTabCaptureEngine() {
+  if (browser.offscreen && browser.tabCapture?.getMediaStreamId) return 'offscreen';
+  if (typeof browser.tabs.captureVisibleTab === 'function' && typeof sampleCaptureFrame === 'function') {
+    return 'visible-tab';
+  }
+  return null;
+}
+
+async function startTabCapture(tabId) {
+  const engine = getTabCaptureEngine();
+  if (!engine) return { ok: false, error: 'Tab capture is not available in this browser.' };
+  const request = await browser.tabs.sendMessage(tabId, { action: 'tab-capture-request' }, { frameId: 0 })
+    .catch(() => null);
+  if (!request) return { ok: false, error: 'Reload the page and try again.' };
+
+  if (engine === 'offscreen') {
+    await ensureCaptureDocument();
+    const streamId = await browser.tabCapture.getMediaStreamId({ targetTabId: tabId });
+    const started = await browser.runtime.sendMessage({
+      target: 'offscreen', action: 'tab-capture-start', tabId, streamId, request
+    });
+    if (!started) return { ok: false, error: 'Tab capture could not start.' };
+  } else {
+    runVisibleTabCapture(tabId, request);
+  }
+  notifyTabCapture(tabId, true);
+  return { ok: true };
+}
+
+async function stopTabCapture(tabId) {
+  if (getTabCaptureEngine() === 'offscreen') {
+    const remaining = await browser.runtime.sendMessage({ target: 'offscreen', action: 'tab-capture-stop', tabId })
+      .catch(() => null);
+    if (remaining === 0) {
+      captureDocumentReady = null;
+      await browser.offscreen.closeDocument().catch(() => {});
+    }
+  } else {
+    const capture = visibleTabCaptures.get(tabId);
+    visibleTabCaptures.delete(tabId);
+    capture?.wake();
+  }
+  notifyTabCapture(tabId, false);
+}
+
+function updateTabCaptureTargets(tabId, request) {
+  if (getTabCaptureEngine() === 'offscreen') {
+    // Fails quietly when no capture document is open
+    browser.runtime.sendMessage({ target: 'offscreen', action: 'tab-capture-targets', tabId, request }).catch(() => {});
+  } else if (visibleTabCaptures.has(tabId)) {
+    const capture = visibleTabCaptures.get(tabId);
+    capture.request = request;
+    capture.wake();
+  }
+}
+
+function notifyTabCapture(tabId, active) {
+  browser.tabs.sendMessage(tabId, { action: 'tab-capture-state', active }, { frameId: 0 }).catch(() => {});
+}
+
+function ensureCaptureDocument() {
+  if (!captureDocumentReady) {
+    captureDocumentReady = (async () => {
+      const contexts = await browser.runtime.getContexts({
+        contextTypes: ['OFFSCREEN_DOCUMENT'],
+        documentUrls: [browser.runtime.getURL(TAB_CAPTURE_OFFSCREEN_URL)]
+      });
+      if (contexts.length) return;
+      await browser.offscreen.createDocument({
+        url: TAB_CAPTURE_OFFSCREEN_URL,
+        reasons: ['USER_MEDIA'],
+        justification: 'Samples a tab capture to detect flashing in cross-origin video.'
+      });
+    })().catch(err => {
+      captureDocumentReady = null;
+      throw err;
+    });
+  }
+  return captureDocumentReady;
+}
+
+/**
+ * The part of the viewport covering every on-screen target, and the request
+ * with its rectangles moved into that area, or null when none is on screen.
+ */
+function getCaptureArea({ targets, viewport }) {
+  let left = Infinity, top = Infinity, right = -Infinity, bottom = -Infinity;
+  for (const { rect } of targets) {
+    const l = Math.max(0, rect.left);
+    const t = Math.max(0, rect.top);
+    const r = Math.min(viewport.width, rect.left + rect.width);
+    const b = Math.min(viewport.height, rect.top + rect.height);
+    if (r - l < 1 || b - t < 1) continue;
+    left = Math.min(left, l);
+    top = Math.min(top, t);
+    right = Math.max(right, r);
+    bottom = Math.max(bottom, b);
+  }
+  if (left === Infinity) return null;
+  const rect = { x: left, y: top, width: right - left, height: bottom - top };
+  return {
+    rect,
+    request: {
+      targets: targets.map(target => ({
+        ...target,
+        rect: { ...target.rect, left: target.rect.left - left, top: target.rect.top - top }
+      })),
+      viewport: { width: rect.width, height: rect.height }
+    }
+  };
+}
+
+/**
+ * Firefox: while one of the tab's videos plays on screen and the tab is the
+ * visible one, capture the area around the videos at the requested interval.
+ * Otherwise wait for new targets or a tab switch.
+ */
+async function runVisibleTabCapture(tabId, request) {
+  const capture = { request, wake: () => {} };
+  visibleTabCaptures.set(tabId, capture);
+  while (visibleTabCaptures.get(tabId) === capture) {
+    const idle = new Promise(resolve => { capture.wake = resolve; });
+    const started = Date.now();
+    let area = null;
+    try {
+      const tab = await browser.tabs.get(tabId);
+      area = tab.active ? getCaptureArea(capture.request) : null;
+      if (area) {
+        const url = await browser.tabs.captureVisibleTab(tab.windowId, {
+          format: 'jpeg', quality: 90, scale: TAB_CAPTURE_SCALE, rect: area.rect
+        });
+        const bitmap = await createImageBitmap(await (await fetch(url)).blob());
+        const samples = sampleCaptureFrame(bitmap, bitmap.width, bitmap.height, area.request, started);
+        bitmap.close();
+        if (samples.length) {
+          await browser.tabs.sendMessage(tabId, { action: 'tab-capture-samples', samples }, { frameId: 0 });
+        }
+      }
+    } catch {
+      // Tab closed, or navigated away (which ends the activeTab grant)
+      if (visibleTabCaptures.get(tabId) === capture) stopTabCapture(tabId);
+      return;
+    }
+    if (!area) {
+      await idle;
+    } else {
+      await new Promise(resolve => setTimeout(resolve, Math.max(0, capture.request.intervalMs - (Date.now() - started))));
+    }
+  }
+}
+
+browser.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (!msg?.action?.startsWith('tab-capture-') || msg.target === 'offscreen') return;
+  const tabId = sender.tab?.id;
+
+  if (msg.action === 'tab-capture-start' && !sender.tab && Number.isInteger(msg.tabId)) {
+    // From the popup, whose opening is the user gesture tab capture needs
+    startTabCapture(msg.tabId).then(sendResponse, err => {
+      sendResponse({ ok: false, error: err?.message || 'Tab capture could not start.' });
+    });
+    return true;
+  }
+  if (msg.action === 'tab-capture-targets' && tabId != null && sender.frameId === 0) {
+    updateTabCaptureTargets(tabId, msg.request);
+  } else if (msg.action === 'tab-capture-stop' && tabId != null && sender.frameId === 0) {
+    stopTabCapture(tabId);
+  } else if (msg.action === 'tab-capture-samples' && !sender.tab) {
+    browser.tabs.sendMessage(msg.tabId, { action: 'tab-capture-samples', samples: msg.samples }, { frameId: 0 })
+      .catch(() => stopTabCapture(msg.tabId));
+  } else if (msg.action === 'tab-capture-ended' && !sender.tab) {
+    stopTabCapture(msg.tabId);
+  }
+});
+
+browser.tabs.onRemoved.addListener(tabId => {
+  if (getTabCaptureEngine() === 'offscreen' || visibleTabCaptures.has(tabId)) stopTabCapture(tabId);
+});
+
+// Firefox: a capture waiting in a background tab resumes when it comes to the front
+browser.tabs.onActivated.addListener(({ tabId }) => {
+  visibleTabCaptures.get(tabId)?.wake();
+});
+
 // Handle context menu click — send selected text to content script for TTS
 browser.contextMenus.onClicked.addListener((info, tab) => {
   if (info.menuItemId === 'screenshield-narrate' && info.selectionText) {
@@ -29,13 +29,12 @@ const SS_DYSLEXIA_FONT_ID = 'screenshield-dyslexia-font';
 const SS_DYSLEXIA_HOST_ID = 'screenshield-dyslexia-host';
 const SS_SEIZURE_CSS_ID = 'screenshield-seizure-css';
 
-/** CSS filter values applied to the whole page for color-blindness-friendly viewing. */
-const PAGE_COLOR_MODE_FILTERS = {
-  default: 'none',
-  deuteranopia: 'hue-rotate(-20deg) saturate(1.25) contrast(1.05)',
-  protanopia: 'hue-rotate(-15deg) saturate(1.2) contrast(1.05)',
-  tritanopia: 'hue-rotate(15deg) saturate(1.2) contrast(1.05)',
-};
+const SS_COLOR_FILTER_HOST_ID = 'screenshield-color-filter-host';
+/** The page colour <filter>s; see "Page-wide color mode". */
+const SS_COLOR_FILTER_ID = 'screenshield-color-filter';
+const SS_SIMULATION_FILTER_ID = 'screenshield-cvd-simulation';
+const SS_CVD_VIEW_HOST_ID = 'screenshield-cvd-view';
+const SVG_NS = 'http://www.w3.org/2000/svg';
 
 let settings = {
   dyslexiaMode: false,
@@ -45,17 +44,42 @@ let settings = {
   aslMode: false,
   subtitleMode: false,
   sensitivity: 5,
+  flickerGridSize: 8,
+  detectionProfile: 'heuristic',
+  animationMode: 'strict',
+  flashMitigation: 'pause',
+  flashSmoothing: false,
+  videoPrescan: true,
   colorMode: 'default',
-  allowlist: []
+  colorStrength: 100,
+  customFilters: [],
+  siteColorModes: {},
+  cvdSimulation: 'none',
+  cvdSeverity: 60,
+  cvdView: 'full',
+  contrastRepair: 'off',
+  readingFocus: 'off',
+  rulerHeight: 48,
+  rulerTint: 'yellow',
+  syllableSplit: false,
+  syllableStyle: 'shade',
+  fixationEmphasis: false,
+  confusableHighlight: false,
+  homophoneCommonWords: true,
+  wordLookup: true,
+  dictionaryPacks: [],
+  typography: {},
+  siteTypography: {},
+  allowlist: [],
+  allowRules: []
 };
 
-const monitoredVideos = new WeakSet();
-let videoIntersectionObserver = null;
-let domMutationObserver = null;
+/** Child frames only run seizure-safe mode; see "Frames" in section 8. */
+const IS_TOP_FRAME = window === window.top;
 
-/** Mirror of the panel's current dark-mode state so the matchMedia listener
- *  can update both the theme and the panel button emoji together. */
-let panelIsDark = false;
+const monitoredSources = new WeakSet();
+let flashSourceObserver = null;
+let domMutationObserver = null;
 
 // ΓöÇΓöÇ 2. Init ΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇ
 
@@ -66,10 +90,17 @@ async function init() {
   } catch {
     return;
   }
+  if (!IS_TOP_FRAME) {
+    // The top frame's page filter already covers its frames, and the panels
+    // belong to the top frame alone
+    if (!isAllowlisted() && isSeizureSafeActive()) enableSeizureSafeMode();
+    return;
+  }
   applyPageColorMode();
   if (isAllowlisted()) return;
+  if (isContrastRepairActive()) enableContrastRepair();
   if (settings.dyslexiaMode) enableDyslexiaMode();
-  if (settings.seizureSafeMode) enableSeizureSafeMode();
+  if (isSeizureSafeActive()) enableSeizureSafeMode();
   if (settings.ttsMode) enableTTS();
   if (settings.aslMode) enableASL();
   if (settings.subtitleMode) enableSubtitles();
@@ -80,6 +111,109 @@ function isAllowlisted() {
   return Array.isArray(settings.allowlist) && settings.allowlist.includes(host);
 }
 
+/**
+ * Finer-grained decisions than the allowlist, stored in allowRules as
+ * { feature, scope, value, created }. A rule only switches off the feature it
+ * names ('seizure' for now):
+ *   media - one video or image, by URL (the page URL for streamed video)
+ *   path  - every page under a hostname + path prefix, e.g. a channel
+ *   site  - every page on the hostname
+ */
+const ALLOW_RULES_MAX = 100;
+/** storage.sync holds at most 8192 bytes per item (key plus JSON); some headroom is kept. */
+const ALLOW_RULES_MAX_BYTES = 7680;
+/** Longer media URLs, and every data: URL, are keyed by a hash instead. */
+const MEDIA_KEY_MAX_LENGTH = 512;
+
+function getAllowRules(feature) {
+  return Array.isArray(settings.allowRules) ? settings.allowRules.filter(r => r.feature === feature) : [];
+}
+
+/** Whether a site or path rule turns the feature off on this page. */
+function isFeatureAllowed(feature) {
+  const { hostname, pathname } = window.location;
+  return getAllowRules(feature).some(rule =>
+    (rule.scope === 'site' && rule.value === hostname) ||
+    (rule.scope === 'path' && (hostname + pathname).startsWith(rule.value)));
+}
+
+function isMediaAllowed(feature, el) {
+  const key = getMediaKey(el);
+  return !!key && getAllowRules(feature).some(rule => rule.scope === 'media' && rule.value === key);
+}
+
+function isSeizureSafeActive() {
+  return settings.seizureSafeMode && !isFeatureAllowed('seizure');
+}
+
+/**
+ * URL a media rule is keyed on. Streamed video (blob:, MediaSource) has no
+ * stable URL of its own, so the page that plays it stands in for it.
+ */
+function getMediaKey(el) {
+  let src = '';
+  if (el.tagName === 'VIDEO') src = el.currentSrc || el.src;
+  else if (el.tagName === 'IMG') src = el.currentSrc || el.src;
+  else if (el.tagName !== 'CANVAS' && el.tagName !== 'svg') src = getBackgroundImageURLs(el)[0]?.src || '';
+
+  if (el.tagName === 'VIDEO' && (!src || /^(blob|mediastream):/i.test(src))) {
+    return window.location.origin + window.location.pathname + window.location.search;
+  }
+  if (!src) return null;
+  try {
+    return shortenMediaURL(new URL(src, window.location.href).href);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * A URL short enough to store: data: URLs keep only their media type and long
+ * URLs their start, each followed by a hash of the whole URL
+ * ("data:image/gif;base64#1x0e9k3vq2f").
+ */
+function shortenMediaURL(url) {
+  if (url.startsWith('data:')) {
+    const comma = url.indexOf(',');
+    return `${url.slice(0, Math.min(comma === -1 ? url.length : comma, 64))}#${hashString(url)}`;
+  }
+  if (url.length <= MEDIA_KEY_MAX_LENGTH) return url;
+  return `${url.slice(0, MEDIA_KEY_MAX_LENGTH - 16)}\u2026#${hashString(url)}`;
+}
+
+/** cyrb53: a fast 53-bit string hash in base 36. For keys, not security. */
+function hashString(text) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
+
+/** Hostname plus the page's directory, or null at the site root. */
+function getPathPrefix(url = window.location) {
+  const { hostname, pathname } = url;
+  const dir = pathname.slice(0, pathname.lastIndexOf('/') + 1);
+  return dir.length > 1 ? hostname + dir : null;
+}
+
+/** Save a rule, dropping the oldest ones past ALLOW_RULES_MAX or ALLOW_RULES_MAX_BYTES. Rejects if it cannot be saved. */
+async function addAllowRule(rule) {
+  const { allowRules = [] } = await browser.storage.sync.get('allowRules');
+  const exists = allowRules.some(r => r.feature === rule.feature && r.scope === rule.scope && r.value === rule.value);
+  if (exists) return;
+  const size = rules => new TextEncoder().encode('allowRules' + JSON.stringify(rules)).length;
+  let next = [...allowRules, { ...rule, created: Date.now() }].slice(-ALLOW_RULES_MAX);
+  while (next.length > 1 && size(next) > ALLOW_RULES_MAX_BYTES) next = next.slice(1);
+  if (size(next) > ALLOW_RULES_MAX_BYTES) throw new Error('The rule is too long to save.');
+  await browser.storage.sync.set({ allowRules: next });
+}
+
 // ΓöÇΓöÇ 3. Storage listener ΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇ
 
 browser.storage.onChanged.addListener((changes, area) => {
@@ -88,30 +222,79 @@ browser.storage.onChanged.addListener((changes, area) => {
   for (const [key, { newValue }] of Object.entries(changes)) {
     settings[key] = newValue;
   }
+  // Panels are themed in every frame, allowlisted or not
+  if (changes.colorMode || changes.customFilters || changes.siteColorModes) applyPanelTheme();
 
   if (changes.allowlist && isAllowlisted()) {
-    disableDyslexiaMode();
     disableSeizureSafeMode();
+    if (!IS_TOP_FRAME) return;
+    disableDyslexiaMode();
     disablePageColorMode();
+    disableContrastRepair();
     return;
   }
   if (changes.allowlist && !isAllowlisted()) {
+    if (isSeizureSafeActive()) enableSeizureSafeMode();
+    if (!IS_TOP_FRAME) return;
     applyPageColorMode();
+    if (isContrastRepairActive()) enableContrastRepair();
     if (settings.dyslexiaMode) enableDyslexiaMode();
-    if (settings.seizureSafeMode) enableSeizureSafeMode();
     return;
   }
   if (isAllowlisted()) return;
 
-  if (changes.colorMode) {
+  if (changes.allowRules && settings.seizureSafeMode) {
+    // flashSourceObserver only exists while the mode is running
+    if (!isSeizureSafeActive()) disableSeizureSafeMode();
+    else if (!flashSourceObserver) enableSeizureSafeMode();
+    // A media rule can come from the top frame's card for a video in this one
+    querySelectorAllDeep('video[data-ss-prescan]').forEach(v => {
+      if (isMediaAllowed('seizure', v)) stopPrescan(v);
+    });
+  }
+
+  if (changes.seizureSafeMode) {
+    isSeizureSafeActive() ? enableSeizureSafeMode() : disableSeizureSafeMode();
+  }
+  if (changes.animationMode && isSeizureSafeActive()) {
+    applyAnimationMode();
+  }
+  if (changes.flashMitigation || changes.flashSmoothing) {
+    // Softened videos pick the new mode up on their next detection
+    querySelectorAllDeep('video[data-ss-softened]').forEach(liftSoftening);
+  }
+  if (changes.videoPrescan && !settings.videoPrescan) {
+    querySelectorAllDeep('video[data-ss-prescan]').forEach(v => stopPrescan(v));
+  }
+  if ((changes.flickerGridSize || changes.detectionProfile) && isSeizureSafeActive()) {
+    // Grid and profile are fixed per monitor, so restart the ones running
+    querySelectorAllDeep('[data-ss-monitoring]').forEach(el => {
+      stopFlickerDetection(el);
+      startFlickerDetection(el);
+    });
+  }
+  if (!IS_TOP_FRAME) return;
+
+  if (changes.colorMode || changes.colorStrength || changes.customFilters || changes.siteColorModes ||
+      changes.cvdSimulation || changes.cvdSeverity || changes.cvdView) {
     applyPageColorMode();
+    updateTextTransformColors();
+  }
+  if (changes.contrastRepair) {
+    isContrastRepairActive() ? enableContrastRepair() : disableContrastRepair();
   }
 
   if (changes.dyslexiaMode) {
     settings.dyslexiaMode ? enableDyslexiaMode() : disableDyslexiaMode();
-  }
-  if (changes.seizureSafeMode) {
-    settings.seizureSafeMode ? enableSeizureSafeMode() : disableSeizureSafeMode();
+  } else if (settings.dyslexiaMode) {
+    if (changes.readingFocus || changes.rulerHeight || changes.rulerTint) applyReadingFocus();
+    if (changes.typography || changes.siteTypography) applyTypography();
+    if (changes.syllableSplit || changes.fixationEmphasis || changes.confusableHighlight) applyTextTransforms();
+    else if (changes.homophoneCommonWords && settings.confusableHighlight) applyTextTransforms();
+    else if (changes.syllableStyle) { updateTextTransformColors(); updateTextTransformControls(); }
+    if (changes.wordLookup || changes.dictionaryPacks) closeWordCard();
+  } else if (changes.typography || changes.siteTypography) {
+    updateReaderTypography(getPageTypography());
   }
   if (changes.ttsMode) {
     settings.ttsMode ? enableTTS() : disableTTS();
@@ -128,32 +311,408 @@ browser.storage.onChanged.addListener((changes, area) => {
 });
 
 // ΓöÇΓöÇ Page-wide color mode (color-blindness-friendly) ΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇ
-// Applies a CSS filter to the entire page. We set filter on document.documentElement
-// (the <html> element) directly so it works even on sites with strict CSP that block
-// injected <style> tags.
+// Daltonizes the entire page: an SVG feColorMatrix built by lib/color-filters.js
+// (Machado simulation plus error redistribution) is referenced from the filter on
+// document.documentElement (the <html> element). Both are set through the DOM
+// rather than an injected <style> tag, so this works even on sites with strict CSP.
+// A saved custom filter ('custom:<id>') compiles to the same kind of matrix, and
+// a site listed in siteColorModes uses its own mode instead of the global one.
+//
+// The designer simulation (cvdSimulation) is a second filter in the same <svg>,
+// chained after the correction. In the split and lens views its feColorMatrix
+// gets a primitive subregion in the <html> element's user space (its border box)
+// and is merged over the untouched page, so only that part shows simulated.
 
 function applyPageColorMode() {
   if (isAllowlisted()) {
     disablePageColorMode();
     return;
   }
-  const mode = settings.colorMode || 'default';
-  const filter = PAGE_COLOR_MODE_FILTERS[mode] || PAGE_COLOR_MODE_FILTERS.default;
-
-  if (filter === 'none' || filter == null) {
-    document.documentElement.style.removeProperty('filter');
+  const strength = Math.min(100, Math.max(0, Number(settings.colorStrength ?? 100))) / 100;
+  const correction = strength > 0 ? colorModeMatrix(getPageColorMode(), settings.customFilters, strength) : null;
+  const severity = Math.min(100, Math.max(0, Number(settings.cvdSeverity ?? 60))) / 100;
+  const simulation = cvdSimulationMatrix(settings.cvdSimulation, severity);
+  if (!correction && !simulation) {
+    disablePageColorMode();
     return;
   }
 
-  document.documentElement.style.setProperty('filter', filter, 'important');
+  const view = simulation && ['split', 'lens'].includes(settings.cvdView) ? settings.cvdView : null;
+  const svg = getColorFilterHost();
+  setColorFilter(svg, SS_COLOR_FILTER_ID, correction, false);
+  setColorFilter(svg, SS_SIMULATION_FILTER_ID, simulation, !!view);
+  // Correction first, so the simulation shows what a colour-blind viewer makes of it
+  const filters = [correction && SS_COLOR_FILTER_ID, simulation && SS_SIMULATION_FILTER_ID].filter(Boolean);
+  document.documentElement.style.setProperty('filter', filters.map(id => `url("#${id}")`).join(' '), 'important');
+  setSimulationView(view);
+}
+
+/** This site's own colour mode if it has one (siteColorModes), else the global one. */
+function getPageColorMode() {
+  return resolveColorMode(settings, window.location.hostname);
+}
+
+/**
+ * Switch the colour mode from the page (the quick-access button). A site with
+ * its own mode keeps that choice per site.
+ */
+async function setPageColorMode(mode) {
+  const hostname = window.location.hostname;
+  const { siteColorModes = {} } = await browser.storage.sync.get('siteColorModes');
+  if (hostname && siteColorModes[hostname]) {
+    await browser.storage.sync.set({ siteColorModes: withSiteColorMode(siteColorModes, hostname, mode) });
+  } else {
+    await browser.storage.sync.set({ colorMode: mode });
+  }
+}
+
+/** The hidden <svg> holding the page filters, created on first use. */
+function getColorFilterHost() {
+  let svg = document.getElementById(SS_COLOR_FILTER_HOST_ID);
+  if (!svg) {
+    svg = document.createElementNS(SVG_NS, 'svg');
+    svg.id = SS_COLOR_FILTER_HOST_ID;
+    svg.setAttribute('aria-hidden', 'true');
+    svg.setAttribute('width', '0');
+    svg.setAttribute('height', '0');
+    svg.style.setProperty('position', 'absolute', 'important');
+    svg.style.setProperty('pointer-events', 'none', 'important');
+    // On <html> rather than <body>, which some sites replace wholesale
+    document.documentElement.appendChild(svg);
+  }
+  return svg;
+}
+
+/**
+ * (Re)build one <filter> in the host, or remove it when matrix is null.
+ * A partial filter leaves its region to updateSimulationRegion().
+ */
+function setColorFilter(svg, id, matrix, partial) {
+  svg.querySelector(`#${id}`)?.remove();
+  if (!matrix) return;
+  const filter = document.createElementNS(SVG_NS, 'filter');
+  filter.id = id;
+  filter.setAttribute('color-interpolation-filters', 'linearRGB');
+  const colorMatrix = filter.appendChild(document.createElementNS(SVG_NS, 'feColorMatrix'));
+  colorMatrix.setAttribute('type', 'matrix');
+  colorMatrix.setAttribute('values', toColorMatrixValues(matrix));
+  if (partial) {
+    filter.setAttribute('primitiveUnits', 'userSpaceOnUse');
+    colorMatrix.setAttribute('result', 'simulated');
+    // Outside its subregion the simulated layer is transparent, so the page shows through
+    const merge = filter.appendChild(document.createElementNS(SVG_NS, 'feMerge'));
+    merge.appendChild(document.createElementNS(SVG_NS, 'feMergeNode')).setAttribute('in', 'SourceGraphic');
+    merge.appendChild(document.createElementNS(SVG_NS, 'feMergeNode')).setAttribute('in', 'simulated');
+  }
+  svg.appendChild(filter);
 }
 
 function disablePageColorMode() {
+  setSimulationView(null);
   document.documentElement.style.removeProperty('filter');
+  document.getElementById(SS_COLOR_FILTER_HOST_ID)?.remove();
+}
+
+// ── Simulation split and lens views ──
+
+const CVD_LENS_SIZE = 240; // px, square
+
+/** Current split/lens overlay: { mode, host, divider, lens, ratio, pointer, frame, listeners }. */
+let cvdView = null;
+
+function setSimulationView(mode) {
+  if (cvdView && cvdView.mode !== mode) {
+    cvdView.listeners.forEach(([target, type, fn]) => target.removeEventListener(type, fn));
+    cancelAnimationFrame(cvdView.frame);
+    cvdView.host.remove();
+    cvdView = null;
+  }
+  if (!mode) return;
+  if (!cvdView) cvdView = createSimulationView(mode);
+  cvdView.host.shadowRoot.querySelectorAll('.label-simulated').forEach(label => {
+    label.textContent = describeSimulation();
+  });
+  updateSimulationRegion();
+}
+
+function createSimulationView(mode) {
+  const host = document.createElement('div');
+  host.id = SS_CVD_VIEW_HOST_ID;
+  const shadow = host.attachShadow({ mode: 'open' });
+  createShadowStyles(shadow, `
+    :host { all: initial; position: fixed; inset: 0; pointer-events: none; z-index: 2147483646; }
+    .divider { position: absolute; top: 0; bottom: 0; width: 14px; margin-left: -7px; cursor: ew-resize;
+      pointer-events: auto; touch-action: none; }
+    .divider::after { content: ''; position: absolute; top: 0; bottom: 0; left: 6px; width: 2px;
+      background: #ffffff; box-shadow: 0 0 0 1px rgba(0, 0, 0, 0.6); }
+    .label { position: absolute; top: 8px; padding: 3px 8px; border-radius: 4px; background: rgba(0, 0, 0, 0.75);
+      color: #ffffff; font: 600 11px/1.4 system-ui, sans-serif; white-space: nowrap; }
+    .divider .label-simulated { right: 14px; }
+    .divider .label-original { left: 14px; }
+    .lens { position: absolute; top: 0; left: 0; width: ${CVD_LENS_SIZE}px; height: ${CVD_LENS_SIZE}px;
+      box-sizing: border-box; border: 2px solid #ffffff; box-shadow: 0 0 0 1px rgba(0, 0, 0, 0.6); }
+    .lens .label { top: auto; bottom: -26px; left: 0; }
+  `);
+
+  const view = {
+    mode, host, divider: null, lens: null, ratio: 0.5, frame: 0, listeners: [],
+    pointer: { x: window.innerWidth / 2, y: window.innerHeight / 2 }
+  };
+  const listen = (target, type, fn) => {
+    target.addEventListener(type, fn, { passive: true });
+    view.listeners.push([target, type, fn]);
+  };
+  const schedule = () => {
+    cancelAnimationFrame(view.frame);
+    view.frame = requestAnimationFrame(updateSimulationRegion);
+  };
+
+  if (mode === 'split') {
+    const divider = document.createElement('div');
+    divider.className = 'divider';
+    divider.append(createSimulationLabel('label-simulated'), createSimulationLabel('label-original', 'Original'));
+    divider.addEventListener('pointerdown', e => {
+      divider.setPointerCapture(e.pointerId);
+      e.preventDefault();
+    });
+    divider.addEventListener('pointermove', e => {
+      if (!divider.hasPointerCapture(e.pointerId)) return;
+      view.ratio = Math.min(1, Math.max(0, e.clientX / window.innerWidth));
+      schedule();
+    });
+    shadow.appendChild(divider);
+    view.divider = divider;
+  } else {
+    const lens = document.createElement('div');
+    lens.className = 'lens';
+    lens.appendChild(createSimulationLabel('label-simulated'));
+    shadow.appendChild(lens);
+    view.lens = lens;
+    listen(document, 'pointermove', e => {
+      view.pointer = { x: e.clientX, y: e.clientY };
+      schedule();
+    });
+  }
+  // Subregions are in page coordinates, so they move with every scroll
+  listen(window, 'scroll', schedule);
+  listen(window, 'resize', schedule);
+  document.documentElement.appendChild(host);
+  return view;
+}
+
+/** A corner label for the split or lens view; the simulated one is named later. */
+function createSimulationLabel(kind, text = '') {
+  const label = document.createElement('span');
+  label.className = `label ${kind}`;
+  label.textContent = text;
+  return label;
+}
+
+/** Move the simulated region to the left of the divider, or under the lens. */
+function updateSimulationRegion() {
+  if (!cvdView) return;
+  const colorMatrix = document.querySelector(`#${SS_SIMULATION_FILTER_ID} feColorMatrix`);
+  if (!colorMatrix) return;
+  const root = document.documentElement.getBoundingClientRect();
+  let region;
+  if (cvdView.mode === 'split') {
+    const width = window.innerWidth * cvdView.ratio;
+    region = { x: -root.left, y: -root.top, width, height: window.innerHeight };
+    cvdView.divider.style.left = `${width}px`;
+  } else {
+    const left = cvdView.pointer.x - CVD_LENS_SIZE / 2;
+    const top = cvdView.pointer.y - CVD_LENS_SIZE / 2;
+    region = { x: left - root.left, y: top - root.top, width: CVD_LENS_SIZE, height: CVD_LENS_SIZE };
+    cvdView.lens.style.transform = `translate(${left}px, ${top}px)`;
+  }
+  for (const [name, value] of Object.entries(region)) colorMatrix.setAttribute(name, String(Math.round(value)));
+}
+
+/** e.g. "Deuteranomaly 60%" for the view labels. */
+function describeSimulation() {
+  const variant = settings.cvdSimulation;
+  const name = variant.charAt(0).toUpperCase() + variant.slice(1);
+  return isGradedSimulation(variant) ? `${name} ${Math.round(Number(settings.cvdSeverity ?? 60))}%` : name;
+}
+
+// ── Contrast repair ─────────────────────────────────────────────────────────
+// Walks visible text and compares each text element's colour with the
+// background it is painted on: its own and its ancestors' background colours,
+// composited up to the first opaque one. Below the WCAG target (contrastRepair:
+// 'aa' or 'aaa') the element gets an inline colour from lib/contrast.js. Its
+// own inline colour is kept on the element so disabling restores it exactly.
+// Backgrounds with an image or gradient cannot be resolved and are left alone,
+// as is text positioned over something other than its ancestors.
+
+const CONTRAST_SLICE_MS = 8;              // main-thread budget per slice
+const CONTRAST_MUTATION_DELAY_MS = 300;
+const CONTRAST_SKIP_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'OPTION', 'TITLE']);
+const XHTML_NS = 'http://www.w3.org/1999/xhtml';
+
+let contrastObserver = null;
+let contrastPendingRoots = new Set();
+let contrastQueue = new Set();
+let contrastMutationTimer = null;
+let contrastSliceTimer = null;
+let contrastBackgrounds = new Map();
+
+function isContrastRepairActive() {
+  return settings.contrastRepair === 'aa' || settings.contrastRepair === 'aaa';
+}
+
+function enableContrastRepair() {
+  if (!contrastObserver) {
+    contrastObserver = new MutationObserver(onContrastMutations);
+    contrastObserver.observe(document.documentElement, {
+      childList: true, subtree: true, characterData: true, attributes: true, attributeFilter: ['class']
+    });
+  }
+  // Also re-checks what is already repaired, e.g. after switching AA to AAA
+  queueContrastCheck(document.body || document.documentElement);
+}
+
+function disableContrastRepair() {
+  contrastObserver?.disconnect();
+  contrastObserver = null;
+  clearTimeout(contrastMutationTimer);
+  clearTimeout(contrastSliceTimer);
+  contrastMutationTimer = contrastSliceTimer = null;
+  contrastPendingRoots.clear();
+  contrastQueue.clear();
+  document.querySelectorAll('[data-ss-contrast]').forEach(restoreTextColor);
+}
+
+function onContrastMutations(mutations) {
+  for (const m of mutations) {
+    if (m.type === 'characterData') {
+      if (m.target.parentElement) contrastPendingRoots.add(m.target.parentElement);
+    } else if (m.type === 'attributes') {
+      contrastPendingRoots.add(m.target);
+    } else {
+      for (const node of m.addedNodes) {
+        // New stylesheets can recolour anything
+        if (node.nodeName === 'STYLE' || node.nodeName === 'LINK') {
+          contrastPendingRoots.add(document.body || document.documentElement);
+        } else if (node.nodeType === Node.ELEMENT_NODE) {
+          contrastPendingRoots.add(node);
+        } else if (node.nodeType === Node.TEXT_NODE && node.parentElement) {
+          contrastPendingRoots.add(node.parentElement);
+        }
+      }
+    }
+  }
+  if (!contrastPendingRoots.size || contrastMutationTimer) return;
+  contrastMutationTimer = setTimeout(() => {
+    contrastMutationTimer = null;
+    const roots = [...contrastPendingRoots];
+    contrastPendingRoots.clear();
+    roots.forEach(queueContrastCheck);
+  }, CONTRAST_MUTATION_DELAY_MS);
+}
+
+/** Queue every element under root that directly holds visible text. */
+function queueContrastCheck(root) {
+  if (!root?.isConnected || root.closest?.(SS_UI_HOST_SELECTOR)) return;
+  const found = new Set();
+  if (root.nodeType === Node.ELEMENT_NODE && hasOwnText(root)) found.add(root);
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    if (node.parentElement && node.data.trim()) found.add(node.parentElement);
+  }
+  // Page backgrounds may have changed since the last pass
+  contrastBackgrounds = new Map();
+  found.forEach(el => contrastQueue.add(el));
+  if (!contrastSliceTimer) contrastSliceTimer = setTimeout(runContrastSlice, 0);
+}
+
+function hasOwnText(el) {
+  for (const node of el.childNodes) {
+    if (node.nodeType === Node.TEXT_NODE && node.data.trim()) return true;
+  }
+  return false;
+}
+
+function runContrastSlice() {
+  contrastSliceTimer = null;
+  const deadline = performance.now() + CONTRAST_SLICE_MS;
+  // Document order, so a parent is settled before the children inheriting its colour
+  for (const el of contrastQueue) {
+    if (performance.now() >= deadline) break;
+    contrastQueue.delete(el);
+    repairElementContrast(el);
+  }
+  if (contrastQueue.size) contrastSliceTimer = setTimeout(runContrastSlice, 0);
+}
+
+function repairElementContrast(el) {
+  if (!isContrastRepairActive() || !el.isConnected || el.namespaceURI !== XHTML_NS ||
+      CONTRAST_SKIP_TAGS.has(el.tagName) || el.closest(SS_UI_HOST_SELECTOR)) return;
+  // Judge the page's own colour, not an earlier repair
+  restoreTextColor(el);
+
+  const style = getComputedStyle(el);
+  if (style.visibility !== 'visible' || !el.getClientRects().length) return;
+  // Text painted with -webkit-text-fill-color ignores color
+  if (style.webkitTextFillColor && style.webkitTextFillColor !== style.color) return;
+  const text = parseContrastColor(style.color);
+  const background = getEffectiveBackground(el);
+  if (!text || text.a === 0 || !background) return;
+
+  const target = requiredContrast(settings.contrastRepair, parseFloat(style.fontSize), Number(style.fontWeight) || 400);
+  const fixed = repairTextColor(compositeColor(text, background), background, target);
+  if (!fixed) return;
+  el._ssContrast = { value: el.style.getPropertyValue('color'), priority: el.style.getPropertyPriority('color') };
+  el.dataset.ssContrast = settings.contrastRepair;
+  el.style.setProperty('color', `rgb(${fixed.r}, ${fixed.g}, ${fixed.b})`, 'important');
+}
+
+function restoreTextColor(el) {
+  if (!el.dataset.ssContrast) return;
+  const original = el._ssContrast;
+  if (original?.value) el.style.setProperty('color', original.value, original.priority);
+  else el.style.removeProperty('color');
+  delete el._ssContrast;
+  delete el.dataset.ssContrast;
+}
+
+/**
+ * Opaque colour behind an element's text, or null when an image or gradient
+ * (or an unparseable colour) is in the way. Cached per pass.
+ */
+function getEffectiveBackground(el) {
+  if (!el) return getCanvasBackground();
+  if (contrastBackgrounds.has(el)) return contrastBackgrounds.get(el);
+  const style = getComputedStyle(el);
+  const color = parseContrastColor(style.backgroundColor);
+  let result = null;
+  if (color && style.backgroundImage === 'none') {
+    if (color.a >= 1) {
+      result = color;
+    } else {
+      const below = getEffectiveBackground(el.parentElement);
+      result = below && compositeColor(color, below);
+    }
+  }
+  contrastBackgrounds.set(el, result);
+  return result;
+}
+
+/** parseCSSColor() as the { r, g, b, a } lib/contrast.js works with. */
+function parseContrastColor(value) {
+  const rgba = parseCSSColor(value);
+  return rgba && { r: rgba[0], g: rgba[1], b: rgba[2], a: rgba[3] };
+}
+
+/** What the browser paints under a transparent page. */
+function getCanvasBackground() {
+  const scheme = getComputedStyle(document.documentElement).colorScheme || '';
+  const dark = scheme.includes('dark') && (!scheme.includes('light') || window.matchMedia('(prefers-color-scheme: dark)').matches);
+  return dark ? { r: 18, g: 18, b: 18, a: 1 } : { r: 255, g: 255, b: 255, a: 1 };
 }
 
 // ΓöÇΓöÇ Context menu "Narrate" handler ΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇ
 browser.runtime.onMessage.addListener(async (msg) => {
+  if (!IS_TOP_FRAME) return;
   if (msg.action === 'narrate-selection' && msg.text) {
     let text = msg.text.trim();
     if (!text) return;
@@ -177,22 +736,57 @@ browser.runtime.onMessage.addListener(async (msg) => {
  * Apply CSS to a Shadow Root using the CSSStyleSheet API.
  * This bypasses page CSP `style-src` directives which would block <style> tags.
  * Falls back to a <style> element on browsers where the API is unavailable.
+ * The shared panel theme is applied first, so css can use its variables.
  */
 function createShadowStyles(shadow, css) {
   try {
     if (typeof CSSStyleSheet !== 'undefined' && 'adoptedStyleSheets' in shadow) {
       const sheet = new CSSStyleSheet();
       sheet.replaceSync(css);
-      shadow.adoptedStyleSheets = [sheet];
+      shadow.adoptedStyleSheets = [getThemeSheet(), sheet];
       return;
     }
   } catch {
     // fall through
   }
   // Fallback: <style> element (may be blocked by strict page CSP)
+  const theme = document.createElement('style');
+  theme.textContent = getThemeCSS();
+  themeStyleFallbacks.add(theme);
   const style = document.createElement('style');
   style.textContent = css;
-  shadow.appendChild(style);
+  shadow.append(theme, style);
+}
+
+// ── Panel theme ──
+// Injected panels take the colour mode's palette (lib/palettes.js) as CSS
+// variables from one shared sheet. Each panel's CSS keeps its own colours as
+// var() fallbacks, e.g. var(--accent, #4a90d9), so the default mode looks as it
+// always has. Replacing the sheet's text re-themes every open panel at once.
+
+let themeSheet = null;
+const themeStyleFallbacks = new Set();
+
+function getThemeCSS() {
+  const mode = colorModePalette(getPageColorMode(), settings.customFilters);
+  return mode !== 'default' && typeof getPaletteCSS === 'function' ? getPaletteCSS(mode) : '';
+}
+
+function getThemeSheet() {
+  if (!themeSheet) {
+    themeSheet = new CSSStyleSheet();
+    themeSheet.replaceSync(getThemeCSS());
+  }
+  return themeSheet;
+}
+
+function applyPanelTheme() {
+  const css = getThemeCSS();
+  themeSheet?.replaceSync(css);
+  for (const style of themeStyleFallbacks) {
+    if (style.isConnected) style.textContent = css;
+    else themeStyleFallbacks.delete(style);
+  }
 }
 
 // ΓöÇΓöÇ 4. Dyslexia mode ΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇ
@@ -200,46 +794,157 @@ function createShadowStyles(shadow, css) {
 function enableDyslexiaMode() {
   injectDyslexiaFont();
   injectDyslexiaCSS();
-  // Auto-detect OS preference and apply the matching theme
-  const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
-  applyReadingTheme(prefersDark);
-  panelIsDark = prefersDark;
-  injectDyslexiaPanel(prefersDark);
+  injectDyslexiaPanel();
+  applyTypography();
+  document.addEventListener('keydown', readingFocusKeyHandler, true);
+  applyReadingFocus();
+  applyTextTransforms();
+  document.addEventListener('dblclick', wordLookupHandler, true);
 }
 
 function disableDyslexiaMode() {
+  document.removeEventListener('keydown', readingFocusKeyHandler, true);
+  disableReadingFocus();
+  disableTextTransforms();
+  document.removeEventListener('dblclick', wordLookupHandler, true);
+  closeWordCard();
   document.getElementById(SS_DYSLEXIA_CSS_ID)?.remove();
   document.getElementById(SS_DYSLEXIA_HOST_ID)?.remove();
-  document.documentElement.style.removeProperty('font-size');
+  const root = document.documentElement;
+  root.style.removeProperty('font-size');
+  TYPOGRAPHY_VARS.forEach(name => root.style.removeProperty(name));
+  delete root.dataset.ssPageFont;
   document.body?.style.removeProperty('background-color');
   document.body?.style.removeProperty('color');
 }
 
+/** Reading themes the toolbar's background button cycles through. */
+const READING_THEMES = {
+  light: [
+    { bg: '#fdf9f0', text: '#1a1a2e' }, // warm cream
+    { bg: '#f0f7ff', text: '#1a1a2e' }, // cool blue-white
+    { bg: '#fff8f0', text: '#1a1a2e' }, // peach
+    { bg: '#fffde7', text: '#1a1a2e' }, // warm yellow
+  ],
+  dark: [
+    { bg: '#1a1a2e', text: '#e8e8f0' }, // dark navy
+    { bg: '#0d1117', text: '#cdd5e0' }, // very dark
+    { bg: '#0f1a14', text: '#d4ede0' }, // dark teal
+    { bg: '#1a1a1a', text: '#f5f5dc' }, // near-black + beige text
+  ]
+};
+
+/** Custom properties applyTypography() sets on <html>, read by the dyslexia CSS. */
+const TYPOGRAPHY_VARS = ['--ss-font', '--ss-lh', '--ss-ls', '--ss-ws', '--ss-ps', '--ss-measure', '--ss-bg', '--ss-text'];
+
+/** Typography for this page: the site's own settings if it has them, else the global ones. */
+function getPageTypography() {
+  return resolveTypography(settings, window.location.hostname);
+}
+
+/**
+ * Whether the reading theme is dark: the toolbar's choice if one was made,
+ * else the OS colour scheme.
+ */
+function isReadingThemeDark(typography) {
+  return typography.dark ?? window.matchMedia('(prefers-color-scheme: dark)').matches;
+}
+
 /**
- * Apply a dark or light reading theme to the page's CSS variables and body.
- * Called on enable and whenever the OS color scheme changes.
+ * Push the typography settings into the page (CSS variables on <html>, the
+ * root font size and the reading theme) and the toolbar. Called on enable and
+ * whenever typography, siteTypography or the OS colour scheme changes.
  */
-function applyReadingTheme(dark) {
-  const BG = dark ? '#1a1a2e' : '#fdf9f0';
-  const TEXT = dark ? '#e8e8f0' : '#1a1a2e';
+function applyTypography() {
+  const typography = getPageTypography();
+  const root = document.documentElement;
+  const font = TYPOGRAPHY_FONTS[typography.font];
+  if (font) {
+    root.style.setProperty('--ss-font', font);
+    delete root.dataset.ssPageFont;
+  } else {
+    root.dataset.ssPageFont = '';
+  }
+  root.style.setProperty('--ss-lh', String(typography.lineHeight));
+  root.style.setProperty('--ss-ls', `${typography.letterSpacing}em`);
+  root.style.setProperty('--ss-ws', `${typography.wordSpacing}em`);
+  root.style.setProperty('--ss-ps', `${typography.paragraphSpacing}em`);
+  root.style.setProperty('--ss-measure', `${typography.maxLineLength}ch`);
+  if (typography.fontScale === 1) root.style.removeProperty('font-size');
+  else root.style.fontSize = (typography.fontScale * 16) + 'px';
+  applyReadingTheme(typography);
+  updateTypographyControls(typography);
+  updateReaderTypography(typography);
+}
+
+/** The reading theme's colours: { bg, text }. */
+function getReadingTheme(typography) {
+  const themes = READING_THEMES[isReadingThemeDark(typography) ? 'dark' : 'light'];
+  return themes[typography.bgIndex % themes.length];
+}
+
+/** Apply the light or dark reading theme to the page's CSS variables and body. */
+function applyReadingTheme(typography) {
+  const { bg, text } = getReadingTheme(typography);
   const root = document.documentElement;
-  root.style.setProperty('--ss-bg', BG);
-  root.style.setProperty('--ss-text', TEXT);
-  document.body?.style.setProperty('background-color', BG, 'important');
-  document.body?.style.setProperty('color', TEXT, 'important');
+  root.style.setProperty('--ss-bg', bg);
+  root.style.setProperty('--ss-text', text);
+  document.body?.style.setProperty('background-color', bg, 'important');
+  document.body?.style.setProperty('color', text, 'important');
+  updateTextTransformColors();
+}
+
+let typographyWriteTimer = null;
+
+/**
+ * Change typography settings from the page. Applied at once; the storage
+ * write is debounced so dragging a slider stays inside the sync quota. A site
+ * with its own settings keeps the change to itself.
+ */
+function saveTypography(patch) {
+  const hostname = window.location.hostname;
+  const next = normalizeTypography({ ...getPageTypography(), ...patch });
+  const perSite = !!(hostname && settings.siteTypography?.[hostname]);
+  if (perSite) settings.siteTypography = withSiteTypography(settings.siteTypography, hostname, next);
+  else settings.typography = next;
+  applyTypography();
+  clearTimeout(typographyWriteTimer);
+  typographyWriteTimer = setTimeout(() => {
+    storeTypography(perSite ? { siteTypography: settings.siteTypography } : { typography: settings.typography });
+  }, 300);
+}
+
+/** Give this site its own copy of the current settings, or drop it. */
+function setSiteTypography(enabled) {
+  const hostname = window.location.hostname;
+  if (!hostname) return;
+  settings.siteTypography = withSiteTypography(settings.siteTypography, hostname, enabled ? getPageTypography() : null);
+  applyTypography();
+  storeTypography({ siteTypography: settings.siteTypography });
+}
+
+/** Write typography settings, and say so in the sheet if storage refuses them. */
+function storeTypography(values) {
+  const error = () => document.getElementById(SS_DYSLEXIA_HOST_ID)?.shadowRoot?.getElementById('typography-error');
+  browser.storage.sync.set(values).then(() => {
+    const el = error();
+    if (el) el.hidden = true;
+  }, err => {
+    console.warn('[ScreenShield] Could not save typography', err);
+    const el = error();
+    if (!el) return;
+    el.textContent = 'Could not save these settings; they apply until the page is reloaded.';
+    el.hidden = false;
+  });
 }
 
 // Listen for OS dark/light mode changes while the extension is active
-window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', e => {
-  if (!settings.dyslexiaMode || isAllowlisted()) return;
-  panelIsDark = e.matches;
-  applyReadingTheme(e.matches);
-  // Sync the panel button emoji
-  const panelHost = document.getElementById(SS_DYSLEXIA_HOST_ID);
-  if (panelHost?.shadowRoot) {
-    const btn = panelHost.shadowRoot.getElementById('dark-mode');
-    if (btn) btn.textContent = e.matches ? '\u2600\uFE0F' : '\uD83C\uDF19';
-  }
+window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', () => {
+  if (!IS_TOP_FRAME || isAllowlisted()) return;
+  // A theme picked on the toolbar stays put
+  if (getPageTypography().dark !== null) return;
+  if (settings.dyslexiaMode) applyTypography();
+  else updateReaderTypography(getPageTypography());
 });
 
 /**
@@ -296,19 +1001,28 @@ function injectDyslexiaCSS() {
   style.id = SS_DYSLEXIA_CSS_ID;
   style.textContent = `
     :root {
-      --ss-font: 'OpenDyslexic', 'Lexend', 'Comic Sans MS', 'Comic Sans', Verdana, sans-serif;
-      --ss-lh:   1.9;
-      --ss-ls:   0.06em;
-      --ss-ws:   0.25em;
-      --ss-bg:   #fdf9f0;
-      --ss-text: #1a1a2e;
+      --ss-font:    'OpenDyslexic', 'Lexend', 'Comic Sans MS', 'Comic Sans', Verdana, sans-serif;
+      --ss-lh:      1.9;
+      --ss-ls:      0.06em;
+      --ss-ws:      0.25em;
+      --ss-ps:      1em;
+      --ss-measure: 68ch;
+      --ss-bg:      #fdf9f0;
+      --ss-text:    #1a1a2e;
+    }
+
+    /* Unless the reader picked "Page font" */
+    :root:not([data-ss-page-font]) :is(body,
+    p, li, td, th, dt, dd, blockquote,
+    div, article, section, main, aside, nav,
+    span, a, label, button, h1, h2, h3, h4, h5, h6) {
+      font-family: var(--ss-font) !important;
     }
 
     body,
     p, li, td, th, dt, dd, blockquote,
     div, article, section, main, aside, nav,
     span, a, label, button {
-      font-family:    var(--ss-font) !important;
       line-height:    var(--ss-lh)   !important;
       letter-spacing: var(--ss-ls)   !important;
       word-spacing:   var(--ss-ws)   !important;
@@ -322,14 +1036,16 @@ function injectDyslexiaCSS() {
       font-size:        1.08rem        !important;
     }
 
-    p, li, blockquote, dt, dd { max-width: 68ch !important; }
+    p, li, blockquote, dt, dd { max-width: var(--ss-measure) !important; }
+
+    p { margin-block-end: var(--ss-ps) !important; }
 
+    /* Headings keep a tighter line height, down to the WCAG 1.4.12 minimum of 1.5 */
     h1, h2, h3, h4, h5, h6 {
-      font-family:    var(--ss-font) !important;
-      letter-spacing: 0.02em         !important;
-      word-spacing:   0.12em         !important;
-      line-height:    1.4            !important;
-      font-style:     normal         !important;
+      letter-spacing: var(--ss-ls)           !important;
+      word-spacing:   var(--ss-ws)           !important;
+      line-height:    min(var(--ss-lh), 1.5) !important;
+      font-style:     normal                 !important;
     }
 
     em, i, cite, dfn {
@@ -346,10 +1062,10 @@ function injectDyslexiaCSS() {
 }
 
 /**
- * Floating control panel ΓÇö top-right corner.
- * @param {boolean} darkInitial  ΓÇö whether to start in dark or light mode
+ * Floating control panel ΓÇö top-right corner. Its state lives in the
+ * typography settings; see applyTypography().
  */
-function injectDyslexiaPanel(darkInitial) {
+function injectDyslexiaPanel() {
   if (document.getElementById(SS_DYSLEXIA_HOST_ID)) return;
 
   const host = document.createElement('div');
@@ -386,12 +1102,29 @@ function injectDyslexiaPanel(darkInitial) {
   const fontDec = makeBtn('font-dec', 'Smaller text', 'Decrease font size', 'A\u2212');
   const fontInc = makeBtn('font-inc', 'Larger text', 'Increase font size', 'A+');
   const bgBtn = makeBtn('bg-cycle', 'Cycle colour theme', 'Cycle background', '\uD83C\uDFA8'); // ≡ƒÄ¿
-  const darkBtn = makeBtn('dark-mode', 'Toggle dark mode', 'Toggle dark mode', darkInitial ? '\u2600\uFE0F' : '\uD83C\uDF19'); // ΓÿÇ∩╕Å or ≡ƒîÖ
+  const darkBtn = makeBtn('dark-mode', 'Toggle dark mode', 'Toggle dark mode', ''); // ΓÿÇ∩╕Å or ≡ƒîÖ, see updateTypographyControls()
+  const typoBtn = makeBtn('typography', 'Typography settings', 'Typography settings', 'Aa');
+  typoBtn.setAttribute('aria-expanded', 'false');
+  typoBtn.setAttribute('aria-controls', 'typography-sheet');
+  const syllableBtn = makeBtn('syllables', 'Syllables: off', 'Syllables', 'Syl\u00B7la');
+  const fixationBtn = makeBtn('fixation', 'Bold the start of each word', 'Fixation emphasis', '');
+  const fixationStart = document.createElement('b');
+  fixationStart.textContent = 'Fi';
+  fixationBtn.append(fixationStart, 'xation');
+  const confusableBtn = makeBtn('confusables', 'Colour b, d, p and q, and underline homophones', 'Confusable letters and homophones', 'b\u2009d\u2009p\u2009q');
+  const focusBtn = makeBtn('focus-mode', 'Reading focus: ruler, spotlight or off (Alt+Shift+R)', 'Reading focus', '');
+  const tintBtn = makeBtn('focus-tint', 'Ruler tint (Alt+Shift+T)', 'Cycle ruler tint', '');
+  const shorterBtn = makeBtn('focus-shorter', 'Shorter ruler (Alt+Shift+\u2191)', 'Decrease ruler height', '\u2195\u2212');
+  const tallerBtn = makeBtn('focus-taller', 'Taller ruler (Alt+Shift+\u2193)', 'Increase ruler height', '\u2195+');
+  const readerBtn = makeBtn('reader-view', 'Reader view: the article alone (Esc closes)', 'Reader view', '\uD83D\uDCC4 Reader');
+  const readAloudBtn = makeBtn('read-aloud', 'Read the article aloud, highlighting each sentence and word', 'Read aloud', '\uD83D\uDD08 Read');
   const closeBtn = makeBtn('close', 'Turn off Dyslexia Friendly', 'Close', '\u2715');
   closeBtn.className = 'btn-close';
 
-  panel.append(label, makeSep(), fontDec, fontInc, makeSep(), bgBtn, darkBtn, makeSep(), closeBtn);
-  shadow.appendChild(panel);
+  panel.append(label, makeSep(), fontDec, fontInc, typoBtn, makeSep(), syllableBtn, fixationBtn, confusableBtn, makeSep(),
+    bgBtn, darkBtn, makeSep(), focusBtn, tintBtn, shorterBtn, tallerBtn, makeSep(), readerBtn, readAloudBtn, makeSep(), closeBtn);
+  const sheet = createTypographySheet();
+  shadow.append(panel, sheet);
 
   createShadowStyles(shadow, `
     :host { all: initial; }
@@ -400,8 +1133,8 @@ function injectDyslexiaPanel(darkInitial) {
       display: flex;
       align-items: center;
       gap: 5px;
-      background: #1a1a2e;
-      color: #e8e8f0;
+      background: var(--surface, #1a1a2e);
+      color: var(--text, #e8e8f0);
       padding: 7px 12px;
       border-radius: 0 0 0 14px;
       box-shadow: -2px 2px 14px rgba(0,0,0,0.55);
@@ -413,15 +1146,15 @@ function injectDyslexiaPanel(darkInitial) {
       font-weight: 700;
       font-size: 11px;
       letter-spacing: 0.05em;
-      color: #4a90d9;
+      color: var(--accent, #4a90d9);
       margin-right: 4px;
       white-space: nowrap;
       text-transform: uppercase;
     }
     button {
-      background: #2d2d4a;
-      border: 1px solid #4a90d9;
-      color: #e8e8f0;
+      background: var(--border, #2d2d4a);
+      border: 1px solid var(--accent, #4a90d9);
+      color: var(--text, #e8e8f0);
       border-radius: 5px;
       padding: 4px 9px;
       cursor: pointer;
@@ -433,112 +1166,1458 @@ function injectDyslexiaPanel(darkInitial) {
       white-space: nowrap;
       display: inline-block;
     }
-    button:hover         { background: #3d3d5c; }
-    button:focus-visible { outline: 2px solid #4a90d9; outline-offset: 2px; }
+    button:hover         { background: var(--surface-hover, #3d3d5c); }
+    button:focus-visible { outline: 2px solid var(--accent, #4a90d9); outline-offset: 2px; }
     .btn-close { border-color: #555; margin-left: 3px; }
+    button[aria-pressed="true"] { background: var(--accent, #4a90d9); color: #fff; }
+    button:disabled { opacity: 0.45; cursor: default; }
+    .sheet {
+      pointer-events: auto;
+      box-sizing: border-box;
+      width: 290px;
+      margin-left: auto;
+      padding: 10px 12px 12px;
+      background: var(--surface, #1a1a2e);
+      color: var(--text, #e8e8f0);
+      border-radius: 0 0 0 14px;
+      box-shadow: -2px 6px 14px rgba(0,0,0,0.55);
+      font-family: Arial, Helvetica, sans-serif;
+      font-size: 12px;
+    }
+    .sheet[hidden] { display: none; }
+    .sheet .row { display: flex; align-items: center; justify-content: space-between; gap: 8px; margin-top: 8px; }
+    .sheet .row:first-child { margin-top: 0; }
+    .sheet label { color: var(--text-muted, #8888aa); font-weight: 700; }
+    .sheet output { font-variant-numeric: tabular-nums; color: var(--text, #e8e8f0); }
+    .sheet input[type="range"] { width: 100%; margin: 2px 0 0; accent-color: var(--accent, #4a90d9); }
+    .sheet select {
+      background: var(--border, #2d2d4a);
+      color: var(--text, #e8e8f0);
+      border: 1px solid var(--accent, #4a90d9);
+      border-radius: 5px;
+      padding: 3px 4px;
+      font: inherit;
+    }
+    .sheet input[type="checkbox"] { accent-color: var(--accent, #4a90d9); margin: 0; }
+    .sheet .hint { margin-top: 8px; color: var(--text-muted, #8888aa); font-size: 11px; line-height: 1.4; }
+    .sheet .hint.error { color: var(--error, #e53935); font-weight: 600; }
+    .sheet .hint[hidden] { display: none; }
+    .sheet .actions { display: flex; gap: 6px; margin-top: 10px; }
+    .sheet .actions button { font-size: 11px; padding: 3px 8px; }
+    .swatch {
+      display: inline-block;
+      width: 12px;
+      height: 12px;
+      border-radius: 50%;
+      border: 1px solid var(--text-muted, #8888aa);
+      vertical-align: -2px;
+    }
     .sep {
       display: inline-block;
       width: 1px;
       height: 16px;
-      background: #3d3d5c;
+      background: var(--surface-hover, #3d3d5c);
       flex-shrink: 0;
     }
   `);
 
   // ΓöÇΓöÇ Panel logic ΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇ
 
-  let fontScale = 1.0;
-  const root = document.documentElement;
-
-  const LIGHT_BGS = [
-    { bg: '#fdf9f0', text: '#1a1a2e' }, // warm cream
-    { bg: '#f0f7ff', text: '#1a1a2e' }, // cool blue-white
-    { bg: '#fff8f0', text: '#1a1a2e' }, // peach
-    { bg: '#fffde7', text: '#1a1a2e' }, // warm yellow
-  ];
-  const DARK_BGS = [
-    { bg: '#1a1a2e', text: '#e8e8f0' }, // dark navy
-    { bg: '#0d1117', text: '#cdd5e0' }, // very dark
-    { bg: '#0f1a14', text: '#d4ede0' }, // dark teal
-    { bg: '#1a1a1a', text: '#f5f5dc' }, // near-black + beige text
-  ];
-
-  let isDark = darkInitial;
-  let bgIndex = 0;
-
-  function applyOption(opt) {
-    root.style.setProperty('--ss-bg', opt.bg);
-    root.style.setProperty('--ss-text', opt.text);
-    document.body?.style.setProperty('background-color', opt.bg, 'important');
-    document.body?.style.setProperty('color', opt.text, 'important');
-  }
-
   bgBtn.addEventListener('click', () => {
-    const palette = isDark ? DARK_BGS : LIGHT_BGS;
-    bgIndex = (bgIndex + 1) % palette.length;
-    applyOption(palette[bgIndex]);
+    const typography = getPageTypography();
+    const themes = READING_THEMES[isReadingThemeDark(typography) ? 'dark' : 'light'];
+    saveTypography({ bgIndex: (typography.bgIndex + 1) % themes.length });
   });
 
   darkBtn.addEventListener('click', () => {
-    isDark = !isDark;
-    bgIndex = 0;
-    panelIsDark = isDark;
-    darkBtn.textContent = isDark ? '\u2600\uFE0F' : '\uD83C\uDF19';
-    applyOption(isDark ? DARK_BGS[0] : LIGHT_BGS[0]);
+    saveTypography({ dark: !isReadingThemeDark(getPageTypography()), bgIndex: 0 });
   });
 
+  const { step: scaleStep } = TYPOGRAPHY_RANGES.fontScale;
   fontInc.addEventListener('click', () => {
-    fontScale = Math.min(2.0, parseFloat((fontScale + 0.1).toFixed(1)));
-    root.style.fontSize = (fontScale * 16) + 'px';
+    saveTypography({ fontScale: parseFloat((getPageTypography().fontScale + scaleStep).toFixed(1)) });
   });
   fontDec.addEventListener('click', () => {
-    fontScale = Math.max(0.7, parseFloat((fontScale - 0.1).toFixed(1)));
-    root.style.fontSize = (fontScale * 16) + 'px';
+    saveTypography({ fontScale: parseFloat((getPageTypography().fontScale - scaleStep).toFixed(1)) });
+  });
+  typoBtn.addEventListener('click', () => {
+    sheet.hidden = !sheet.hidden;
+    typoBtn.setAttribute('aria-expanded', String(!sheet.hidden));
+  });
+  focusBtn.addEventListener('click', () => cycleReadingFocusSetting('readingFocus'));
+  tintBtn.addEventListener('click', () => cycleReadingFocusSetting('rulerTint'));
+  shorterBtn.addEventListener('click', () => resizeReadingRuler(-1));
+  tallerBtn.addEventListener('click', () => resizeReadingRuler(1));
+  syllableBtn.addEventListener('click', () => cycleSyllableStyle());
+  fixationBtn.addEventListener('click', () => {
+    browser.storage.sync.set({ fixationEmphasis: !settings.fixationEmphasis });
   });
+  confusableBtn.addEventListener('click', () => {
+    browser.storage.sync.set({ confusableHighlight: !settings.confusableHighlight });
+  });
+  readerBtn.addEventListener('click', () => toggleReaderView());
+  readAloudBtn.addEventListener('click', () => toggleReadAloud());
   closeBtn.addEventListener('click', () => {
     browser.storage.sync.set({ dyslexiaMode: false });
   });
 
   document.documentElement.appendChild(host);
+  updateReadingFocusControls();
+  updateTextTransformControls();
+  updateReaderControls();
+  updateReadAloudControls();
 }
 
-// ΓöÇΓöÇ 5. Seizure-safe mode ΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇ
+const TYPOGRAPHY_SLIDERS = [
+  { key: 'fontScale', label: 'Text size', format: v => `${Math.round(v * 100)}%` },
+  { key: 'lineHeight', label: 'Line height', format: v => `${v.toFixed(1)}\u00D7` },
+  { key: 'letterSpacing', label: 'Letter spacing', format: v => `${v.toFixed(2)}em` },
+  { key: 'wordSpacing', label: 'Word spacing', format: v => `${v.toFixed(2)}em` },
+  { key: 'paragraphSpacing', label: 'Paragraph spacing', format: v => `${v.toFixed(2)}em` },
+  { key: 'maxLineLength', label: 'Line length', format: v => `${v}ch` }
+];
+const TYPOGRAPHY_FONT_LABELS = {
+  opendyslexic: 'OpenDyslexic',
+  lexend: 'Lexend',
+  comic: 'Comic Sans',
+  verdana: 'Verdana',
+  page: 'Page font'
+};
+const TYPOGRAPHY_SPACING_LABELS = {
+  lineHeight: 'line height',
+  paragraphSpacing: 'paragraph spacing',
+  letterSpacing: 'letter spacing',
+  wordSpacing: 'word spacing'
+};
 
-function enableSeizureSafeMode() {
-  injectSeizureCSS();
-  processVideos([...document.querySelectorAll('video')]);
-  processGIFs([...document.querySelectorAll('img')]);
-  setupMutationObserver();
-  setupIntersectionObserver();
+/** The typography sheet that drops down from the toolbar's "Aa" button. */
+function createTypographySheet() {
+  const sheet = document.createElement('div');
+  sheet.id = 'typography-sheet';
+  sheet.className = 'sheet';
+  sheet.hidden = true;
+  sheet.setAttribute('role', 'group');
+  sheet.setAttribute('aria-label', 'Typography settings');
+
+  const fontRow = document.createElement('div');
+  fontRow.className = 'row';
+  const fontLabel = document.createElement('label');
+  fontLabel.htmlFor = 'typography-font';
+  fontLabel.textContent = 'Font';
+  const fontSelect = document.createElement('select');
+  fontSelect.id = 'typography-font';
+  Object.entries(TYPOGRAPHY_FONT_LABELS).forEach(([value, text]) => fontSelect.appendChild(new Option(text, value)));
+  fontSelect.addEventListener('change', () => saveTypography({ font: fontSelect.value }));
+  fontRow.append(fontLabel, fontSelect);
+  sheet.appendChild(fontRow);
+
+  for (const { key, label } of TYPOGRAPHY_SLIDERS) {
+    const { min, max, step } = TYPOGRAPHY_RANGES[key];
+    const row = document.createElement('div');
+    row.className = 'row';
+    const name = document.createElement('label');
+    name.htmlFor = `typography-${key}`;
+    name.textContent = label;
+    const output = document.createElement('output');
+    output.id = `typography-${key}-value`;
+    output.htmlFor = `typography-${key}`;
+    row.append(name, output);
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.id = `typography-${key}`;
+    Object.assign(slider, { min, max, step });
+    slider.addEventListener('input', () => saveTypography({ [key]: parseFloat(slider.value) }));
+    sheet.append(row, slider);
+  }
+
+  const wcag = document.createElement('p');
+  wcag.id = 'typography-wcag';
+  wcag.className = 'hint';
+  wcag.setAttribute('aria-live', 'polite');
+
+  const siteRow = document.createElement('div');
+  siteRow.className = 'row';
+  const siteLabel = document.createElement('label');
+  siteLabel.htmlFor = 'typography-site';
+  siteLabel.textContent = `Only on ${window.location.hostname || 'this site'}`;
+  const siteCheck = document.createElement('input');
+  siteCheck.type = 'checkbox';
+  siteCheck.id = 'typography-site';
+  siteCheck.disabled = !window.location.hostname;
+  siteCheck.addEventListener('change', () => setSiteTypography(siteCheck.checked));
+  siteRow.append(siteLabel, siteCheck);
+
+  const actions = document.createElement('div');
+  actions.className = 'actions';
+  const wcagBtn = document.createElement('button');
+  wcagBtn.type = 'button';
+  wcagBtn.textContent = 'WCAG spacing';
+  wcagBtn.title = 'Raise spacing to the WCAG 1.4.12 minimums';
+  wcagBtn.addEventListener('click', () => {
+    const typography = getPageTypography();
+    saveTypography(Object.fromEntries(Object.entries(WCAG_TEXT_SPACING)
+      .map(([key, min]) => [key, Math.max(typography[key], min)])));
+  });
+  const resetBtn = document.createElement('button');
+  resetBtn.type = 'button';
+  resetBtn.textContent = 'Reset';
+  resetBtn.addEventListener('click', () => saveTypography(TYPOGRAPHY_DEFAULTS));
+  actions.append(wcagBtn, resetBtn);
+
+  const saveError = document.createElement('p');
+  saveError.id = 'typography-error';
+  saveError.className = 'hint error';
+  saveError.setAttribute('role', 'alert');
+  saveError.hidden = true;
+
+  sheet.append(wcag, siteRow, actions, saveError);
+  return sheet;
 }
 
-function disableSeizureSafeMode() {
-  document.getElementById(SS_SEIZURE_CSS_ID)?.remove();
-  document.querySelectorAll('[data-ss-warning]').forEach(el => el.remove());
+/** Reflect the typography settings in the toolbar and its sheet. */
+function updateTypographyControls(typography) {
+  const shadow = document.getElementById(SS_DYSLEXIA_HOST_ID)?.shadowRoot;
+  if (!shadow) return;
+  shadow.getElementById('dark-mode').textContent = isReadingThemeDark(typography) ? '\u2600\uFE0F' : '\uD83C\uDF19';
+  shadow.getElementById('typography-font').value = typography.font;
+  for (const { key, format } of TYPOGRAPHY_SLIDERS) {
+    shadow.getElementById(`typography-${key}`).value = typography[key];
+    shadow.getElementById(`typography-${key}-value`).textContent = format(typography[key]);
+  }
+  const hostname = window.location.hostname;
+  shadow.getElementById('typography-site').checked = !!(hostname && settings.siteTypography?.[hostname]);
+  const shortfalls = textSpacingShortfalls(typography).map(key => TYPOGRAPHY_SPACING_LABELS[key]);
+  shadow.getElementById('typography-wcag').textContent = shortfalls.length
+    ? `Below the WCAG 1.4.12 text spacing minimums: ${shortfalls.join(', ')}.`
+    : 'Text spacing meets WCAG 1.4.12.';
+}
 
-  videoIntersectionObserver?.disconnect();
-  videoIntersectionObserver = null;
-  domMutationObserver?.disconnect();
-  domMutationObserver = null;
+// ── Reading focus ──
+// A reading ruler (a tinted band across the page at the pointer or caret) or a
+// paragraph spotlight (the block being read stays clear), with the rest of the
+// page dimmed. Either is one box in a fixed overlay whose oversized box-shadow
+// does the dimming, so the page's own styles are never touched. The choice
+// persists in readingFocus, rulerHeight and rulerTint.
+//
+// Keyboard, while dyslexia mode is on:
+//   Alt+Shift+R        cycle off / ruler / spotlight
+//   Alt+Shift+T        cycle the tint
+//   Alt+Shift+Up/Down  shorter / taller ruler
+//   Alt+Up/Down        previous / next line (ruler) or paragraph (spotlight)
+
+const SS_READING_FOCUS_HOST_ID = 'screenshield-reading-focus';
+const READING_FOCUS_MODES = ['off', 'ruler', 'spotlight'];
+const READING_FOCUS_LABELS = { off: 'Focus', ruler: 'Ruler', spotlight: 'Spotlight' };
+/** RGB triplets, used at two alphas (band fill and edges); 'none' is an untinted band. */
+const READING_TINTS = {
+  yellow: '255, 214, 0',
+  blue: '64, 156, 255',
+  green: '52, 199, 89',
+  rose: '255, 99, 146',
+  none: null
+};
+const RULER_HEIGHT_MIN = 24;   // px
+const RULER_HEIGHT_MAX = 160;
+const RULER_HEIGHT_STEP = 8;
+const SPOTLIGHT_BLOCKS = 'p, li, blockquote, pre, dd, dt, h1, h2, h3, h4, h5, h6, figcaption, td, th';
+const SPOTLIGHT_PADDING = 6;   // px around the block
 
-  document.querySelectorAll('video[data-ss-monitoring]').forEach(v => stopFlickerDetection(v));
+/** The overlay while shown: { host, box, y, block, frame, listeners }. */
+let readingFocus = null;
 
-  // Restore GIF placeholders (host divs with data-ss-gif-src)
-  document.querySelectorAll('[data-ss-gif-src]').forEach(placeholder => {
-    const img = document.createElement('img');
-    img.src = placeholder.dataset.ssGifSrc;
-    img.alt = placeholder.dataset.ssGifAlt || '';
-    // Restore original class list to the <img>, not whatever the div had
-    if (placeholder.dataset.ssGifClass) img.className = placeholder.dataset.ssGifClass;
-    if (placeholder.dataset.ssGifWidth) img.width = placeholder.dataset.ssGifWidth;
-    if (placeholder.dataset.ssGifHeight) img.height = placeholder.dataset.ssGifHeight;
-    try { placeholder.replaceWith(img); } catch { placeholder.parentNode?.replaceChild(img, placeholder); }
-  });
+function isReadingFocusActive() {
+  return settings.dyslexiaMode && ['ruler', 'spotlight'].includes(settings.readingFocus);
 }
 
-function injectSeizureCSS() {
-  if (document.getElementById(SS_SEIZURE_CSS_ID)) return;
-  const style = document.createElement('style');
+function applyReadingFocus() {
+  updateReadingFocusControls();
+  if (!isReadingFocusActive()) {
+    disableReadingFocus();
+    return;
+  }
+  if (!readingFocus) readingFocus = createReadingFocus();
+  const tint = READING_TINTS[settings.rulerTint] ?? READING_TINTS.yellow;
+  readingFocus.box.classList.toggle('spotlight', settings.readingFocus === 'spotlight');
+  readingFocus.box.classList.toggle('untinted', !tint);
+  if (tint) readingFocus.box.style.setProperty('--tint', tint);
+  scheduleReadingFocus();
+}
+
+function disableReadingFocus() {
+  if (!readingFocus) return;
+  readingFocus.listeners.forEach(([target, type, fn]) => target.removeEventListener(type, fn));
+  cancelAnimationFrame(readingFocus.frame);
+  readingFocus.host.remove();
+  readingFocus = null;
+}
+
+function createReadingFocus() {
+  const host = document.createElement('div');
+  host.id = SS_READING_FOCUS_HOST_ID;
+  host.setAttribute('aria-hidden', 'true');
+  const shadow = host.attachShadow({ mode: 'open' });
+  createShadowStyles(shadow, `
+    :host { all: initial; position: fixed; inset: 0; pointer-events: none; z-index: 2147483646; overflow: hidden; }
+    .box {
+      position: absolute;
+      left: 0;
+      width: 100%;
+      box-sizing: border-box;
+      background: rgba(var(--tint), 0.16);
+      border-block: 2px solid rgba(var(--tint), 0.85);
+      box-shadow: 0 0 0 200vmax rgba(0, 0, 0, 0.55);
+      transition: top 0.08s ease-out, height 0.08s ease-out;
+    }
+    .box.spotlight { border: 2px solid rgba(var(--tint), 0.85); border-radius: 6px; background: none; }
+    .box.untinted { background: none; border-color: rgba(255, 255, 255, 0.6); }
+    .box[hidden] { display: none; }
+    @media (prefers-reduced-motion: reduce) { .box { transition: none; } }
+  `);
+  const box = document.createElement('div');
+  box.className = 'box';
+  box.hidden = true;
+  shadow.appendChild(box);
+  document.documentElement.appendChild(host);
+
+  const focus = { host, box, y: window.innerHeight / 3, block: null, frame: 0, listeners: [] };
+  const listen = (target, type, fn) => {
+    target.addEventListener(type, fn, { passive: true });
+    focus.listeners.push([target, type, fn]);
+  };
+  listen(document, 'pointermove', e => {
+    focus.y = e.clientY;
+    focus.block = findReadingBlock(e.composedPath()[0]) || focus.block;
+    scheduleReadingFocus();
+  });
+  listen(document, 'selectionchange', () => {
+    const caret = getCaretPosition();
+    if (!caret) return;
+    focus.y = caret.y;
+    focus.block = caret.block || focus.block;
+    scheduleReadingFocus();
+  });
+  // The spotlight follows its block as the page scrolls or reflows
+  listen(window, 'scroll', scheduleReadingFocus);
+  listen(window, 'resize', scheduleReadingFocus);
+  return focus;
+}
+
+function scheduleReadingFocus() {
+  if (!readingFocus) return;
+  cancelAnimationFrame(readingFocus.frame);
+  readingFocus.frame = requestAnimationFrame(updateReadingFocus);
+}
+
+function updateReadingFocus() {
+  if (!readingFocus) return;
+  const { box, block } = readingFocus;
+  if (settings.readingFocus === 'spotlight') {
+    if (!block?.isConnected) {
+      box.hidden = true;
+      return;
+    }
+    const rect = block.getBoundingClientRect();
+    box.style.left = `${rect.left - SPOTLIGHT_PADDING}px`;
+    box.style.width = `${rect.width + SPOTLIGHT_PADDING * 2}px`;
+    box.style.top = `${rect.top - SPOTLIGHT_PADDING}px`;
+    box.style.height = `${rect.height + SPOTLIGHT_PADDING * 2}px`;
+  } else {
+    const height = getRulerHeight();
+    box.style.left = '0px';
+    box.style.width = '100%';
+    box.style.top = `${readingFocus.y - height / 2}px`;
+    box.style.height = `${height}px`;
+  }
+  box.hidden = false;
+}
+
+function getRulerHeight() {
+  const height = Number(settings.rulerHeight) || 48;
+  return Math.min(RULER_HEIGHT_MAX, Math.max(RULER_HEIGHT_MIN, height));
+}
+
+/** The paragraph-level block containing a node, outside our own panels. */
+function findReadingBlock(node) {
+  const el = node?.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement;
+  if (!el || el.closest(SS_UI_HOST_SELECTOR)) return null;
+  return el.closest(SPOTLIGHT_BLOCKS);
+}
+
+/** Where the caret (or the end of a selection) is: { y, block }, or null. */
+function getCaretPosition() {
+  const active = document.activeElement;
+  if (active?.matches?.('input, textarea')) {
+    // Form fields keep their caret out of the document selection
+    const rect = active.getBoundingClientRect();
+    return { y: rect.top + rect.height / 2, block: findReadingBlock(active) };
+  }
+  const selection = document.getSelection();
+  const node = selection?.rangeCount ? selection.focusNode : null;
+  const el = node?.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement;
+  if (!el || el.closest(SS_UI_HOST_SELECTOR)) return null;
+  const range = document.createRange();
+  range.setStart(node, selection.focusOffset);
+  // A caret on an empty line has no client rect; use its element instead
+  const rect = range.getClientRects()[0] || el.getBoundingClientRect();
+  return { y: rect.top + rect.height / 2, block: findReadingBlock(node) };
+}
+
+/** Step the ruler one band, or the spotlight one paragraph, keeping it on screen. */
+function moveReadingFocus(direction) {
+  if (!readingFocus) return;
+  if (settings.readingFocus === 'ruler') {
+    const height = getRulerHeight();
+    const y = readingFocus.y + direction * height;
+    const margin = height / 2;
+    if (y < margin || y > window.innerHeight - margin) (readerView?.scroller || window).scrollBy(0, direction * height);
+    readingFocus.y = Math.min(window.innerHeight - margin, Math.max(margin, y));
+  } else {
+    // Innermost blocks with text, so a list item and its paragraph are one stop;
+    // while the reader view is open, its blocks rather than the page's
+    const blocks = [...(readerView?.shadow || document).querySelectorAll(SPOTLIGHT_BLOCKS)].filter(el =>
+      !el.querySelector(SPOTLIGHT_BLOCKS) && el.textContent.trim() && el.getClientRects().length &&
+      !el.closest(SS_UI_HOST_SELECTOR));
+    let index = blocks.indexOf(readingFocus.block);
+    if (index < 0) {
+      // Start from the first block below the top of the viewport
+      index = blocks.findIndex(el => el.getBoundingClientRect().bottom > 0) - direction;
+    }
+    const next = blocks[Math.min(blocks.length - 1, Math.max(0, index + direction))];
+    if (!next) return;
+    readingFocus.block = next;
+    next.scrollIntoView({ block: 'nearest' });
+  }
+  scheduleReadingFocus();
+}
+
+/** Step readingFocus or rulerTint to its next value and save it. */
+function cycleReadingFocusSetting(key) {
+  const values = key === 'readingFocus' ? READING_FOCUS_MODES : Object.keys(READING_TINTS);
+  const index = values.indexOf(settings[key]);
+  saveReadingFocusSetting({ [key]: values[(index + 1) % values.length] });
+}
+
+function resizeReadingRuler(direction) {
+  const height = Math.min(RULER_HEIGHT_MAX, Math.max(RULER_HEIGHT_MIN, getRulerHeight() + direction * RULER_HEIGHT_STEP));
+  saveReadingFocusSetting({ rulerHeight: height });
+}
+
+/** Applied straight away; the storage listener then finds nothing new. */
+function saveReadingFocusSetting(patch) {
+  Object.assign(settings, patch);
+  applyReadingFocus();
+  browser.storage.sync.set(patch);
+}
+
+function readingFocusKeyHandler(e) {
+  if (!e.altKey || e.ctrlKey || e.metaKey) return;
+  const arrow = e.key === 'ArrowUp' ? -1 : e.key === 'ArrowDown' ? 1 : 0;
+  if (e.shiftKey && e.code === 'KeyR') {
+    cycleReadingFocusSetting('readingFocus');
+  } else if (e.shiftKey && e.code === 'KeyT') {
+    cycleReadingFocusSetting('rulerTint');
+  } else if (arrow && e.shiftKey && settings.readingFocus === 'ruler') {
+    resizeReadingRuler(arrow);
+  } else if (arrow && !e.shiftKey && isReadingFocusActive()) {
+    // Alt+Up/Down moves by paragraph in some text fields; leave those alone
+    const target = e.composedPath()[0];
+    if (target?.isContentEditable || target?.matches?.('input, textarea, select')) return;
+    moveReadingFocus(arrow);
+  } else {
+    return;
+  }
+  e.preventDefault();
+  e.stopPropagation();
+}
+
+/** Reflect the reading focus settings in the dyslexia toolbar. */
+function updateReadingFocusControls() {
+  const shadow = document.getElementById(SS_DYSLEXIA_HOST_ID)?.shadowRoot;
+  if (!shadow) return;
+  const mode = READING_FOCUS_MODES.includes(settings.readingFocus) ? settings.readingFocus : 'off';
+  const focusBtn = shadow.getElementById('focus-mode');
+  focusBtn.textContent = READING_FOCUS_LABELS[mode];
+  focusBtn.setAttribute('aria-pressed', String(mode !== 'off'));
+  focusBtn.setAttribute('aria-label', `Reading focus: ${mode}`);
+
+  const tintName = settings.rulerTint in READING_TINTS ? settings.rulerTint : 'yellow';
+  const tint = READING_TINTS[tintName];
+  const swatch = document.createElement('span');
+  swatch.className = 'swatch';
+  swatch.style.background = tint ? `rgb(${tint})` : 'transparent';
+  const tintBtn = shadow.getElementById('focus-tint');
+  tintBtn.replaceChildren(swatch);
+  tintBtn.setAttribute('aria-label', `Ruler tint: ${tintName}`);
+  tintBtn.disabled = mode === 'off';
+
+  const height = getRulerHeight();
+  shadow.getElementById('focus-shorter').disabled = mode !== 'ruler' || height <= RULER_HEIGHT_MIN;
+  shadow.getElementById('focus-taller').disabled = mode !== 'ruler' || height >= RULER_HEIGHT_MAX;
+}
+
+// ── Reader view ──
+// The page's main article (see lib/reader-extract.js) rebuilt in a full-window
+// overlay of our own, set in the dyslexia typography and reading theme. The
+// page underneath is left alone, so nothing in its layout can break. Toggled
+// from the dyslexia toolbar or the FAB; Escape closes it. Not persisted: it is
+// a view of this page as it is now.
+
+const SS_READER_HOST_ID = 'screenshield-reader';
+
+/** The overlay while open: { host, shadow, scroller, returnFocus }. */
+let readerView = null;
+
+function toggleReaderView(open = !readerView) {
+  if (open) openReaderView();
+  else closeReaderView();
+}
+
+function openReaderView() {
+  if (readerView) return;
+  stopReadAloud();
+  const article = extractArticle(document);
+  injectDyslexiaFont();
+
+  const host = document.createElement('div');
+  host.id = SS_READER_HOST_ID;
+  const shadow = host.attachShadow({ mode: 'open' });
+  createShadowStyles(shadow, `
+    :host { all: initial; position: fixed; inset: 0; z-index: 2147483645; }
+    .reader {
+      position: absolute;
+      inset: 0;
+      overflow-y: auto;
+      overscroll-behavior: contain;
+      background: var(--reader-bg);
+      color: var(--reader-text);
+      font-family: var(--reader-font);
+      font-size: var(--reader-size);
+      line-height: var(--reader-lh);
+      letter-spacing: var(--reader-ls);
+      word-spacing: var(--reader-ws);
+      text-align: start;
+    }
+    .bar {
+      position: sticky;
+      top: 0;
+      display: flex;
+      align-items: center;
+      gap: 10px;
+      padding: 8px 16px;
+      background: var(--reader-bg);
+      border-bottom: 1px solid color-mix(in srgb, var(--reader-text) 20%, transparent);
+      font: 13px/1.4 Arial, Helvetica, sans-serif;
+      letter-spacing: normal;
+      word-spacing: normal;
+    }
+    .bar button {
+      background: transparent;
+      color: inherit;
+      border: 1px solid color-mix(in srgb, var(--reader-text) 40%, transparent);
+      border-radius: 5px;
+      padding: 4px 10px;
+      font: inherit;
+      font-weight: 700;
+      cursor: pointer;
+    }
+    .bar button:hover { background: color-mix(in srgb, var(--reader-text) 10%, transparent); }
+    .site { opacity: 0.75; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+    article { box-sizing: content-box; max-width: var(--reader-measure); margin: 0 auto; padding: 32px 24px 96px; }
+    article:focus { outline: none; }
+    h1 { font-size: 1.8em; line-height: 1.25; margin: 0 0 0.4em; }
+    h2, h3, h4, h5, h6 { line-height: min(var(--reader-lh), 1.5); margin: 1.6em 0 0.6em; }
+    h2 { font-size: 1.4em; }
+    h3 { font-size: 1.2em; }
+    h4, h5, h6 { font-size: 1em; }
+    .byline { margin: 0 0 2em; font-size: 0.9em; opacity: 0.75; }
+    p, ul, ol, dl, blockquote, pre, figure, table { margin: 0 0 var(--reader-ps); }
+    li { margin: 0.3em 0; }
+    ul, ol { padding-inline-start: 1.5em; }
+    blockquote { padding-inline-start: 1em; border-inline-start: 3px solid color-mix(in srgb, var(--reader-text) 40%, transparent); }
+    pre, code { font-family: ui-monospace, Menlo, Consolas, monospace; font-size: 0.9em; letter-spacing: normal; word-spacing: normal; }
+    pre { white-space: pre-wrap; }
+    em { font-style: normal; font-weight: 700; }
+    a { color: inherit; text-decoration: underline; text-underline-offset: 0.15em; }
+    img { display: block; max-width: 100%; height: auto; margin: 0 auto; }
+    figcaption { margin-top: 0.4em; font-size: 0.85em; opacity: 0.8; }
+    table { border-collapse: collapse; display: block; overflow-x: auto; }
+    td, th { border: 1px solid color-mix(in srgb, var(--reader-text) 25%, transparent); padding: 0.3em 0.5em; }
+    .empty { text-align: center; margin-top: 20vh; }
+    :focus-visible { outline: 3px solid var(--accent, #4a90d9); outline-offset: 2px; }
+    .bar button[aria-pressed="true"] { background: color-mix(in srgb, var(--reader-text) 18%, transparent); }
+    ${TEXT_TRANSFORM_CSS}
+    ${READ_ALOUD_CSS}
+  `);
+
+  const scroller = document.createElement('div');
+  scroller.className = 'reader';
+  scroller.setAttribute('role', 'dialog');
+  scroller.setAttribute('aria-modal', 'true');
+  scroller.setAttribute('aria-label', 'Reader view');
+
+  const bar = document.createElement('div');
+  bar.className = 'bar';
+  const closeBtn = document.createElement('button');
+  closeBtn.type = 'button';
+  closeBtn.textContent = '\u2715 Close reader';
+  closeBtn.title = 'Back to the page (Esc)';
+  closeBtn.addEventListener('click', closeReaderView);
+  const readAloudBtn = document.createElement('button');
+  readAloudBtn.type = 'button';
+  readAloudBtn.id = 'reader-read-aloud';
+  readAloudBtn.textContent = '\uD83D\uDD08 Read aloud';
+  readAloudBtn.title = 'Read the article aloud, highlighting each sentence and word';
+  readAloudBtn.setAttribute('aria-pressed', 'false');
+  readAloudBtn.addEventListener('click', () => toggleReadAloud());
+  const site = document.createElement('span');
+  site.className = 'site';
+  site.textContent = article?.siteName || window.location.hostname;
+  bar.append(closeBtn, readAloudBtn, site);
+
+  const body = document.createElement('article');
+  body.tabIndex = -1;
+  if (article) {
+    if (article.lang) body.lang = article.lang;
+    if (article.dir) body.dir = article.dir;
+    const title = document.createElement('h1');
+    title.textContent = article.title;
+    body.appendChild(title);
+    if (article.byline) {
+      const byline = document.createElement('p');
+      byline.className = 'byline';
+      byline.textContent = article.byline;
+      body.appendChild(byline);
+    }
+    body.appendChild(article.content);
+  } else {
+    const empty = document.createElement('p');
+    empty.className = 'empty';
+    empty.textContent = 'No article found on this page.';
+    body.appendChild(empty);
+  }
+  scroller.append(bar, body);
+  shadow.appendChild(scroller);
+  // The reading ruler and spotlight follow the reader's scrolling, not the page's
+  scroller.addEventListener('scroll', scheduleReadingFocus, { passive: true });
+
+  readerView = { host, shadow, scroller, returnFocus: document.activeElement };
+  document.addEventListener('keydown', readerKeyHandler, true);
+  document.documentElement.appendChild(host);
+  updateReaderTypography(getPageTypography());
+  body.focus({ preventScroll: true });
+  if (textTransforms) queueTextTransform(body);
+  if (isSeizureSafeActive()) scanReaderImages();
+  updateReaderControls();
+  scheduleReadingFocus();
+}
+
+/**
+ * The page scan skips our own hosts, the reader included, so the images
+ * copied into it are checked here. Any image that could animate stays hidden
+ * until its analysis is back: the reader has no layout of its own to protect.
+ */
+function scanReaderImages() {
+  if (!readerView) return;
+  processGIFs([...readerView.shadow.querySelectorAll('article img')], { holdAll: true });
+}
+
+function closeReaderView() {
+  if (!readerView) return;
+  stopReadAloud();
+  document.removeEventListener('keydown', readerKeyHandler, true);
+  const { host, returnFocus } = readerView;
+  readerView = null;
+  host.remove();
+  if (textTransforms) scheduleTextHighlightSweep(textTransforms);
+  returnFocus?.focus?.({ preventScroll: true });
+  updateReaderControls();
+  scheduleReadingFocus();
+}
+
+function readerKeyHandler(e) {
+  if (e.key !== 'Escape' || e.altKey || e.ctrlKey || e.metaKey) return;
+  e.preventDefault();
+  e.stopPropagation();
+  closeReaderView();
+}
+
+/** Set the reader's typography and reading theme. Runs whatever dyslexiaMode is. */
+function updateReaderTypography(typography) {
+  if (!readerView) return;
+  const { host } = readerView;
+  const { bg, text } = getReadingTheme(typography);
+  // "Page font" means the article's own font, from the page body
+  const font = TYPOGRAPHY_FONTS[typography.font] || getComputedStyle(document.body || document.documentElement).fontFamily;
+  host.style.setProperty('--reader-font', font);
+  host.style.setProperty('--reader-size', `${typography.fontScale * 18}px`);
+  host.style.setProperty('--reader-lh', String(typography.lineHeight));
+  host.style.setProperty('--reader-ls', `${typography.letterSpacing}em`);
+  host.style.setProperty('--reader-ws', `${typography.wordSpacing}em`);
+  host.style.setProperty('--reader-ps', `${typography.paragraphSpacing}em`);
+  host.style.setProperty('--reader-measure', `${typography.maxLineLength}ch`);
+  host.style.setProperty('--reader-bg', bg);
+  host.style.setProperty('--reader-text', text);
+}
+
+/** Reflect the reader's state in the dyslexia toolbar and the FAB. */
+function updateReaderControls() {
+  const open = !!readerView;
+  document.getElementById(SS_DYSLEXIA_HOST_ID)?.shadowRoot.getElementById('reader-view')
+    ?.setAttribute('aria-pressed', String(open));
+  const fabCheck = fabShadow?.querySelector('#fab-reader');
+  if (fabCheck) fabCheck.checked = open;
+}
+
+// ── Syllables and fixation ──
+// Optional text transforms in dyslexia mode: every other syllable of a word
+// shaded ("ac|ces|si|bil|i|ty" in alternating tints) or underlined in the text
+// colour, the first letters of each word emboldened, and confusable letters coloured with homophones
+// underlined (hovering one defines each spelling), in any combination. All of
+// it is painted with the CSS Custom Highlight API over StaticRanges into the
+// page's own text nodes. Nothing in the DOM changes, so frameworks that own
+// their text keep working and copied text is unchanged. Form fields, code and
+// contenteditable regions are left alone, and added or rewritten text is
+// picked up by a MutationObserver. Browsers without CSS.highlights get no
+// transforms. Settings: syllableSplit, syllableStyle, fixationEmphasis,
+// confusableHighlight.
+//
+// Syllables are not split with a middle dot ("ac·ces·si·bil·i·ty"): a
+// highlight cannot add characters, and inserting dots as text would rewrite
+// the page's text nodes, change what is copied and have screen readers read
+// each dot. The underline style is the visible split instead; unlike the
+// tint it keeps showing in forced colours and under colour filters.
+
+const SS_TEXT_TRANSFORM_CSS_ID = 'screenshield-text-transform-css';
+const SS_HOMOPHONE_TIP_HOST_ID = 'screenshield-homophone-tip';
+const TEXT_TRANSFORM_SKIP = 'script, style, noscript, template, textarea, input, select, option, ' +
+  'code, pre, kbd, samp, var, svg, math, iframe, canvas, title, [contenteditable]';
+const TEXT_TRANSFORM_BATCH = 200;   // text nodes between yields to the page
+const TEXT_HIGHLIGHT_SWEEP_MS = 1000; // how soon ranges in removed text are dropped
+/** Highlight names, by the key findTextHighlights() files each range under. */
+const TEXT_HIGHLIGHTS = {
+  syllable: 'ss-syllable',
+  fixation: 'ss-fixation',
+  b: 'ss-confusable-b',
+  d: 'ss-confusable-d',
+  p: 'ss-confusable-p',
+  q: 'ss-confusable-q',
+  homophone: 'ss-homophone'
+};
+/** Shared with the reader view's shadow root. Highlights cannot set font-weight, so fixation is a faux bold. */
+const TEXT_TRANSFORM_CSS = `
+  ::highlight(ss-syllable) {
+    background-color: color-mix(in srgb, var(--ss-syllable, transparent) 14%, transparent);
+    text-decoration: var(--ss-syllable-underline, none);
+    text-underline-offset: 0.2em;
+  }
+  ::highlight(ss-fixation) { text-shadow: 0.03em 0 0 currentColor, -0.03em 0 0 currentColor; }
+  ::highlight(ss-confusable-b) { color: var(--ss-confusable-b); }
+  ::highlight(ss-confusable-d) { color: var(--ss-confusable-d); }
+  ::highlight(ss-confusable-p) { color: var(--ss-confusable-p); }
+  ::highlight(ss-confusable-q) { color: var(--ss-confusable-q); }
+  ::highlight(ss-homophone) { text-decoration: underline dotted var(--ss-homophone) 2px; }
+`;
+
+/** Active transforms: { highlights, ranges, observer, queue, running, sweepTimer }. */
+let textTransforms = null;
+/** Custom properties updateTextTransformColors() sets on <html>, by getConfusableColors() key. */
+const CONFUSABLE_COLOR_VARS = {
+  b: '--ss-confusable-b',
+  d: '--ss-confusable-d',
+  p: '--ss-confusable-p',
+  q: '--ss-confusable-q',
+  homophone: '--ss-homophone'
+};
+const SYLLABLE_TINT_VAR = '--ss-syllable';
+const SYLLABLE_UNDERLINE_VAR = '--ss-syllable-underline';
+/** syllableStyle values, in the order the toolbar button steps through them. */
+const SYLLABLE_STYLES = { shade: 'shaded', underline: 'underlined' };
+/** Pattern files and word lists by path -> Promise of the parsed asset, or of null. */
+const textAssets = new Map();
+/** The open homophone tooltip: { host, text, range }. */
+let homophoneTip = null;
+let homophoneTipFrame = 0;
+
+function isTextTransformActive() {
+  return settings.dyslexiaMode && (settings.syllableSplit || settings.fixationEmphasis || settings.confusableHighlight);
+}
+
+function supportsTextHighlights() {
+  return typeof CSS !== 'undefined' && !!CSS.highlights && typeof Highlight === 'function' && typeof StaticRange === 'function';
+}
+
+/** Step the syllable button through off, each syllableStyle, and off again. */
+function cycleSyllableStyle() {
+  const styles = Object.keys(SYLLABLE_STYLES);
+  const index = settings.syllableSplit ? styles.indexOf(settings.syllableStyle) : -1;
+  const next = styles[index + 1];
+  browser.storage.sync.set(next ? { syllableSplit: true, syllableStyle: next } : { syllableSplit: false });
+}
+
+/** Revert and redo everything; called on enable and when either setting changes. */
+function applyTextTransforms() {
+  disableTextTransforms();
+  updateTextTransformControls();
+  if (!isTextTransformActive() || !document.body || !supportsTextHighlights()) return;
+
+  if (!document.getElementById(SS_TEXT_TRANSFORM_CSS_ID)) {
+    const style = document.createElement('style');
+    style.id = SS_TEXT_TRANSFORM_CSS_ID;
+    style.textContent = TEXT_TRANSFORM_CSS;
+    (document.head || document.documentElement).appendChild(style);
+  }
+  const state = {
+    highlights: Object.fromEntries(Object.keys(TEXT_HIGHLIGHTS).map(key => [key, new Highlight()])),
+    ranges: new Map(), // text node -> [{ key, range, tip }]
+    observer: new MutationObserver(records => onTextTransformMutations(state, records)),
+    queue: [],
+    running: false,
+    sweepTimer: null
+  };
+  // Letter colours paint over the syllable tint
+  for (const key of Object.keys(CONFUSABLE_COLOR_VARS)) state.highlights[key].priority = 1;
+  for (const [key, name] of Object.entries(TEXT_HIGHLIGHTS)) CSS.highlights.set(name, state.highlights[key]);
+  textTransforms = state;
+  updateTextTransformColors();
+  state.observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+  if (settings.confusableHighlight) document.addEventListener('pointermove', homophonePointerHandler, { passive: true });
+  queueTextTransform(document.body);
+  const readerArticle = readerView?.shadow.querySelector('article');
+  if (readerArticle) queueTextTransform(readerArticle);
+}
+
+function disableTextTransforms() {
+  document.getElementById(SS_TEXT_TRANSFORM_CSS_ID)?.remove();
+  if (!textTransforms) return;
+  const { observer, sweepTimer } = textTransforms;
+  textTransforms = null;
+  updateTextTransformColors();
+  observer.disconnect();
+  clearTimeout(sweepTimer);
+  Object.values(TEXT_HIGHLIGHTS).forEach(name => CSS.highlights.delete(name));
+  document.removeEventListener('pointermove', homophonePointerHandler);
+  hideHomophoneTip();
+}
+
+function queueTextTransform(root) {
+  const state = textTransforms;
+  if (!state) return;
+  state.queue.push(root);
+  if (!state.running) runTextTransformQueue(state);
+}
+
+async function runTextTransformQueue(state) {
+  state.running = true;
+  let done = 0;
+  while (textTransforms === state && state.queue.length) {
+    const root = state.queue.shift();
+    if (!root.isConnected) continue;
+    for (const node of collectTransformableText(root)) {
+      await transformTextNode(state, node);
+      if (textTransforms !== state) return;
+      // Yield now and then so long pages stay responsive
+      if (++done % TEXT_TRANSFORM_BATCH === 0) await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  }
+  state.running = false;
+}
+
+/** Text nodes under root (or root itself) that have words and are not in a skipped region. */
+function collectTransformableText(root) {
+  const accept = node => {
+    const parent = node.parentElement;
+    return !!parent && /\p{L}/u.test(node.data) && !parent.isContentEditable &&
+      !parent.closest(TEXT_TRANSFORM_SKIP) && !parent.closest(SS_UI_HOST_SELECTOR);
+  };
+  if (root.nodeType === Node.TEXT_NODE) return accept(root) ? [root] : [];
+  if (root.nodeType !== Node.ELEMENT_NODE && root.nodeType !== Node.DOCUMENT_FRAGMENT_NODE) return [];
+  const nodes = [];
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+    acceptNode: node => accept(node) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT
+  });
+  while (walker.nextNode()) nodes.push(walker.currentNode);
+  return nodes;
+}
+
+async function transformTextNode(state, node) {
+  if (!node.isConnected || state.ranges.has(node)) return;
+  const lang = getTextLanguage(node.parentElement);
+  const [hyphenate, homophones] = await Promise.all([
+    settings.syllableSplit ? loadHyphenator(lang) : null,
+    settings.confusableHighlight ? loadHomophones(lang) : null
+  ]);
+  if (textTransforms !== state || !node.isConnected || state.ranges.has(node)) return;
+  const marks = findTextHighlights(node.data, {
+    hyphenate,
+    fixation: settings.fixationEmphasis,
+    confusables: settings.confusableHighlight,
+    homophones,
+    commonHomophones: settings.homophoneCommonWords !== false
+  });
+  if (!marks.length) return;
+  state.ranges.set(node, marks.map(({ key, start, end, tip }) => {
+    // Static ranges cost nothing when the page edits the DOM; a stale one is not painted
+    const range = new StaticRange({ startContainer: node, startOffset: start, endContainer: node, endOffset: end });
+    state.highlights[key].add(range);
+    return { key, range, tip };
+  }));
+}
+
+function clearTextHighlights(state, node) {
+  const entries = state.ranges.get(node);
+  if (!entries) return;
+  entries.forEach(({ key, range }) => state.highlights[key].delete(range));
+  state.ranges.delete(node);
+}
+
+/**
+ * What to paint in one text node, as { key, start, end, tip } with key from
+ * TEXT_HIGHLIGHTS: every second syllable of each word, the fixation part of
+ * each word, each confusable letter, and each homophone (tip is its
+ * definition), everyday ones only with commonHomophones.
+ * @param {{ hyphenate: Function|null, fixation: boolean, confusables: boolean,
+ *   homophones: Map|null, commonHomophones: boolean }} options
+ */
+function findTextHighlights(text, { hyphenate, fixation, confusables, homophones, commonHomophones }) {
+  const marks = [];
+  for (const match of text.matchAll(TEXT_WORD_PATTERN)) {
+    const word = match[0];
+    const start = match.index;
+    if (hyphenate) {
+      let offset = start;
+      hyphenate(word).forEach((syllable, i) => {
+        if (i % 2) marks.push({ key: 'syllable', start: offset, end: offset + syllable.length });
+        offset += syllable.length;
+      });
+    }
+    const bold = fixation ? fixationLength(word) : 0;
+    if (bold) marks.push({ key: 'fixation', start, end: start + bold });
+    if (confusables) {
+      for (const letter of word.matchAll(CONFUSABLE_LETTER_PATTERN)) {
+        marks.push({ key: letter[0], start: start + letter.index, end: start + letter.index + 1 });
+      }
+    }
+    const tip = homophones ? lookupHomophone(homophones, word, commonHomophones) : null;
+    if (tip) marks.push({ key: 'homophone', start, end: start + word.length, tip });
+  }
+  return marks;
+}
+
+/** The language of an element's text, as a primary subtag; the TTS language when the page says nothing. */
+function getTextLanguage(el) {
+  const lang = el?.closest('[lang]')?.lang || document.documentElement.lang || settings.ttsLanguage || 'en';
+  return lang.toLowerCase().split('-')[0];
+}
+
+function loadHyphenator(lang) {
+  if (!HYPHENATION_LANGUAGES.includes(lang)) return Promise.resolve(null);
+  return loadTextAsset(`assets/hyphenation/${lang}.json`, createHyphenator);
+}
+
+function loadHomophones(lang) {
+  if (!HOMOPHONE_LANGUAGES.includes(lang)) return Promise.resolve(null);
+  return loadTextAsset(`assets/homophones/${lang}.json`, createHomophoneIndex);
+}
+
+/** Fetch and parse a bundled JSON file once per page. */
+function loadTextAsset(path, parse) {
+  if (!textAssets.has(path)) {
+    textAssets.set(path, fetch(browser.runtime.getURL(path))
+      .then(res => res.json())
+      .then(parse)
+      .catch(() => null));
+  }
+  return textAssets.get(path);
+}
+
+/**
+ * Set the transform colours on <html>: the syllable tint from the reading
+ * theme's text colour (or the underline, in that style), and the confusable letter and homophone colours from
+ * the colour mode's palette, darkened or lightened where needed to keep WCAG
+ * AA contrast on the reading theme. Each is cleared while its transform is off.
+ */
+function updateTextTransformColors() {
+  const root = document.documentElement;
+  const theme = getReadingTheme(getPageTypography());
+  const syllableStyle = textTransforms && settings.syllableSplit ? settings.syllableStyle : null;
+  if (syllableStyle === 'underline') root.style.setProperty(SYLLABLE_UNDERLINE_VAR, 'underline currentColor 0.08em');
+  else root.style.removeProperty(SYLLABLE_UNDERLINE_VAR);
+  if (syllableStyle && syllableStyle !== 'underline') root.style.setProperty(SYLLABLE_TINT_VAR, theme.text);
+  else root.style.removeProperty(SYLLABLE_TINT_VAR);
+
+  if (!textTransforms || !settings.confusableHighlight) {
+    Object.values(CONFUSABLE_COLOR_VARS).forEach(name => root.style.removeProperty(name));
+    return;
+  }
+  const colors = getConfusableColors(colorModePalette(getPageColorMode(), settings.customFilters));
+  const background = parseContrastColor(theme.bg);
+  for (const [key, name] of Object.entries(CONFUSABLE_COLOR_VARS)) {
+    const color = parseContrastColor(colors[key]);
+    const { r, g, b } = repairTextColor(color, background, CONTRAST_TARGETS.aa.normal) || color;
+    root.style.setProperty(name, `rgb(${r}, ${g}, ${b})`);
+  }
+}
+
+function onTextTransformMutations(state, records) {
+  let removed = false;
+  for (const record of records) {
+    if (record.type === 'characterData') {
+      // The old offsets no longer fit the text
+      clearTextHighlights(state, record.target);
+      queueTextTransform(record.target);
+      continue;
+    }
+    record.addedNodes.forEach(node => queueTextTransform(node));
+    if (record.removedNodes.length) removed = true;
+  }
+  if (removed) scheduleTextHighlightSweep(state);
+}
+
+/** Soon drop the ranges of text that has left the page, so the highlights do not grow forever. */
+function scheduleTextHighlightSweep(state) {
+  if (state.sweepTimer) return;
+  state.sweepTimer = setTimeout(() => {
+    state.sweepTimer = null;
+    state.ranges.forEach((entries, node) => {
+      if (!node.isConnected) clearTextHighlights(state, node);
+    });
+  }, TEXT_HIGHLIGHT_SWEEP_MS);
+}
+
+/** Homophones have no element to carry a title, so the tooltip follows the pointer. Once per frame. */
+function homophonePointerHandler(e) {
+  if (homophoneTipFrame) return;
+  const { clientX, clientY } = e;
+  homophoneTipFrame = requestAnimationFrame(() => {
+    homophoneTipFrame = 0;
+    updateHomophoneTip(clientX, clientY);
+  });
+}
+
+function updateHomophoneTip(x, y) {
+  const state = textTransforms;
+  const caret = state && getCaretAt(x, y);
+  const entries = caret && state.ranges.get(caret.node);
+  const entry = entries?.find(({ range, tip }) =>
+    tip && range.startOffset <= caret.offset && caret.offset <= range.endOffset);
+  let rect = null;
+  if (entry) {
+    // The caret is the nearest gap, so check the word is really under the pointer
+    const live = document.createRange();
+    live.setStart(caret.node, entry.range.startOffset);
+    live.setEnd(caret.node, entry.range.endOffset);
+    rect = [...live.getClientRects()].find(r => x >= r.left && x <= r.right && y >= r.top && y <= r.bottom);
+  }
+  if (!rect) {
+    hideHomophoneTip();
+    return;
+  }
+  if (homophoneTip?.range === entry.range) return;
+  showHomophoneTip(entry, rect);
+}
+
+/** The text position under a point, looking into the reader view too. */
+function getCaretAt(x, y) {
+  if (document.caretPositionFromPoint) {
+    const position = document.caretPositionFromPoint(x, y, { shadowRoots: readerView ? [readerView.shadow] : [] });
+    return position?.offsetNode?.nodeType === Node.TEXT_NODE ? { node: position.offsetNode, offset: position.offset } : null;
+  }
+  const range = document.caretRangeFromPoint?.(x, y);
+  return range?.startContainer.nodeType === Node.TEXT_NODE ? { node: range.startContainer, offset: range.startOffset } : null;
+}
+
+function showHomophoneTip(entry, rect) {
+  if (!homophoneTip) {
+    const host = document.createElement('div');
+    host.id = SS_HOMOPHONE_TIP_HOST_ID;
+    const shadow = host.attachShadow({ mode: 'open' });
+    createShadowStyles(shadow, `
+      :host { all: initial; position: fixed; z-index: 2147483646; pointer-events: none; }
+      div {
+        max-width: 320px;
+        padding: 6px 10px;
+        background: var(--surface, #1a1a2e);
+        color: var(--text, #e8e8f0);
+        border: 1px solid var(--border, #2d2d4a);
+        border-radius: 6px;
+        box-shadow: 0 4px 14px rgba(0,0,0,0.4);
+        font: 13px/1.45 Arial, Helvetica, sans-serif;
+        white-space: pre-line;
+      }
+    `);
+    const text = document.createElement('div');
+    text.setAttribute('role', 'tooltip');
+    shadow.appendChild(text);
+    document.documentElement.appendChild(host);
+    window.addEventListener('scroll', hideHomophoneTip, { capture: true, passive: true });
+    homophoneTip = { host, text, range: null };
+  }
+  homophoneTip.range = entry.range;
+  homophoneTip.text.textContent = entry.tip;
+  const { host } = homophoneTip;
+  host.style.left = `${Math.max(4, Math.min(rect.left, window.innerWidth - 324))}px`;
+  host.style.top = `${rect.bottom + 6}px`;
+  // Above the word when there is no room below
+  const height = host.getBoundingClientRect().height;
+  if (rect.bottom + 6 + height > window.innerHeight) host.style.top = `${Math.max(4, rect.top - 6 - height)}px`;
+}
+
+function hideHomophoneTip() {
+  if (!homophoneTip) return;
+  window.removeEventListener('scroll', hideHomophoneTip, { capture: true });
+  homophoneTip.host.remove();
+  homophoneTip = null;
+}
+
+/** Reflect the text transform settings in the dyslexia toolbar. */
+function updateTextTransformControls() {
+  const shadow = document.getElementById(SS_DYSLEXIA_HOST_ID)?.shadowRoot;
+  if (!shadow) return;
+  const syllableBtn = shadow.getElementById('syllables');
+  const fixationBtn = shadow.getElementById('fixation');
+  const confusableBtn = shadow.getElementById('confusables');
+  syllableBtn.setAttribute('aria-pressed', String(!!settings.syllableSplit));
+  fixationBtn.setAttribute('aria-pressed', String(!!settings.fixationEmphasis));
+  confusableBtn.setAttribute('aria-pressed', String(!!settings.confusableHighlight));
+  if (!supportsTextHighlights()) {
+    for (const btn of [syllableBtn, fixationBtn, confusableBtn]) {
+      btn.disabled = true;
+      btn.title = 'Needs a browser with the CSS Custom Highlight API';
+    }
+    return;
+  }
+  const lang = getTextLanguage(document.body);
+  const state = settings.syllableSplit ? SYLLABLE_STYLES[settings.syllableStyle] ?? SYLLABLE_STYLES.shade : 'off';
+  syllableBtn.title = HYPHENATION_LANGUAGES.includes(lang)
+    ? `Syllables: ${state}`
+    : `Syllables: ${state} (no patterns for this page's language, "${lang}")`;
+}
+
+// ── Word lookup ──
+// Double-click a word in dyslexia mode (on the page or in the reader view) for
+// a card with its syllables and definitions from the offline dictionaries in
+// assets/dictionary/ (see lib/dictionary.js), and hear it spoken at the Chat
+// Reader's rate. Only voices installed on the device are used, so a lookup
+// never goes over the network; without one the word is not spoken. Escape,
+// the close button, clicking elsewhere or scrolling closes the card.
+// Settings: wordLookup, dictionaryPacks.
+
+const SS_WORD_CARD_HOST_ID = 'screenshield-word-card';
+const WORD_CARD_GAP = 8;   // px between the word and the card
+
+/** The open card: { host, scroller }, the scroller being the reader's while the word is in it. */
+let wordCard = null;
+
+/** A double-click selected a word: look it up. */
+async function wordLookupHandler(e) {
+  if (!settings.wordLookup || e.button !== 0) return;
+  const path = e.composedPath();
+  const target = path[0];
+  if (!(target instanceof Element) || target.closest('input, textarea, select, [contenteditable]') || target.isContentEditable) return;
+  const inReader = !!readerView && path.includes(readerView.host);
+  if (inReader ? !target.closest('article') : target.closest(SS_UI_HOST_SELECTOR)) return;
+
+  // Chrome only exposes a selection inside a shadow root through the root
+  const selection = (inReader && readerView.shadow.getSelection?.()) || document.getSelection();
+  const text = selection?.toString().trim();
+  const words = text?.match(TEXT_WORD_PATTERN);
+  if (!selection?.rangeCount || words?.length !== 1 || words[0] !== text) return;
+
+  const rect = selection.getRangeAt(0).getBoundingClientRect();
+  const lang = getTextLanguage(selection.anchorNode?.parentElement);
+  const [lookup, hyphenate] = await Promise.all([loadDictionary(lang), loadHyphenator(lang)]);
+  if (!settings.dyslexiaMode) return;
+  const voice = getLocalVoice(lang);
+  openWordCard({
+    word: text,
+    lang,
+    syllables: hyphenate ? hyphenate(text) : [text],
+    entries: lookup ? lookup(text) : null,
+    voice,
+    rect,
+    scroller: inReader ? readerView.scroller : null
+  });
+  if (voice) speakWord(text, voice);
+}
+
+/** The word list for a language, if it has one and it is turned on. */
+function loadDictionary(lang) {
+  if (!(lang in DICTIONARY_LANGUAGES)) return Promise.resolve(null);
+  if (lang !== DICTIONARY_BUILT_IN && !(settings.dictionaryPacks || []).includes(lang)) return Promise.resolve(null);
+  return loadTextAsset(`assets/dictionary/${lang}.json`, createDictionary);
+}
+
+/**
+ * Show the card for one word under it (or above it near the bottom of the
+ * window), replacing any card already open.
+ * @param {{ word: string, lang: string, syllables: string[],
+ *   entries: { word: string, senses: [string, string][] }[]|null,
+ *   voice: SpeechSynthesisVoice|null, rect: DOMRect, scroller: Element|null }} lookup
+ *   entries is null when the language has no word list turned on, voice
+ *   when no installed voice speaks it
+ */
+function openWordCard({ word, lang, syllables, entries, voice, rect, scroller }) {
+  closeWordCard();
+  const host = document.createElement('div');
+  host.id = SS_WORD_CARD_HOST_ID;
+  const shadow = host.attachShadow({ mode: 'open' });
+  createShadowStyles(shadow, `
+    :host { all: initial; position: fixed; z-index: 2147483646; }
+    .card {
+      box-sizing: border-box;
+      width: min(340px, calc(100vw - 16px));
+      max-height: min(360px, calc(100vh - 16px));
+      overflow-y: auto;
+      padding: 12px 14px;
+      background: var(--card-bg);
+      color: var(--card-text);
+      border: 1px solid color-mix(in srgb, var(--card-text) 25%, transparent);
+      border-radius: 10px;
+      box-shadow: 0 6px 24px rgba(0, 0, 0, 0.3);
+      font: 16px/1.5 var(--card-font);
+      letter-spacing: 0.03em;
+      word-spacing: 0.1em;
+    }
+    .head { display: flex; align-items: center; gap: 8px; }
+    .word { flex: 1; margin: 0; font-size: 1.4em; font-weight: 700; line-height: 1.3; overflow-wrap: anywhere; }
+    button {
+      flex-shrink: 0;
+      background: transparent;
+      color: inherit;
+      border: 1px solid color-mix(in srgb, var(--card-text) 40%, transparent);
+      border-radius: 5px;
+      padding: 2px 8px;
+      font: 14px/1.4 Arial, Helvetica, sans-serif;
+      cursor: pointer;
+    }
+    button:disabled { opacity: 0.4; cursor: default; }
+    button:hover:not(:disabled) { background: color-mix(in srgb, var(--card-text) 10%, transparent); }
+    :focus-visible { outline: 3px solid var(--accent, #4a90d9); outline-offset: 2px; }
+    .count { margin: 0 0 8px; font-size: 0.8em; opacity: 0.75; }
+    .from { margin: 8px 0 2px; font-size: 0.9em; }
+    ol { margin: 0; padding-inline-start: 1.4em; }
+    li { margin: 4px 0; }
+    .pos { font-style: normal; font-size: 0.85em; opacity: 0.75; margin-inline-end: 0.4em; }
+    .none { margin: 4px 0 0; font-size: 0.9em; opacity: 0.85; }
+  `);
+
+  const typography = getPageTypography();
+  const { bg, text } = getReadingTheme(typography);
+  host.style.setProperty('--card-bg', bg);
+  host.style.setProperty('--card-text', text);
+  host.style.setProperty('--card-font', TYPOGRAPHY_FONTS[typography.font] || 'Arial, Helvetica, sans-serif');
+
+  const card = document.createElement('div');
+  card.className = 'card';
+  card.setAttribute('role', 'dialog');
+  card.setAttribute('aria-label', `Definition of ${word}`);
+  card.lang = lang;
+
+  const head = document.createElement('div');
+  head.className = 'head';
+  const title = document.createElement('p');
+  title.className = 'word';
+  title.textContent = syllables.join('\u00B7');
+  const speakBtn = document.createElement('button');
+  speakBtn.type = 'button';
+  speakBtn.textContent = '\uD83D\uDD0A';
+  speakBtn.title = voice ? 'Say it again' : 'No voice for this language is installed';
+  speakBtn.setAttribute('aria-label', `Say “${word}” again`);
+  speakBtn.disabled = !voice;
+  speakBtn.addEventListener('click', () => speakWord(word, voice));
+  const closeBtn = document.createElement('button');
+  closeBtn.type = 'button';
+  closeBtn.textContent = '\u2715';
+  closeBtn.title = 'Close (Esc)';
+  closeBtn.setAttribute('aria-label', `Close the card for “${word}”`);
+  closeBtn.addEventListener('click', closeWordCard);
+  head.append(title, speakBtn, closeBtn);
+  card.appendChild(head);
+
+  if (syllables.length > 1) {
+    const count = document.createElement('p');
+    count.className = 'count';
+    count.textContent = `${syllables.length} syllables`;
+    card.appendChild(count);
+  }
+
+  if (entries?.length) {
+    const lower = word.toLocaleLowerCase(lang).replace(/’/g, "'");
+    for (const entry of entries) {
+      if (entry.word !== lower || entries.length > 1) {
+        const from = document.createElement('p');
+        from.className = 'from';
+        const headword = document.createElement('strong');
+        headword.textContent = entry.word;
+        if (entry.word === lower) from.append(headword);
+        else from.append('From ', headword);
+        card.appendChild(from);
+      }
+      const list = document.createElement('ol');
+      for (const [pos, definition] of entry.senses) {
+        const item = document.createElement('li');
+        const posEl = document.createElement('em');
+        posEl.className = 'pos';
+        posEl.textContent = pos;
+        item.append(posEl, definition);
+        list.appendChild(item);
+      }
+      card.appendChild(list);
+    }
+  } else {
+    const none = document.createElement('p');
+    none.className = 'none';
+    none.lang = 'en';
+    none.textContent = entries
+      ? `Not in the ${DICTIONARY_LANGUAGES[lang]} dictionary.`
+      : lang in DICTIONARY_LANGUAGES
+        ? `Turn on the ${DICTIONARY_LANGUAGES[lang]} dictionary in the ScreenShield popup for definitions.`
+        : `No offline dictionary for this language ("${lang}").`;
+    card.appendChild(none);
+  }
+
+  shadow.appendChild(card);
+  document.documentElement.appendChild(host);
+
+  // Below the word, or above it when there is more room there
+  const { width, height } = card.getBoundingClientRect();
+  const below = window.innerHeight - rect.bottom - WORD_CARD_GAP;
+  const top = below >= height || below >= rect.top - WORD_CARD_GAP
+    ? Math.min(rect.bottom + WORD_CARD_GAP, window.innerHeight - height - WORD_CARD_GAP)
+    : Math.max(WORD_CARD_GAP, rect.top - WORD_CARD_GAP - height);
+  const left = Math.min(Math.max(WORD_CARD_GAP, rect.left), window.innerWidth - width - WORD_CARD_GAP);
+  host.style.top = `${Math.max(WORD_CARD_GAP, top)}px`;
+  host.style.left = `${Math.max(WORD_CARD_GAP, left)}px`;
+
+  wordCard = { host, scroller };
+  // On the window, so Escape reaches the card before the reader view's handler
+  window.addEventListener('keydown', wordCardKeyHandler, true);
+  document.addEventListener('pointerdown', wordCardPointerHandler, true);
+  window.addEventListener('scroll', closeWordCard, { capture: true, passive: true });
+  window.addEventListener('resize', closeWordCard, { passive: true });
+  // Scrolling inside the reader's shadow root never reaches the window
+  scroller?.addEventListener('scroll', closeWordCard, { passive: true });
+}
+
+function closeWordCard() {
+  if (!wordCard) return;
+  const { host, scroller } = wordCard;
+  wordCard = null;
+  window.removeEventListener('keydown', wordCardKeyHandler, true);
+  document.removeEventListener('pointerdown', wordCardPointerHandler, true);
+  window.removeEventListener('scroll', closeWordCard, { capture: true });
+  window.removeEventListener('resize', closeWordCard);
+  scroller?.removeEventListener('scroll', closeWordCard);
+  host.remove();
+}
+
+function wordCardKeyHandler(e) {
+  if (e.key !== 'Escape' || e.altKey || e.ctrlKey || e.metaKey) return;
+  e.preventDefault();
+  e.stopPropagation();
+  closeWordCard();
+}
+
+function wordCardPointerHandler(e) {
+  if (!e.composedPath().includes(wordCard?.host)) closeWordCard();
+}
+
+/** Say a word at the Chat Reader's rate. */
+function speakWord(word, voice) {
+  const utterance = new SpeechSynthesisUtterance(word);
+  utterance.rate = ttsRate;
+  utterance.lang = voice.lang;
+  utterance.voice = voice;
+  speechSynthesis.speak(utterance);
+}
+
+/**
+ * The chosen Chat Reader voice if it is installed and speaks lang, else the
+ * first installed voice that does. Network voices are never picked.
+ */
+function getLocalVoice(lang) {
+  if (typeof speechSynthesis === 'undefined') return null;
+  const speaks = voice => voice.lang.toLowerCase().split(/[-_]/)[0] === lang;
+  if (ttsVoice?.localService && speaks(ttsVoice)) return ttsVoice;
+  return speechSynthesis.getVoices().find(voice => voice.localService && speaks(voice)) || null;
+}
+
+// ΓöÇΓöÇ 5. Seizure-safe mode ΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇ
+
+function enableSeizureSafeMode() {
+  applyAnimationMode();
+  rescanShadowRoots();
+  const shadowRoots = getKnownShadowRoots();
+  const elements = [
+    document.documentElement,
+    ...document.querySelectorAll('body, body *'),
+    ...shadowRoots.flatMap(root => [...root.querySelectorAll('*')])
+  ];
+  const byTag = tagName => elements.filter(el => el.tagName === tagName);
+  processVideos(byTag('VIDEO'));
+  processGIFs(byTag('IMG'));
+  setupMutationObserver();
+  observeShadowRoots(shadowRoots);
+  setupIntersectionObserver();
+  processCanvases(byTag('CANVAS'));
+  processSVGAnimations(byTag('svg').map(outermostSVG));
+  processBackgrounds(elements);
+  processPatterns([...byTag('IMG'), ...byTag('VIDEO')]);
+  scanReaderImages();
+}
+
+function disableSeizureSafeMode() {
+  document.getElementById(SS_SEIZURE_CSS_ID)?.remove();
+  stopSmartAnimationTaming();
+  // Cards drawn for child frames stay; those frames decide for themselves
+  document.querySelectorAll('[data-ss-warning]:not([data-ss-frame-warning])').forEach(el => el.remove());
+  [...frameWarnings.keys()].forEach(id => closeFrameWarning(id, true));
+
+  flashSourceObserver?.disconnect();
+  flashSourceObserver = null;
+  domMutationObserver?.disconnect();
+  domMutationObserver = null;
+  observedShadowRoots = new WeakSet();
+  pendingShadowHosts.clear();
+  cancelAnimationFrame(backgroundCheckFrame);
+  backgroundCheckFrame = null;
+  pendingBackgrounds.clear();
+
+  querySelectorAllDeep('[data-ss-monitoring]').forEach(el => stopFlickerDetection(el));
+  releaseTabCapture();
+  querySelectorAllDeep('video[data-ss-softened]').forEach(liftSoftening);
+  querySelectorAllDeep('video[data-ss-prescan]').forEach(v => stopPrescan(v));
+  querySelectorAllDeep('[data-ss-hidden]').forEach(showFlashingElement);
+  querySelectorAllDeep('[data-ss-bg-suppressed]').forEach(restoreBackground);
+  querySelectorAllDeep('[data-ss-smil-paused]').forEach(resumeSVGAnimations);
+  // The reader view's images are scanned by scanReaderImages(), outside the deep query
+  const withReader = selector => [
+    ...querySelectorAllDeep(selector),
+    ...(readerView ? readerView.shadow.querySelectorAll(selector) : [])
+  ];
+  withReader('img[data-ss-gif-pending]').forEach(revealPendingImage);
+  // Forget what was analysed so re-enabling checks everything again
+  withReader('img[data-ss-gif-checked]').forEach(img => delete img.dataset.ssGifChecked);
+  checkedBackgrounds = new WeakMap();
+  checkedSVGs = new WeakSet();
+  stopPatternDetection();
+
+  // Restore GIF placeholders (host divs with data-ss-gif-src)
+  withReader('[data-ss-gif-src]').forEach(placeholder => {
+    const img = document.createElement('img');
+    img.src = placeholder.dataset.ssGifSrc;
+    img.alt = placeholder.dataset.ssGifAlt || '';
+    // Restore original class list to the <img>, not whatever the div had
+    if (placeholder.dataset.ssGifClass) img.className = placeholder.dataset.ssGifClass;
+    if (placeholder.dataset.ssGifWidth) img.width = placeholder.dataset.ssGifWidth;
+    if (placeholder.dataset.ssGifHeight) img.height = placeholder.dataset.ssGifHeight;
+    try { placeholder.replaceWith(img); } catch { placeholder.parentNode?.replaceChild(img, placeholder); }
+  });
+}
+
+function injectSeizureCSS() {
+  if (document.getElementById(SS_SEIZURE_CSS_ID)) return;
+  const style = document.createElement('style');
   style.id = SS_SEIZURE_CSS_ID;
   style.textContent = `
     *, *::before, *::after {
@@ -547,45 +2626,1158 @@ function injectSeizureCSS() {
       transition-duration:       0.001ms !important;
       scroll-behavior:           auto    !important;
     }
-  `;
-  (document.head || document.documentElement).appendChild(style);
+  `;
+  (document.head || document.documentElement).appendChild(style);
+}
+
+// ── Smart animation taming ───────────────────────────────────────────────────
+// Instead of collapsing every animation to 0.001ms (which breaks spinners,
+// carousels and anything waiting for transitionend), smart mode reads the
+// keyframes of each running animation, estimates how fast it swings
+// brightness, colour or opacity, and slows or freezes only the ones that
+// would flash more than the WCAG limit. Slow fades and slides run untouched.
+
+const SMART_SCAN_INTERVAL_MS = 1000;
+const SMART_TARGET_FLASHES_PER_SECOND = 1;   // slow risky animations to this rate
+const SMART_MIN_PLAYBACK_RATE = 0.2;         // anything needing slower is frozen
+const FILTER_REFERENCE_BRIGHTNESS = 0.75;
+/** Keyframe properties that can change brightness, keyed as getKeyframes() names them. */
+const SMART_COLOR_PROPERTIES = [
+  'color', 'backgroundColor', 'borderColor', 'borderTopColor', 'borderRightColor',
+  'borderBottomColor', 'borderLeftColor', 'outlineColor', 'fill', 'stroke',
+  'boxShadow', 'textShadow'
+];
+
+let smartScanTimer = null;
+let smartScanPending = false;
+let assessedAnimations = new WeakSet();
+const tamedAnimations = new Map(); // Animation -> { playbackRate, froze }
+let colorParseCtx = null;
+
+function applyAnimationMode() {
+  if (settings.animationMode === 'smart') {
+    document.getElementById(SS_SEIZURE_CSS_ID)?.remove();
+    startSmartAnimationTaming();
+  } else {
+    stopSmartAnimationTaming();
+    injectSeizureCSS();
+  }
+}
+
+function startSmartAnimationTaming() {
+  if (smartScanTimer) return;
+  // Events catch CSS animations and transitions as they start; the interval
+  // catches Web Animations started from script, which fire no events.
+  document.addEventListener('animationstart', scheduleSmartScan, true);
+  document.addEventListener('transitionrun', scheduleSmartScan, true);
+  smartScanTimer = setInterval(scanRunningAnimations, SMART_SCAN_INTERVAL_MS);
+  scanRunningAnimations();
+}
+
+function stopSmartAnimationTaming() {
+  if (!smartScanTimer) return;
+  clearInterval(smartScanTimer);
+  smartScanTimer = null;
+  document.removeEventListener('animationstart', scheduleSmartScan, true);
+  document.removeEventListener('transitionrun', scheduleSmartScan, true);
+
+  for (const [anim, original] of tamedAnimations) {
+    try {
+      anim.playbackRate = original.playbackRate;
+      if (original.froze) anim.play();
+    } catch { /* animation was cancelled or its element removed */ }
+  }
+  tamedAnimations.clear();
+  assessedAnimations = new WeakSet();
+}
+
+function scheduleSmartScan() {
+  if (smartScanPending) return;
+  smartScanPending = true;
+  requestAnimationFrame(() => {
+    smartScanPending = false;
+    scanRunningAnimations();
+  });
+}
+
+function scanRunningAnimations() {
+  if (!smartScanTimer) return;
+  for (const anim of document.getAnimations()) {
+    if (assessedAnimations.has(anim)) continue;
+    assessedAnimations.add(anim);
+    const flashes = assessAnimationFlashRate(anim);
+    if (flashes > WCAG_MAX_FLASHES_PER_SECOND) tameAnimation(anim, flashes);
+  }
+}
+
+/** Slow a risky animation down to a safe flash rate, or freeze it if that would take too long. */
+function tameAnimation(anim, flashes) {
+  const original = { playbackRate: anim.playbackRate, froze: false };
+  const rate = SMART_TARGET_FLASHES_PER_SECOND / flashes;
+  try {
+    if (rate < SMART_MIN_PLAYBACK_RATE) {
+      anim.pause();
+      original.froze = true;
+    } else {
+      anim.playbackRate = anim.playbackRate * rate;
+    }
+    tamedAnimations.set(anim, original);
+  } catch { /* finished or cancelled between scan and taming */ }
+}
+
+/**
+ * Worst flashes/sec across the brightness-related properties an animation
+ * touches, at its current playback rate. 0 when it cannot be read.
+ */
+function assessAnimationFlashRate(anim) {
+  const effect = anim.effect;
+  if (!effect || typeof effect.getKeyframes !== 'function') return 0;
+
+  let keyframes, computed;
+  try {
+    keyframes = effect.getKeyframes();
+    computed = effect.getComputedTiming();
+  } catch {
+    return 0;
+  }
+  const duration = typeof computed.duration === 'number' ? computed.duration : 0;
+  const speed = Math.abs(anim.playbackRate) || 1;
+  const timing = {
+    duration: duration / speed,
+    iterations: computed.iterations,
+    direction: effect.getTiming().direction
+  };
+
+  const target = effect.target;
+  const underlying = target instanceof Element ? getComputedStyle(target) : null;
+  let worst = 0;
+
+  const props = new Set();
+  keyframes.forEach(kf => Object.keys(kf).forEach(k => props.add(k)));
+  for (const prop of props) {
+    const toValue = brightnessProxy(prop);
+    if (!toValue) continue;
+
+    const stops = [];
+    for (const kf of keyframes) {
+      if (!(prop in kf)) continue;
+      const value = toValue(kf[prop]);
+      if (value !== null) stops.push({ offset: kf.computedOffset ?? kf.offset ?? 0, value });
+    }
+    // Keyframes that leave out from/to animate from and back to the element's own value
+    if (underlying && stops.length) {
+      const base = toValue(underlying.getPropertyValue(toKebabCase(prop)));
+      if (base !== null) {
+        if (stops[0].offset > 0) stops.unshift({ offset: 0, value: base });
+        if (stops[stops.length - 1].offset < 1) stops.push({ offset: 1, value: base });
+      }
+    }
+    worst = Math.max(worst, keyframeFlashRate(stops, timing));
+  }
+  return worst;
+}
+
+/** Converter from a keyframe value to a 0..1 brightness proxy, or null if the property cannot flash. */
+function brightnessProxy(prop) {
+  if (SMART_COLOR_PROPERTIES.includes(prop)) return colorBrightness;
+  if (prop === 'opacity') return v => clampUnit(parseFloat(v));
+  if (prop === 'visibility') return v => (v === 'hidden' || v === 'collapse' ? 0 : 1);
+  if (prop === 'filter') return filterBrightness;
+  return null;
+}
+
+function clampUnit(n) {
+  return Number.isFinite(n) ? Math.max(0, Math.min(1, n)) : null;
+}
+
+function toKebabCase(prop) {
+  return prop.replace(/[A-Z]/g, c => '-' + c.toLowerCase());
+}
+
+/** Relative luminance of the first colour in a CSS value (colours, shadows). */
+function colorBrightness(value) {
+  const rgb = parseCSSColor(value);
+  return rgb ? relativeLuminance(rgb[0], rgb[1], rgb[2]) : null;
+}
+
+/**
+ * Resolve any CSS colour syntax to [r, g, b, a] (alpha 0..1) by letting a 2D
+ * context parse it. Shadows and other lists are searched for their first
+ * colour token. Colours outside sRGB return null.
+ */
+function parseCSSColor(value) {
+  if (!value || typeof value !== 'string') return null;
+  if (!colorParseCtx) colorParseCtx = document.createElement('canvas').getContext('2d');
+  const tokens = value.match(/(rgba?|hsla?|hwb|lab|lch|oklab|oklch|color)\([^)]*\)|#[0-9a-f]{3,8}\b|\b[a-z]+\b/gi) || [];
+  for (const token of tokens) {
+    // Invalid colours leave fillStyle unchanged, so test against two sentinels
+    colorParseCtx.fillStyle = '#010203';
+    colorParseCtx.fillStyle = token;
+    const first = colorParseCtx.fillStyle;
+    colorParseCtx.fillStyle = '#030201';
+    colorParseCtx.fillStyle = token;
+    if (first !== colorParseCtx.fillStyle) continue;
+
+    const hex = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(first);
+    if (hex) return [parseInt(hex[1], 16), parseInt(hex[2], 16), parseInt(hex[3], 16), 1];
+    const rgba = /^rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*([\d.]+))?/i.exec(first);
+    if (rgba) return [+rgba[1], +rgba[2], +rgba[3], rgba[4] == null ? 1 : +rgba[4]];
+    // Newer engines keep color(srgb ...) as written
+    const srgb = /^color\(srgb\s+([\d.]+)\s+([\d.]+)\s+([\d.]+)(?:\s*\/\s*([\d.]+))?/i.exec(first);
+    if (srgb) return [srgb[1] * 255, srgb[2] * 255, srgb[3] * 255, srgb[4] == null ? 1 : +srgb[4]];
+  }
+  return null;
+}
+
+/**
+ * brightness(), invert() and opacity() applied to a light reference pixel,
+ * so filters that flash a typical page between light and dark register.
+ */
+function filterBrightness(value) {
+  if (!value || value === 'none') return FILTER_REFERENCE_BRIGHTNESS;
+  const amount = (fn, fallback) => {
+    const m = new RegExp(fn + '\\(\\s*([\\d.]+)(%?)\\s*\\)').exec(value);
+    if (!m) return fallback;
+    return m[2] ? parseFloat(m[1]) / 100 : parseFloat(m[1]);
+  };
+  const lit = Math.min(1, FILTER_REFERENCE_BRIGHTNESS * amount('brightness', 1));
+  const invert = Math.min(1, amount('invert', 0));
+  const inverted = lit * (1 - invert) + (1 - lit) * invert;
+  return clampUnit(inverted * amount('opacity', 1));
+}
+
+// ΓöÇΓöÇ 6. Video / GIF processing ΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇ
+
+function processVideos(videos) {
+  if (!settings.seizureSafeMode) return;
+  videos.forEach(video => {
+    if (isMediaAllowed('seizure', video)) return;
+    video.autoplay = false;
+    video.loop = false;
+    video.removeAttribute('autoplay');
+    video.removeAttribute('loop');
+    if (!video.paused) {
+      video.pause();
+      video.dataset.ssPausedByUs = 'true';
+    }
+    flashSourceObserver?.observe(video);
+  });
+  if (videos.length) notifyVideoProtectionChanged();
+}
+
+/**
+ * @param {HTMLImageElement[]} imgs
+ * @param {{ holdAll?: boolean }} [opts] - holdAll hides 'possible' images
+ *   while they are analysed too, not only 'likely' ones
+ */
+function processGIFs(imgs, { holdAll = false } = {}) {
+  if (!settings.seizureSafeMode) return;
+  imgs.forEach(img => {
+    const src = img.currentSrc || img.src;
+    if (!src) return;
+    // Skip elements we already replaced (the host div carries data-ss-gif-src)
+    if (img.dataset.ssGifSrc) return;
+    // Skip GIFs the user explicitly revealed ΓÇö the MutationObserver fires when
+    // host.replaceWith(restored) inserts the img; without this guard it would
+    // immediately be wrapped in a new placeholder, making the overlay reappear.
+    if (img.dataset.ssGifAllowed || isMediaAllowed('seizure', img)) return;
+    // Already analysed (or being analysed) at this URL
+    if (img.dataset.ssGifChecked === src) return;
+
+    const candidate = getImageScanCandidate(src);
+    if (!candidate) return;
+    img.dataset.ssGifChecked = src;
+
+    // Hide likely-animated images while they are analysed so the first
+    // flashes never reach the viewer; visibility keeps the layout intact.
+    if (candidate === 'likely' || holdAll) {
+      img.dataset.ssGifPending = 'true';
+      img.style.setProperty('visibility', 'hidden', 'important');
+    }
+    checkAnimatedImage(img, src, candidate);
+  });
+}
+
+// ── Animated image analysis ──────────────────────────────────────────────────
+// GIFs are decoded locally by lib/gif-decoder.js; APNG, animated WebP and
+// AVIF go through the browser's ImageDecoder where it exists. Every frame is
+// scored with the same flash analysis as video, and only images that actually
+// exceed the thresholds are swapped for a placeholder.
+
+const IMAGE_SCAN_MAX_BYTES = 15 * 1024 * 1024;
+const IMAGE_SCAN_MAX_FRAMES = 400;
+const IMAGE_SCAN_MAX_PIXELS = 60 * 1000 * 1000; // frames x width x height decoded per image
+const IMAGE_FETCH_CONCURRENCY = 4;  // images fetched (and held) at once
+const IMAGE_SCAN_CACHE_MAX = 200;   // results kept, least recently used dropped first
+const imageScanCache = new Map();
+let imageScanQueue = Promise.resolve();
+let imageFetchSlots = IMAGE_FETCH_CONCURRENCY;
+const imageFetchWaiting = [];
+
+/**
+ * 'likely'   - URL says GIF/APNG: hidden until analysed, blocked if unreadable.
+ * 'possible' - formats that may animate (PNG, WebP, AVIF, no extension):
+ *              analysed while visible and left alone if unreadable.
+ * null       - formats that cannot animate.
+ */
+function getImageScanCandidate(src) {
+  if (/^data:image\/gif[;,]/i.test(src)) return 'likely';
+  if (/^data:image\/(png|webp|avif)[;,]/i.test(src)) return 'possible';
+  if (/^data:/i.test(src)) return null;
+
+  let path = src;
+  try { path = new URL(src, location.href).pathname; } catch { /* keep raw src */ }
+  if (/\.(gif|apng)$/i.test(path)) return 'likely';
+  if (/\.(jpe?g|svg|bmp|ico|tiff?)$/i.test(path)) return null;
+  return 'possible';
+}
+
+function scanCacheKey(src, displayArea) {
+  const profile = settings.detectionProfile || 'heuristic';
+  // Area only matters to the WCAG profile; bucket it so near-identical
+  // renders of the same image share one analysis.
+  const area = profile === 'wcag' ? Math.round(displayArea / 5000) : 0;
+  // Hashed, so a data: URL is not kept whole in the key
+  return [hashString(src), profile, settings.flickerGridSize, settings.sensitivity, area].join('|');
+}
+
+async function checkAnimatedImage(img, src, candidate) {
+  const rect = img.getBoundingClientRect();
+  const displayArea = (rect.width * rect.height) ||
+    ((img.width || img.naturalWidth) * (img.height || img.naturalHeight));
+  let outcome;
+  try {
+    outcome = await queueImageScan(src, displayArea);
+  } catch {
+    outcome = { error: true };
+  }
+
+  // The page may have swapped the src or removed the image, or the user may
+  // have turned the mode off while we were decoding.
+  const stillCurrent = img.isConnected && (img.currentSrc || img.src) === src && settings.seizureSafeMode;
+  if (!stillCurrent) {
+    revealPendingImage(img);
+    return;
+  }
+
+  if (outcome.detection) {
+    replaceWithPlaceholder(img, `${Math.round(outcome.detection.flashesPerSecond)} flashes/sec detected`, outcome.detection);
+  } else if (outcome.error && candidate === 'likely') {
+    replaceWithPlaceholder(img, 'Could not be checked for flashing', null);
+  } else {
+    revealPendingImage(img);
+  }
+}
+
+function revealPendingImage(img) {
+  if (!img.dataset.ssGifPending) return;
+  delete img.dataset.ssGifPending;
+  img.style.removeProperty('visibility');
+}
+
+function replaceWithPlaceholder(img, reason, detection) {
+  revealPendingImage(img);
+  const placeholder = createGIFPlaceholder(img, reason);
+  placeholder.dataset.ssIncident = recordFlashIncident(img, detection, {
+    mediaType: 'image', action: 'replaced', trigger: 'scan'
+  });
+  try {
+    img.replaceWith(placeholder);
+  } catch {
+    img.parentNode?.replaceChild(placeholder, img);
+  }
+}
+
+/**
+ * Fetch, decode and score one image. Fetches run a few at a time while the
+ * decoding waits its turn in the scan queue.
+ * @returns {Promise<{ detection?: object, animated?: boolean, error?: boolean }>}
+ */
+function queueImageScan(src, displayArea) {
+  return queueFlashScan(scanCacheKey(src, displayArea),
+    bytes => scanAnimatedImage(bytes, displayArea),
+    () => fetchImageBytes(src));
+}
+
+/**
+ * The image's bytes, or null when they cannot be read. The page has usually
+ * just loaded the image, so the HTTP cache's copy is taken when it has one.
+ */
+async function fetchImageBytes(src) {
+  let res;
+  try {
+    // Firefox lets content scripts past CORS, so cookies go to the page's own host only
+    res = await fetch(src, { credentials: 'same-origin', cache: 'force-cache' });
+  } catch {
+    // Cross-origin images without CORS headers cannot be read from here
+    return fetchImageBytesViaBackground(src);
+  }
+  if (!res.ok) return null;
+  const buffer = await res.arrayBuffer();
+  return buffer.byteLength > IMAGE_SCAN_MAX_BYTES ? null : new Uint8Array(buffer);
+}
+
+/**
+ * Ask the background, whose host permissions get past CORS, for an image's
+ * bytes. It only fetches images this frame has loaded itself.
+ */
+async function fetchImageBytesViaBackground(src) {
+  try {
+    const url = new URL(src, window.location.href).href;
+    if (!/^https?:/i.test(url)) return null;
+    const response = await browser.runtime.sendMessage({ action: 'fetch-image', url });
+    if (!response?.data) return null;
+    const binary = atob(response.data);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Decode and score one image's bytes.
+ * @param {Uint8Array|null} bytes - null when they could not be fetched
+ * @returns {Promise<{ detection?: object, animated?: boolean, error?: boolean }>}
+ */
+async function scanAnimatedImage(bytes, displayArea) {
+  if (!bytes) return { error: true };
+
+  const type = sniffAnimatedImageType(bytes);
+  if (!type) return { animated: false };
+
+  let frames;
+  try {
+    frames = type === 'image/gif'
+      ? decodeGIFSamples(bytes)
+      : await decodeImageDecoderSamples(bytes, type);
+  } catch {
+    return { error: true };
+  }
+  if (!frames) return { error: true };
+  if (frames.length < 2) return { animated: false };
+
+  const detection = analyseFrameSequence(frames, {
+    gridSize: Math.max(1, Math.min(8, settings.flickerGridSize || 8)),
+    profile: FLASH_PROFILES.includes(settings.detectionProfile) ? settings.detectionProfile : 'heuristic',
+    thresholds: getThresholds(),
+    displayArea
+  });
+  return { animated: true, detection };
+}
+
+/**
+ * Identify animated formats from their magic bytes. Returns the MIME type of
+ * an animated GIF/APNG/WebP/AVIF, or null for anything static.
+ */
+function sniffAnimatedImageType(bytes) {
+  const ascii = (start, len) => String.fromCharCode(...bytes.subarray(start, start + len));
+
+  if (isGIF(bytes)) return 'image/gif';
+
+  // PNG: animated when an acTL chunk appears before the first IDAT
+  if (bytes[0] === 0x89 && ascii(1, 3) === 'PNG') {
+    let pos = 8;
+    while (pos + 8 <= bytes.length) {
+      const len = ((bytes[pos] << 24) | (bytes[pos + 1] << 16) | (bytes[pos + 2] << 8) | bytes[pos + 3]) >>> 0;
+      const chunk = ascii(pos + 4, 4);
+      if (chunk === 'acTL') return 'image/png';
+      if (chunk === 'IDAT') return null;
+      pos += 12 + len;
+    }
+    return null;
+  }
+
+  // WebP: VP8X header with the animation flag set
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 4) === 'WEBP') {
+    return ascii(12, 4) === 'VP8X' && (bytes[20] & 0x02) ? 'image/webp' : null;
+  }
+
+  // AVIF image sequences use the 'avis' brand
+  if (ascii(4, 4) === 'ftyp' && ascii(8, 4) === 'avis') return 'image/avif';
+
+  return null;
 }
 
-// ΓöÇΓöÇ 6. Video / GIF processing ΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇ
+/** Decode a GIF into analysis-sized frames with the local decoder. */
+function decodeGIFSamples(bytes) {
+  const gif = parseGIF(bytes);
+  if (!gif.width || !gif.height) return null;
+  const maxFrames = Math.min(IMAGE_SCAN_MAX_FRAMES,
+    Math.max(2, Math.floor(IMAGE_SCAN_MAX_PIXELS / (gif.width * gif.height))));
+
+  const frames = [];
+  renderGIFFrames(gif, (rgba, delay) => {
+    frames.push({ data: resampleRGBA(rgba, gif.width, gif.height), delay });
+  }, maxFrames);
+  return frames;
+}
 
-function processVideos(videos) {
+/**
+ * Decode APNG / animated WebP / AVIF frames with ImageDecoder (Chromium).
+ * Returns null when this browser cannot decode the format.
+ */
+async function decodeImageDecoderSamples(bytes, type) {
+  if (typeof ImageDecoder === 'undefined') return null;
+  if (!(await ImageDecoder.isTypeSupported(type))) return null;
+
+  const decoder = new ImageDecoder({ data: bytes, type });
+  try {
+    await decoder.tracks.ready;
+    const track = decoder.tracks.selectedTrack;
+    if (!track || !track.animated) return [];
+
+    const canvas = document.createElement('canvas');
+    canvas.width = FLASH_SAMPLE_WIDTH;
+    canvas.height = FLASH_SAMPLE_HEIGHT;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+    const frames = [];
+    const count = Math.min(track.frameCount, IMAGE_SCAN_MAX_FRAMES);
+    for (let i = 0; i < count; i++) {
+      const { image } = await decoder.decode({ frameIndex: i });
+      ctx.clearRect(0, 0, FLASH_SAMPLE_WIDTH, FLASH_SAMPLE_HEIGHT);
+      ctx.drawImage(image, 0, 0, FLASH_SAMPLE_WIDTH, FLASH_SAMPLE_HEIGHT);
+      // VideoFrame.duration is in microseconds
+      const delay = image.duration ? Math.max(20, image.duration / 1000) : 100;
+      image.close();
+      frames.push({
+        data: ctx.getImageData(0, 0, FLASH_SAMPLE_WIDTH, FLASH_SAMPLE_HEIGHT).data,
+        delay
+      });
+    }
+    return frames;
+  } finally {
+    decoder.close();
+  }
+}
+
+/** Run scans one at a time so a page full of animations does not stall the
+ *  tab. Callers passing the same key share one result; a null key skips the
+ *  cache for scans tied to a single element. A load step, when given, starts
+ *  without waiting for the queue (up to IMAGE_FETCH_CONCURRENCY at once, each
+ *  holding its slot until its scan is done) and its result is passed to run. */
+function queueFlashScan(key, run, load) {
+  let scan = key ? imageScanCache.get(key) : null;
+  if (scan) {
+    // Most recently used last, so eviction takes the stalest result
+    imageScanCache.delete(key);
+    imageScanCache.set(key, scan);
+    return scan;
+  }
+  const input = load ? takeImageFetchSlot().then(load) : undefined;
+  scan = Promise.all([imageScanQueue, input]).then(([, value]) => run(value));
+  if (load) scan.then(releaseImageFetchSlot, releaseImageFetchSlot);
+  imageScanQueue = scan.catch(() => {});
+  if (key) {
+    imageScanCache.set(key, scan);
+    if (imageScanCache.size > IMAGE_SCAN_CACHE_MAX) imageScanCache.delete(imageScanCache.keys().next().value);
+  }
+  return scan;
+}
+
+function takeImageFetchSlot() {
+  if (imageFetchSlots > 0) {
+    imageFetchSlots--;
+    return Promise.resolve();
+  }
+  return new Promise(resolve => imageFetchWaiting.push(resolve));
+}
+
+function releaseImageFetchSlot() {
+  const next = imageFetchWaiting.shift();
+  if (next) next();
+  else imageFetchSlots++;
+}
+
+// ── Canvas, CSS background and SVG animations ────────────────────────────────
+// Canvases (2D and WebGL) are sampled live while visible, exactly like video.
+// Animated CSS background images are decoded with the image scanner above.
+// SVG SMIL animations are paused on sight; an invisible copy is stepped through
+// the timeline and rasterised frame by frame, so the flashing frames are never
+// shown while they are scored. All three end in the same warning card.
+
+const FLASH_CANVAS_MIN_SIZE = 48; // CSS px; smaller canvases are icons and sparklines
+const SMIL_ANIMATION_SELECTOR = 'animate, set';
+const SMIL_ALL_ANIMATIONS_SELECTOR = 'animate, set, animateTransform, animateMotion';
+const SMIL_SCAN_DURATION_MS = 3000;
+const SS_SMIL_SCAN_HOST_ID = 'screenshield-smil-scan';
+/** Presentation attributes whose animation changes brightness or colour. */
+const SMIL_FLASH_ATTRIBUTES = [
+  'fill', 'fill-opacity', 'stroke', 'stroke-opacity', 'opacity', 'color',
+  'stop-color', 'stop-opacity', 'flood-color', 'flood-opacity', 'visibility', 'display'
+];
+
+const CSS_URL_PATTERN = /url\(\s*(['"]?)(.*?)\1\s*\)/g;
+
+let checkedBackgrounds = new WeakMap(); // element -> { key, urls }
+let checkedSVGs = new WeakSet();
+
+function processCanvases(canvases) {
   if (!settings.seizureSafeMode) return;
-  videos.forEach(video => {
-    video.autoplay = false;
-    video.loop = false;
-    video.removeAttribute('autoplay');
-    video.removeAttribute('loop');
-    if (!video.paused) {
-      video.pause();
-      video.dataset.ssPausedByUs = 'true';
+  canvases.forEach(canvas => {
+    // Our own smoothing overlay mirrors a video that is already monitored
+    if (canvas.dataset.ssSoftenCanvas) return;
+    flashSourceObserver?.observe(canvas);
+  });
+}
+
+function processBackgrounds(elements) {
+  if (!settings.seizureSafeMode) return;
+  for (const el of elements) {
+    if (!el.isConnected || el instanceof SVGElement) continue;
+    if (el.tagName === 'IMG' || el.tagName === 'VIDEO' || el.tagName === 'CANVAS') continue;
+    // Our own suppression changes the computed value; the first check stands
+    if (el.dataset.ssBgSuppressed || el.dataset.ssBgAllowed) continue;
+
+    // One computed-style read serves both the flash and the pattern check
+    const layers = getCSSURLs(getComputedStyle(el).backgroundImage);
+    const urls = getAnimatedImageURLs(layers);
+    const key = urls.map(u => u.src).join(' ');
+    if (!key) {
+      checkedBackgrounds.delete(el);
+    } else if (checkedBackgrounds.get(el)?.key !== key) {
+      checkedBackgrounds.set(el, { key, urls });
+      if (!isMediaAllowed('seizure', el)) {
+        // Same rule as <img>: GIF/APNG backgrounds stay off until analysed
+        if (urls.some(u => u.candidate === 'likely')) suppressBackground(el);
+        flashSourceObserver?.observe(el);
+      }
+    }
+    queuePatternCheck(el, layers.join(' '));
+  }
+}
+
+/** Animated-capable url() layers of an element's computed background-image. */
+function getBackgroundImageURLs(el) {
+  return getAnimatedImageURLs(getCSSURLs(getComputedStyle(el).backgroundImage));
+}
+
+function getAnimatedImageURLs(srcs) {
+  const urls = [];
+  for (const src of srcs) {
+    const candidate = getImageScanCandidate(src);
+    if (candidate) urls.push({ src, candidate });
+  }
+  return urls;
+}
+
+function suppressBackground(el) {
+  if (el.dataset.ssBgSuppressed) return;
+  el.dataset.ssBgSuppressed = 'true';
+  el.dataset.ssBgInline = el.style.getPropertyValue('background-image');
+  el.dataset.ssBgPriority = el.style.getPropertyPriority('background-image');
+  el.style.setProperty('background-image', 'none', 'important');
+}
+
+function restoreBackground(el) {
+  if (!el.dataset.ssBgSuppressed) return;
+  const { ssBgInline, ssBgPriority } = el.dataset;
+  if (ssBgInline) el.style.setProperty('background-image', ssBgInline, ssBgPriority);
+  else el.style.removeProperty('background-image');
+  delete el.dataset.ssBgSuppressed;
+  delete el.dataset.ssBgInline;
+  delete el.dataset.ssBgPriority;
+}
+
+async function checkAnimatedBackground(el) {
+  const entry = checkedBackgrounds.get(el);
+  if (!entry) return;
+  const rect = el.getBoundingClientRect();
+  const displayArea = rect.width * rect.height;
+
+  let detection = null;
+  for (const { src } of entry.urls) {
+    let outcome;
+    try {
+      outcome = await queueImageScan(src, displayArea);
+    } catch {
+      outcome = { error: true };
+    }
+    if (outcome.detection) {
+      detection = outcome.detection;
+      break;
+    }
+  }
+
+  // Unreadable backgrounds are let through: unlike <img> they are usually
+  // decoration, and a warning card over a whole section would be worse.
+  const stillCurrent = el.isConnected && settings.seizureSafeMode && checkedBackgrounds.get(el) === entry;
+  if (!detection || !stillCurrent) {
+    restoreBackground(el);
+    return;
+  }
+  FLASH_SOURCES.background.neutralise(el);
+  showFlickerWarning(el, detection, FLASH_SOURCES.background);
+}
+
+function outermostSVG(node) {
+  let svg = node.tagName === 'svg' ? node : node.ownerSVGElement;
+  while (svg?.ownerSVGElement) svg = svg.ownerSVGElement;
+  return svg || null;
+}
+
+/** Elements of an SVG whose colour, opacity or visibility is animated. */
+function getSMILFlashTargets(svg) {
+  const targets = new Set();
+  svg.querySelectorAll(SMIL_ANIMATION_SELECTOR).forEach(anim => {
+    if (SMIL_FLASH_ATTRIBUTES.includes(anim.getAttribute('attributeName')) && anim.targetElement) {
+      targets.add(anim.targetElement);
     }
-    videoIntersectionObserver?.observe(video);
   });
+  return targets;
 }
 
-function processGIFs(imgs) {
+function processSVGAnimations(svgs) {
   if (!settings.seizureSafeMode) return;
-  imgs.forEach(img => {
-    if (!img.src) return;
-    if (!/\.gif(\?|#|$)/i.test(img.src)) return;
-    // Skip elements we already replaced (the host div carries data-ss-gif-src)
-    if (img.dataset.ssGifSrc) return;
-    // Skip GIFs the user explicitly revealed ΓÇö the MutationObserver fires when
-    // host.replaceWith(restored) inserts the img; without this guard it would
-    // immediately be wrapped in a new placeholder, making the overlay reappear.
-    if (img.dataset.ssGifAllowed) return;
-    const placeholder = createGIFPlaceholder(img);
+  for (const svg of svgs) {
+    if (!svg || checkedSVGs.has(svg) || svg.dataset.ssSmilAllowed) continue;
+    if (typeof svg.pauseAnimations !== 'function') continue;
+    if (!getSMILFlashTargets(svg).size) continue;
+    checkedSVGs.add(svg);
+
+    // SMIL ignores the seizure CSS, so hold the timeline until it is analysed
+    if (!svg.animationsPaused()) {
+      svg.pauseAnimations();
+      svg.dataset.ssSmilPaused = 'true';
+    }
+    flashSourceObserver?.observe(svg);
+  }
+}
+
+function resumeSVGAnimations(svg) {
+  if (!svg.dataset.ssSmilPaused) return;
+  delete svg.dataset.ssSmilPaused;
+  svg.unpauseAnimations();
+}
+
+async function checkSMILAnimation(svg) {
+  let detection = null;
+  try {
+    detection = await queueFlashScan(null, () => scanSMILAnimation(svg));
+  } catch { /* treat as safe: nothing could be rasterised */ }
+
+  if (!detection || !svg.isConnected || !settings.seizureSafeMode) {
+    resumeSVGAnimations(svg);
+    return;
+  }
+  FLASH_SOURCES.svg.neutralise(svg);
+  showFlickerWarning(svg, detection, FLASH_SOURCES.svg);
+}
+
+/**
+ * Step a copy of a paused SVG through the next few seconds of its timeline
+ * and score the rendered frames. The copy sits in an invisible host and the
+ * page's SVG stays paused where it is. Only colour/opacity/visibility
+ * animations are rendered; the computed values of their targets are inlined
+ * into a clone so the snapshot shows the animated state rather than the base
+ * attributes.
+ */
+async function scanSMILAnimation(svg) {
+  const rect = svg.getBoundingClientRect();
+  if (!rect.width || !rect.height) return null;
+
+  const copy = svg.cloneNode(true);
+  isolateSVGCopy(copy, `ss-smil-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}-`);
+  copy.setAttribute('width', rect.width);
+  copy.setAttribute('height', rect.height);
+  checkedSVGs.add(copy);
+  const host = document.createElement('div');
+  host.id = SS_SMIL_SCAN_HOST_ID;
+  host.setAttribute('aria-hidden', 'true');
+  // Not visibility: hidden, which the copy would inherit and the frames would record
+  host.style.cssText = 'all: initial; position: fixed; left: 0; top: 0; opacity: 0; ' +
+    'pointer-events: none; z-index: -1; contain: strict; overflow: hidden; ' +
+    `width: ${rect.width}px; height: ${rect.height}px;`;
+  host.appendChild(copy);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = FLASH_SAMPLE_WIDTH;
+  canvas.height = FLASH_SAMPLE_HEIGHT;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  const { sampleIntervalMs } = getThresholds();
+
+  const start = svg.getCurrentTime();
+  const frames = [];
+  try {
+    document.documentElement.appendChild(host);
+    copy.pauseAnimations();
+    const all = [...copy.querySelectorAll('*')];
+    const targets = [...getSMILFlashTargets(copy)].map(el => ({ el, index: all.indexOf(el) }));
+    for (let t = 0; t < SMIL_SCAN_DURATION_MS; t += sampleIntervalMs) {
+      copy.setCurrentTime(start + t / 1000);
+      const data = await rasteriseSVGFrame(copy, targets, rect, ctx);
+      frames.push({ data, delay: sampleIntervalMs });
+    }
+  } finally {
+    host.remove();
+  }
+
+  return analyseFrameSequence(frames, {
+    gridSize: Math.max(1, Math.min(8, settings.flickerGridSize || 8)),
+    profile: FLASH_PROFILES.includes(settings.detectionProfile) ? settings.detectionProfile : 'heuristic',
+    thresholds: getThresholds(),
+    displayArea: rect.width * rect.height,
+    maxDurationMs: SMIL_SCAN_DURATION_MS // one pass; the capture is not a loop
+  });
+}
+
+/**
+ * Prefix every id in a copied SVG, and the references to them, so the copy's
+ * animations drive the copy and not the original. Animations aimed at
+ * elements outside the SVG are dropped for the same reason.
+ */
+function isolateSVGCopy(copy, prefix) {
+  const elements = [copy, ...copy.querySelectorAll('*')];
+  const ids = new Set();
+  for (const el of elements) {
+    if (!el.id) continue;
+    ids.add(el.id);
+    el.id = prefix + el.id;
+  }
+  const local = id => ids.has(id) ? prefix + id : id;
+  const localUrls = value => value.replace(/url\(\s*(['"]?)#([^'")]+)\1\s*\)/g, (m, quote, id) => `url(${quote}#${local(id)}${quote})`);
+
+  for (const el of elements) {
+    if (el.matches(SMIL_ALL_ANIMATIONS_SELECTOR)) {
+      const href = el.getAttribute('href') || el.getAttribute('xlink:href');
+      if (href?.startsWith('#') && !ids.has(href.slice(1))) {
+        el.remove();
+        continue;
+      }
+    }
+    if (el.localName === 'style') {
+      el.textContent = localUrls(el.textContent).replace(/#([\w-]+)/g, (m, id) => ids.has(id) ? `#${prefix}${id}` : m);
+    }
+    for (const attr of [...el.attributes]) {
+      let value = localUrls(attr.value);
+      if (attr.localName === 'href' && value.startsWith('#')) {
+        value = `#${local(value.slice(1))}`;
+      } else if (attr.localName === 'begin' || attr.localName === 'end') {
+        // Syncbase and event timing: "intro.end+1s; button.click"
+        value = value.split(';').map(part => part.replace(/^(\s*)([^\s.;+-]+)\./, (m, space, id) => space + local(id) + '.')).join(';');
+      }
+      if (value !== attr.value) attr.value = value;
+    }
+  }
+}
+
+async function rasteriseSVGFrame(svg, targets, rect, ctx) {
+  const clone = svg.cloneNode(true);
+  const cloned = clone.querySelectorAll('*');
+  for (const { el, index } of targets) {
+    const copy = index === -1 ? clone : cloned[index];
+    const style = getComputedStyle(el);
+    for (const prop of SMIL_FLASH_ATTRIBUTES) {
+      copy.style.setProperty(prop, style.getPropertyValue(prop));
+    }
+  }
+  clone.querySelectorAll(SMIL_ALL_ANIMATIONS_SELECTOR).forEach(anim => anim.remove());
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  clone.setAttribute('width', rect.width);
+  clone.setAttribute('height', rect.height);
+
+  const image = new Image();
+  image.src = 'data:image/svg+xml;charset=utf-8,' +
+    encodeURIComponent(new XMLSerializer().serializeToString(clone));
+  await image.decode();
+  ctx.clearRect(0, 0, FLASH_SAMPLE_WIDTH, FLASH_SAMPLE_HEIGHT);
+  ctx.drawImage(image, 0, 0, FLASH_SAMPLE_WIDTH, FLASH_SAMPLE_HEIGHT);
+  return ctx.getImageData(0, 0, FLASH_SAMPLE_WIDTH, FLASH_SAMPLE_HEIGHT).data;
+}
+
+// ── Spatial patterns ─────────────────────────────────────────────────────────
+// High-contrast stripes, grids and checkerboards can trigger seizures without
+// any flashing. Visible images, videos and CSS background images are drawn
+// small and checked with lib/pattern-analysis.js. Matching media is blurred
+// and matching backgrounds are veiled, under a card with the same reveal
+// button as the GIF placeholder. Playing videos are re-checked on a timer,
+// since patterns come and go with the scene.
+
+const PATTERN_CHECK_INTERVAL_MS = 2000;
+const PATTERN_CLEAR_CHECKS = 3;         // pattern-free video checks before its shield lifts
+const PATTERN_MEDIA_CONTRAST = 0.5;     // contrast() on top of the blur for media
+const PATTERN_VEIL = 'rgba(128, 128, 128, 0.65)';
+
+let patternObserver = null;
+let patternTimer = null;
+let checkedPatterns = new WeakMap();    // element -> source key last queued
+const patternVideos = new Set();        // visible videos, re-checked on the timer
+const patternShields = new Set();       // elements currently shielded
+let patternCtx = null;
+
+/** Queue images and videos for the pattern check; processBackgrounds() queues backgrounds. */
+function processPatterns(elements) {
+  for (const el of elements) {
+    queuePatternCheck(el, el.tagName === 'VIDEO' ? 'video' : el.currentSrc || el.src);
+  }
+}
+
+/**
+ * Check an element once it is visible. key is what it shows (src, or its
+ * background layers), so a changed src or background is checked again.
+ */
+function queuePatternCheck(el, key) {
+  if (!settings.seizureSafeMode || !key || !el.isConnected) return;
+  if (el.dataset.ssPattern || el.dataset.ssPatternAllowed || el.dataset.ssBgSuppressed) return;
+  if (checkedPatterns.get(el) === key || isMediaAllowed('seizure', el)) return;
+  if (!patternObserver) {
+    patternObserver = new IntersectionObserver(onPatternIntersection, { threshold: 0.1 });
+  }
+  checkedPatterns.set(el, key);
+  patternObserver.observe(el);
+}
+
+function getCSSURLs(value) {
+  if (!value || !value.includes('url(')) return [];
+  return [...value.matchAll(CSS_URL_PATTERN)].map(match => match[2]);
+}
+
+function onPatternIntersection(entries) {
+  for (const entry of entries) {
+    const el = entry.target;
+    if (el.tagName === 'VIDEO') {
+      if (entry.isIntersecting) patternVideos.add(el);
+      else patternVideos.delete(el);
+      startPatternTimer();
+      continue;
+    }
+    const { width, height } = entry.boundingClientRect;
+    // Too small for now; stays observed in case it grows (lazy layouts)
+    if (!entry.isIntersecting || width * height < PATTERN_MIN_AREA_PX) continue;
+    patternObserver.unobserve(el);
+    queueFlashScan(null, () => scanElementPattern(el))
+      .then(pattern => {
+        if (pattern && el.isConnected && settings.seizureSafeMode) applyPatternShield(el, pattern);
+      })
+      .catch(() => { /* unreadable: left as it is */ });
+  }
+}
+
+function startPatternTimer() {
+  if (!patternTimer) patternTimer = setInterval(checkPatternVideos, PATTERN_CHECK_INTERVAL_MS);
+}
+
+function checkPatternVideos() {
+  for (const el of patternShields) {
+    if (!el.isConnected) liftPatternShield(el);
+  }
+  for (const video of patternVideos) {
+    if (!video.isConnected) {
+      patternVideos.delete(video);
+      continue;
+    }
+    // Softening owns the filter of a softened video
+    if (video.dataset.ssPatternAllowed || video.dataset.ssSoftened) continue;
+    if (video.paused || video.readyState < 2) continue;
+
+    let pattern;
+    try {
+      pattern = detectElementPattern(video, video.getBoundingClientRect());
+    } catch {
+      // Cross-origin video without CORS: its pixels cannot be read
+      patternVideos.delete(video);
+      continue;
+    }
+    const checks = video._ssPatternChecks || (video._ssPatternChecks = { clear: 0 });
+    if (pattern) {
+      checks.clear = 0;
+      applyPatternShield(video, pattern);
+    } else if (video.dataset.ssPattern && ++checks.clear >= PATTERN_CLEAR_CHECKS) {
+      liftPatternShield(video);
+    }
+  }
+  if (!patternVideos.size && !patternShields.size) {
+    clearInterval(patternTimer);
+    patternTimer = null;
+  }
+}
+
+/** Draw an image or video frame (or a prepared draw callback) small and analyse it. */
+function detectElementPattern(source, rect, draw) {
+  const size = patternSampleSize(rect.width, rect.height);
+  if (!patternCtx) {
+    patternCtx = document.createElement('canvas').getContext('2d', { willReadFrequently: true });
+  }
+  const ctx = patternCtx;
+  ctx.canvas.width = size.width;
+  ctx.canvas.height = size.height;
+  if (draw) draw(ctx, size);
+  else ctx.drawImage(source, 0, 0, size.width, size.height);
+  const { data } = ctx.getImageData(0, 0, size.width, size.height);
+  return detectSpatialPattern(data, size.width, size.height, {
+    scale: size.scale,
+    displayArea: rect.width * rect.height
+  });
+}
+
+async function scanElementPattern(el) {
+  if (!el.isConnected) return null;
+  const rect = el.getBoundingClientRect();
+  if (rect.width * rect.height < PATTERN_MIN_AREA_PX) return null;
+
+  if (el.tagName === 'IMG') {
     try {
-      img.replaceWith(placeholder);
+      return detectElementPattern(el, rect);
     } catch {
-      img.parentNode?.replaceChild(placeholder, img);
+      // Tainted by a cross-origin src: decode our own copy instead
+      const bitmap = await fetchImageBitmap(el.currentSrc || el.src);
+      if (!bitmap) return null;
+      try {
+        return detectElementPattern(bitmap, rect);
+      } finally {
+        bitmap.close();
+      }
+    }
+  }
+
+  const style = getComputedStyle(el);
+  for (const src of getCSSURLs(style.backgroundImage)) {
+    const bitmap = await fetchImageBitmap(src);
+    if (!bitmap) continue;
+    try {
+      const pattern = detectElementPattern(bitmap, rect, (ctx, size) => drawBackgroundLayer(ctx, bitmap, style, rect, size));
+      if (pattern) return pattern;
+    } finally {
+      bitmap.close();
+    }
+  }
+  return null;
+}
+
+async function fetchImageBitmap(src) {
+  try {
+    const res = await fetch(new URL(src, window.location.href).href, { credentials: 'include' });
+    if (!res.ok) return null;
+    return await createImageBitmap(await res.blob());
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Render a background image the way the page lays it out: tiled at its own
+ * size when it repeats (a tiny stripe tile is only a pattern once repeated),
+ * otherwise stretched over the element.
+ */
+function drawBackgroundLayer(ctx, bitmap, style, rect, size) {
+  const repeat = style.backgroundRepeat.split(',')[0].trim();
+  const bgSize = style.backgroundSize.split(',')[0].trim();
+  if (repeat !== 'no-repeat' && /^auto( auto)?$/.test(bgSize)) {
+    ctx.save();
+    ctx.scale(size.scale, size.scale);
+    ctx.fillStyle = ctx.createPattern(bitmap, 'repeat');
+    ctx.fillRect(0, 0, rect.width, rect.height);
+    ctx.restore();
+  } else {
+    ctx.drawImage(bitmap, 0, 0, size.width, size.height);
+  }
+}
+
+function applyPatternShield(el, pattern) {
+  if (el.dataset.ssPattern) return;
+  const media = el.tagName === 'IMG' || el.tagName === 'VIDEO';
+  const prop = media ? 'filter' : 'background-image';
+  const state = {
+    prop,
+    inline: el.style.getPropertyValue(prop),
+    priority: el.style.getPropertyPriority(prop),
+    host: null,
+    cleanup: null
+  };
+
+  // Blurring over half a period washes out the bars; backgrounds get a grey
+  // veil layered on top so the element's own content stays sharp.
+  const value = media
+    ? `blur(${Math.max(2, Math.round(pattern.period / 2))}px) contrast(${PATTERN_MEDIA_CONTRAST})`
+    : `linear-gradient(${PATTERN_VEIL}, ${PATTERN_VEIL}), ${getComputedStyle(el).backgroundImage}`;
+  el.dataset.ssPattern = 'true';
+  el.style.setProperty(prop, value, 'important');
+
+  el._ssPatternShield = state;
+  createPatternReveal(el, pattern, state);
+  patternShields.add(el);
+  startPatternTimer();
+}
+
+function liftPatternShield(el) {
+  const state = el._ssPatternShield;
+  if (!state) return;
+  state.cleanup();
+  if (state.inline) el.style.setProperty(state.prop, state.inline, state.priority);
+  else el.style.removeProperty(state.prop);
+  el._ssPatternShield = null;
+  delete el.dataset.ssPattern;
+  patternShields.delete(el);
+}
+
+/**
+ * Reveal card over a shielded element. Page-sized backgrounds get a corner
+ * card instead, so the page underneath stays usable.
+ */
+function createPatternReveal(el, pattern, state) {
+  const host = document.createElement('div');
+  host.setAttribute('data-ss-pattern-reveal', 'true');
+  const rect = el.getBoundingClientRect();
+  const pageSized = el === document.documentElement || el === document.body ||
+    rect.width * rect.height > window.innerWidth * window.innerHeight * 0.5;
+
+  const syncPosition = () => {
+    if (pageSized) {
+      host.style.cssText = 'position: fixed; top: 12px; right: 12px; z-index: 2147483646;';
+      return;
     }
+    const r = el.getBoundingClientRect();
+    host.style.cssText = `
+      position: fixed;
+      top:    ${r.top}px;
+      left:   ${r.left}px;
+      width:  ${r.width}px;
+      height: ${r.height}px;
+      z-index: 2147483646;
+    `;
+  };
+  syncPosition();
+  window.addEventListener('scroll', syncPosition, { passive: true });
+  window.addEventListener('resize', syncPosition, { passive: true });
+
+  const shadow = host.attachShadow({ mode: 'open' });
+  const noun = el.tagName === 'IMG' ? 'Image' : el.tagName === 'VIDEO' ? 'Video' : 'Background';
+  const btn = createRevealCard(shadow, {
+    icon: '\u26A0\uFE0F',
+    label: `${noun} softened`,
+    reason: describePattern(pattern),
+    buttonText: 'Show pattern',
+    width: 160,
+    height: 96,
+    overlay: !pageSized
+  });
+
+  btn.addEventListener('click', e => {
+    e.stopPropagation();
+    e.preventDefault();
+    el.dataset.ssPatternAllowed = 'true';
+    liftPatternShield(el);
   });
+
+  state.host = host;
+  state.cleanup = () => {
+    host.remove();
+    window.removeEventListener('scroll', syncPosition);
+    window.removeEventListener('resize', syncPosition);
+  };
+  document.body.appendChild(host);
+}
+
+function stopPatternDetection() {
+  patternObserver?.disconnect();
+  patternObserver = null;
+  clearInterval(patternTimer);
+  patternTimer = null;
+  patternVideos.clear();
+  [...patternShields].forEach(liftPatternShield);
+  checkedPatterns = new WeakMap();
 }
 
 /**
@@ -607,7 +3799,7 @@ function processGIFs(imgs) {
  *    sites. We add e.stopPropagation() to prevent the site's own click
  *    handlers (like React's root event delegation) from interfering.
  */
-function createGIFPlaceholder(img) {
+function createGIFPlaceholder(img, reason) {
   const host = document.createElement('div');
 
   // Store original img attributes for restoration
@@ -631,26 +3823,84 @@ function createGIFPlaceholder(img) {
 
   const shadow = host.attachShadow({ mode: 'open' });
 
+  const btn = createRevealCard(shadow, {
+    icon: '\uD83C\uDFAC',
+    label: img.alt ? `"${img.alt}"` : 'Animated image (blocked)',
+    reason,
+    buttonText: 'Show GIF',
+    width: w,
+    height: h
+  });
+
+  btn.addEventListener('click', e => {
+    // Stop the event bubbling to the page so React/Vue root event handlers
+    // cannot cancel or interfere with our DOM replacement.
+    e.stopPropagation();
+    e.preventDefault();
+    recordIncidentChoice(host.dataset.ssIncident, 'revealed');
+
+    const restored = document.createElement('img');
+    restored.src = host.dataset.ssGifSrc;
+    restored.alt = host.dataset.ssGifAlt;
+    restored.className = host.dataset.ssGifClass;  // restore ORIGINAL img class
+    if (host.dataset.ssGifWidth) restored.width = host.dataset.ssGifWidth;
+    if (host.dataset.ssGifHeight) restored.height = host.dataset.ssGifHeight;
+
+    // Flag BEFORE insertion so the MutationObserver callback (which fires
+    // synchronously in some browsers) sees it and skips re-blocking this img.
+    restored.dataset.ssGifAllowed = 'true';
+
+    // host.replaceWith() is the most reliable method across virtual-DOM sites
+    try {
+      host.replaceWith(restored);
+    } catch {
+      try { host.parentNode.replaceChild(restored, host); } catch {
+        // Last resort: insert after then self-remove
+        host.insertAdjacentElement('afterend', restored);
+        host.remove();
+      }
+    }
+  });
+
+  return host;
+}
+
+/**
+ * The blocked-media card used by GIF placeholders and pattern shields: icon,
+ * label, optional reason and a reveal button.
+ * @param {ShadowRoot} shadow
+ * @param {{ icon: string, label: string, reason?: string, buttonText: string,
+ *   width: number, height: number, overlay?: boolean }} opts - overlay makes
+ *   the card translucent and fill its host, to sit over softened media
+ * @returns {HTMLButtonElement} the reveal button
+ */
+function createRevealCard(shadow, { icon, label, reason, buttonText, width, height, overlay = false }) {
   // Build DOM without innerHTML (no parser-created elements, no CSP issues)
   const card = document.createElement('div');
-  card.className = 'card';
+  card.className = overlay ? 'card overlay' : 'card';
 
   const iconEl = document.createElement('span');
   iconEl.className = 'icon';
   iconEl.setAttribute('aria-hidden', 'true');
-  iconEl.textContent = '\uD83C\uDFAC'; // ≡ƒÄ¼
+  iconEl.textContent = icon;
 
   const labelEl = document.createElement('span');
   labelEl.className = 'label';
-  labelEl.textContent = img.alt ? `"${img.alt}"` : 'Animated image (blocked)';
+  labelEl.textContent = label;
+
+  const reasonEl = document.createElement('span');
+  reasonEl.className = 'reason';
+  reasonEl.textContent = reason || '';
+  reasonEl.hidden = !reason;
 
   const btn = document.createElement('button');
   btn.type = 'button';
-  btn.textContent = 'Show GIF';
+  btn.textContent = buttonText;
   btn.className = 'show-btn';
 
   card.appendChild(iconEl);
   card.appendChild(labelEl);
+  card.appendChild(reasonEl);
   card.appendChild(btn);
   shadow.appendChild(card);
 
@@ -660,31 +3910,47 @@ function createGIFPlaceholder(img) {
       display: inline-flex !important;
     }
     .card {
-      min-width: ${w}px;
-      min-height: ${h}px;
+      min-width: ${width}px;
+      min-height: ${height}px;
       display: flex;
       flex-direction: column;
       align-items: center;
       justify-content: center;
       gap: 8px;
-      background: #1a1a2e;
-      border: 2px dashed #4a90d9;
+      background: var(--surface, #1a1a2e);
+      border: 2px dashed var(--accent, #4a90d9);
       border-radius: 8px;
       padding: 16px 14px;
       box-sizing: border-box;
       font-family: Arial, Helvetica, sans-serif;
       text-align: center;
     }
+    .card.overlay {
+      width: 100%;
+      height: 100%;
+      min-width: 0;
+      min-height: 0;
+      background: rgba(26, 26, 46, 0.72);
+      pointer-events: auto;
+    }
     .icon  { font-size: 22px; line-height: 1; display: block; }
     .label {
-      color: #8888aa;
+      color: var(--text-muted, #8888aa);
       font-size: 11px;
       line-height: 1.35;
       max-width: 150px;
       display: block;
     }
+    .overlay .label { color: var(--text, #e8e8f0); }
+    .reason {
+      color: var(--warn, #f5a623);
+      font-size: 11px;
+      font-weight: 700;
+      display: block;
+    }
+    .reason[hidden] { display: none; }
     .show-btn {
-      background: #4a90d9;
+      background: var(--accent, #4a90d9);
       color: #ffffff;
       border: none;
       border-radius: 6px;
@@ -697,88 +3963,256 @@ function createGIFPlaceholder(img) {
       display: inline-block;
       line-height: 1.4;
     }
-    .show-btn:hover        { background: #357abd; }
+    .show-btn:hover        { background: var(--accent-hover, #357abd); }
     .show-btn:focus-visible { outline: 2px solid #ffffff; outline-offset: 2px; }
   `);
 
-  btn.addEventListener('click', e => {
-    // Stop the event bubbling to the page so React/Vue root event handlers
-    // cannot cancel or interfere with our DOM replacement.
-    e.stopPropagation();
-    e.preventDefault();
+  return btn;
+}
 
-    const restored = document.createElement('img');
-    restored.src = host.dataset.ssGifSrc;
-    restored.alt = host.dataset.ssGifAlt;
-    restored.className = host.dataset.ssGifClass;  // restore ORIGINAL img class
-    if (host.dataset.ssGifWidth) restored.width = host.dataset.ssGifWidth;
-    if (host.dataset.ssGifHeight) restored.height = host.dataset.ssGifHeight;
+// ΓöÇΓöÇ Observers ΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇ
 
-    // Flag BEFORE insertion so the MutationObserver callback (which fires
-    // synchronously in some browsers) sees it and skips re-blocking this img.
-    restored.dataset.ssGifAllowed = 'true';
+// ── Open shadow roots ────────────────────────────────────────────────────────
+// Web components can keep their media in open shadow roots, which neither
+// document.querySelectorAll() nor a MutationObserver on the body reaches.
+// Roots are found by walking the tree and observed one by one. Our own
+// placeholders, cards and panels are open roots too and are skipped. Closed
+// roots cannot be reached from a content script.
+
+const SS_UI_HOST_SELECTOR = '[data-ss-warning], [data-ss-soften-badge], [data-ss-pattern-reveal], [data-ss-gif-src], [id^="screenshield-"]';
+const SEIZURE_MUTATION_OPTIONS = {
+  childList: true,
+  subtree: true,
+  attributes: true,
+  attributeFilter: ['src', 'srcset', 'style', 'class']
+};
 
-    // host.replaceWith() is the most reliable method across virtual-DOM sites
-    try {
-      host.replaceWith(restored);
-    } catch {
-      try { host.parentNode.replaceChild(restored, host); } catch {
-        // Last resort: insert after then self-remove
-        host.insertAdjacentElement('afterend', restored);
-        host.remove();
+let observedShadowRoots = new WeakSet();
+// Open shadow roots in the page. One walk fills it when first needed and when
+// seizure-safe mode starts; after that the mutation walk keeps it current, so
+// deep queries need no walk.
+const knownShadowRoots = new Set();
+let shadowRootsScanned = false;
+// A custom element found before its definition gets its root when it
+// upgrades, which brings no mutation with it. Such hosts are looked at again
+// when the definition arrives (where the content script can see the page's
+// registry), after each mutation batch, and when the page has loaded.
+const pendingShadowHosts = new Set();
+const awaitedElementNames = new Set();
+// Background checks read computed styles, so mutated elements are collected
+// and checked once per frame, however many style and class changes land in it
+const pendingBackgrounds = new Set();
+let backgroundCheckFrame = null;
+
+/** Open shadow roots inside root (not root itself), nested ones included. */
+function getOpenShadowRoots(root) {
+  const roots = [];
+  const visit = node => {
+    for (const el of node.querySelectorAll('*')) {
+      if (!el.shadowRoot) {
+        noteUndefinedElement(el);
+        continue;
       }
+      if (el.matches(SS_UI_HOST_SELECTOR)) continue;
+      roots.push(el.shadowRoot);
+      visit(el.shadowRoot);
     }
-  });
+  };
+  visit(root);
+  return roots;
+}
 
-  return host;
+/** The page's open shadow roots, from knownShadowRoots. Roots whose host left the page are dropped. */
+function getKnownShadowRoots() {
+  if (!shadowRootsScanned) rescanShadowRoots();
+  for (const root of knownShadowRoots) {
+    if (!root.host.isConnected) knownShadowRoots.delete(root);
+  }
+  return [...knownShadowRoots];
 }
 
-// ΓöÇΓöÇ Observers ΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇ
+function rescanShadowRoots() {
+  knownShadowRoots.clear();
+  getOpenShadowRoots(document).forEach(root => knownShadowRoots.add(root));
+  shadowRootsScanned = true;
+}
+
+/** querySelectorAll() across the document and every open shadow root in it. */
+function querySelectorAllDeep(selector) {
+  return [document, ...getKnownShadowRoots()].flatMap(root => [...root.querySelectorAll(selector)]);
+}
+
+/**
+ * Elements in a subtree (node included) and in the open shadow roots inside
+ * it, found in one pass, with those roots.
+ */
+function collectSubtree(node) {
+  const elements = [];
+  const roots = [];
+  const visit = list => {
+    for (const el of list) {
+      elements.push(el);
+      if (!el.shadowRoot) {
+        noteUndefinedElement(el);
+        continue;
+      }
+      if (el.matches(SS_UI_HOST_SELECTOR)) continue;
+      roots.push(el.shadowRoot);
+      visit(el.shadowRoot.querySelectorAll('*'));
+    }
+  };
+  visit([node, ...node.querySelectorAll('*')]);
+  return { elements, roots };
+}
+
+/** Keep an eye on a custom element that has not been defined yet. */
+function noteUndefinedElement(el) {
+  if (!settings.seizureSafeMode || !el.localName.includes('-') || el.matches(':defined')) return;
+  pendingShadowHosts.add(el);
+  // Chrome gives content scripts no customElements; Firefox shares the page's
+  if (!window.customElements || awaitedElementNames.has(el.localName)) return;
+  awaitedElementNames.add(el.localName);
+  customElements.whenDefined(el.localName).then(() => {
+    awaitedElementNames.delete(el.localName);
+    checkPendingShadowHosts();
+  }, () => {});
+}
+
+/** Take in the roots of pending hosts that have upgraded since they were noted. */
+function checkPendingShadowHosts() {
+  if (!domMutationObserver || !pendingShadowHosts.size) return;
+  const elements = [];
+  const roots = [];
+  for (const host of pendingShadowHosts) {
+    if (host.shadowRoot && host.isConnected && !host.matches(SS_UI_HOST_SELECTOR)) {
+      const subtree = collectSubtree(host);
+      // Its light DOM was taken in when it was added
+      elements.push(...subtree.elements.filter(el => el.getRootNode() !== host.getRootNode()));
+      roots.push(...subtree.roots);
+    }
+    if (host.shadowRoot || !host.isConnected || host.matches(':defined')) pendingShadowHosts.delete(host);
+  }
+  if (roots.length) processAddedElements(elements, roots);
+}
+
+window.addEventListener('load', checkPendingShadowHosts);
+
+function observeShadowRoots(roots) {
+  if (!domMutationObserver) return;
+  for (const root of roots) {
+    if (observedShadowRoots.has(root)) continue;
+    observedShadowRoots.add(root);
+    domMutationObserver.observe(root, SEIZURE_MUTATION_OPTIONS);
+  }
+}
 
 function setupMutationObserver() {
   if (domMutationObserver) return;
   domMutationObserver = new MutationObserver(mutations => {
-    const newVideos = [];
-    const newImgs = [];
+    const added = [];
+    const addedRoots = [];
+    const changedImgs = [];
+    const changedBackgrounds = [];
     for (const mutation of mutations) {
+      if (mutation.type === 'attributes') {
+        const target = mutation.target;
+        if (mutation.attributeName === 'src' || mutation.attributeName === 'srcset') {
+          // Lazy-loaders swap src on images that are already in the page
+          if (target.tagName === 'IMG') changedImgs.push(target);
+        } else {
+          // Class and style changes can give an element an animated background
+          changedBackgrounds.push(target);
+        }
+        continue;
+      }
       for (const node of mutation.addedNodes) {
         if (node.nodeType !== Node.ELEMENT_NODE) continue;
-        if (node.tagName === 'VIDEO') newVideos.push(node);
-        else if (node.tagName === 'IMG') newImgs.push(node);
-        node.querySelectorAll?.('video').forEach(v => newVideos.push(v));
-        node.querySelectorAll?.('img').forEach(i => newImgs.push(i));
+        const { elements, roots } = collectSubtree(node);
+        added.push(...elements);
+        addedRoots.push(...roots);
       }
     }
-    if (newVideos.length) processVideos(newVideos);
-    if (newImgs.length) processGIFs(newImgs);
+    processAddedElements(added, addedRoots, changedImgs, changedBackgrounds);
+    checkPendingShadowHosts();
   });
-  domMutationObserver.observe(document.body || document.documentElement, {
-    childList: true,
-    subtree: true
+  domMutationObserver.observe(document.body || document.documentElement, SEIZURE_MUTATION_OPTIONS);
+}
+
+/**
+ * Start on elements new to the page and the shadow roots found among them,
+ * plus images whose source and elements whose styles changed.
+ */
+function processAddedElements(elements, roots, changedImgs = [], changedBackgrounds = []) {
+  const newVideos = [];
+  const newImgs = [...changedImgs];
+  const newCanvases = [];
+  const newSVGs = new Set();
+  const newBackgrounds = new Set(changedBackgrounds);
+  for (const el of elements) {
+    if (el.tagName === 'VIDEO') newVideos.push(el);
+    else if (el.tagName === 'IMG') newImgs.push(el);
+    else if (el.tagName === 'CANVAS') newCanvases.push(el);
+    if (el instanceof SVGElement) newSVGs.add(outermostSVG(el));
+    else newBackgrounds.add(el);
+  }
+  roots.forEach(root => knownShadowRoots.add(root));
+  observeShadowRoots(roots);
+  if (newVideos.length) processVideos(newVideos);
+  if (newImgs.length) processGIFs(newImgs);
+  if (newCanvases.length) processCanvases(newCanvases);
+  if (newSVGs.size) processSVGAnimations([...newSVGs]);
+  if (newBackgrounds.size) queueBackgroundChecks(newBackgrounds);
+  if (newImgs.length || newVideos.length) processPatterns([...newImgs, ...newVideos]);
+}
+
+/** Check these elements' backgrounds before the next paint, with any others queued this frame. */
+function queueBackgroundChecks(elements) {
+  elements.forEach(el => pendingBackgrounds.add(el));
+  if (backgroundCheckFrame) return;
+  backgroundCheckFrame = requestAnimationFrame(() => {
+    backgroundCheckFrame = null;
+    const batch = [...pendingBackgrounds];
+    pendingBackgrounds.clear();
+    processBackgrounds(batch);
   });
 }
 
 function setupIntersectionObserver() {
-  if (videoIntersectionObserver) return;
-  videoIntersectionObserver = new IntersectionObserver(entries => {
+  if (flashSourceObserver) return;
+  flashSourceObserver = new IntersectionObserver(entries => {
     for (const entry of entries) {
-      const video = entry.target;
+      const el = entry.target;
+      const source = getFlashSource(el);
+      if (!source.live) {
+        // Backgrounds and SVGs are analysed once, the first time they show
+        if (entry.isIntersecting) {
+          flashSourceObserver.unobserve(el);
+          source.check(el);
+        }
+        continue;
+      }
+      if (isMediaAllowed('seizure', el)) continue;
       if (entry.isIntersecting) {
-        if (!monitoredVideos.has(video)) {
-          monitoredVideos.add(video);
-          startFlickerDetection(video);
+        if (!monitoredSources.has(el)) {
+          monitoredSources.add(el);
+          startFlickerDetection(el);
         }
+        if (el.tagName === 'VIDEO') startPrescan(el);
       } else {
-        stopFlickerDetection(video);
-        monitoredVideos.delete(video);
+        // Keep sampling at the offscreen rate; see the shared scheduler
+        monitoredSources.delete(el);
       }
     }
   }, { threshold: 0.1 });
-  document.querySelectorAll('video').forEach(v => videoIntersectionObserver.observe(v));
+  querySelectorAllDeep('video').forEach(v => flashSourceObserver.observe(v));
 }
 
 // ΓöÇΓöÇ 7. Flicker detection ΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇ
 
+/**
+ * Thresholds for the adaptive (heuristic) profile. The WCAG profile uses the
+ * fixed constants in lib/flash-analysis.js and ignores the slider.
+ */
 function getThresholds() {
   const s = Math.max(1, Math.min(10, settings.sensitivity || 5));
   return {
@@ -789,92 +4223,1003 @@ function getThresholds() {
   };
 }
 
-function sampleFrame(ctx) {
-  const data = ctx.getImageData(0, 0, 64, 36).data;
-  const count = 64 * 36;
-  let r = 0, g = 0, b = 0;
-  for (let i = 0; i < data.length; i += 4) {
-    r += data[i]; g += data[i + 1]; b += data[i + 2];
+/**
+ * Kinds of element seizure-safe mode can warn about. `live` sources are
+ * sampled continuously while visible; the others are checked once. `noun` and
+ * `action` fill in the warning card, `neutralise` stops the element flashing
+ * and `resume` undoes it when the viewer chooses to see it.
+ */
+const FLASH_SOURCES = {
+  video: {
+    live: true,
+    noun: 'video',
+    action: 'paused',
+    ready: video => !video.paused && !video.ended && video.readyState >= 2,
+    neutralise: video => video.pause(),
+    resume: video => video.play()
+  },
+  canvas: {
+    live: true,
+    noun: 'animation',
+    action: 'hid',
+    ready: canvas => {
+      const r = canvas.getBoundingClientRect();
+      return canvas.width > 0 && canvas.height > 0 &&
+        r.width >= FLASH_CANVAS_MIN_SIZE && r.height >= FLASH_CANVAS_MIN_SIZE;
+    },
+    neutralise: hideFlashingElement,
+    resume: showFlashingElement
+  },
+  background: {
+    noun: 'background animation',
+    action: 'hid',
+    check: checkAnimatedBackground,
+    neutralise: suppressBackground,
+    resume: el => {
+      el.dataset.ssBgAllowed = 'true';
+      restoreBackground(el);
+    }
+  },
+  svg: {
+    noun: 'animated graphic',
+    action: 'paused',
+    check: checkSMILAnimation,
+    neutralise: svg => {
+      if (svg.animationsPaused()) return;
+      svg.pauseAnimations();
+      svg.dataset.ssSmilPaused = 'true';
+    },
+    resume: svg => {
+      svg.dataset.ssSmilAllowed = 'true';
+      resumeSVGAnimations(svg);
+    }
   }
-  r /= count; g /= count; b /= count;
-  return { r, g, b, luma: 0.299 * r + 0.587 * g + 0.114 * b };
+};
+
+function getFlashSource(el) {
+  if (el.tagName === 'VIDEO') return FLASH_SOURCES.video;
+  if (el.tagName === 'CANVAS') return FLASH_SOURCES.canvas;
+  if (el.tagName === 'svg') return FLASH_SOURCES.svg;
+  return FLASH_SOURCES.background;
 }
 
-function frameDelta(a, b) {
-  return Math.max(
-    Math.abs(b.luma - a.luma),
-    Math.abs(b.r - a.r) * 0.75,
-    Math.abs(b.g - a.g) * 0.60,
-    Math.abs(b.b - a.b) * 0.65
-  );
+function hideFlashingElement(el) {
+  el.dataset.ssHidden = 'true';
+  el.style.setProperty('visibility', 'hidden', 'important');
+}
+
+function showFlashingElement(el) {
+  if (!el.dataset.ssHidden) return;
+  delete el.dataset.ssHidden;
+  el.style.removeProperty('visibility');
+}
+
+// ── Shared sampling scheduler ────────────────────────────────────────────────
+// Every live source is sampled from one requestAnimationFrame loop (WebGL
+// canvases only keep their pixels until the frame is composited). Frames are
+// captured as ImageBitmaps and transferred to a worker (lib/flash-worker.js)
+// running the same analyzers, so the page's main thread only pays for the
+// capture. Each tick serves the most overdue sources first and stops once its
+// time budget is spent. Sources scrolled out of view are sampled less often;
+// paused ones are only polled until they play again. Where the page's CSP
+// blocks blob: workers, the analyzers run on the main thread instead.
+
+const FLICKER_FRAME_BUDGET_MS = 4;           // capture time allowed per animation frame
+const FLICKER_OFFSCREEN_INTERVAL_MS = 250;   // sampling interval for sources out of view
+const FLICKER_IDLE_POLL_MS = 250;            // how often paused sources are re-checked
+const FLASH_WORKER_READY_TIMEOUT_MS = 2000;
+
+const flickerMonitors = new Map(); // id -> { el, source, gridSize, profile, analyzer, ... }
+let flickerMonitorCount = 0;
+let flickerFrameId = null;
+let flickerSampleCtx = null;
+let flashWorker = null;
+let flashWorkerPromise = null;
+
+/**
+ * Sample a video or canvas and neutralise it once the analyzer reports a
+ * failing region. Sources stay registered while offscreen, at a lower rate.
+ */
+function startFlickerDetection(el) {
+  if (el._ssFlicker) return;
+  const monitor = {
+    el,
+    source: getFlashSource(el),
+    id: ++flickerMonitorCount,
+    gridSize: Math.max(1, Math.min(8, settings.flickerGridSize || 8)),
+    profile: FLASH_PROFILES.includes(settings.detectionProfile) ? settings.detectionProfile : 'heuristic',
+    analyzer: null,   // main-thread fallback and tab capture only
+    method: 'pixels', // 'pixels', 'tab-capture' or 'unreadable'; see fallBackToTabCapture()
+    attached: false,
+    inFlight: false,
+    seq: 0,
+    nextDue: 0,
+    onPlaying: null
+  };
+  el._ssFlicker = monitor;
+  flickerMonitors.set(monitor.id, monitor);
+  el.dataset.ssMonitoring = 'true';
+
+  if (el.tagName === 'VIDEO') {
+    // Paused videos are only polled; sample straight away when one starts
+    monitor.onPlaying = () => {
+      monitor.nextDue = 0;
+      if (monitor.method === 'tab-capture') updateTabCaptureSync();
+    };
+    el.addEventListener('playing', monitor.onPlaying);
+  }
+
+  getFlashWorker().then(worker => {
+    if (el._ssFlicker !== monitor) return;
+    attachFlickerAnalyzer(monitor, worker);
+    scheduleFlickerTick();
+  });
+  notifyVideoProtectionChanged();
+}
+
+function stopFlickerDetection(el) {
+  const monitor = el._ssFlicker;
+  if (monitor) {
+    flickerMonitors.delete(monitor.id);
+    if (monitor.onPlaying) el.removeEventListener('playing', monitor.onPlaying);
+    if (monitor.attached && !monitor.analyzer) flashWorker?.postMessage({ type: 'stop', id: monitor.id });
+    el._ssFlicker = null;
+    if (monitor.method === 'tab-capture') updateTabCaptureSync();
+    notifyVideoProtectionChanged();
+  }
+  delete el.dataset.ssMonitoring;
+}
+
+function attachFlickerAnalyzer(monitor, worker) {
+  const { id, gridSize, profile } = monitor;
+  if (worker) worker.postMessage({ type: 'start', id, gridSize, profile });
+  else monitor.analyzer = createFlashAnalyzer({ gridSize, profile });
+  monitor.attached = true;
+}
+
+function scheduleFlickerTick() {
+  if (flickerFrameId || !flickerMonitors.size) return;
+  flickerFrameId = requestAnimationFrame(runFlickerTick);
+}
+
+function runFlickerTick(now) {
+  flickerFrameId = null;
+  const { sampleIntervalMs } = getThresholds();
+
+  const due = [];
+  for (const monitor of flickerMonitors.values()) {
+    if (!monitor.el.isConnected) {
+      stopFlickerDetection(monitor.el);
+      continue;
+    }
+    if (monitor.method !== 'pixels') continue;
+    if (!monitor.attached || monitor.inFlight || now < monitor.nextDue) continue;
+    if (!monitor.source.ready(monitor.el)) {
+      monitor.nextDue = now + FLICKER_IDLE_POLL_MS;
+      continue;
+    }
+    due.push(monitor);
+  }
+
+  // Most overdue first, so a busy page cannot starve the same source every tick
+  due.sort((a, b) => a.nextDue - b.nextDue);
+  const deadline = performance.now() + FLICKER_FRAME_BUDGET_MS;
+  for (const monitor of due) {
+    if (performance.now() > deadline) break;
+    const interval = monitoredSources.has(monitor.el) ? sampleIntervalMs : FLICKER_OFFSCREEN_INTERVAL_MS;
+    // Keep to the interval on average even though ticks land on frame boundaries
+    const next = monitor.nextDue + interval;
+    monitor.nextDue = next > now ? next : now + interval;
+    captureFlickerFrame(monitor);
+  }
+
+  scheduleFlickerTick();
+}
+
+function captureFlickerFrame(monitor) {
+  const { el } = monitor;
+  const rect = el.getBoundingClientRect();
+  const opts = {
+    ...getThresholds(),
+    timestamp: performance.now(),
+    displayArea: rect.width * rect.height
+  };
+
+  if (monitor.analyzer) {
+    let result;
+    try {
+      result = analyseFlickerFrame(monitor, opts);
+    } catch {
+      // Cross-origin (tainted) canvases and videos cannot be read
+      fallBackToTabCapture(monitor);
+      return;
+    }
+    handleFlickerResult(monitor, result);
+    return;
+  }
+
+  const seq = ++monitor.seq;
+  monitor.inFlight = true;
+  // Captured at the analysis size: a full-resolution copy of every frame
+  // would cost far more to make and transfer than the scoring itself
+  createImageBitmap(el, {
+    resizeWidth: FLASH_SAMPLE_WIDTH,
+    resizeHeight: FLASH_SAMPLE_HEIGHT,
+    resizeQuality: 'low'
+  }).then(bitmap => {
+    if (el._ssFlicker !== monitor || !flashWorker) {
+      bitmap.close();
+      monitor.inFlight = false;
+      return;
+    }
+    flashWorker.postMessage({ type: 'frame', id: monitor.id, seq, bitmap, opts }, [bitmap]);
+  }, err => {
+    monitor.inFlight = false;
+    if (err?.name === 'SecurityError') fallBackToTabCapture(monitor);
+  });
+}
+
+/** Main-thread fallback: the same downscale and scoring the worker does. */
+function analyseFlickerFrame(monitor, opts) {
+  if (!flickerSampleCtx) {
+    const canvas = document.createElement('canvas');
+    canvas.width = FLASH_SAMPLE_WIDTH;
+    canvas.height = FLASH_SAMPLE_HEIGHT;
+    flickerSampleCtx = canvas.getContext('2d', { willReadFrequently: true });
+  }
+  const ctx = flickerSampleCtx;
+  ctx.clearRect(0, 0, FLASH_SAMPLE_WIDTH, FLASH_SAMPLE_HEIGHT);
+  ctx.drawImage(monitor.el, 0, 0, FLASH_SAMPLE_WIDTH, FLASH_SAMPLE_HEIGHT);
+  const { data } = ctx.getImageData(0, 0, FLASH_SAMPLE_WIDTH, FLASH_SAMPLE_HEIGHT);
+  const cells = sampleRegions(data, FLASH_SAMPLE_WIDTH, FLASH_SAMPLE_HEIGHT, monitor.gridSize);
+  return monitor.analyzer.push(cells, opts);
+}
+
+function handleFlickerResult(monitor, result) {
+  const { el, source } = monitor;
+  if (result && findPrescanSegment(el, PRESCAN_WARN_LEAD_S)?.acknowledged) {
+    // The viewer already chose to watch this flashing section
+  } else if (result && shouldSoften(el, source)) {
+    // Keep sampling: softening follows the flashing and lifts after it
+    applySoftening(el, result);
+  } else if (result) {
+    stopFlickerDetection(el);
+    source.neutralise(el);
+    const segment = findPrescanSegment(el);
+    showFlickerWarning(el, result, source, { prescan: el._ssPrescan, segment });
+  } else if (el._ssSoftening && performance.now() - el._ssSoftening.lastFlashAt > SOFTEN_CALM_MS) {
+    liftSoftening(el);
+  }
+}
+
+/** The analysis worker, or null when it cannot run here. Created once, on first use. */
+function getFlashWorker() {
+  if (!flashWorkerPromise) {
+    flashWorkerPromise = createFlashWorker()
+      .catch(() => null)
+      .then(worker => (flashWorker = worker));
+  }
+  return flashWorkerPromise;
+}
+
+async function createFlashWorker() {
+  if (typeof Worker !== 'function' || typeof OffscreenCanvas !== 'function' ||
+      typeof createImageBitmap !== 'function') return null;
+
+  // Extension URLs cannot be used as worker scripts from a page, so the
+  // worker is built from a blob of the analysis library plus its message
+  // loop, which the background reads for us
+  const response = await browser.runtime.sendMessage({ action: 'flash-worker-source' });
+  if (!response?.source) return null;
+  const url = URL.createObjectURL(new Blob([response.source], { type: 'text/javascript' }));
+  const worker = new Worker(url);
+
+  try {
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error('Flash worker did not start')), FLASH_WORKER_READY_TIMEOUT_MS);
+      worker.onmessage = ({ data }) => {
+        if (data?.type !== 'ready') return;
+        clearTimeout(timer);
+        resolve();
+      };
+      worker.onerror = () => {
+        clearTimeout(timer);
+        reject(new Error('Flash worker failed to load'));
+      };
+    });
+  } catch (err) {
+    worker.terminate();
+    throw err;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+
+  worker.onmessage = onFlashWorkerMessage;
+  worker.onerror = onFlashWorkerFailed;
+  return worker;
+}
+
+function onFlashWorkerMessage({ data }) {
+  const monitor = flickerMonitors.get(data.id);
+  if (!monitor || data.seq !== monitor.seq) return;
+  monitor.inFlight = false;
+  if (data.type === 'error') {
+    // Cross-origin (tainted) canvases and videos cannot be read
+    fallBackToTabCapture(monitor);
+    return;
+  }
+  handleFlickerResult(monitor, data.result);
+}
+
+/** The worker died: carry on with every source on the main thread. */
+function onFlashWorkerFailed() {
+  flashWorker?.terminate();
+  flashWorker = null;
+  flashWorkerPromise = Promise.resolve(null);
+  for (const monitor of flickerMonitors.values()) {
+    monitor.inFlight = false;
+    if (monitor.attached) attachFlickerAnalyzer(monitor, null);
+  }
+}
+
+// ── Tab capture fallback ─────────────────────────────────────────────────────
+// Cross-origin videos served without CORS taint any canvas they are drawn to,
+// so their pixels cannot be read here. For those, the background script can
+// capture the visible tab (tabCapture through an offscreen document in
+// Chrome, tabs.captureVisibleTab() in Firefox), crop each video's on-screen
+// rectangle and send back the same per-cell samples the analyzer takes.
+// Browsers only allow tab capture once the user has invoked the extension on
+// the tab, so it is started from the popup, which also lists what protects
+// each video. Crops are in top-frame viewport coordinates, so videos in child
+// frames cannot use it.
+
+const TAB_CAPTURE_SYNC_MS = 250;        // how often video rectangles are re-sent
+// Restarting needs the popup again, so a capture outlives a flagged video
+// (which stops being monitored) until nothing has used it for this long
+const TAB_CAPTURE_RELEASE_MS = 30000;
+
+// The rectangles are only re-sent while the capture runs and one of its
+// videos plays; pausing stops the timer and 'playing' starts it again
+let tabCaptureTimer = null;
+let tabCaptureReleaseTimer = null;
+let tabCaptureActive = false;
+let lastTabCaptureRequest = '';
+
+/** A source whose pixels cannot be read: hand videos to tab capture. */
+function fallBackToTabCapture(monitor) {
+  const { el } = monitor;
+  monitor.inFlight = false;
+  if (el.tagName !== 'VIDEO') {
+    stopFlickerDetection(el);
+    return;
+  }
+  if (monitor.attached && !monitor.analyzer) flashWorker?.postMessage({ type: 'stop', id: monitor.id });
+  // Kept registered either way so the popup can say the video is unreadable
+  monitor.method = IS_TOP_FRAME ? 'tab-capture' : 'unreadable';
+  monitor.analyzer = createFlashAnalyzer({ gridSize: monitor.gridSize, profile: monitor.profile });
+  if (monitor.method === 'tab-capture') updateTabCaptureSync();
+  notifyVideoProtectionChanged();
+}
+
+/** Start or stop the sync and release timers to match the capture and its videos. */
+function updateTabCaptureSync() {
+  if (!IS_TOP_FRAME) return;
+  const monitors = [...flickerMonitors.values()].filter(m => m.method === 'tab-capture');
+  if (!tabCaptureActive || monitors.length) {
+    clearTimeout(tabCaptureReleaseTimer);
+    tabCaptureReleaseTimer = null;
+  } else if (!tabCaptureReleaseTimer) {
+    tabCaptureReleaseTimer = setTimeout(releaseTabCapture, TAB_CAPTURE_RELEASE_MS);
+  }
+
+  const playing = tabCaptureActive && monitors.some(m => m.source.ready(m.el));
+  if (playing && !tabCaptureTimer) {
+    tabCaptureTimer = setInterval(updateTabCaptureSync, TAB_CAPTURE_SYNC_MS);
+  } else if (!playing && tabCaptureTimer) {
+    clearInterval(tabCaptureTimer);
+    tabCaptureTimer = null;
+  }
+  if (tabCaptureActive) syncTabCaptureTargets();
+}
+
+/** Playing tab-capture videos and where they are, for the capture side. */
+function getTabCaptureRequest() {
+  const targets = [];
+  for (const monitor of flickerMonitors.values()) {
+    if (monitor.method !== 'tab-capture' || !monitor.source.ready(monitor.el)) continue;
+    const { left, top, width, height } = monitor.el.getBoundingClientRect();
+    targets.push({
+      id: monitor.id,
+      gridSize: monitor.gridSize,
+      rect: { left: Math.round(left), top: Math.round(top), width: Math.round(width), height: Math.round(height) }
+    });
+  }
+  return {
+    targets,
+    viewport: { width: window.innerWidth, height: window.innerHeight },
+    intervalMs: getThresholds().sampleIntervalMs
+  };
+}
+
+/** Send the capture side the current rectangles, when they have changed. */
+function syncTabCaptureTargets() {
+  const request = getTabCaptureRequest();
+  const key = JSON.stringify(request);
+  if (key === lastTabCaptureRequest) return;
+  lastTabCaptureRequest = key;
+  browser.runtime.sendMessage({ action: 'tab-capture-targets', request }).catch(() => {});
+}
+
+function releaseTabCapture() {
+  clearInterval(tabCaptureTimer);
+  tabCaptureTimer = null;
+  clearTimeout(tabCaptureReleaseTimer);
+  tabCaptureReleaseTimer = null;
+  lastTabCaptureRequest = '';
+  if (tabCaptureActive) browser.runtime.sendMessage({ action: 'tab-capture-stop' }).catch(() => {});
+}
+
+function onTabCaptureSamples(samples) {
+  for (const { id, cells, timestamp } of samples) {
+    const monitor = flickerMonitors.get(id);
+    if (monitor?.method !== 'tab-capture' || !Array.isArray(cells) || cells.length !== monitor.gridSize ** 2) continue;
+    const rect = monitor.el.getBoundingClientRect();
+    const result = monitor.analyzer.push(cells, {
+      ...getThresholds(),
+      timestamp,
+      displayArea: rect.width * rect.height
+    });
+    handleFlickerResult(monitor, result);
+  }
+}
+
+const VIDEO_PROTECTION_NOTICE_MS = 500;
+let videoProtectionNoticeTimer = null;
+
+/**
+ * Tell an open popup that a video's protection may have changed, so it asks
+ * every frame again instead of polling. Changes within half a second share
+ * one notice.
+ */
+function notifyVideoProtectionChanged() {
+  if (videoProtectionNoticeTimer) return;
+  videoProtectionNoticeTimer = setTimeout(() => {
+    videoProtectionNoticeTimer = null;
+    browser.runtime.sendMessage({ action: 'video-protection-changed' }).catch(() => {});
+  }, VIDEO_PROTECTION_NOTICE_MS);
+}
+
+/** What protects each video in this frame; read by the popup. */
+function getVideoProtectionStatus() {
+  if (!flashSourceObserver) return [];
+  return querySelectorAllDeep('video').map(video => ({
+    label: describeVideo(video),
+    method: getVideoProtectionMethod(video),
+    frame: IS_TOP_FRAME ? null : window.location.hostname
+  }));
+}
+
+/**
+ * 'pixels', 'tab-capture', 'needs-capture' (unreadable, capture not
+ * running), 'unreadable', 'allowed', or 'idle' (not being sampled).
+ */
+function getVideoProtectionMethod(video) {
+  if (isMediaAllowed('seizure', video)) return 'allowed';
+  const monitor = video._ssFlicker;
+  if (!monitor) return 'idle';
+  if (monitor.method === 'tab-capture') return tabCaptureActive ? 'tab-capture' : 'needs-capture';
+  return monitor.method;
+}
+
+function describeVideo(video) {
+  const src = video.currentSrc || video.src;
+  if (!src || /^(blob|mediastream):/i.test(src)) {
+    return video.title || video.getAttribute('aria-label') || 'Streamed video';
+  }
+  try {
+    const url = new URL(src, window.location.href);
+    return decodeURIComponent(url.pathname.split('/').pop()) || url.hostname;
+  } catch {
+    return src;
+  }
+}
+
+browser.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (!IS_TOP_FRAME) return;
+  if (msg.action === 'tab-capture-request') {
+    sendResponse(getTabCaptureRequest());
+  } else if (msg.action === 'tab-capture-state') {
+    tabCaptureActive = !!msg.active;
+    lastTabCaptureRequest = '';
+    updateTabCaptureSync();
+    notifyVideoProtectionChanged();
+  } else if (msg.action === 'tab-capture-samples' && Array.isArray(msg.samples)) {
+    onTabCaptureSamples(msg.samples);
+  }
+});
+
+if (IS_TOP_FRAME) window.addEventListener('pagehide', releaseTabCapture);
+
+// ── Look-ahead pre-scan ──────────────────────────────────────────────────────
+// Live detection can only react after the first flashes have been shown. For
+// videos whose frames we are allowed to read, a hidden clone of the element
+// is seeked ahead of the playhead and scored with the same analyzer, building
+// a timeline of flashing segments. Playback is stopped (or softened) just
+// before it reaches one, and the warning offers to skip past it.
+
+const PRESCAN_LOOKAHEAD_S = 30;     // how far ahead of the playhead to scan
+const PRESCAN_WARN_LEAD_S = 1;      // stop this long before a flashing segment
+const PRESCAN_SKIP_MARGIN_S = 0.5;  // land this far past a skipped segment
+const PRESCAN_SEEK_TIMEOUT_MS = 10000;
+
+/**
+ * Start scanning ahead of a video. Only plain file sources can be cloned:
+ * MediaSource (blob:) streams are attached to a single element, and
+ * cross-origin sources need CORS for their pixels to be readable.
+ */
+function startPrescan(video) {
+  if (!settings.videoPrescan || video._ssPrescan || isMediaAllowed('seizure', video)) return;
+  const src = video.currentSrc || video.src;
+  if (!src || /^(blob|mediastream):/i.test(src)) return;
+
+  const clone = document.createElement('video');
+  clone.muted = true;
+  clone.preload = 'auto';
+  clone.playsInline = true;
+  try {
+    if (video.crossOrigin) clone.crossOrigin = video.crossOrigin;
+    else if (new URL(src, location.href).origin !== location.origin) clone.crossOrigin = 'anonymous';
+  } catch { /* keep the default */ }
+
+  const scan = {
+    src,
+    clone,
+    timeline: [],   // [{ start, end, detection, acknowledged }] in media seconds
+    scannedFrom: video.currentTime,
+    scannedTo: video.currentTime,
+    cancelled: false,
+    wake: null
+  };
+  video._ssPrescan = scan;
+  video.dataset.ssPrescan = 'true';
+
+  scan.onTimeUpdate = () => checkUpcomingFlash(video, scan);
+  scan.onPlayhead = () => scan.wake?.();
+  scan.onEmptied = () => {
+    // New source: scan it from scratch once it has loaded, if still on screen
+    stopPrescan(video);
+    video.addEventListener('loadeddata', () => {
+      if (monitoredSources.has(video)) startPrescan(video);
+    }, { once: true });
+  };
+  video.addEventListener('timeupdate', scan.onTimeUpdate);
+  video.addEventListener('timeupdate', scan.onPlayhead);
+  video.addEventListener('seeking', scan.onPlayhead);
+  video.addEventListener('emptied', scan.onEmptied);
+
+  clone.src = src;
+  runPrescan(video, scan).catch(() => {
+    // Unreadable or unseekable source: live detection still covers it
+    if (!scan.cancelled) stopPrescan(video, { keepTimeline: true });
+  });
+}
+
+function stopPrescan(video, { keepTimeline = false } = {}) {
+  const scan = video._ssPrescan;
+  if (!scan) return;
+  scan.cancelled = true;
+  scan.wake?.();
+  scan.clone.removeAttribute('src');
+  scan.clone.load();
+  if (keepTimeline) return;
+  video.removeEventListener('timeupdate', scan.onTimeUpdate);
+  video.removeEventListener('timeupdate', scan.onPlayhead);
+  video.removeEventListener('seeking', scan.onPlayhead);
+  video.removeEventListener('emptied', scan.onEmptied);
+  video._ssPrescan = null;
+  delete video.dataset.ssPrescan;
 }
 
-function startFlickerDetection(video) {
-  if (video._ssIntervalId) return;
+async function runPrescan(video, scan) {
+  const { clone } = scan;
+  await waitForMediaEvent(clone, 'loadeddata');
 
   const canvas = document.createElement('canvas');
-  canvas.width = 64;
-  canvas.height = 36;
+  canvas.width = FLASH_SAMPLE_WIDTH;
+  canvas.height = FLASH_SAMPLE_HEIGHT;
   const ctx = canvas.getContext('2d', { willReadFrequently: true });
 
-  const frameHistory = [];
-  let triggered = false;
+  const gridSize = Math.max(1, Math.min(8, settings.flickerGridSize || 8));
+  const profile = FLASH_PROFILES.includes(settings.detectionProfile) ? settings.detectionProfile : 'heuristic';
+  const analyzer = createFlashAnalyzer({ gridSize, profile });
+  const step = getThresholds().sampleIntervalMs / 1000;
+
+  while (!scan.cancelled) {
+    const now = video.currentTime;
+    // The viewer jumped outside the scanned range: start over from there
+    if (now < scan.scannedFrom || now > scan.scannedTo + 1) {
+      analyzer.reset();
+      scan.scannedFrom = scan.scannedTo = now;
+    }
+
+    const end = Number.isFinite(clone.duration) ? clone.duration : Infinity;
+    if (scan.scannedTo >= Math.min(end, now + PRESCAN_LOOKAHEAD_S)) {
+      await new Promise(resolve => { scan.wake = resolve; });
+      scan.wake = null;
+      continue;
+    }
+
+    const t = scan.scannedTo;
+    clone.currentTime = t;
+    await waitForMediaEvent(clone, 'seeked');
+    if (scan.cancelled) return;
+
+    ctx.drawImage(clone, 0, 0, FLASH_SAMPLE_WIDTH, FLASH_SAMPLE_HEIGHT);
+    const { data } = ctx.getImageData(0, 0, FLASH_SAMPLE_WIDTH, FLASH_SAMPLE_HEIGHT);
+    const rect = video.getBoundingClientRect();
+    const result = analyzer.push(sampleRegions(data, FLASH_SAMPLE_WIDTH, FLASH_SAMPLE_HEIGHT, gridSize), {
+      ...getThresholds(),
+      timestamp: t * 1000,
+      displayArea: rect.width * rect.height
+    });
+    // A detection at t means the flashing happened within the last second
+    if (result) addPrescanSegment(scan.timeline, Math.max(scan.scannedFrom, t - 1), t, result);
+    scan.scannedTo = t + step;
+  }
+}
 
-  video.dataset.ssMonitoring = 'true';
-  const { sampleIntervalMs } = getThresholds();
+function waitForMediaEvent(media, type) {
+  return new Promise((resolve, reject) => {
+    const finish = (fn) => {
+      clearTimeout(timer);
+      media.removeEventListener(type, onEvent);
+      media.removeEventListener('error', onError);
+      fn();
+    };
+    const onEvent = () => finish(resolve);
+    const onError = () => finish(() => reject(new Error(`Pre-scan ${type} failed`)));
+    const timer = setTimeout(() => finish(() => reject(new Error(`Pre-scan ${type} timed out`))), PRESCAN_SEEK_TIMEOUT_MS);
+    media.addEventListener(type, onEvent);
+    media.addEventListener('error', onError);
+  });
+}
+
+/** Extend the last segment if this one touches it, otherwise append. */
+function addPrescanSegment(timeline, start, end, detection) {
+  const last = timeline[timeline.length - 1];
+  if (last && start <= last.end + PRESCAN_SKIP_MARGIN_S) {
+    last.end = Math.max(last.end, end);
+    if (detection.flashesPerSecond > last.detection.flashesPerSecond) last.detection = detection;
+    return;
+  }
+  timeline.push({ start, end, detection, acknowledged: false });
+}
+
+/** The segment the playhead is in or about to enter, if the viewer has not dismissed it. */
+function findPrescanSegment(video, lead = 0) {
+  const t = video.currentTime;
+  return video._ssPrescan?.timeline.find(s => s.end > t && s.start - t <= lead) || null;
+}
 
-  video._ssIntervalId = setInterval(() => {
-    if (triggered) return;
-    if (video.paused || video.ended || video.readyState < 2) return;
+function checkUpcomingFlash(video, scan) {
+  if (video.paused || video._ssWarningHost || !settings.seizureSafeMode) return;
+  const segment = findPrescanSegment(video, PRESCAN_WARN_LEAD_S);
+  if (!segment || segment.acknowledged) return;
 
-    const { flickerThreshold, lumaDeltaThreshold, windowSize } = getThresholds();
+  if (shouldSoften(video, FLASH_SOURCES.video)) {
+    applySoftening(video, segment.detection, 'look-ahead');
+    return;
+  }
+  video.pause();
+  showFlickerWarning(video, segment.detection, FLASH_SOURCES.video, { prescan: scan, segment });
+}
+
+/** m:ss for the scrubber and warning text. */
+function formatMediaTime(seconds) {
+  const s = Math.max(0, Math.floor(seconds));
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Scrubber for the warning card: the scanned range, flashing segments as
+ * markers and the playhead.
+ */
+function buildFlashScrubber(video, scan) {
+  const duration = Number.isFinite(video.duration) && video.duration > 0
+    ? video.duration
+    : Math.max(scan.scannedTo, video.currentTime + 1);
+  const pct = t => `${Math.max(0, Math.min(100, (t / duration) * 100))}%`;
+
+  const wrap = document.createElement('div');
+  wrap.className = 'scrubber-wrap';
+
+  const bar = document.createElement('div');
+  bar.className = 'scrubber';
+  bar.setAttribute('role', 'img');
+  bar.setAttribute('aria-label', `Flash timeline: ${scan.timeline.length} flashing section${scan.timeline.length === 1 ? '' : 's'} found`);
+
+  const scanned = document.createElement('div');
+  scanned.className = 'scanned';
+  scanned.style.left = pct(scan.scannedFrom);
+  scanned.style.width = pct(scan.scannedTo - scan.scannedFrom);
+  bar.appendChild(scanned);
+
+  for (const segment of scan.timeline) {
+    const marker = document.createElement('div');
+    marker.className = segment.detection.kind === 'red' ? 'flash-marker red' : 'flash-marker';
+    marker.style.left = pct(segment.start);
+    marker.style.width = `max(3px, ${pct(segment.end - segment.start)})`;
+    marker.title = `${formatMediaTime(segment.start)}–${formatMediaTime(segment.end)}: ${segment.detection.flashesPerSecond} flashes/sec`;
+    bar.appendChild(marker);
+  }
+
+  const playhead = document.createElement('div');
+  playhead.className = 'playhead';
+  playhead.style.left = pct(video.currentTime);
+  bar.appendChild(playhead);
+
+  const labels = document.createElement('div');
+  labels.className = 'scrubber-labels';
+  const from = document.createElement('span');
+  from.textContent = formatMediaTime(video.currentTime);
+  const to = document.createElement('span');
+  to.textContent = formatMediaTime(duration);
+  labels.append(from, to);
+
+  wrap.append(bar, labels);
+  return wrap;
+}
+
+// ── Soften mitigation ────────────────────────────────────────────────────────
+// With flashMitigation 'soften', a flagged video keeps playing under a filter
+// that lowers contrast and brightness and pulls reds towards grey. Detection
+// keeps sampling the unfiltered frames, so the filter strengthens while the
+// flashing continues and lifts once it has been calm for a while.
+
+const SOFTEN_CALM_MS = 2000;           // flash-free time before the filter lifts
+const SOFTEN_MIN_STRENGTH = 0.4;
+const SOFTEN_SMOOTHING_ALPHA = 0.25;   // weight of each new frame in the smoothed overlay
+const SOFTEN_SMOOTHING_MAX_WIDTH = 640;
+let softenFilterCount = 0;
+
+function shouldSoften(el, source) {
+  // Tab capture would sample the softened picture and lift the filter again
+  return source === FLASH_SOURCES.video && el._ssFlicker?.method !== 'tab-capture' &&
+    settings.flashMitigation === 'soften' && !el._ssSoftenDeclined;
+}
+
+/**
+ * Apply or strengthen softening on a video for one detection.
+ * @param {HTMLVideoElement} video
+ * @param {object} detection - result from createFlashAnalyzer().push()
+ * @param {string} [trigger] - 'live' or 'look-ahead', for the incident log
+ */
+function applySoftening(video, detection, trigger = 'live') {
+  let state = video._ssSoftening;
+  if (!state) {
+    // The soften filter replaces a pattern blur, so the two never stack
+    liftPatternShield(video);
+    state = video._ssSoftening = {
+      inlineFilter: video.style.getPropertyValue('filter'),
+      inlinePriority: video.style.getPropertyPriority('filter'),
+      strength: 0,
+      red: false,
+      svg: createSoftenFilter(),
+      canvas: settings.flashSmoothing ? createSmoothingCanvas() : null,
+      badge: createSoftenBadge(video),
+      frameId: null,
+      incidentId: recordFlashIncident(video, detection, { mediaType: 'video', action: 'softened', trigger }),
+      peak: detection.flashesPerSecond
+    };
+    video.dataset.ssSoftened = 'true';
+    runSoftenLoop(video, state);
+  }
+  state.lastFlashAt = performance.now();
+  if (detection.flashesPerSecond > state.peak) {
+    state.peak = detection.flashesPerSecond;
+    updateFlashIncident(state.incidentId, { flashesPerSecond: state.peak });
+  }
+
+  // Only ever strengthen while the flashing lasts so the picture does not
+  // pump up and down between samples.
+  const severity = Math.min(1, detection.flashesPerSecond / 10 + detection.lumaDelta);
+  const strength = Math.max(SOFTEN_MIN_STRENGTH, severity);
+  const red = state.red || detection.kind === 'red';
+  if (strength <= state.strength && red === state.red) return;
+  state.strength = Math.max(strength, state.strength);
+  state.red = red;
+
+  // Red rows of the matrix blend red towards luminance; red flashes get all of it
+  const k = state.red ? 1 : 0.6 * state.strength;
+  state.svg.querySelector('feColorMatrix').setAttribute('values', [
+    1 - k + k * 0.2126, k * 0.7152, k * 0.0722, 0, 0,
+    0, 1, 0, 0, 0,
+    0, 0, 1, 0, 0,
+    0, 0, 0, 1, 0
+  ].join(' '));
+
+  const filter = `url(#${state.svg.dataset.filterId}) ` +
+    `contrast(${(1 - 0.5 * state.strength).toFixed(2)}) ` +
+    `brightness(${(1 - 0.35 * state.strength).toFixed(2)})`;
+  video.style.setProperty('filter', filter, 'important');
+  if (state.canvas) state.canvas.style.setProperty('filter', filter, 'important');
+}
+
+function liftSoftening(video) {
+  const state = video._ssSoftening;
+  if (!state) return;
+  cancelAnimationFrame(state.frameId);
+  state.svg.remove();
+  state.canvas?.remove();
+  state.badge.remove();
+  if (state.inlineFilter) video.style.setProperty('filter', state.inlineFilter, state.inlinePriority);
+  else video.style.removeProperty('filter');
+  video._ssSoftening = null;
+  delete video.dataset.ssSoftened;
+}
+
+/** Per-video SVG filter, in the document so url(#id) resolves from the page. */
+function createSoftenFilter() {
+  const ns = 'http://www.w3.org/2000/svg';
+  const id = `screenshield-soften-${++softenFilterCount}`;
+  const svg = document.createElementNS(ns, 'svg');
+  svg.setAttribute('aria-hidden', 'true');
+  svg.setAttribute('width', '0');
+  svg.setAttribute('height', '0');
+  svg.style.cssText = 'position: absolute !important; width: 0 !important; height: 0 !important;';
+  svg.dataset.filterId = id;
+  svg.dataset.ssSoftenFilter = 'true';
+
+  const filter = document.createElementNS(ns, 'filter');
+  filter.id = id;
+  filter.setAttribute('color-interpolation-filters', 'sRGB');
+  const matrix = document.createElementNS(ns, 'feColorMatrix');
+  matrix.setAttribute('type', 'matrix');
+  filter.appendChild(matrix);
+  svg.appendChild(filter);
+  document.body.appendChild(svg);
+  return svg;
+}
+
+/**
+ * Canvas laid over the video that shows a running average of its frames,
+ * which smooths out what flicker is left after the filter. Not in a shadow
+ * root, because url() filters only resolve against the document.
+ */
+function createSmoothingCanvas() {
+  const canvas = document.createElement('canvas');
+  canvas.setAttribute('aria-hidden', 'true');
+  canvas.dataset.ssSoftenCanvas = 'true';
+  canvas.style.cssText = 'position: fixed !important; pointer-events: none !important; z-index: 2147483646 !important; margin: 0 !important;';
+  document.body.appendChild(canvas);
+  return canvas;
+}
+
+function createSoftenBadge(video) {
+  const host = document.createElement('div');
+  host.setAttribute('data-ss-soften-badge', 'true');
+  host.style.cssText = 'position: fixed; z-index: 2147483647;';
+  const shadow = host.attachShadow({ mode: 'open' });
 
-    try {
-      ctx.drawImage(video, 0, 0, 64, 36);
-      const frame = sampleFrame(ctx);
+  const badge = document.createElement('div');
+  badge.className = 'badge';
+  badge.setAttribute('role', 'status');
 
-      frameHistory.push(frame);
-      if (frameHistory.length > windowSize) frameHistory.shift();
+  const label = document.createElement('span');
+  label.textContent = '\u26A0\uFE0F Flashing softened';
 
-      let flickerCount = 0;
-      for (let i = 1; i < frameHistory.length; i++) {
-        if (frameDelta(frameHistory[i - 1], frameHistory[i]) > lumaDeltaThreshold) {
-          flickerCount++;
-        }
-      }
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.textContent = 'Show original';
+  btn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    video._ssSoftenDeclined = true;
+    recordIncidentChoice(video._ssSoftening?.incidentId, 'show-original');
+    liftSoftening(video);
+  });
 
-      if (flickerCount >= flickerThreshold) {
-        triggered = true;
-        clearInterval(video._ssIntervalId);
-        video._ssIntervalId = null;
-        delete video.dataset.ssMonitoring;
-        video.pause();
-        showFlickerWarning(video);
-      }
-    } catch {
-      stopFlickerDetection(video);
+  badge.append(label, btn);
+  shadow.appendChild(badge);
+  createShadowStyles(shadow, `
+    :host { all: initial; }
+    .badge {
+      display: flex; align-items: center; gap: 8px;
+      margin: 8px;
+      padding: 6px 10px;
+      border-radius: 6px;
+      background: rgba(8, 8, 22, 0.85);
+      color: var(--warn, #f5a623);
+      font: 600 12px Arial, Helvetica, sans-serif;
+    }
+    button {
+      border: none; border-radius: 4px;
+      padding: 4px 8px;
+      background: var(--accent, #4a90d9); color: #fff;
+      font: 600 11px Arial, Helvetica, sans-serif;
+      cursor: pointer;
     }
-  }, sampleIntervalMs);
+    button:focus-visible { outline: 2px solid #fff; outline-offset: 2px; }
+  `);
+
+  document.body.appendChild(host);
+  return host;
 }
 
-function stopFlickerDetection(video) {
-  if (video._ssIntervalId) {
-    clearInterval(video._ssIntervalId);
-    video._ssIntervalId = null;
-  }
-  delete video.dataset.ssMonitoring;
+/** Keep the badge and smoothing canvas on the video, and feed the canvas. */
+function runSoftenLoop(video, state) {
+  const ctx = state.canvas?.getContext('2d');
+  const step = () => {
+    state.frameId = requestAnimationFrame(step);
+    const r = video.getBoundingClientRect();
+    state.badge.style.top = `${r.top}px`;
+    state.badge.style.left = `${r.left}px`;
+    if (!state.canvas) return;
+
+    Object.assign(state.canvas.style, { top: `${r.top}px`, left: `${r.left}px`, width: `${r.width}px`, height: `${r.height}px` });
+    const w = Math.max(1, Math.round(Math.min(r.width, SOFTEN_SMOOTHING_MAX_WIDTH)));
+    const h = Math.max(1, Math.round(w * (r.height / (r.width || 1))));
+    if (state.canvas.width !== w || state.canvas.height !== h) {
+      state.canvas.width = w;
+      state.canvas.height = h;
+      ctx.globalAlpha = 1;
+      ctx.drawImage(video, 0, 0, w, h);
+    }
+    if (video.readyState < 2) return;
+    ctx.globalAlpha = SOFTEN_SMOOTHING_ALPHA;
+    ctx.drawImage(video, 0, 0, w, h);
+  };
+  step();
 }
 
 // ΓöÇΓöÇ 8. Warning card UI ΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇ
 
-function showFlickerWarning(video) {
-  video._ssWarningHost?.remove();
+/**
+ * @param {Element} target - the video, canvas, background element or SVG
+ * @param {object} [detection] - result from createFlashAnalyzer().push():
+ *   region (fractions of the frame), flashesPerSecond and kind
+ * @param {object} [source] - entry of FLASH_SOURCES; defaults to video
+ * @param {{ prescan?: object, segment?: object }} [lookahead] - pre-scan state
+ *   of a video and the flashing segment the warning is about, which adds the
+ *   timeline scrubber and a "Skip past" action
+ */
+function showFlickerWarning(target, detection, source = FLASH_SOURCES.video, lookahead = {}) {
+  const { segment } = lookahead;
+  const upcoming = segment && target.currentTime < segment.start;
+  target._ssWarningHost?.remove();
+  const incidentId = recordFlashIncident(target, detection, {
+    mediaType: source.noun,
+    action: upcoming ? 'paused' : source.action,
+    trigger: upcoming ? 'look-ahead' : (source.live ? 'live' : 'scan'),
+    timecode: upcoming ? segment.start : undefined
+  });
+
+  if (IS_TOP_FRAME) {
+    renderFlickerWarning(target, detection, source, lookahead, incidentId);
+    return;
+  }
+  reportFlashToTop(target, detection, source, lookahead, incidentId).then(shown => {
+    if (!shown) renderFlickerWarning(target, detection, source, lookahead, incidentId);
+  });
+}
+
+/**
+ * Draw the warning card over target. In the top frame target can also be a
+ * stand-in for media in a child frame (see showFrameWarning()); its buttons
+ * then act on the media through that frame.
+ */
+function renderFlickerWarning(target, detection, source, lookahead, incidentId) {
+  const { prescan, segment } = lookahead;
+  const upcoming = segment && target.currentTime < segment.start;
+  const region = detection?.region;
+  const remote = target._ssRemote;
+  const resume = () => (remote ? sendFrameWarningAction(remote, 'resume') : source.resume(target));
 
   const host = document.createElement('div');
   host.setAttribute('data-ss-warning', 'true');
+  if (remote) host.setAttribute('data-ss-frame-warning', 'true');
 
   const syncPosition = () => {
-    const r = video.getBoundingClientRect();
+    const r = target.getBoundingClientRect();
     const w = Math.max(r.width, 240);
     const h = Math.max(r.height, 140);
     host.style.cssText = `
@@ -909,11 +5254,33 @@ function showFlickerWarning(video) {
 
   const titleEl = document.createElement('h3');
   titleEl.id = 'ss-warn-title';
-  titleEl.textContent = 'Flashing content detected';
+  titleEl.textContent = upcoming ? 'Flashing content ahead' : 'Flashing content detected';
 
   const descEl = document.createElement('p');
   descEl.id = 'ss-warn-desc';
-  descEl.textContent = 'ScreenShield paused this video because it contains rapid brightness or colour changes. Harm reduction only ΓÇö not a medical guarantee.';
+  descEl.textContent = upcoming
+    ? `ScreenShield paused this video just before a section with rapid brightness or colour changes (${formatMediaTime(segment.start)}\u2013${formatMediaTime(segment.end)}). Harm reduction only \u2014 not a medical guarantee.`
+    : `ScreenShield ${source.action} this ${source.noun} because it contains rapid brightness or colour changes. Harm reduction only \u2014 not a medical guarantee.`;
+
+  const whereEl = document.createElement('p');
+  whereEl.className = 'where';
+  const rate = detection?.flashesPerSecond ? ` (${detection.flashesPerSecond} flashes/sec)` : '';
+  const kind = detection?.kind === 'red' ? 'Saturated red flashing' : 'Flashing';
+  whereEl.textContent = `${kind} detected ${describeRegion(region)} of the ${source.noun}${rate}.`;
+  if (remote) whereEl.textContent += ` Embedded from ${remote.url.hostname}.`;
+
+  // Outline the triggering region so the viewer can see which part flashed
+  const marker = document.createElement('div');
+  marker.className = 'region-marker';
+  marker.setAttribute('aria-hidden', 'true');
+  if (region && region.w * region.h < 0.6) {
+    marker.style.left = (region.x * 100) + '%';
+    marker.style.top = (region.y * 100) + '%';
+    marker.style.width = (region.w * 100) + '%';
+    marker.style.height = (region.h * 100) + '%';
+  } else {
+    marker.hidden = true;
+  }
 
   const btns = document.createElement('div');
   btns.className = 'buttons';
@@ -921,16 +5288,57 @@ function showFlickerWarning(video) {
   const allowOnce = document.createElement('button');
   const allowSite = document.createElement('button');
   const keepBlock = document.createElement('button');
-  allowOnce.type = allowSite.type = keepBlock.type = 'button';
+  const skipPast = document.createElement('button');
+  allowOnce.type = allowSite.type = keepBlock.type = skipPast.type = 'button';
   allowOnce.className = 'allow-once';
   allowSite.className = 'allow-site';
   keepBlock.className = 'keep-blocked';
   allowOnce.textContent = 'Show once';
-  allowSite.textContent = 'Always allow this site';
+  allowSite.textContent = 'Always allow\u2026';
+  allowSite.setAttribute('aria-expanded', 'false');
+  allowSite.setAttribute('aria-controls', 'ss-allow-menu');
   keepBlock.textContent = 'Keep blocked';
+  skipPast.className = 'skip-past';
+  if (segment) skipPast.textContent = `Skip to ${formatMediaTime(segment.end + PRESCAN_SKIP_MARGIN_S)}`;
 
+  if (segment) btns.append(skipPast);
   btns.append(allowOnce, allowSite, keepBlock);
-  overlay.append(iconEl, titleEl, descEl, btns);
+
+  // Choices behind "Always allow…", narrowest first
+  const allowMenu = document.createElement('div');
+  allowMenu.className = 'allow-menu';
+  allowMenu.id = 'ss-allow-menu';
+  allowMenu.setAttribute('role', 'group');
+  allowMenu.setAttribute('aria-label', 'Always allow');
+  allowMenu.hidden = true;
+  const saveError = document.createElement('p');
+  saveError.className = 'save-error';
+  saveError.setAttribute('role', 'alert');
+  saveError.hidden = true;
+  for (const option of getAllowOptions(target, source)) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'allow-option';
+    btn.textContent = option.label;
+    if (option.title) btn.title = option.title;
+    btn.addEventListener('click', async () => {
+      try {
+        await option.save();
+      } catch (err) {
+        // Keep the card up: the content stays blocked until the viewer picks again
+        saveError.textContent = `Could not remember this choice (${err?.message || 'storage error'}). Use \u201CShow once\u201D to view it now.`;
+        saveError.hidden = false;
+        return;
+      }
+      recordIncidentChoice(incidentId, option.choice);
+      cleanup();
+      resume();
+    });
+    allowMenu.appendChild(btn);
+  }
+  overlay.append(marker, iconEl, titleEl, descEl, whereEl);
+  if (prescan?.timeline.length) overlay.append(buildFlashScrubber(target, prescan));
+  overlay.append(btns, allowMenu, saveError);
   shadow.appendChild(overlay);
 
   createShadowStyles(shadow, `
@@ -949,13 +5357,44 @@ function showFlickerWarning(video) {
       animation: fadeIn 0.4s ease forwards;
       font-family: Arial, Helvetica, sans-serif;
       text-align: center;
-      color: #e8e8f0;
+      color: var(--text, #e8e8f0);
+      position: relative;
+    }
+    .overlay > :not(.region-marker) { position: relative; }
+    .region-marker {
+      position: absolute;
+      box-sizing: border-box;
+      border: 2px dashed var(--warn, #f5a623);
+      border-radius: 4px;
+      background: var(--warn-dim, rgba(245, 166, 35, 0.08));
+      pointer-events: none;
     }
+    .region-marker[hidden] { display: none; }
     @keyframes fadeIn { from { opacity: 0; } to { opacity: 1; } }
     .icon  { font-size: 1.8rem; margin-bottom: 8px; line-height: 1; }
     h3     { margin: 0 0 6px; font-size: 0.95rem; font-weight: 700; color: #fff; }
-    p      { margin: 0 0 16px; font-size: 0.78rem; color: #9090b8; max-width: 280px; line-height: 1.5; }
+    p      { margin: 0 0 16px; font-size: 0.78rem; color: var(--text-muted, #9090b8); max-width: 280px; line-height: 1.5; }
+    #ss-warn-desc { margin-bottom: 6px; }
+    .where { color: var(--warn, #f5a623); font-weight: 600; }
     .buttons { display: flex; flex-wrap: wrap; gap: 8px; justify-content: center; }
+    .scrubber-wrap { width: 100%; max-width: 280px; margin: 0 0 14px; }
+    .scrubber {
+      position: relative;
+      height: 8px;
+      border-radius: 4px;
+      background: var(--border, #2d2d4a);
+      overflow: hidden;
+    }
+    .scrubber > div { position: absolute; top: 0; bottom: 0; }
+    .scrubber .scanned { background: var(--surface-hover, #44445a); }
+    .scrubber .flash-marker { background: var(--warn, #f5a623); }
+    .scrubber .flash-marker.red { background: var(--error, #e53935); }
+    .scrubber .playhead { width: 2px; margin-left: -1px; background: #fff; }
+    .scrubber-labels {
+      display: flex; justify-content: space-between;
+      margin-top: 4px;
+      font-size: 0.68rem; color: var(--text-muted, #9090b8);
+    }
     button {
       border: none; border-radius: 6px;
       padding: 8px 14px; font-size: 0.82rem; font-weight: 600;
@@ -964,36 +5403,387 @@ function showFlickerWarning(video) {
     }
     button:hover         { filter: brightness(1.18); }
     button:focus-visible { outline: 2px solid #fff; outline-offset: 2px; }
-    .allow-once   { background: #4a90d9; color: #fff; }
-    .allow-site   { background: #2e7d32; color: #fff; }
-    .keep-blocked { background: #2d2d4a; color: #c0c0d8; border: 1px solid #44445a; }
+    .allow-once   { background: var(--accent, #4a90d9); color: #fff; }
+    .allow-site   { background: var(--allow, #2e7d32); color: #fff; }
+    .keep-blocked { background: var(--border, #2d2d4a); color: var(--text, #c0c0d8); border: 1px solid var(--surface-hover, #44445a); }
+    .skip-past    { background: var(--warn, #f5a623); color: var(--surface, #1a1a2e); }
+    .allow-menu {
+      display: flex; flex-direction: column; align-items: stretch; gap: 6px;
+      margin-top: 10px; width: 100%; max-width: 280px;
+    }
+    .allow-menu[hidden] { display: none; }
+    .allow-option {
+      background: var(--border, #2d2d4a); color: #fff; border: 1px solid var(--allow, #2e7d32);
+      overflow: hidden; text-overflow: ellipsis; white-space: nowrap;
+    }
+    .save-error { margin: 10px 0 0; color: var(--error, #e53935); font-weight: 600; }
+    .save-error[hidden] { display: none; }
   `);
 
   const cleanup = () => {
     host.remove();
     window.removeEventListener('scroll', onScroll);
     window.removeEventListener('resize', onResize);
-    video._ssWarningHost = null;
+    target._ssWarningHost = null;
+    if (remote) forgetFrameWarning(remote.id);
   };
+  if (remote) {
+    remote.close = cleanup;
+    remote.reposition = syncPosition;
+  }
 
-  allowOnce.addEventListener('click', () => { cleanup(); video.play(); });
+  allowOnce.addEventListener('click', () => {
+    recordIncidentChoice(incidentId, 'show-once');
+    cleanup();
+    if (segment) segment.acknowledged = true;
+    resume();
+  });
 
-  allowSite.addEventListener('click', async () => {
-    const hostname = window.location.hostname;
-    try {
+  skipPast.addEventListener('click', () => {
+    recordIncidentChoice(incidentId, 'skipped');
+    cleanup();
+    segment.acknowledged = true;
+    if (remote) {
+      sendFrameWarningAction(remote, 'skip');
+      return;
+    }
+    target.currentTime = segment.end + PRESCAN_SKIP_MARGIN_S;
+    target.play();
+  });
+
+  allowSite.addEventListener('click', () => {
+    allowMenu.hidden = !allowMenu.hidden;
+    allowSite.setAttribute('aria-expanded', String(!allowMenu.hidden));
+    if (!allowMenu.hidden) allowMenu.firstChild?.focus();
+  });
+
+  keepBlock.addEventListener('click', () => {
+    recordIncidentChoice(incidentId, 'keep-blocked');
+    cleanup();
+    if (remote) sendFrameWarningAction(remote, 'keep-blocked');
+  });
+
+  document.body.appendChild(host);
+  target._ssWarningHost = host;
+}
+
+/**
+ * What the warning card can remember for this target: the media itself when
+ * it has a URL, the current path prefix, flashing content on the whole site,
+ * or (as before) every ScreenShield feature on the site. For media in a child
+ * frame these are the frame's own URL and site, which is where rules match.
+ */
+function getAllowOptions(target, source) {
+  const remote = target._ssRemote;
+  const { hostname } = remote ? remote.url : window.location;
+  const options = [];
+
+  const key = remote ? remote.mediaKey : getMediaKey(target);
+  if (key) {
+    options.push({
+      label: `This ${source.noun}`,
+      title: key,
+      choice: 'allow-media',
+      save: async () => {
+        await addAllowRule({ feature: 'seizure', scope: 'media', value: key });
+        if (!remote && target.tagName === 'VIDEO') stopPrescan(target);
+      }
+    });
+  }
+  const prefix = getPathPrefix(remote ? remote.url : window.location);
+  if (prefix) {
+    options.push({
+      label: `Flashing content under ${prefix}`,
+      choice: 'allow-path',
+      save: () => addAllowRule({ feature: 'seizure', scope: 'path', value: prefix })
+    });
+  }
+  options.push({
+    label: `Flashing content on ${hostname}`,
+    title: 'Dyslexia and colour modes stay on',
+    choice: 'allow-site',
+    save: () => addAllowRule({ feature: 'seizure', scope: 'site', value: hostname })
+  });
+  options.push({
+    label: `Everything on ${hostname}`,
+    title: 'Turns off every ScreenShield filter on this site',
+    choice: 'allow-everything',
+    save: async () => {
       const { allowlist = [] } = await browser.storage.sync.get('allowlist');
       if (!allowlist.includes(hostname)) {
         await browser.storage.sync.set({ allowlist: [...allowlist, hostname] });
       }
-    } catch { /* best-effort */ }
-    cleanup();
-    video.play();
+    }
   });
+  return options;
+}
 
-  keepBlock.addEventListener('click', () => { cleanup(); });
+// ── Incident log ─────────────────────────────────────────────────────────────
+// Every warning, softened video and replaced image is recorded so problem
+// pages can be documented and reported to their owners. Incidents stay in
+// storage.local on this device; the background script appends them one at a
+// time so tabs cannot overwrite each other. See src/incidents/ for the viewer.
 
-  document.body.appendChild(host);
-  video._ssWarningHost = host;
+/**
+ * @param {Element} target - the flagged element
+ * @param {object|null} detection - analyzer result, null when it was unreadable
+ * @param {{ mediaType: string, action: string, trigger?: string, timecode?: number }} details
+ * @returns {string} incident id, for recordIncidentChoice()
+ */
+function recordFlashIncident(target, detection, details) {
+  const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  const timecode = details.timecode ?? (target.tagName === 'VIDEO' ? target.currentTime : null);
+  const incident = {
+    id,
+    timestamp: new Date().toISOString(),
+    // Frames can be data: or carry long query strings; both URLs are shortened
+    pageUrl: shortenMediaURL(window.location.href),
+    mediaUrl: getMediaKey(target) || '',
+    mediaType: details.mediaType,
+    flashesPerSecond: detection?.flashesPerSecond ?? null,
+    lumaDelta: detection ? Math.round(detection.lumaDelta * 1000) / 1000 : null,
+    kind: detection?.kind || null,
+    timecode: Number.isFinite(timecode) ? Math.round(timecode * 10) / 10 : null,
+    trigger: details.trigger || 'live',
+    action: details.action,
+    choice: null
+  };
+  browser.runtime.sendMessage({ action: 'flash-incident', incident }).catch(() => {});
+  return id;
+}
+
+function updateFlashIncident(id, changes) {
+  if (!id) return;
+  browser.runtime.sendMessage({ action: 'flash-incident-update', id, changes }).catch(() => {});
+}
+
+function recordIncidentChoice(id, choice) {
+  updateFlashIncident(id, { choice });
+}
+
+// ── Frames ───────────────────────────────────────────────────────────────────
+// The content script runs in every frame so embedded players, ad iframes and
+// the like are protected too. Child frames only run seizure-safe mode and do
+// not draw the warning card: a small ad frame has no room for it. They hand
+// it to the top frame through the background script, which adds the
+// reporting frame's id and URL from the browser rather than from the page,
+// and the viewer's choice comes back the same way. Where the media sits on
+// screen travels up the window.parent chain by postMessage, each frame adding
+// the offset of the iframe it came from. Those messages pass through pages, so
+// each carries a nonce the top frame got with the warning itself, and is only
+// taken from the child frame it first came through. When no top frame takes
+// the card (its page cannot be scripted), the child draws it after all.
+
+const FRAME_RECT_MESSAGE = 'screenshield:frame-rect';
+const FRAME_RECTS_MAX = 50;
+
+const frameWarnings = new Map();   // child frames: id -> { target, source, segment, onMove }
+const remoteWarnings = new Map();  // top frame: id -> stand-in target for renderFlickerWarning()
+const frameRects = new Map();      // top frame: id -> { frame, rect, nonce } with rect in the frame's viewport
+
+/**
+ * Child frames: hand a warning to the top frame.
+ * @returns {Promise<boolean>} false when no top frame drew it
+ */
+async function reportFlashToTop(target, detection, source, lookahead, incidentId) {
+  const { prescan, segment } = lookahead;
+  const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  const nonce = Array.from(crypto.getRandomValues(new Uint32Array(4)), n => n.toString(36)).join('');
+  const entry = { target, source, segment, onMove: () => postFrameRect(id, nonce, target) };
+  frameWarnings.set(id, entry);
+  target._ssWarningHost = { frameWarningId: id, remove: () => closeFrameWarning(id, true) };
+  window.addEventListener('scroll', entry.onMove, { passive: true });
+  window.addEventListener('resize', entry.onMove, { passive: true });
+  postFrameRect(id, nonce, target);
+
+  const warning = {
+    id,
+    nonce,
+    incidentId,
+    sourceKey: Object.keys(FLASH_SOURCES).find(key => FLASH_SOURCES[key] === source),
+    detection,
+    tagName: target.tagName,
+    currentTime: target.currentTime,
+    duration: target.duration,
+    mediaKey: getMediaKey(target),
+    prescan: prescan && { timeline: prescan.timeline, scannedFrom: prescan.scannedFrom, scannedTo: prescan.scannedTo },
+    segment: segment && { start: segment.start, end: segment.end }
+  };
+  let shown = false;
+  try {
+    shown = await browser.runtime.sendMessage({ action: 'frame-flash-warning', warning });
+  } catch { /* no top frame listening */ }
+  if (!shown) closeFrameWarning(id, false);
+  return !!shown;
+}
+
+function postFrameRect(id, nonce, target) {
+  const { left, top, width, height } = target.getBoundingClientRect();
+  postToParentFrame({ type: FRAME_RECT_MESSAGE, id, nonce, rect: { left, top, width, height } });
+}
+
+/** postMessage to the parent, addressed to its origin where the browser says what it is. */
+function postToParentFrame(message) {
+  const origin = window.location.ancestorOrigins?.[0];
+  window.parent.postMessage(message, origin && origin !== 'null' ? origin : '*');
+}
+
+function closeFrameWarning(id, notifyTop) {
+  const entry = frameWarnings.get(id);
+  if (!entry) return;
+  frameWarnings.delete(id);
+  window.removeEventListener('scroll', entry.onMove);
+  window.removeEventListener('resize', entry.onMove);
+  if (entry.target._ssWarningHost?.frameWarningId === id) entry.target._ssWarningHost = null;
+  if (notifyTop) browser.runtime.sendMessage({ action: 'frame-flash-close', id }).catch(() => {});
+}
+
+/** Child frames: carry out the choice made on the top frame's card. */
+function applyFrameWarningAction(id, command) {
+  const entry = frameWarnings.get(id);
+  if (!entry) return;
+  const { target, source, segment } = entry;
+  closeFrameWarning(id, false);
+  if (command === 'keep-blocked') return;
+  if (segment) segment.acknowledged = true;
+  if (command === 'skip' && segment) {
+    target.currentTime = segment.end + PRESCAN_SKIP_MARGIN_S;
+    target.play();
+  } else {
+    source.resume(target);
+  }
+}
+
+/** Top frame: draw a warning a child frame reported. */
+function showFrameWarning({ warning, frameId, frameUrl }) {
+  const source = FLASH_SOURCES[warning?.sourceKey];
+  if (!source) return false;
+  let url;
+  try {
+    url = new URL(frameUrl);
+  } catch {
+    return false;
+  }
+  // Just enough of the element for the card; see renderFlickerWarning()
+  const target = {
+    tagName: warning.tagName,
+    currentTime: warning.currentTime,
+    duration: warning.duration,
+    _ssWarningHost: null,
+    _ssRemote: { id: warning.id, nonce: warning.nonce, frameId, url, mediaKey: warning.mediaKey },
+    getBoundingClientRect: () => getFrameWarningRect(warning.id)
+  };
+  remoteWarnings.set(warning.id, target);
+  // A rect can arrive before its warning; one that does not match it is dropped
+  if (frameRects.has(warning.id) && frameRects.get(warning.id).nonce !== warning.nonce) frameRects.delete(warning.id);
+  renderFlickerWarning(target, warning.detection, source, {
+    prescan: warning.prescan,
+    segment: warning.segment
+  }, warning.incidentId);
+  return true;
+}
+
+function sendFrameWarningAction(remote, command) {
+  browser.runtime.sendMessage({
+    action: 'frame-flash-action',
+    frameId: remote.frameId,
+    id: remote.id,
+    command
+  }).catch(() => {});
+}
+
+function forgetFrameWarning(id) {
+  remoteWarnings.delete(id);
+  frameRects.delete(id);
+}
+
+/**
+ * Where a child frame's media is in the top frame's viewport, clipped to the
+ * iframe. Until the frame has said where it is, the card sits mid-screen.
+ */
+function getFrameWarningRect(id) {
+  const located = frameRects.get(id);
+  if (!located?.frame.isConnected) {
+    const width = Math.min(360, window.innerWidth);
+    const height = 220;
+    return { left: (window.innerWidth - width) / 2, top: (window.innerHeight - height) / 2, width, height };
+  }
+  const origin = getFrameContentOrigin(located.frame);
+  const box = located.frame.getBoundingClientRect();
+  const { rect } = located;
+  const left = Math.max(origin.left + rect.left, box.left);
+  const top = Math.max(origin.top + rect.top, box.top);
+  const right = Math.min(origin.left + rect.left + rect.width, box.right);
+  const bottom = Math.min(origin.top + rect.top + rect.height, box.bottom);
+  if (right <= left || bottom <= top) {
+    return { left: origin.left + rect.left, top: origin.top + rect.top, width: rect.width, height: rect.height };
+  }
+  return { left, top, width: right - left, height: bottom - top };
+}
+
+/** Viewport position of an iframe's content box. */
+function getFrameContentOrigin(frame) {
+  const box = frame.getBoundingClientRect();
+  const style = getComputedStyle(frame);
+  return {
+    left: box.left + frame.clientLeft + (parseFloat(style.paddingLeft) || 0),
+    top: box.top + frame.clientTop + (parseFloat(style.paddingTop) || 0)
+  };
+}
+
+function findChildFrame(win) {
+  if (!win) return null;
+  return querySelectorAllDeep('iframe, frame').find(frame => frame.contentWindow === win) || null;
+}
+
+function isFrameRect(rect) {
+  return !!rect && ['left', 'top', 'width', 'height'].every(key => Number.isFinite(rect[key]));
+}
+
+window.addEventListener('message', event => {
+  const { data } = event;
+  if (data?.type !== FRAME_RECT_MESSAGE || typeof data.id !== 'string' || typeof data.nonce !== 'string' ||
+      !isFrameRect(data.rect)) return;
+  if (IS_TOP_FRAME) {
+    const known = frameRects.get(data.id);
+    const remote = remoteWarnings.get(data.id)?._ssRemote;
+    if (remote && remote.nonce !== data.nonce) return;
+    if (known && (known.nonce !== data.nonce || known.frame.contentWindow !== event.source)) return;
+    const frame = known?.frame || findChildFrame(event.source);
+    if (!frame) return;
+    if (!known && frameRects.size >= FRAME_RECTS_MAX) frameRects.delete(frameRects.keys().next().value);
+    frameRects.set(data.id, { frame, rect: data.rect, nonce: data.nonce });
+    remote?.reposition?.();
+    return;
+  }
+  const frame = findChildFrame(event.source);
+  if (!frame) return;
+  // Pass it on up in this frame's coordinates
+  const origin = getFrameContentOrigin(frame);
+  const { left, top, width, height } = data.rect;
+  postToParentFrame({
+    type: FRAME_RECT_MESSAGE,
+    id: data.id,
+    nonce: data.nonce,
+    rect: { left: left + origin.left, top: top + origin.top, width, height }
+  });
+});
+
+browser.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (IS_TOP_FRAME && msg.action === 'frame-flash-warning') {
+    sendResponse(showFrameWarning(msg));
+  } else if (IS_TOP_FRAME && msg.action === 'frame-flash-close') {
+    remoteWarnings.get(msg.id)?._ssRemote.close?.();
+  } else if (!IS_TOP_FRAME && msg.action === 'frame-flash-action') {
+    applyFrameWarningAction(msg.id, msg.command);
+  }
+});
+
+if (!IS_TOP_FRAME) {
+  // A removed or navigated frame takes its media with it
+  window.addEventListener('pagehide', () => {
+    [...frameWarnings.keys()].forEach(id => closeFrameWarning(id, true));
+  });
 }
 
 // ΓöÇΓöÇ 9. TTS + Chat Reader ΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇ
@@ -1241,13 +6031,13 @@ function injectChatReaderPanel() {
       pointer-events: auto;
       width: 340px;
       max-height: 440px;
-      background: #13131f;
-      border: 1px solid #a855f7;
+      background: var(--bg, #13131f);
+      border: 1px solid var(--tts, #a855f7);
       border-radius: 14px;
-      box-shadow: 0 8px 32px rgba(0,0,0,0.55), 0 0 0 1px rgba(168,85,247,0.2);
+      box-shadow: 0 8px 32px rgba(0,0,0,0.55), 0 0 0 1px var(--tts-dim, rgba(168,85,247,0.2));
       font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif;
       font-size: 13px;
-      color: #e8e8f0;
+      color: var(--text, #e8e8f0);
       display: flex;
       flex-direction: column;
       overflow: hidden;
@@ -1265,7 +6055,7 @@ function injectChatReaderPanel() {
     /* Header */
     .tts-header {
       padding: 10px 14px;
-      border-bottom: 1px solid #2d2d4a;
+      border-bottom: 1px solid var(--border, #2d2d4a);
       flex-shrink: 0;
       user-select: none;
     }
@@ -1280,18 +6070,18 @@ function injectChatReaderPanel() {
       font-size: 12px;
       letter-spacing: 0.05em;
       text-transform: uppercase;
-      color: #a855f7;
+      color: var(--tts, #a855f7);
     }
     .tts-status {
       flex: 1;
       font-size: 10px;
-      color: #5a5a7e;
+      color: var(--text-muted, #5a5a7e);
       text-align: right;
       padding-right: 4px;
       font-weight: 500;
     }
     .tts-status.speaking {
-      color: #22c55e;
+      color: var(--on, #22c55e);
       animation: pulse 1.5s ease infinite;
     }
     @keyframes pulse {
@@ -1299,7 +6089,7 @@ function injectChatReaderPanel() {
       50%      { opacity: 0.5; }
     }
     .tts-badge {
-      background: #a855f7;
+      background: var(--tts, #a855f7);
       color: #fff;
       font-size: 9px;
       font-weight: 700;
@@ -1323,9 +6113,9 @@ function injectChatReaderPanel() {
     }
     .tts-feed::-webkit-scrollbar { width: 4px; }
     .tts-feed::-webkit-scrollbar-track { background: transparent; }
-    .tts-feed::-webkit-scrollbar-thumb { background: #3d3d5c; border-radius: 2px; }
+    .tts-feed::-webkit-scrollbar-thumb { background: var(--surface-hover, #3d3d5c); border-radius: 2px; }
     .tts-empty {
-      color: #5a5a7e;
+      color: var(--text-muted, #5a5a7e);
       font-size: 11px;
       text-align: center;
       padding: 18px 8px;
@@ -1333,7 +6123,7 @@ function injectChatReaderPanel() {
     }
     .tts-msg {
       padding: 6px 0;
-      border-bottom: 1px solid #1e1e35;
+      border-bottom: 1px solid var(--surface-2, #1e1e35);
       animation: fadeMsg 0.4s ease;
       line-height: 1.45;
     }
@@ -1344,24 +6134,24 @@ function injectChatReaderPanel() {
     }
     .tts-msg-sender {
       font-weight: 600;
-      color: #a855f7;
+      color: var(--tts, #a855f7);
       font-size: 11px;
       margin-right: 4px;
     }
-    .tts-msg-sender.asl  { color: #22c55e; }
-    .tts-msg-sender.caption { color: #f59e0b; }
+    .tts-msg-sender.asl  { color: var(--on, #22c55e); }
+    .tts-msg-sender.caption { color: var(--warn, #f59e0b); }
     .tts-msg-text {
-      color: #d0d0e8;
+      color: var(--text, #d0d0e8);
       font-size: 12px;
     }
     .tts-msg-time {
       display: block;
       font-size: 9px;
-      color: #5a5a7e;
+      color: var(--text-muted, #5a5a7e);
       margin-top: 2px;
     }
     .tts-msg.highlight {
-      background: rgba(168,85,247,0.08);
+      background: var(--tts-faint, rgba(168,85,247,0.08));
       border-radius: 6px;
       padding: 6px 8px;
       margin: 2px -8px;
@@ -1372,29 +6162,29 @@ function injectChatReaderPanel() {
       display: flex;
       gap: 6px;
       padding: 8px 12px;
-      border-top: 1px solid #2d2d4a;
+      border-top: 1px solid var(--border, #2d2d4a);
       flex-shrink: 0;
     }
     .tts-input {
       flex: 1;
-      background: #1e1e35;
-      border: 1px solid #3d3d5c;
+      background: var(--surface-2, #1e1e35);
+      border: 1px solid var(--surface-hover, #3d3d5c);
       border-radius: 8px;
       padding: 7px 10px;
-      color: #e8e8f0;
+      color: var(--text, #e8e8f0);
       font-size: 12px;
       font-family: inherit;
       outline: none;
       transition: border-color 0.15s;
     }
-    .tts-input:focus { border-color: #a855f7; }
-    .tts-input::placeholder { color: #5a5a7e; }
+    .tts-input:focus { border-color: var(--tts, #a855f7); }
+    .tts-input::placeholder { color: var(--text-muted, #5a5a7e); }
 
     /* Buttons */
     .tts-btn {
-      background: #2d2d4a;
-      border: 1px solid #3d3d5c;
-      color: #e8e8f0;
+      background: var(--border, #2d2d4a);
+      border: 1px solid var(--surface-hover, #3d3d5c);
+      color: var(--text, #e8e8f0);
       border-radius: 6px;
       padding: 5px 10px;
       cursor: pointer;
@@ -1404,28 +6194,28 @@ function injectChatReaderPanel() {
       transition: background 0.15s, border-color 0.15s;
       white-space: nowrap;
     }
-    .tts-btn:hover { background: #3d3d5c; }
-    .tts-btn:focus-visible { outline: 2px solid #a855f7; outline-offset: 2px; }
+    .tts-btn:hover { background: var(--surface-hover, #3d3d5c); }
+    .tts-btn:focus-visible { outline: 2px solid var(--tts, #a855f7); outline-offset: 2px; }
     .tts-speak-btn {
-      background: #a855f7;
-      border-color: #a855f7;
+      background: var(--tts, #a855f7);
+      border-color: var(--tts, #a855f7);
       color: #fff;
     }
-    .tts-speak-btn:hover { background: #9333ea; }
+    .tts-speak-btn:hover { background: var(--tts-hover, #9333ea); }
     .tts-minimize { font-size: 14px; padding: 2px 8px; line-height: 1; }
     .tts-mute-btn { font-size: 14px; padding: 4px 8px; }
     .tts-mute-btn.muted {
-      background: #7f1d1d;
-      border-color: #991b1b;
-      color: #fca5a5;
+      background: var(--error-bg, #7f1d1d);
+      border-color: var(--error, #991b1b);
+      color: var(--error-text, #fca5a5);
     }
 
     /* Voice select */
     .tts-voice-select {
-      background: #1e1e35;
-      border: 1px solid #3d3d5c;
+      background: var(--surface-2, #1e1e35);
+      border: 1px solid var(--surface-hover, #3d3d5c);
       border-radius: 6px;
-      color: #d0d0e8;
+      color: var(--text, #d0d0e8);
       font-size: 10px;
       font-family: inherit;
       padding: 4px 6px;
@@ -1433,8 +6223,8 @@ function injectChatReaderPanel() {
       outline: none;
       cursor: pointer;
     }
-    .tts-voice-select:focus { border-color: #a855f7; }
-    .tts-voice-select option { background: #1e1e35; color: #d0d0e8; }
+    .tts-voice-select:focus { border-color: var(--tts, #a855f7); }
+    .tts-voice-select option { background: var(--surface-2, #1e1e35); color: var(--text, #d0d0e8); }
 
     /* Controls */
     .tts-controls {
@@ -1442,13 +6232,13 @@ function injectChatReaderPanel() {
       align-items: center;
       gap: 6px;
       padding: 8px 12px;
-      border-top: 1px solid #2d2d4a;
+      border-top: 1px solid var(--border, #2d2d4a);
       flex-shrink: 0;
       flex-wrap: wrap;
     }
     .tts-rate-label {
       font-size: 10px;
-      color: #8888aa;
+      color: var(--text-muted, #8888aa);
       font-weight: 500;
       white-space: nowrap;
     }
@@ -1459,7 +6249,7 @@ function injectChatReaderPanel() {
       -webkit-appearance: none;
       height: 3px;
       border-radius: 2px;
-      background: #3d3d5c;
+      background: var(--surface-hover, #3d3d5c);
       outline: none;
       cursor: pointer;
     }
@@ -1468,7 +6258,7 @@ function injectChatReaderPanel() {
       width: 12px;
       height: 12px;
       border-radius: 50%;
-      background: #a855f7;
+      background: var(--tts, #a855f7);
       cursor: pointer;
     }
     .tts-rate-slider::-moz-range-thumb {
@@ -1476,13 +6266,13 @@ function injectChatReaderPanel() {
       height: 12px;
       border: none;
       border-radius: 50%;
-      background: #a855f7;
+      background: var(--tts, #a855f7);
       cursor: pointer;
     }
     .tts-rate-val {
       font-size: 11px;
       font-weight: 700;
-      color: #a855f7;
+      color: var(--tts, #a855f7);
       min-width: 28px;
       text-align: center;
     }
@@ -1966,6 +6756,400 @@ function parseGenericMessage(node) {
   return { sender: 'Chat', text };
 }
 
+// ── Page read-aloud ──
+// Reads the page's article (see findArticleNodes() in lib/reader-extract.js),
+// or the reader view's while it is open, one sentence at a time, and marks
+// the sentence and the word being spoken in place with the CSS Custom
+// Highlight API, so the page's markup is never touched. Each block's text is
+// the text nodes it holds directly, and sentences are offsets into it, mapped
+// back to nodes at each word so text the page re-renders is still found.
+// These highlights paint above the dyslexia text transforms. Word positions
+// come from the utterance's boundary events, which installed voices send
+// (network voices mostly do not, so one is picked when there is one).
+// speechSynthesis is shared with the Chat Reader and the page, so speech is
+// only paused or cancelled while one of our utterances is the one speaking; an
+// utterance still queued behind other speech is dealt with when it starts.
+// Opening or closing the reader view stops reading.
+
+const SS_READ_ALOUD_HOST_ID = 'screenshield-read-aloud';
+const SS_READ_ALOUD_CSS_ID = 'screenshield-read-aloud-css';
+/** Regions whose text is never read. */
+const READ_ALOUD_SKIP = 'script, style, noscript, template, textarea, select, option, button, svg, math, ' +
+  'iframe, canvas, title, nav, aside, footer, form, [hidden], [aria-hidden="true"]';
+/** Shared with the reader view's shadow root. */
+const READ_ALOUD_CSS = `
+  ::highlight(ss-read-sentence) { background-color: rgba(255, 213, 79, 0.3); }
+  ::highlight(ss-read-word) { background-color: #ffd54f; color: #1a1a1a; }
+`;
+/** The spoken word from a boundary's index, for engines that send no charLength. */
+const READ_ALOUD_WORD = /[\p{L}\p{M}\p{N}]+(?:['’][\p{L}\p{M}\p{N}]+)*/uy;
+
+/**
+ * Reading state: { sentences, index, offset, playing, utterance, speaking, host, shadow }.
+ * sentences are { block, start, end, text, lang }; offset is where speech
+ * resumes in the current sentence. utterance is the one queued for the current
+ * sentence, and speaking is set once it has started and until it ends.
+ */
+let readAloud = null;
+
+function toggleReadAloud(on = !readAloud) {
+  if (on) startReadAloud();
+  else stopReadAloud();
+}
+
+function startReadAloud() {
+  if (readAloud || typeof speechSynthesis === 'undefined' || !document.body) {
+    updateReadAloudControls();
+    return;
+  }
+  const article = readerView?.shadow.querySelector('article');
+  const roots = article ? [article] : findArticleNodes(document);
+  const sentences = collectReadAloudSentences(roots.length ? roots : [document.body]);
+  if (!sentences.length) {
+    updateReadAloudControls();
+    return;
+  }
+
+  if (!document.getElementById(SS_READ_ALOUD_CSS_ID)) {
+    const style = document.createElement('style');
+    style.id = SS_READ_ALOUD_CSS_ID;
+    style.textContent = READ_ALOUD_CSS;
+    (document.head || document.documentElement).appendChild(style);
+  }
+  // Start at the first sentence still on screen
+  const first = sentences.findIndex(s => s.block.getBoundingClientRect().bottom > 0);
+  readAloud = { sentences, index: Math.max(0, first), offset: 0, playing: true, utterance: null, speaking: null };
+  injectReadAloudBar();
+  speakReadAloudSentence();
+}
+
+function stopReadAloud() {
+  if (!readAloud) return;
+  const state = readAloud;
+  readAloud = null;
+  cancelReadAloudSpeech(state);
+  if (typeof CSS !== 'undefined' && CSS.highlights) {
+    CSS.highlights.delete('ss-read-sentence');
+    CSS.highlights.delete('ss-read-word');
+  }
+  document.getElementById(SS_READ_ALOUD_CSS_ID)?.remove();
+  state.host?.remove();
+  updateReadAloudControls();
+}
+
+/**
+ * Every sentence under roots, in page order. A block is the nearest ancestor
+ * that is not inline; its text nodes are read as one string.
+ */
+function collectReadAloudSentences(roots) {
+  const blocks = [];
+  const seen = new Set();
+  for (const root of roots) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode: node => isReadAloudText(node) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT
+    });
+    while (walker.nextNode()) {
+      const block = getReadAloudBlock(walker.currentNode);
+      if (!seen.has(block)) {
+        seen.add(block);
+        blocks.push(block);
+      }
+    }
+  }
+
+  const sentences = [];
+  for (const block of blocks) {
+    const text = getReadAloudText(block).map(node => node.data).join('');
+    const lang = getTextLanguage(block);
+    const segments = typeof Intl.Segmenter === 'function'
+      ? [...new Intl.Segmenter(lang, { granularity: 'sentence' }).segment(text)].map(s => ({ start: s.index, text: s.segment }))
+      : [...text.matchAll(/[^.!?]+[.!?]*\s*/g)].map(m => ({ start: m.index, text: m[0] }));
+    for (const segment of segments) {
+      if (!/[\p{L}\p{N}]/u.test(segment.text)) continue;
+      // Leading and trailing space would only widen the highlight
+      const lead = segment.text.length - segment.text.trimStart().length;
+      const trimmed = segment.text.trim();
+      const start = segment.start + lead;
+      sentences.push({ block, start, end: start + trimmed.length, text: trimmed, lang });
+    }
+  }
+  return sentences;
+}
+
+function isReadAloudText(node) {
+  const parent = node.parentElement;
+  return !!parent && !parent.closest(READ_ALOUD_SKIP) && !parent.closest(SS_UI_HOST_SELECTOR) &&
+    parent.getClientRects().length > 0;
+}
+
+function isReadAloudInline(el) {
+  return /^(inline|contents)/.test(getComputedStyle(el).display);
+}
+
+function getReadAloudBlock(node) {
+  let el = node.parentElement;
+  while (el.parentElement && isReadAloudInline(el)) el = el.parentElement;
+  return el;
+}
+
+/** The text nodes a block holds directly, in order; looked up again each time, as the page may replace them. */
+function getReadAloudText(block) {
+  const nodes = [];
+  const walker = document.createTreeWalker(block, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+    acceptNode: node => {
+      if (node.nodeType === Node.TEXT_NODE) return isReadAloudText(node) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT;
+      // Nested blocks are read on their own
+      return isReadAloudInline(node) ? NodeFilter.FILTER_SKIP : NodeFilter.FILTER_REJECT;
+    }
+  });
+  while (walker.nextNode()) nodes.push(walker.currentNode);
+  return nodes;
+}
+
+/** A Range over [start, end) of a block's text, or null when the text has changed under it. */
+function getReadAloudRange(block, start, end) {
+  const range = document.createRange();
+  let position = 0;
+  let started = false;
+  for (const node of getReadAloudText(block)) {
+    const next = position + node.data.length;
+    if (!started && start < next) {
+      range.setStart(node, start - position);
+      started = true;
+    }
+    if (started && end <= next) {
+      range.setEnd(node, end - position);
+      return range;
+    }
+    position = next;
+  }
+  return null;
+}
+
+/** Speak the current sentence from readAloud.offset. */
+function speakReadAloudSentence() {
+  const state = readAloud;
+  const sentence = state.sentences[state.index];
+  if (!sentence.block.isConnected) {
+    stopReadAloud();
+    return;
+  }
+  const from = state.offset;
+  const utterance = new SpeechSynthesisUtterance(sentence.text.slice(from));
+  utterance.rate = ttsRate;
+  utterance.lang = sentence.lang;
+  const voice = getLocalVoice(sentence.lang) || ttsVoice;
+  if (voice) utterance.voice = voice;
+  utterance.onstart = () => {
+    if (readAloud === state && state.utterance === utterance) {
+      state.speaking = utterance;
+      // Paused while it waited behind other speech
+      if (!state.playing) speechSynthesis.pause();
+      return;
+    }
+    // Replaced or stopped while queued: now it is ours speaking, so cancel it
+    speechSynthesis.cancel();
+    const current = readAloud;
+    if (current?.playing && !current.speaking) {
+      current.utterance = null;
+      speakReadAloudSentence();
+    }
+  };
+  utterance.onboundary = e => {
+    if (readAloud !== state || state.utterance !== utterance || e.name !== 'word') return;
+    state.offset = from + e.charIndex;
+    highlightReadAloud(e.charLength || 0);
+  };
+  utterance.onend = () => {
+    if (readAloud !== state || state.utterance !== utterance) return;
+    state.utterance = null;
+    state.speaking = null;
+    if (state.index + 1 >= state.sentences.length) {
+      stopReadAloud();
+      return;
+    }
+    state.index++;
+    state.offset = 0;
+    speakReadAloudSentence();
+  };
+  utterance.onerror = e => {
+    if (readAloud !== state || state.utterance !== utterance) return;
+    // Cancelled while we had it paused: lift the pause so other speech plays
+    if (state.speaking && !state.playing) speechSynthesis.resume();
+    state.utterance = null;
+    state.speaking = null;
+    // Other speech cancelled ours (Chat Reader mute, narration): hold here
+    if (e.error === 'interrupted' || e.error === 'canceled') pauseReadAloud();
+    else stopReadAloud();
+  };
+  state.utterance = utterance;
+  state.playing = true;
+  highlightReadAloud(null);
+  sentence.block.scrollIntoView({
+    block: 'nearest',
+    behavior: window.matchMedia('(prefers-reduced-motion: reduce)').matches ? 'auto' : 'smooth'
+  });
+  speechSynthesis.speak(utterance);
+  updateReadAloudControls();
+}
+
+/**
+ * Mark the current sentence, and the word at readAloud.offset unless
+ * wordLength is null; a wordLength of 0 means the engine did not say.
+ */
+function highlightReadAloud(wordLength) {
+  if (typeof CSS === 'undefined' || !CSS.highlights) return;
+  const { sentences, index, offset } = readAloud;
+  const { block, start, end, text } = sentences[index];
+  const sentenceRange = getReadAloudRange(block, start, end);
+  if (sentenceRange) CSS.highlights.set('ss-read-sentence', Object.assign(new Highlight(sentenceRange), { priority: 2 }));
+  else CSS.highlights.delete('ss-read-sentence');
+
+  let wordRange = null;
+  if (wordLength !== null) {
+    READ_ALOUD_WORD.lastIndex = offset;
+    const length = wordLength || READ_ALOUD_WORD.exec(text)?.[0].length || 0;
+    if (length) wordRange = getReadAloudRange(block, start + offset, start + Math.min(offset + length, text.length));
+  }
+  if (wordRange) CSS.highlights.set('ss-read-word', Object.assign(new Highlight(wordRange), { priority: 3 }));
+  else CSS.highlights.delete('ss-read-word');
+}
+
+/**
+ * Cancel the reader's speech: the engine only if our utterance is speaking,
+ * resuming it in case we had paused it. A queued one cancels itself on start.
+ */
+function cancelReadAloudSpeech(state) {
+  const { speaking } = state;
+  state.utterance = null;
+  state.speaking = null;
+  if (!speaking) return;
+  speechSynthesis.cancel();
+  speechSynthesis.resume();
+}
+
+function pauseReadAloud() {
+  const state = readAloud;
+  if (!state?.playing) return;
+  state.playing = false;
+  // A queued utterance pauses itself when it starts
+  if (state.speaking) speechSynthesis.pause();
+  updateReadAloudControls();
+}
+
+/** Resume paused speech, or speak the sentence again from the last word if it was cut off. */
+function resumeReadAloud() {
+  const state = readAloud;
+  if (!state || state.playing) return;
+  if (!state.utterance) {
+    speakReadAloudSentence();
+    return;
+  }
+  state.playing = true;
+  if (state.speaking) speechSynthesis.resume();
+  updateReadAloudControls();
+}
+
+/** Move by whole sentences; going back from inside a sentence restarts it first. */
+function stepReadAloud(delta) {
+  const state = readAloud;
+  if (!state) return;
+  const index = delta < 0 && state.offset > 0 ? state.index : state.index + delta;
+  if (index >= state.sentences.length) {
+    stopReadAloud();
+    return;
+  }
+  state.index = Math.max(0, index);
+  state.offset = 0;
+  // A queued utterance speaks the new sentence once it has cancelled itself
+  const queued = state.utterance && !state.speaking;
+  cancelReadAloudSpeech(state);
+  if (state.playing && !queued) {
+    speakReadAloudSentence();
+  } else {
+    highlightReadAloud(null);
+    updateReadAloudControls();
+  }
+}
+
+function injectReadAloudBar() {
+  const host = document.createElement('div');
+  host.id = SS_READ_ALOUD_HOST_ID;
+  const shadow = host.attachShadow({ mode: 'open' });
+  createShadowStyles(shadow, `
+    :host { all: initial; position: fixed; bottom: 16px; left: 50%; transform: translateX(-50%); z-index: 2147483646; }
+    [role="toolbar"] {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      padding: 6px 10px;
+      background: var(--surface, #1a1a2e);
+      color: var(--text, #e8e8f0);
+      border: 1px solid var(--tts, #a855f7);
+      border-radius: 12px;
+      box-shadow: 0 4px 18px rgba(0,0,0,0.45);
+      font: 13px/1.4 Arial, Helvetica, sans-serif;
+    }
+    button {
+      background: var(--border, #2d2d4a);
+      border: 1px solid var(--tts, #a855f7);
+      color: var(--text, #e8e8f0);
+      border-radius: 5px;
+      padding: 4px 9px;
+      font: inherit;
+      font-weight: 700;
+      cursor: pointer;
+    }
+    button:hover { background: var(--surface-hover, #3d3d5c); }
+    button:focus-visible { outline: 2px solid var(--accent, #4a90d9); outline-offset: 2px; }
+    .status { min-width: 6em; color: var(--text-muted, #8888aa); font-variant-numeric: tabular-nums; text-align: center; }
+  `);
+
+  const bar = document.createElement('div');
+  bar.setAttribute('role', 'toolbar');
+  bar.setAttribute('aria-label', 'Read aloud');
+  const makeBtn = (id, label, text, onClick) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.id = id;
+    btn.title = label;
+    btn.setAttribute('aria-label', label);
+    btn.textContent = text;
+    btn.addEventListener('click', onClick);
+    return btn;
+  };
+  const status = document.createElement('span');
+  status.className = 'status';
+  status.id = 'status';
+  bar.append(
+    makeBtn('rewind', 'Back a sentence', '\u23EE', () => stepReadAloud(-1)),
+    makeBtn('play', 'Pause', '\u23F8', () => readAloud?.playing ? pauseReadAloud() : resumeReadAloud()),
+    makeBtn('skip', 'Skip sentence', '\u23ED', () => stepReadAloud(1)),
+    status,
+    makeBtn('stop', 'Stop reading', '\u2715', stopReadAloud)
+  );
+  shadow.appendChild(bar);
+  document.documentElement.appendChild(host);
+  Object.assign(readAloud, { host, shadow });
+}
+
+/** Reflect the reading state in the bar, the dyslexia toolbar, the reader view and the FAB. */
+function updateReadAloudControls() {
+  const on = !!readAloud;
+  document.getElementById(SS_DYSLEXIA_HOST_ID)?.shadowRoot.getElementById('read-aloud')
+    ?.setAttribute('aria-pressed', String(on));
+  readerView?.shadow.getElementById('reader-read-aloud')?.setAttribute('aria-pressed', String(on));
+  const fabCheck = fabShadow?.querySelector('#fab-read-aloud');
+  if (fabCheck) fabCheck.checked = on;
+  if (!readAloud?.shadow) return;
+  const { shadow, playing, index, sentences } = readAloud;
+  const playBtn = shadow.getElementById('play');
+  playBtn.textContent = playing ? '\u23F8' : '\u25B6';
+  playBtn.title = playing ? 'Pause' : 'Resume';
+  playBtn.setAttribute('aria-label', playBtn.title);
+  shadow.getElementById('status').textContent = `${index + 1} / ${sentences.length}`;
+}
+
 // ΓöÇΓöÇ 10. ASL Recognition ΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇ
 
 const SS_ASL_HOST_ID = 'screenshield-asl-host';
@@ -2314,31 +7498,31 @@ function injectASLPanel() {
     :host {
       all: initial;
       display: block;
-      --bg: #0b1020;
-      --panel: #121a2b;
-      --text: #e8eefc;
-      --muted: #97a3bf;
-      --border: #293552;
-      --accent: #702963;
-      --accent-soft: #8a4d80;
-      --accent-strong: #58204e;
-      --accent-ring: rgba(112, 41, 99, 0.45);
-      --danger: #ef4444;
-      --success: #a56498;
+      --asl-bg: #0b1020;
+      --asl-panel: #121a2b;
+      --asl-text: #e8eefc;
+      --asl-muted: #97a3bf;
+      --asl-border: #293552;
+      --asl-accent: var(--accent, #702963);
+      --asl-accent-soft: var(--accent-light, #8a4d80);
+      --asl-accent-strong: var(--accent-hover, #58204e);
+      --asl-accent-ring: var(--accent-ring, rgba(112, 41, 99, 0.45));
+      --asl-danger: var(--error, #ef4444);
+      --asl-success: var(--on, #a56498);
     }
     @media (prefers-color-scheme: light) {
       :host {
-        --bg: #f6f8ff;
-        --panel: #ffffff;
-        --text: #122035;
-        --muted: #5b677f;
-        --border: #d5deef;
-        --accent: #702963;
-        --accent-soft: #8a4d80;
-        --accent-strong: #58204e;
-        --accent-ring: rgba(112, 41, 99, 0.35);
-        --danger: #dc2626;
-        --success: #8a4d80;
+        --asl-bg: #f6f8ff;
+        --asl-panel: #ffffff;
+        --asl-text: #122035;
+        --asl-muted: #5b677f;
+        --asl-border: #d5deef;
+        --asl-accent: var(--accent, #702963);
+        --asl-accent-soft: var(--accent-light, #8a4d80);
+        --asl-accent-strong: var(--accent-hover, #58204e);
+        --asl-accent-ring: var(--accent-ring, rgba(112, 41, 99, 0.35));
+        --asl-danger: var(--error, #dc2626);
+        --asl-success: var(--on, #8a4d80);
       }
     }
     .asl-panel {
@@ -2349,13 +7533,13 @@ function injectASLPanel() {
       min-height: ${ASL_PANEL_MIN_HEIGHT}px;
       max-width: calc(100vw - 24px);
       max-height: calc(100vh - 24px);
-      background: linear-gradient(180deg, color-mix(in srgb, var(--panel) 92%, var(--accent) 8%) 0%, var(--panel) 45%);
-      border: 1px solid var(--border);
+      background: linear-gradient(180deg, color-mix(in srgb, var(--asl-panel) 92%, var(--asl-accent) 8%) 0%, var(--asl-panel) 45%);
+      border: 1px solid var(--asl-border);
       border-radius: 16px;
       box-shadow: 0 16px 40px rgba(0,0,0,0.38);
       font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif;
       font-size: 13px;
-      color: var(--text);
+      color: var(--asl-text);
       overflow: hidden;
       display: flex;
       flex-direction: column;
@@ -2363,7 +7547,7 @@ function injectASLPanel() {
       transition: transform 0.2s ease, box-shadow 0.2s ease;
     }
     .asl-panel:focus-within {
-      box-shadow: 0 0 0 2px var(--accent-ring), 0 16px 40px rgba(0,0,0,0.38);
+      box-shadow: 0 0 0 2px var(--asl-accent-ring), 0 16px 40px rgba(0,0,0,0.38);
     }
     .asl-panel.collapsed .asl-body,
     .asl-panel.collapsed .asl-footer {
@@ -2385,8 +7569,8 @@ function injectASLPanel() {
       align-items: center;
       gap: 10px;
       padding: 12px 14px;
-      border-bottom: 1px solid var(--border);
-      background: color-mix(in srgb, var(--bg) 55%, transparent 45%);
+      border-bottom: 1px solid var(--asl-border);
+      background: color-mix(in srgb, var(--asl-bg) 55%, transparent 45%);
       user-select: none;
       cursor: grab;
     }
@@ -2399,12 +7583,12 @@ function injectASLPanel() {
       font-size: 14px;
       font-weight: 700;
       letter-spacing: 0.01em;
-      color: var(--text);
+      color: var(--asl-text);
     }
     .asl-subtitle {
       margin: 2px 0 0;
       font-size: 11px;
-      color: var(--muted);
+      color: var(--asl-muted);
       white-space: nowrap;
       overflow: hidden;
       text-overflow: ellipsis;
@@ -2418,21 +7602,21 @@ function injectASLPanel() {
       width: 30px;
       height: 30px;
       border-radius: 8px;
-      border: 1px solid var(--border);
-      background: color-mix(in srgb, var(--panel) 86%, #000 14%);
-      color: var(--text);
+      border: 1px solid var(--asl-border);
+      background: color-mix(in srgb, var(--asl-panel) 86%, #000 14%);
+      color: var(--asl-text);
       font-size: 16px;
       line-height: 1;
       cursor: pointer;
       transition: background 0.15s ease, border-color 0.15s ease;
     }
     .asl-icon-btn:hover {
-      background: color-mix(in srgb, var(--panel) 72%, var(--accent-soft) 28%);
-      border-color: color-mix(in srgb, var(--accent) 60%, var(--border) 40%);
+      background: color-mix(in srgb, var(--asl-panel) 72%, var(--asl-accent-soft) 28%);
+      border-color: color-mix(in srgb, var(--asl-accent) 60%, var(--asl-border) 40%);
     }
     .asl-icon-btn.danger:hover {
-      background: color-mix(in srgb, var(--panel) 74%, var(--danger) 26%);
-      border-color: color-mix(in srgb, var(--danger) 62%, var(--border) 38%);
+      background: color-mix(in srgb, var(--asl-panel) 74%, var(--asl-danger) 26%);
+      border-color: color-mix(in srgb, var(--asl-danger) 62%, var(--asl-border) 38%);
     }
     .asl-icon-btn:focus-visible,
     .asl-caps-btn:focus-visible,
@@ -2441,7 +7625,7 @@ function injectASLPanel() {
     .asl-send-btn:focus-visible,
     .asl-clear-btn:focus-visible,
     .asl-screen-btn:focus-visible {
-      outline: 2px solid var(--accent);
+      outline: 2px solid var(--asl-accent);
       outline-offset: 2px;
     }
     .asl-body {
@@ -2476,7 +7660,7 @@ function injectASLPanel() {
     }
     .asl-preview-frame {
       border-radius: 12px;
-      border: 1px solid var(--border);
+      border: 1px solid var(--asl-border);
       overflow: hidden;
       background: #000;
       flex: 1;
@@ -2499,9 +7683,9 @@ function injectASLPanel() {
     .asl-letter-box,
     .asl-captions-wrap,
     .asl-status-row {
-      border: 1px solid var(--border);
+      border: 1px solid var(--asl-border);
       border-radius: 10px;
-      background: color-mix(in srgb, var(--panel) 92%, #000 8%);
+      background: color-mix(in srgb, var(--asl-panel) 92%, #000 8%);
     }
     .asl-letter-box {
       display: flex;
@@ -2513,7 +7697,7 @@ function injectASLPanel() {
     }
     .asl-label {
       font-size: 11px;
-      color: var(--muted);
+      color: var(--asl-muted);
       font-weight: 600;
       letter-spacing: 0.02em;
       white-space: nowrap;
@@ -2522,7 +7706,7 @@ function injectASLPanel() {
       width: auto;
       font-size: 15px;
       font-weight: 750;
-      color: var(--success);
+      color: var(--asl-success);
       font-variant-numeric: tabular-nums;
       letter-spacing: 0.02em;
     }
@@ -2536,8 +7720,8 @@ function injectASLPanel() {
     }
     .asl-captions-box {
       border-radius: 8px;
-      border: 1px solid var(--border);
-      background: color-mix(in srgb, var(--bg) 52%, transparent 48%);
+      border: 1px solid var(--asl-border);
+      background: color-mix(in srgb, var(--asl-bg) 52%, transparent 48%);
       padding: 8px 10px;
       min-height: 40px;
       height: 100%;
@@ -2548,7 +7732,7 @@ function injectASLPanel() {
       font-size: 15px;
       font-weight: 650;
       line-height: 1.4;
-      color: var(--text);
+      color: var(--asl-text);
       min-height: 24px;
       white-space: pre-wrap;
       word-break: break-word;
@@ -2563,11 +7747,11 @@ function injectASLPanel() {
       font-size: 11px;
     }
     .asl-status {
-      color: var(--text);
+      color: var(--asl-text);
       font-weight: 600;
     }
     .asl-confidence {
-      color: var(--muted);
+      color: var(--asl-muted);
       white-space: nowrap;
       font-variant-numeric: tabular-nums;
     }
@@ -2595,9 +7779,9 @@ function injectASLPanel() {
     .asl-screen-btn {
       min-height: 32px;
       border-radius: 8px;
-      border: 1px solid var(--border);
-      background: color-mix(in srgb, var(--panel) 84%, #000 16%);
-      color: var(--text);
+      border: 1px solid var(--asl-border);
+      background: color-mix(in srgb, var(--asl-panel) 84%, #000 16%);
+      color: var(--asl-text);
       padding: 6px 9px;
       cursor: pointer;
       font-size: 11px;
@@ -2610,24 +7794,24 @@ function injectASLPanel() {
     .asl-bksp-btn:hover,
     .asl-clear-btn:hover,
     .asl-screen-btn:hover {
-      background: color-mix(in srgb, var(--panel) 70%, var(--accent-soft) 30%);
-      border-color: color-mix(in srgb, var(--accent) 55%, var(--border) 45%);
+      background: color-mix(in srgb, var(--asl-panel) 70%, var(--asl-accent-soft) 30%);
+      border-color: color-mix(in srgb, var(--asl-accent) 55%, var(--asl-border) 45%);
     }
     .asl-send-btn {
-      background: color-mix(in srgb, var(--accent) 82%, #000 18%);
-      border-color: color-mix(in srgb, var(--accent) 70%, var(--border) 30%);
+      background: color-mix(in srgb, var(--asl-accent) 82%, #000 18%);
+      border-color: color-mix(in srgb, var(--asl-accent) 70%, var(--asl-border) 30%);
       color: #fff;
     }
     .asl-send-btn:hover {
-      background: color-mix(in srgb, var(--accent-strong) 82%, #000 18%);
+      background: color-mix(in srgb, var(--asl-accent-strong) 82%, #000 18%);
     }
     .asl-clear-btn {
       font-size: 12px;
       letter-spacing: 0.01em;
     }
     .asl-caps-btn.active {
-      background: color-mix(in srgb, var(--accent) 78%, #000 22%);
-      border-color: color-mix(in srgb, var(--accent) 65%, var(--border) 35%);
+      background: color-mix(in srgb, var(--asl-accent) 78%, #000 22%);
+      border-color: color-mix(in srgb, var(--asl-accent) 65%, var(--asl-border) 35%);
       color: #fff;
     }
     .asl-resize-handle {
@@ -2647,8 +7831,8 @@ function injectASLPanel() {
       bottom: 3px;
       width: 10px;
       height: 10px;
-      border-right: 2px solid color-mix(in srgb, var(--accent) 75%, #fff 25%);
-      border-bottom: 2px solid color-mix(in srgb, var(--accent) 75%, #fff 25%);
+      border-right: 2px solid color-mix(in srgb, var(--asl-accent) 75%, #fff 25%);
+      border-bottom: 2px solid color-mix(in srgb, var(--asl-accent) 75%, #fff 25%);
       border-radius: 2px;
     }
     .asl-panel.collapsed .asl-resize-handle,
@@ -3383,7 +8567,7 @@ function startVoicePersonalization() {
 }
 
 browser.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.action === 'start-voice-personalization') {
+  if (IS_TOP_FRAME && request.action === 'start-voice-personalization') {
     startVoicePersonalization();
   }
 });
@@ -3442,7 +8626,7 @@ function injectSubtitlesOverlay() {
       color: #cbd5e1;
     }
   `);
-  shadow.adoptedStyleSheets = [sheet];
+  shadow.adoptedStyleSheets = [getThemeSheet(), sheet];
 
   const container = document.createElement('div');
   container.id = 'subtitles-container';
@@ -3569,6 +8753,13 @@ const SS_FAB_HOST_ID = 'screenshield-fab-host';
 let fabShadow = null;
 let fabMenu = null;
 
+const FAB_COLOR_MODE_LABELS = {
+  default: 'Colours: default',
+  deuteranopia: 'Deuteranopia',
+  protanopia: 'Protanopia',
+  tritanopia: 'Tritanopia'
+};
+
 function injectQuickAccessFAB() {
   if (document.getElementById(SS_FAB_HOST_ID)) return;
 
@@ -3590,7 +8781,30 @@ function injectQuickAccessFAB() {
     '<label class="ss-chip" title="Dyslexia Friendly"><input type="checkbox" id="fab-dyslexia"' + (settings.dyslexiaMode ? ' checked' : '') + '/><span>Dyslexia</span></label>' +
     '<label class="ss-chip" title="Speech to Text"><input type="checkbox" id="fab-tts"' + (settings.ttsMode ? ' checked' : '') + '/><span>TTS</span></label>' +
     '<label class="ss-chip" title="Epilepsy Safe"><input type="checkbox" id="fab-seizure"' + (settings.seizureSafeMode ? ' checked' : '') + '/><span>Epilepsy</span></label>' +
-    '<label class="ss-chip" title="Live Captions"><input type="checkbox" id="fab-subtitles"' + (settings.subtitleMode ? ' checked' : '') + '/><span>Captions</span></label>';
+    '<label class="ss-chip" title="Live Captions"><input type="checkbox" id="fab-subtitles"' + (settings.subtitleMode ? ' checked' : '') + '/><span>Captions</span></label>' +
+    '<label class="ss-chip" title="Reader view"><input type="checkbox" id="fab-reader"' + (readerView ? ' checked' : '') + '/><span>Reader</span></label>' +
+    '<label class="ss-chip" title="Read aloud"><input type="checkbox" id="fab-read-aloud"' + (readAloud ? ' checked' : '') + '/><span>Read aloud</span></label>' +
+    '<select class="ss-mode" id="fab-color-mode" title="Colour mode" aria-label="Colour mode"></select>' +
+    '<span class="ss-error" id="fab-color-mode-error" role="alert" hidden>Not saved</span>';
+  renderFABColorModes();
+  fabMenu.querySelector('#fab-color-mode').addEventListener('change', e => {
+    const select = e.target;
+    setPageColorMode(select.value).then(() => {
+      fabMenu.querySelector('#fab-color-mode-error').hidden = true;
+    }, err => {
+      console.warn('[ScreenShield] Could not save the colour mode', err);
+      select.value = getPageColorMode();
+      const error = fabMenu.querySelector('#fab-color-mode-error');
+      error.title = err?.message || 'Storage error';
+      error.hidden = false;
+    });
+  });
+  fabMenu.querySelector('#fab-reader').addEventListener('change', e => {
+    toggleReaderView(e.target.checked);
+  });
+  fabMenu.querySelector('#fab-read-aloud').addEventListener('change', e => {
+    toggleReadAloud(e.target.checked);
+  });
 
   fabBtn.addEventListener('click', () => {
     const isHidden = fabMenu.classList.toggle('hidden');
@@ -3622,16 +8836,20 @@ function injectQuickAccessFAB() {
   sheet.replaceSync(
     ':host{all:initial}' +
     '.ss-fab-wrap{display:flex;align-items:center;gap:6px;pointer-events:auto;justify-content:flex-end}' +
-    '.ss-pill{all:unset;width:28px;height:28px;border-radius:14px;background:rgba(74,144,217,0.85);color:#fff;display:flex;align-items:center;justify-content:center;cursor:pointer;pointer-events:auto;box-shadow:0 2px 8px rgba(0,0,0,0.25);transition:background 0.2s,transform 0.15s,border-radius 0.2s;flex-shrink:0}' +
-    '.ss-pill:hover{background:rgba(58,123,194,0.95);transform:scale(1.08)}' +
-    '.ss-pill.open{background:rgba(74,144,217,1);border-radius:8px}' +
+    '.ss-pill{all:unset;width:28px;height:28px;border-radius:14px;background:var(--accent, rgba(74,144,217,0.85));color:#fff;display:flex;align-items:center;justify-content:center;cursor:pointer;pointer-events:auto;box-shadow:0 2px 8px rgba(0,0,0,0.25);transition:background 0.2s,transform 0.15s,border-radius 0.2s;flex-shrink:0}' +
+    '.ss-pill:hover{background:var(--accent-hover, rgba(58,123,194,0.95));transform:scale(1.08)}' +
+    '.ss-pill.open{background:var(--accent, rgba(74,144,217,1));border-radius:8px}' +
     '.ss-strip{display:flex;align-items:center;gap:4px;background:rgba(20,20,35,0.92);border:1px solid rgba(61,61,92,0.6);border-radius:16px;padding:3px 8px;backdrop-filter:blur(10px);transition:opacity 0.15s,transform 0.15s;transform-origin:right center}' +
     '.ss-strip.hidden{opacity:0;transform:scaleX(0.3);pointer-events:none;width:0;padding:0;border:none;overflow:hidden}' +
-    '.ss-chip{all:unset;display:flex;align-items:center;gap:3px;cursor:pointer;font-family:-apple-system,BlinkMacSystemFont,sans-serif;font-size:11px;color:#c8c8e0;padding:2px 4px;border-radius:6px;transition:background 0.15s;white-space:nowrap}' +
-    '.ss-chip:hover{background:rgba(74,144,217,0.15)}' +
-    '.ss-chip input{width:13px;height:13px;cursor:pointer;accent-color:#4a90d9;margin:0}'
+    '.ss-chip{all:unset;display:flex;align-items:center;gap:3px;cursor:pointer;font-family:-apple-system,BlinkMacSystemFont,sans-serif;font-size:11px;color:var(--text, #c8c8e0);padding:2px 4px;border-radius:6px;transition:background 0.15s;white-space:nowrap}' +
+    '.ss-chip:hover{background:var(--accent-dim, rgba(74,144,217,0.15))}' +
+    '.ss-chip input{width:13px;height:13px;cursor:pointer;accent-color:var(--accent, #4a90d9);margin:0}' +
+    '.ss-mode{max-width:110px;font:11px -apple-system,BlinkMacSystemFont,sans-serif;color:var(--text, #c8c8e0);background:var(--surface-2, #1e1e35);border:1px solid var(--border, #2d2d4a);border-radius:6px;padding:1px 2px;cursor:pointer}' +
+    '.ss-mode:focus-visible{outline:1px solid var(--accent, #4a90d9)}' +
+    '.ss-error{font:11px -apple-system,BlinkMacSystemFont,sans-serif;color:var(--error, #ff6b6b);white-space:nowrap}' +
+    '.ss-error[hidden]{display:none}'
   );
-  fabShadow.adoptedStyleSheets = [sheet];
+  fabShadow.adoptedStyleSheets = [getThemeSheet(), sheet];
 
   document.documentElement.appendChild(host);
 }
@@ -3651,6 +8869,18 @@ function updateFABUI(changes) {
       if (el) el.checked = !!newValue;
     }
   }
+  if (changes.colorMode || changes.customFilters || changes.siteColorModes) renderFABColorModes();
+}
+
+/** Presets, then the user's saved filters, with this page's mode selected. */
+function renderFABColorModes() {
+  const select = fabMenu?.querySelector('#fab-color-mode');
+  if (!select) return;
+  const options = Object.entries(FAB_COLOR_MODE_LABELS).map(([value, label]) => new Option(label, value));
+  const filters = Array.isArray(settings.customFilters) ? settings.customFilters : [];
+  filters.forEach(filter => options.push(new Option(filter.name, CUSTOM_COLOR_MODE_PREFIX + filter.id)));
+  select.replaceChildren(...options);
+  select.value = getPageColorMode();
 }
 // ── Boot ────────────────────────────────────────────────────────────
 
@@ -3665,7 +8895,7 @@ browser.storage.onChanged.addListener((changes, area) => {
 const originalInit = init;
 init = async function () {
   await originalInit();
-  injectQuickAccessFAB();
+  if (IS_TOP_FRAME) injectQuickAccessFAB();
 };
 
 init().catch(console.warn);
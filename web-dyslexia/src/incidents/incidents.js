@@ -0,0 +1,170 @@
+/**
+ * ScreenShield flash incident log.
+ * Lists the incidents the content script reported (kept in storage.local by
+ * the background script) and exports them as CSV or JSON.
+ */
+
+const $ = id => document.getElementById(id);
+
+const els = {
+  filter: $('incident-filter'),
+  count: $('incident-count'),
+  rows: $('incident-rows'),
+  empty: $('incident-empty'),
+  exportCsv: $('export-csv'),
+  exportJson: $('export-json'),
+  clearLog: $('clear-log'),
+};
+
+/** Export columns, in order. */
+const INCIDENT_FIELDS = [
+  'timestamp', 'pageUrl', 'mediaUrl', 'mediaType', 'flashesPerSecond', 'lumaDelta',
+  'kind', 'timecode', 'trigger', 'action', 'choice'
+];
+
+const CHOICE_LABELS = {
+  'show-once': 'Showed once',
+  'skipped': 'Skipped past',
+  'keep-blocked': 'Kept blocked',
+  'allow-media': 'Always allow media',
+  'allow-path': 'Always allow path',
+  'allow-site': 'Always allow flashing on site',
+  'allow-everything': 'Allowed everything on site',
+  'show-original': 'Showed original',
+  'revealed': 'Revealed image'
+};
+
+let incidents = [];
+
+// ── Init ────────────────────────────────────────────────────
+
+async function init() {
+  await applyColorModePalette();
+
+  const { flashIncidents = [] } = await browser.storage.local.get('flashIncidents');
+  incidents = flashIncidents;
+  render();
+}
+
+browser.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.flashIncidents) {
+    incidents = changes.flashIncidents.newValue || [];
+    render();
+  }
+  if (area === 'sync' && (changes.colorMode || changes.customFilters)) {
+    applyColorModePalette();
+  }
+});
+
+/** Palette of the global colour mode; a custom filter brings its own. */
+async function applyColorModePalette() {
+  const { colorMode, customFilters } = await browser.storage.sync.get(['colorMode', 'customFilters']);
+  if (typeof applyPalette === 'function') applyPalette(colorModePalette(colorMode, customFilters));
+}
+
+// ── Render ───────────────────────────────────────────────────
+
+function getVisibleIncidents() {
+  const query = els.filter.value.trim().toLowerCase();
+  const list = incidents.slice().reverse(); // newest first
+  if (!query) return list;
+  return list.filter(incident => INCIDENT_FIELDS.some(field =>
+    String(field === 'choice' ? CHOICE_LABELS[incident.choice] || '' : incident[field] ?? '')
+      .toLowerCase().includes(query)));
+}
+
+function render() {
+  const visible = getVisibleIncidents();
+  els.rows.replaceChildren(...visible.map(renderRow));
+  els.empty.hidden = incidents.length > 0;
+  els.count.textContent = visible.length === incidents.length
+    ? `${incidents.length} incident${incidents.length === 1 ? '' : 's'}`
+    : `${visible.length} of ${incidents.length}`;
+  els.exportCsv.disabled = els.exportJson.disabled = els.clearLog.disabled = !incidents.length;
+}
+
+function renderRow(incident) {
+  const row = document.createElement('tr');
+  const cell = (text, className) => {
+    const td = document.createElement('td');
+    td.textContent = text;
+    if (className) td.className = className;
+    row.appendChild(td);
+    return td;
+  };
+
+  cell(new Date(incident.timestamp).toLocaleString());
+  cell(incident.pageUrl, 'url').title = incident.pageUrl;
+  cell(incident.mediaUrl || '—', 'url').title = incident.mediaUrl || '';
+  cell(incident.mediaType);
+  const rate = incident.flashesPerSecond == null ? 'Unreadable' : String(incident.flashesPerSecond);
+  cell(incident.kind === 'red' ? `${rate} (red)` : rate, 'num');
+  cell(incident.lumaDelta == null ? '—' : String(incident.lumaDelta), 'num');
+  cell(incident.timecode == null ? '—' : formatTimecode(incident.timecode), 'num');
+  cell(incident.trigger === 'look-ahead' ? `${incident.action} (ahead)` : incident.action);
+  cell(CHOICE_LABELS[incident.choice] || 'No choice');
+  return row;
+}
+
+/** m:ss.s position in the video. */
+function formatTimecode(seconds) {
+  const m = Math.floor(seconds / 60);
+  const s = (seconds % 60).toFixed(1).padStart(4, '0');
+  return `${m}:${s}`;
+}
+
+// ── Export ───────────────────────────────────────────────────
+
+function toCSV(list) {
+  const escape = value => {
+    let text = value == null ? '' : String(value);
+    // Keep spreadsheet apps from evaluating page-controlled URLs as formulas
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [INCIDENT_FIELDS.join(',')];
+  for (const incident of list) {
+    lines.push(INCIDENT_FIELDS.map(field => escape(incident[field])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+function download(filename, type, text) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function exportName(ext) {
+  return `flash-incidents-${new Date().toISOString().slice(0, 10)}.${ext}`;
+}
+
+// ── Event handlers ───────────────────────────────────────────
+
+els.filter.addEventListener('input', render);
+
+// Exports follow the filter, oldest first like the stored log
+els.exportCsv.addEventListener('click', () => {
+  download(exportName('csv'), 'text/csv', toCSV(getVisibleIncidents().reverse()));
+});
+
+els.exportJson.addEventListener('click', () => {
+  const list = getVisibleIncidents().reverse().map(incident =>
+    Object.fromEntries(INCIDENT_FIELDS.map(field => [field, incident[field] ?? null])));
+  download(exportName('json'), 'application/json', JSON.stringify(list, null, 2));
+});
+
+els.clearLog.addEventListener('click', async () => {
+  if (!confirm('Delete every recorded incident? Export first if you need them.')) return;
+  // Through the background's write queue, so a write in flight cannot undo it
+  await browser.runtime.sendMessage({ action: 'flash-incidents-clear' });
+});
+
+// ── Boot ─────────────────────────────────────────────────────
+
+init().catch(console.error);
@@ -0,0 +1,331 @@
+/**
+ * ScreenShield colour-vision filters.
+ *
+ * Builds the 3x3 matrices behind the page colour modes (correction, preset or
+ * saved by the user) and the designer simulation. Simulation uses the
+ * Machado, Oliveira & Fernandes (2009) matrices for full dichromacy;
+ * anomalous trichromacy is blended linearly from normal vision towards them,
+ * which tracks Machado's per-severity table closely. Achromatopsia keeps
+ * only luminance.
+ * Daltonization follows Fidaner et al.: simulate what the viewer sees, take
+ * the difference from the original (the information they lose), and shift
+ * that error into channels they can still tell apart:
+ *
+ *   corrected = rgb + strength * E * (rgb - S * rgb)
+ *
+ * All matrices act on linear RGB, which is what an SVG filter works in by
+ * default (color-interpolation-filters="linearRGB"), so they can go straight
+ * into an feColorMatrix. Like palettes.js this is a plain script with no DOM
+ * access; it is loaded ahead of the content script.
+ */
+
+/** Machado et al. 2009, severity 1.0, linear RGB. */
+const CVD_SIMULATION_MATRICES = {
+  protanopia: [
+    [0.152286, 1.052583, -0.204868],
+    [0.114503, 0.786281, 0.099216],
+    [-0.003882, -0.048116, 1.051998]
+  ],
+  deuteranopia: [
+    [0.367322, 0.860646, -0.227968],
+    [0.280085, 0.672501, 0.047413],
+    [-0.011820, 0.042940, 0.968881]
+  ],
+  tritanopia: [
+    [1.255528, -0.076749, -0.178779],
+    [-0.078411, 0.930809, 0.147602],
+    [0.004733, 0.691367, 0.303900]
+  ]
+};
+
+/**
+ * Where the lost error goes. Red-green losses are moved into green and blue,
+ * where a protan or deutan viewer still sees a difference; blue-yellow
+ * losses are moved into red and green.
+ */
+const CVD_ERROR_SHIFT = {
+  protanopia: [[0, 0, 0], [0.7, 1, 0], [0.7, 0, 1]],
+  deuteranopia: [[0, 0, 0], [0.7, 1, 0], [0.7, 0, 1]],
+  tritanopia: [[1, 0, 0.7], [0, 1, 0.7], [0, 0, 0]]
+};
+
+const IDENTITY_MATRIX = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+
+/** Rec. 709 relative luminance, the same weights as lib/flash-analysis.js. */
+const ACHROMATOPSIA_MATRIX = [
+  [0.2126, 0.7152, 0.0722],
+  [0.2126, 0.7152, 0.0722],
+  [0.2126, 0.7152, 0.0722]
+];
+
+/**
+ * Simulation menu. Each variant maps to a full-deficiency matrix; graded
+ * variants (the -omalies) take the severity setting, the rest are always full.
+ */
+const CVD_SIMULATION_VARIANTS = {
+  protanopia: { base: 'protanopia', graded: false },
+  protanomaly: { base: 'protanopia', graded: true },
+  deuteranopia: { base: 'deuteranopia', graded: false },
+  deuteranomaly: { base: 'deuteranopia', graded: true },
+  tritanopia: { base: 'tritanopia', graded: false },
+  tritanomaly: { base: 'tritanopia', graded: true },
+  achromatopsia: { base: 'achromatopsia', graded: false },
+  achromatomaly: { base: 'achromatopsia', graded: true }
+};
+
+function multiplyMatrices(a, b) {
+  return a.map(row => [0, 1, 2].map(j => row[0] * b[0][j] + row[1] * b[1][j] + row[2] * b[2][j]));
+}
+
+/** Dichromacy types the matrices cover, in menu order. */
+function getColorVisionTypes() {
+  return Object.keys(CVD_SIMULATION_MATRICES);
+}
+
+/**
+ * What a dichromat (or achromat) sees.
+ * @param {string} type - 'protanopia', 'deuteranopia', 'tritanopia' or
+ *   'achromatopsia'
+ * @param {number} [severity=1] - 0 (normal vision) to 1 (full deficiency),
+ *   blended linearly
+ * @returns {number[][]|null} 3x3 matrix, or null for an unknown type
+ */
+function simulationMatrix(type, severity = 1) {
+  const sim = type === 'achromatopsia' ? ACHROMATOPSIA_MATRIX : CVD_SIMULATION_MATRICES[type];
+  if (!sim) return null;
+  const s = Math.min(1, Math.max(0, severity));
+  return sim.map((row, i) => row.map((v, j) => IDENTITY_MATRIX[i][j] + s * (v - IDENTITY_MATRIX[i][j])));
+}
+
+/**
+ * Matrix for one entry of the simulation menu.
+ * @param {string} variant - a key of CVD_SIMULATION_VARIANTS
+ * @param {number} [severity=1] - 0..1, used by graded variants only
+ * @returns {number[][]|null} 3x3 matrix, or null for an unknown variant
+ */
+function cvdSimulationMatrix(variant, severity = 1) {
+  const entry = CVD_SIMULATION_VARIANTS[variant];
+  if (!entry) return null;
+  return simulationMatrix(entry.base, entry.graded ? severity : 1);
+}
+
+/** True if the variant takes a severity. */
+function isGradedSimulation(variant) {
+  return !!CVD_SIMULATION_VARIANTS[variant]?.graded;
+}
+
+/**
+ * Daltonization for one dichromacy type.
+ * @param {string} type - 'protanopia', 'deuteranopia' or 'tritanopia'
+ * @param {number} [strength=1] - 0 (no change) to 1 (the full error shift)
+ * @returns {number[][]|null} 3x3 matrix, or null for an unknown type
+ */
+function daltonizeMatrix(type, strength = 1) {
+  const sim = CVD_SIMULATION_MATRICES[type];
+  if (!sim) return null;
+  const s = Math.min(1, Math.max(0, strength));
+  // I + s * E * (I - S)
+  const lost = IDENTITY_MATRIX.map((row, i) => row.map((v, j) => v - sim[i][j]));
+  const shift = multiplyMatrices(CVD_ERROR_SHIFT[type], lost);
+  return IDENTITY_MATRIX.map((row, i) => row.map((v, j) => v + s * shift[i][j]));
+}
+
+/** The `values` attribute of an feColorMatrix (type="matrix"), alpha unchanged. */
+function toColorMatrixValues(matrix) {
+  const round = v => Math.round(v * 1e6) / 1e6;
+  return [
+    ...matrix.map(row => [...row.map(round), 0, 0]),
+    [0, 0, 0, 1, 0]
+  ].map(row => row.join(' ')).join(' ');
+}
+
+// ── Custom filters ──
+// Users can save their own corrections next to the presets. A saved filter is
+// one of four kinds, each compiled to a 3x3 linear-RGB matrix so it goes
+// through the same feColorMatrix (and strength blend) as daltonization:
+//
+//   { id, name, palette, type: 'matrix',  matrix: [[r], [g], [b]] }
+//   { id, name, palette, type: 'gains',   gains: [r, g, b] }
+//   { id, name, palette, type: 'hue',     hue: degrees }
+//   { id, name, palette, type: 'replace', rules: [{ from: '#rrggbb', to: '#rrggbb' }] }
+//
+// `palette` picks which preset palette (lib/palettes.js) themes the panels.
+// The colour mode setting refers to a saved filter as 'custom:<id>'.
+
+/**
+ * Saved filters share one storage.sync item, and its quota of 8192 bytes
+ * (key plus JSON, UTF-8) is what really limits them: a filter takes from
+ * about 100 bytes (a hue) to over 500 (eight rules and a long name), so
+ * twenty of the larger kind would not fit. See customFiltersFit().
+ */
+const CUSTOM_FILTERS_MAX_BYTES = 7680;
+const CUSTOM_FILTERS_MAX = 20;
+const CUSTOM_FILTER_RULES_MAX = 8;
+/**
+ * siteColorModes is one storage.sync item as well. An entry is a hostname
+ * and a mode name, so how many fit depends on the hostnames; see
+ * withSiteColorMode().
+ */
+const SITE_COLOR_MODES_MAX_BYTES = 7680;
+const CUSTOM_COLOR_MODE_PREFIX = 'custom:';
+
+/** Pull towards "no change" when fitting replacement rules; see fitReplacementMatrix(). */
+const REPLACE_FIT_DAMPING = 0.05;
+
+/** Whether a list of saved filters fits under CUSTOM_FILTERS_MAX_BYTES. */
+function customFiltersFit(filters) {
+  return new TextEncoder().encode('customFilters' + JSON.stringify(filters)).length <= CUSTOM_FILTERS_MAX_BYTES;
+}
+
+function isCustomColorMode(mode) {
+  return typeof mode === 'string' && mode.startsWith(CUSTOM_COLOR_MODE_PREFIX);
+}
+
+/** The saved filter a colour mode refers to, or null (deleted, or a preset). */
+function findCustomFilter(customFilters, mode) {
+  if (!isCustomColorMode(mode) || !Array.isArray(customFilters)) return null;
+  const id = mode.slice(CUSTOM_COLOR_MODE_PREFIX.length);
+  return customFilters.find(filter => filter.id === id) || null;
+}
+
+/**
+ * The colour mode in force on a site: its own choice if it has one, else the
+ * global one.
+ */
+function resolveColorMode(settings, hostname) {
+  const siteModes = settings.siteColorModes;
+  const mode = (hostname && siteModes && siteModes[hostname]) || settings.colorMode || 'default';
+  // A mode naming a deleted filter means no correction
+  return isCustomColorMode(mode) && !findCustomFilter(settings.customFilters, mode) ? 'default' : mode;
+}
+
+/** Preset palette that themes the UI for a colour mode. */
+function colorModePalette(mode, customFilters) {
+  if (!isCustomColorMode(mode)) return mode || 'default';
+  return findCustomFilter(customFilters, mode)?.palette || 'default';
+}
+
+/**
+ * siteColorModes with one site's entry set (or removed when mode is null).
+ * The oldest entries go first once it passes SITE_COLOR_MODES_MAX_BYTES.
+ */
+function withSiteColorMode(siteModes, hostname, mode) {
+  const next = { ...(siteModes || {}) };
+  delete next[hostname];
+  if (mode) next[hostname] = mode;
+  const size = () => new TextEncoder().encode('siteColorModes' + JSON.stringify(next)).length;
+  for (const host of Object.keys(next)) {
+    if (host === hostname || size() <= SITE_COLOR_MODES_MAX_BYTES) break;
+    delete next[host];
+  }
+  return next;
+}
+
+/** '#rrggbb' to linear RGB, 0..1 per channel; null if not a hex colour. */
+function hexToLinearRgb(hex) {
+  const m = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+  if (!m) return null;
+  return m.slice(1).map(h => {
+    const c = parseInt(h, 16) / 255;
+    return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+}
+
+/** The SVG feColorMatrix type="hueRotate" matrix (Filter Effects spec). */
+function hueRotateMatrix(degrees) {
+  const a = (degrees * Math.PI) / 180;
+  const cos = Math.cos(a);
+  const sin = Math.sin(a);
+  return [
+    [0.213 + cos * 0.787 - sin * 0.213, 0.715 - cos * 0.715 - sin * 0.715, 0.072 - cos * 0.072 + sin * 0.928],
+    [0.213 - cos * 0.213 + sin * 0.143, 0.715 + cos * 0.285 + sin * 0.140, 0.072 - cos * 0.072 - sin * 0.283],
+    [0.213 - cos * 0.213 - sin * 0.787, 0.715 - cos * 0.715 + sin * 0.715, 0.072 + cos * 0.928 + sin * 0.072]
+  ];
+}
+
+function invertMatrix(m) {
+  const [[a, b, c], [d, e, f], [g, h, i]] = m;
+  const A = e * i - f * h;
+  const B = f * g - d * i;
+  const C = d * h - e * g;
+  const det = a * A + b * B + c * C;
+  if (Math.abs(det) < 1e-12) return null;
+  return [
+    [A / det, (c * h - b * i) / det, (b * f - c * e) / det],
+    [B / det, (a * i - c * g) / det, (c * d - a * f) / det],
+    [C / det, (b * g - a * h) / det, (a * e - b * d) / det]
+  ];
+}
+
+/**
+ * The matrix that best carries each rule's `from` colour to its `to` colour.
+ * A single matrix cannot swap arbitrary colours exactly, so this is a damped
+ * least-squares fit:
+ *
+ *   minimise  sum |M x - y|^2 + damping * |M - I|^2
+ *   =>        M = (sum y x^T + damping I) (sum x x^T + damping I)^-1
+ *
+ * The damping keeps colours the rules do not mention close to where they
+ * were. White is pinned to white as well, so backgrounds and greys stay put,
+ * unless a rule itself starts from a grey.
+ * @param {{ from: string, to: string }[]} rules
+ * @returns {number[][]} 3x3 matrix (identity when there are no usable rules)
+ */
+function fitReplacementMatrix(rules) {
+  const pairs = (Array.isArray(rules) ? rules : [])
+    .map(rule => [hexToLinearRgb(rule.from), hexToLinearRgb(rule.to)])
+    .filter(([x, y]) => x && y);
+  if (!pairs.length) return IDENTITY_MATRIX;
+  const movesGrey = pairs.some(([x]) => Math.max(...x) - Math.min(...x) < 0.05);
+  if (!movesGrey) pairs.push([[1, 1, 1], [1, 1, 1]]);
+
+  const xx = IDENTITY_MATRIX.map(row => row.map(v => v * REPLACE_FIT_DAMPING));
+  const yx = IDENTITY_MATRIX.map(row => row.map(v => v * REPLACE_FIT_DAMPING));
+  for (const [x, y] of pairs) {
+    for (let i = 0; i < 3; i++) {
+      for (let j = 0; j < 3; j++) {
+        xx[i][j] += x[i] * x[j];
+        yx[i][j] += y[i] * x[j];
+      }
+    }
+  }
+  const inverse = invertMatrix(xx);
+  return inverse ? multiplyMatrices(yx, inverse) : IDENTITY_MATRIX;
+}
+
+/**
+ * Matrix for a saved filter.
+ * @param {object} filter - see "Custom filters" above
+ * @param {number} [strength=1] - 0 (no change) to 1 (the filter as saved)
+ * @returns {number[][]|null} 3x3 matrix, or null for an unknown type
+ */
+function customFilterMatrix(filter, strength = 1) {
+  let matrix = null;
+  if (filter?.type === 'matrix' && Array.isArray(filter.matrix)) {
+    matrix = IDENTITY_MATRIX.map((row, i) => row.map((v, j) => {
+      const n = Number(filter.matrix[i]?.[j]);
+      return Number.isFinite(n) ? n : v;
+    }));
+  } else if (filter?.type === 'gains' && Array.isArray(filter.gains)) {
+    matrix = IDENTITY_MATRIX.map((row, i) => row.map(v => v * (Number(filter.gains[i]) || 0)));
+  } else if (filter?.type === 'hue') {
+    matrix = hueRotateMatrix(Number(filter.hue) || 0);
+  } else if (filter?.type === 'replace') {
+    matrix = fitReplacementMatrix(filter.rules);
+  }
+  if (!matrix) return null;
+  const s = Math.min(1, Math.max(0, strength));
+  return IDENTITY_MATRIX.map((row, i) => row.map((v, j) => v + s * (matrix[i][j] - v)));
+}
+
+/**
+ * Correction matrix for any colour mode, preset or saved.
+ * @returns {number[][]|null} null for 'default' or an unknown mode
+ */
+function colorModeMatrix(mode, customFilters, strength = 1) {
+  if (isCustomColorMode(mode)) {
+    const filter = findCustomFilter(customFilters, mode);
+    return filter ? customFilterMatrix(filter, strength) : null;
+  }
+  return daltonizeMatrix(mode, strength);
+}
@@ -0,0 +1,54 @@
+/**
+ * ScreenShield confusable letters and homophones.
+ *
+ * The mirror-image letters b, d, p and q are coloured apart (colours come
+ * from the palette; see getConfusableColors() in palettes.js), and words from
+ * the bundled homophone lists in assets/homophones/ (affect / effect) are
+ * underlined with a short definition of each spelling. Groups of everyday
+ * words (their / there, to / too / two) are listed apart under "common", since
+ * they underline nearly every line; the homophoneCommonWords setting decides
+ * whether they are underlined. The content script paints both with CSS
+ * highlights, so no element is added per letter or word.
+ *
+ * Like hyphenation.js this is a plain script with no DOM access; it is loaded
+ * ahead of the content script, which fetches the word lists.
+ */
+
+/** Each confusable letter in a word. */
+const CONFUSABLE_LETTER_PATTERN = /[bdpq]/g;
+
+/** Languages with a homophone list, by primary language subtag. */
+const HOMOPHONE_LANGUAGES = ['en'];
+
+/**
+ * Tooltip text for every listed word, keyed by lower-case word.
+ * @param {{ groups: Object<string, string>[], common?: Object<string, string>[] }} data -
+ *   a homophone list; each group maps its spellings to short definitions, and
+ *   common holds the groups of everyday words
+ * @returns {Map<string, { tip: string, common: boolean }>} e.g. "lose" ->
+ *   { tip: "lose: to misplace; or not win\nNot to be confused with: loose (not tight)", common: false }
+ */
+function createHomophoneIndex({ groups, common = [] }) {
+  const index = new Map();
+  const add = (group, isCommon) => {
+    const entries = Object.entries(group);
+    for (const [word, definition] of entries) {
+      const others = entries.filter(([other]) => other !== word)
+        .map(([other, otherDefinition]) => `${other} (${otherDefinition})`);
+      const tip = `${word}: ${definition}\nNot to be confused with: ${others.join(', ')}`;
+      index.set(word.toLowerCase(), { tip, common: isCommon });
+    }
+  };
+  groups.forEach(group => add(group, false));
+  common.forEach(group => add(group, true));
+  return index;
+}
+
+/**
+ * Tooltip for a word if it is a listed homophone; curly apostrophes match
+ * straight ones. Everyday words only match when includeCommon is set.
+ */
+function lookupHomophone(index, word, includeCommon) {
+  const entry = index.get(word.toLowerCase().replace(/’/g, "'"));
+  return entry && (includeCommon || !entry.common) ? entry.tip : null;
+}
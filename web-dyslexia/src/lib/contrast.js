@@ -0,0 +1,104 @@
+/**
+ * ScreenShield text contrast helpers.
+ *
+ * WCAG 2.x contrast ratio between a text colour and the background it sits
+ * on, and the smallest change to the text colour that reaches a target ratio.
+ * The text is mixed towards black or white rather than swapped for either, so
+ * hue and most of its saturation survive and the page keeps its look.
+ *
+ * Colours are { r, g, b, a } objects, channels 0..255 and alpha 0..1.
+ *
+ * Like palettes.js this is a plain script with no DOM access; it is loaded
+ * ahead of the content script, which resolves computed styles and parses
+ * them with parseCSSColor().
+ */
+
+/** Minimum ratios (WCAG 1.4.3 AA and 1.4.6 AAA). */
+const CONTRAST_TARGETS = {
+  aa: { normal: 4.5, large: 3 },
+  aaa: { normal: 7, large: 4.5 }
+};
+
+// Large text is 18pt, or 14pt bold, in CSS px
+const LARGE_TEXT_PX = 24;
+const LARGE_BOLD_TEXT_PX = 18.66;
+
+/** `top` painted over `bottom` (source-over). */
+function compositeColor(top, bottom) {
+  const a = top.a + bottom.a * (1 - top.a);
+  if (a === 0) return { r: 0, g: 0, b: 0, a: 0 };
+  const mix = (t, b) => (t * top.a + b * bottom.a * (1 - top.a)) / a;
+  return { r: mix(top.r, bottom.r), g: mix(top.g, bottom.g), b: mix(top.b, bottom.b), a };
+}
+
+/**
+ * WCAG relative luminance of an opaque { r, g, b } colour. Content scripts
+ * share one scope, so this must not take the name of relativeLuminance(r, g, b)
+ * in flash-analysis.js.
+ */
+function contrastLuminance({ r, g, b }) {
+  const channel = v => {
+    const c = v / 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  };
+  return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+}
+
+function contrastRatio(a, b) {
+  const la = contrastLuminance(a);
+  const lb = contrastLuminance(b);
+  return (Math.max(la, lb) + 0.05) / (Math.min(la, lb) + 0.05);
+}
+
+/**
+ * Ratio a piece of text needs.
+ * @param {'aa'|'aaa'} level
+ * @param {number} fontSize - computed font size in px
+ * @param {number} fontWeight - computed numeric weight
+ */
+function requiredContrast(level, fontSize, fontWeight) {
+  const targets = CONTRAST_TARGETS[level] || CONTRAST_TARGETS.aa;
+  const large = fontSize >= LARGE_TEXT_PX || (fontSize >= LARGE_BOLD_TEXT_PX && fontWeight >= 700);
+  return large ? targets.large : targets.normal;
+}
+
+/**
+ * Text colour that reaches the target ratio against an opaque background.
+ * Moves the way the text already leans (darker text gets darker), unless only
+ * the other way can reach the target; when neither can, takes whichever gets
+ * closest.
+ * @param {{ r, g, b }} text - opaque text colour
+ * @param {{ r, g, b }} background - opaque background
+ * @param {number} target - minimum ratio
+ * @returns {{ r: number, g: number, b: number }|null} null if text already
+ *   meets the target
+ */
+function repairTextColor(text, background, target) {
+  if (contrastRatio(text, background) >= target) return null;
+  const black = { r: 0, g: 0, b: 0 };
+  const white = { r: 255, g: 255, b: 255 };
+  const darker = contrastLuminance(text) <= contrastLuminance(background);
+  let extreme = darker ? black : white;
+  if (contrastRatio(extreme, background) < target) {
+    const other = darker ? white : black;
+    if (contrastRatio(other, background) > contrastRatio(extreme, background)) extreme = other;
+  }
+  const mix = t => ({
+    r: Math.round(text.r + (extreme.r - text.r) * t),
+    g: Math.round(text.g + (extreme.g - text.g) * t),
+    b: Math.round(text.b + (extreme.b - text.b) * t)
+  });
+  if (contrastRatio(extreme, background) < target) return extreme;
+
+  // Once the mix reaches the target it stays above it, so bisect for the smallest step
+  let lo = 0;
+  let hi = 1;
+  for (let i = 0; i < 12; i++) {
+    const t = (lo + hi) / 2;
+    if (contrastRatio(mix(t), background) >= target) hi = t;
+    else lo = t;
+  }
+  // Rounding to whole channels can land just short
+  while (hi < 1 && contrastRatio(mix(hi), background) < target) hi = Math.min(1, hi + 1 / 255);
+  return mix(hi);
+}
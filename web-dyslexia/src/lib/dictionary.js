@@ -0,0 +1,89 @@
+/**
+ * ScreenShield offline dictionary.
+ *
+ * Word lists live in assets/dictionary/, one per language: a compact English
+ * dictionary (about 2,500 headwords) that is always used, and Spanish and
+ * French packs (about 600 everyday headwords each) that are turned on in the
+ * popup (the dictionaryPacks setting) and only fetched from the extension
+ * once they are. Each maps lower-case headwords to senses, [part of speech,
+ * short definition], plus irregular forms to their headwords ("went" -> "go",
+ * "fue" -> "ser", "sont" -> "être"). Regular inflections are undone by rule
+ * when the word is not listed as it is, so "studies", "stopped", "hablando"
+ * and "parlé" find their entries.
+ *
+ * Like hyphenation.js this is a plain script with no DOM access; it is loaded
+ * ahead of the content script, which fetches the word lists. Nothing is ever
+ * looked up over the network.
+ */
+
+/** Languages with a word list, by primary language subtag, with their names. */
+const DICTIONARY_LANGUAGES = { en: 'English', es: 'Español', fr: 'Français' };
+/** The language whose list is always used; the others are optional packs. */
+const DICTIONARY_BUILT_IN = 'en';
+
+/**
+ * Suffix rules for each language, tried in order: [ending, replacement].
+ * English also undoes a doubled final consonant ("stopped" -> "stop").
+ */
+const DICTIONARY_SUFFIXES = {
+  en: [
+    ["'s", ''], ["’s", ''],
+    ['ies', 'y'], ['ied', 'y'], ['ier', 'y'], ['iest', 'y'], ['ily', 'y'],
+    ['es', ''], ['s', ''],
+    ['ed', ''], ['ed', 'e'], ['ing', ''], ['ing', 'e'],
+    ['er', ''], ['er', 'e'], ['est', ''], ['est', 'e'],
+    ['ly', ''], ['ly', 'le'], ['ness', ''], ['ment', '']
+  ],
+  es: [
+    ['es', ''], ['s', ''], ['a', 'o'], ['as', 'o'], ['os', 'o'],
+    ['amente', 'o'], ['mente', ''],
+    ['ando', 'ar'], ['iendo', 'er'], ['iendo', 'ir'],
+    ['ado', 'ar'], ['ada', 'ar'], ['ados', 'ar'], ['adas', 'ar'],
+    ['ido', 'er'], ['ido', 'ir'], ['ida', 'er'], ['ida', 'ir'],
+    ['o', 'ar'], ['o', 'er'], ['o', 'ir'], ['as', 'ar'], ['a', 'ar'], ['an', 'ar'],
+    ['es', 'er'], ['es', 'ir'], ['e', 'er'], ['e', 'ir'], ['en', 'er'], ['en', 'ir'],
+    ['ó', 'ar'], ['ió', 'er'], ['ió', 'ir']
+  ],
+  fr: [
+    ['aux', 'al'], ['s', ''], ['x', ''], ['e', ''], ['es', ''],
+    ['eusement', 'eux'], ['ment', ''],
+    ['ée', 'er'], ['ées', 'er'], ['és', 'er'], ['é', 'er'], ['ant', 'er'],
+    ['e', 'er'], ['es', 'er'], ['ent', 'er'], ['ons', 'er'], ['ez', 'er'],
+    ['ais', 'er'], ['ait', 'er'], ['aient', 'er'],
+    ['issent', 'ir'], ['is', 'ir'], ['it', 'ir']
+  ]
+};
+
+/**
+ * A lookup for one word list.
+ * @param {{ lang: string, forms: Object<string, string>,
+ *   entries: Object<string, [string, string][]> }} data
+ * @returns {(word: string) => { word: string, senses: [string, string][] }[]}
+ *   the entries the word could belong to, the word itself first ("left" finds
+ *   both "left" and "leave"); empty when none match
+ */
+function createDictionary({ lang, forms, entries }) {
+  const suffixes = DICTIONARY_SUFFIXES[lang] || [];
+  const has = word => Object.prototype.hasOwnProperty.call(entries, word);
+
+  return word => {
+    const lower = word.toLocaleLowerCase(lang).replace(/’/g, "'");
+    const found = [lower];
+    if (Object.prototype.hasOwnProperty.call(forms, lower)) found.push(forms[lower]);
+    if (!found.some(has)) {
+      // Only the first rule that lands on a headword, so "thing" never finds "the"
+      for (const [ending, replacement] of suffixes) {
+        if (lower.length <= ending.length + 1 || !lower.endsWith(ending)) continue;
+        const stem = lower.slice(0, -ending.length);
+        // "stopped" -> "stopp" -> "stop"
+        const undoubled = lang === 'en' && !replacement && /([bdgklmnprtz])\1$/.test(stem) ? stem.slice(0, -1) : null;
+        const match = [stem + replacement, undoubled].find(candidate => candidate && has(candidate));
+        if (match) {
+          found.push(match);
+          break;
+        }
+      }
+    }
+    return [...new Set(found)].filter(has).map(headword => ({ word: headword, senses: entries[headword] }));
+  };
+}
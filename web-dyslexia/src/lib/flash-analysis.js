@@ -0,0 +1,534 @@
+/**
+ * ScreenShield flash analysis.
+ *
+ * Pure frame-scoring helpers shared by the seizure-safe pipeline. Nothing in
+ * here touches the DOM, so the same code can score video frames, decoded GIF
+ * frames or samples coming back from elsewhere.
+ *
+ * A frame is split into a gridSize x gridSize grid of cells (the Android
+ * FrameAnalyzer uses 8x8 for the same reason): a strobing corner or one tile
+ * of a video-call grid averages away when the whole frame is reduced to a
+ * single colour. Each cell, each 2x2 block of neighbouring cells and the
+ * whole frame are tracked as separate "regions" with their own history.
+ *
+ * Two detection profiles score those regions:
+ *   heuristic - counts large frame-to-frame colour changes in a rolling
+ *               window; thresholds come from the 1..10 sensitivity slider.
+ *   wcag      - WCAG 2.3.1 / Harding "general flash" and "red flash" rules:
+ *               opposing pairs of relative-luminance transitions of at least
+ *               0.10 with the darker state below 0.80, or saturated-red
+ *               transitions; more than 3 flashes in any one second over an
+ *               area larger than 25% of a 10 degree visual field fails.
+ */
+
+const FLASH_PROFILES = ['heuristic', 'wcag'];
+
+// WCAG 2.3.1 constants (see "general flash and red flash thresholds").
+const WCAG_LUMINANCE_DELTA = 0.10;
+const WCAG_DARK_STATE_MAX = 0.80;
+const WCAG_RED_RATIO = 0.8;
+const WCAG_RED_DELTA = 20;
+const WCAG_MAX_FLASHES_PER_SECOND = 3;
+// 25% of a 10 degree field, approximated by WCAG as a 341 x 256 px rectangle
+// on a 1024 x 768 screen at typical viewing distance.
+const WCAG_FLASH_AREA_PX = 0.25 * 341 * 256;
+
+// sRGB (0..255) to linear light, precomputed once.
+const SRGB_TO_LINEAR = new Float32Array(256);
+for (let i = 0; i < 256; i++) {
+  const c = i / 255;
+  SRGB_TO_LINEAR[i] = c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+/** WCAG relative luminance of an sRGB colour given as 0..255 channels. */
+function relativeLuminance(r, g, b) {
+  const lin = v => SRGB_TO_LINEAR[Math.max(0, Math.min(255, Math.round(v)))];
+  return 0.2126 * lin(r) + 0.7152 * lin(g) + 0.0722 * lin(b);
+}
+
+const FLASH_SAMPLE_WIDTH = 64;
+const FLASH_SAMPLE_HEIGHT = 36;
+
+/**
+ * Average an RGBA buffer per grid cell.
+ * @param {Uint8ClampedArray} data - RGBA pixels (e.g. ImageData.data)
+ * @param {number} width
+ * @param {number} height
+ * @param {number} gridSize - cells per side
+ * @returns {Array<{r,g,b,luma,lr,lg,lb,lum}>} row-major cells. r/g/b/luma are
+ *   gamma-encoded averages (0..255); lr/lg/lb are linear-light averages and
+ *   lum the relative luminance (0..1), averaged per pixel as WCAG expects.
+ */
+function sampleRegions(data, width, height, gridSize) {
+  const cells = [];
+  for (let gy = 0; gy < gridSize; gy++) {
+    const y0 = Math.floor(gy * height / gridSize);
+    const y1 = Math.max(y0 + 1, Math.floor((gy + 1) * height / gridSize));
+    for (let gx = 0; gx < gridSize; gx++) {
+      const x0 = Math.floor(gx * width / gridSize);
+      const x1 = Math.max(x0 + 1, Math.floor((gx + 1) * width / gridSize));
+      let r = 0, g = 0, b = 0, lr = 0, lg = 0, lb = 0, count = 0;
+      for (let y = y0; y < y1; y++) {
+        let i = (y * width + x0) * 4;
+        for (let x = x0; x < x1; x++, i += 4) {
+          r += data[i]; g += data[i + 1]; b += data[i + 2];
+          lr += SRGB_TO_LINEAR[data[i]];
+          lg += SRGB_TO_LINEAR[data[i + 1]];
+          lb += SRGB_TO_LINEAR[data[i + 2]];
+          count++;
+        }
+      }
+      r /= count; g /= count; b /= count;
+      lr /= count; lg /= count; lb /= count;
+      cells.push({
+        r, g, b,
+        luma: 0.299 * r + 0.587 * g + 0.114 * b,
+        lr, lg, lb,
+        lum: 0.2126 * lr + 0.7152 * lg + 0.0722 * lb
+      });
+    }
+  }
+  return cells;
+}
+
+/**
+ * Box-filter an RGBA buffer down to the analysis sample size. Used where no
+ * canvas is available to do the scaling (e.g. decoded GIF frames).
+ * @returns {Uint8ClampedArray} dw*dh RGBA pixels
+ */
+function resampleRGBA(src, sw, sh, dw = FLASH_SAMPLE_WIDTH, dh = FLASH_SAMPLE_HEIGHT) {
+  const out = new Uint8ClampedArray(dw * dh * 4);
+  for (let dy = 0; dy < dh; dy++) {
+    const y0 = Math.floor(dy * sh / dh);
+    const y1 = Math.max(y0 + 1, Math.floor((dy + 1) * sh / dh));
+    for (let dx = 0; dx < dw; dx++) {
+      const x0 = Math.floor(dx * sw / dw);
+      const x1 = Math.max(x0 + 1, Math.floor((dx + 1) * sw / dw));
+      let r = 0, g = 0, b = 0, count = 0;
+      for (let y = y0; y < y1; y++) {
+        let i = (y * sw + x0) * 4;
+        for (let x = x0; x < x1; x++, i += 4) {
+          r += src[i]; g += src[i + 1]; b += src[i + 2];
+          count++;
+        }
+      }
+      const o = (dy * dw + dx) * 4;
+      out[o] = r / count;
+      out[o + 1] = g / count;
+      out[o + 2] = b / count;
+      out[o + 3] = 255;
+    }
+  }
+  return out;
+}
+
+/** Heuristic colour/brightness change between two averaged samples (0..255). */
+function frameDelta(a, b) {
+  return Math.max(
+    Math.abs(b.luma - a.luma),
+    Math.abs(b.r - a.r) * 0.75,
+    Math.abs(b.g - a.g) * 0.60,
+    Math.abs(b.b - a.b) * 0.65
+  );
+}
+
+/**
+ * List the regions tracked for a grid: every cell, every 2x2 block of
+ * neighbouring cells, then the whole frame. Rects are in grid units.
+ */
+function buildRegionGroups(gridSize) {
+  const groups = [];
+  const idx = (x, y) => y * gridSize + x;
+
+  for (let y = 0; y < gridSize; y++) {
+    for (let x = 0; x < gridSize; x++) {
+      groups.push({ cells: [idx(x, y)], x, y, w: 1, h: 1 });
+    }
+  }
+  for (let y = 0; y < gridSize - 1; y++) {
+    for (let x = 0; x < gridSize - 1; x++) {
+      groups.push({
+        cells: [idx(x, y), idx(x + 1, y), idx(x, y + 1), idx(x + 1, y + 1)],
+        x, y, w: 2, h: 2
+      });
+    }
+  }
+  if (gridSize > 1) {
+    const all = [];
+    for (let i = 0; i < gridSize * gridSize; i++) all.push(i);
+    groups.push({ cells: all, x: 0, y: 0, w: gridSize, h: gridSize });
+  }
+  return groups;
+}
+
+const CELL_KEYS = ['r', 'g', 'b', 'luma', 'lr', 'lg', 'lb', 'lum'];
+
+function averageCells(cells, indices) {
+  if (indices.length === 1) return cells[indices[0]];
+  const out = {};
+  for (const key of CELL_KEYS) {
+    let sum = 0;
+    for (const i of indices) sum += cells[i][key] || 0;
+    out[key] = sum / indices.length;
+  }
+  return out;
+}
+
+/**
+ * Transition counter for one signal of one region (WCAG profile).
+ *
+ * Uses hysteresis so that only swings of at least `minDelta` between local
+ * extremes count as transitions; noise smaller than that never flips the
+ * direction. Each committed transition is passed to `accept(from, to)` so the
+ * caller can apply the darker-state / saturated-red conditions, and is timed
+ * at the sample where it peaked, not the later one that showed it reversing.
+ */
+function createTransitionCounter(minDelta, accept) {
+  let anchor = null;     // value at the last committed extreme
+  let extreme = null;    // furthest value reached in the current direction
+  let direction = 0;     // +1 rising, -1 falling, 0 undecided
+  let extremeSample = null;
+  let extremeTime = 0;
+  let anchorSample = null;
+  const times = [];
+  let peakDelta = 0;
+
+  function commit() {
+    if (accept(anchorSample, extremeSample)) {
+      times.push(extremeTime);
+      peakDelta = Math.max(peakDelta, Math.abs(extreme - anchor));
+    }
+    anchor = extreme;
+    anchorSample = extremeSample;
+  }
+
+  return {
+    push(value, sample, now) {
+      if (anchor === null) {
+        anchor = extreme = value;
+        anchorSample = extremeSample = sample;
+        return;
+      }
+      if (direction === 0) {
+        if (Math.abs(value - anchor) >= minDelta) {
+          direction = value > anchor ? 1 : -1;
+          extreme = value;
+          extremeSample = sample;
+          extremeTime = now;
+        }
+        return;
+      }
+      if ((direction > 0 && value >= extreme) || (direction < 0 && value <= extreme)) {
+        extreme = value;
+        extremeSample = sample;
+        extremeTime = now;
+        return;
+      }
+      if (Math.abs(extreme - value) >= minDelta) {
+        commit();
+        direction = -direction;
+        extreme = value;
+        extremeSample = sample;
+        extremeTime = now;
+      }
+    },
+    /**
+     * Transitions within the last `windowMs` ms. The one in progress has
+     * already swung by minDelta, so it counts too: otherwise the last swing
+     * of a burst that then holds still would never be counted.
+     */
+    count(now, windowMs) {
+      while (times.length && times[0] < now - windowMs) times.shift();
+      let n = times.length;
+      if (direction !== 0 && extremeTime >= now - windowMs && accept(anchorSample, extremeSample)) n++;
+      return n;
+    },
+    get peakDelta() { return peakDelta; },
+    reset() {
+      anchor = extreme = anchorSample = extremeSample = null;
+      direction = 0;
+      times.length = 0;
+      peakDelta = 0;
+    }
+  };
+}
+
+function isGeneralFlashTransition(a, b) {
+  return Math.min(a.lum, b.lum) < WCAG_DARK_STATE_MAX;
+}
+
+function redRatio(s) {
+  const sum = s.lr + s.lg + s.lb;
+  return sum > 0 ? s.lr / sum : 0;
+}
+
+function redValue(s) {
+  return Math.max(0, (s.lr - s.lg - s.lb) * 320);
+}
+
+function isRedFlashTransition(a, b) {
+  return redRatio(a) >= WCAG_RED_RATIO || redRatio(b) >= WCAG_RED_RATIO;
+}
+
+function createRegionState(profile) {
+  if (profile === 'wcag') {
+    return {
+      general: createTransitionCounter(WCAG_LUMINANCE_DELTA, isGeneralFlashTransition),
+      red: createTransitionCounter(WCAG_RED_DELTA, isRedFlashTransition)
+    };
+  }
+  return { history: [] };
+}
+
+/**
+ * Per-region flash tracker.
+ *
+ * Feed it the output of sampleRegions() once per sample and it reports the
+ * worst failing region, or null.
+ *
+ * heuristic options: { flickerThreshold, lumaDeltaThreshold, windowSize,
+ *   sampleIntervalMs } - a region fails once its count of large changes in
+ *   the last `windowSize` samples reaches `flickerThreshold`.
+ * wcag options: { timestamp, displayArea } - timestamp in ms (video time or
+ *   wall clock), displayArea the on-screen size of the frame in CSS px^2.
+ *   Without displayArea the area rule is skipped.
+ *
+ * Result: { flashesPerSecond, lumaDelta (0..1), kind, region } where region
+ * is {x, y, w, h} as fractions of the frame.
+ *
+ * @param {{ gridSize: number, profile?: 'heuristic'|'wcag' }} options
+ */
+function createFlashAnalyzer({ gridSize, profile = 'heuristic' }) {
+  const groups = buildRegionGroups(gridSize);
+  const states = groups.map(() => createRegionState(profile));
+  const cellArea = 1 / (gridSize * gridSize);
+
+  function scoreHeuristic(state, sample, opts) {
+    const { flickerThreshold, lumaDeltaThreshold, windowSize, sampleIntervalMs } = opts;
+    const history = state.history;
+    history.push(sample);
+    if (history.length > windowSize) history.shift();
+
+    let flickerCount = 0;
+    let peakDelta = 0;
+    for (let i = 1; i < history.length; i++) {
+      const delta = frameDelta(history[i - 1], history[i]);
+      if (delta > lumaDeltaThreshold) {
+        flickerCount++;
+        if (delta > peakDelta) peakDelta = delta;
+      }
+    }
+    if (flickerCount < flickerThreshold) return null;
+    const windowSeconds = (windowSize * (sampleIntervalMs || 50)) / 1000;
+    return {
+      score: flickerCount,
+      flashesPerSecond: flickerCount / 2 / windowSeconds,
+      lumaDelta: peakDelta / 255,
+      kind: 'heuristic'
+    };
+  }
+
+  function scoreWcag(state, sample, { timestamp }) {
+    state.general.push(sample.lum, sample, timestamp);
+    state.red.push(redValue(sample), sample, timestamp);
+
+    const general = Math.floor(state.general.count(timestamp, 1000) / 2);
+    const red = Math.floor(state.red.count(timestamp, 1000) / 2);
+    const flashes = Math.max(general, red);
+    if (flashes <= WCAG_MAX_FLASHES_PER_SECOND) return null;
+    return {
+      score: flashes,
+      flashesPerSecond: flashes,
+      lumaDelta: state.general.peakDelta,
+      kind: red > general ? 'red' : 'general'
+    };
+  }
+
+  function push(cells, opts) {
+    const failing = [];
+
+    groups.forEach((group, gi) => {
+      const sample = averageCells(cells, group.cells);
+      const hit = profile === 'wcag'
+        ? scoreWcag(states[gi], sample, opts)
+        : scoreHeuristic(states[gi], sample, opts);
+      if (hit) failing.push({ group, area: group.w * group.h * cellArea, ...hit });
+    });
+    if (!failing.length) return null;
+
+    let candidates = failing;
+    if (profile === 'wcag' && opts.displayArea) {
+      const minArea = WCAG_FLASH_AREA_PX / opts.displayArea;
+      candidates = failing.filter(f => f.area >= minArea);
+      if (!candidates.length) {
+        // Separate small flashing cells still count once their combined
+        // area crosses the threshold.
+        const singles = failing.filter(f => f.group.w === 1);
+        if (singles.length * cellArea < minArea) return null;
+        return mergeFailing(singles);
+      }
+    }
+
+    // Prefer the region with the most flashing; on a tie, the smallest one.
+    let worst = candidates[0];
+    for (const f of candidates) {
+      if (f.score > worst.score || (f.score === worst.score && f.area < worst.area)) worst = f;
+    }
+    // Point the warning at every flashing cell, so a flash over the whole
+    // frame is not reported as the first of its cells.
+    const singles = failing.filter(f => f.group.w === 1);
+    return toResult(worst, singles.length ? boundingRegion(singles) : groupRegion(worst.group));
+  }
+
+  function groupRegion(group) {
+    return {
+      x: group.x / gridSize,
+      y: group.y / gridSize,
+      w: group.w / gridSize,
+      h: group.h / gridSize
+    };
+  }
+
+  function boundingRegion(list) {
+    let x0 = 1, y0 = 1, x1 = 0, y1 = 0;
+    for (const f of list) {
+      const r = groupRegion(f.group);
+      x0 = Math.min(x0, r.x); y0 = Math.min(y0, r.y);
+      x1 = Math.max(x1, r.x + r.w); y1 = Math.max(y1, r.y + r.h);
+    }
+    return { x: x0, y: y0, w: x1 - x0, h: y1 - y0 };
+  }
+
+  function mergeFailing(list) {
+    let worst = list[0];
+    for (const f of list) {
+      if (f.score > worst.score) worst = f;
+    }
+    return toResult(worst, boundingRegion(list));
+  }
+
+  function toResult(f, region) {
+    return {
+      flashesPerSecond: Math.round(f.flashesPerSecond * 10) / 10,
+      lumaDelta: Math.round(f.lumaDelta * 1000) / 1000,
+      kind: f.kind,
+      region
+    };
+  }
+
+  function reset() {
+    states.forEach(state => {
+      if (state.history) {
+        state.history.length = 0;
+      } else {
+        state.general.reset();
+        state.red.reset();
+      }
+    });
+  }
+
+  return { push, reset };
+}
+
+/**
+ * Play a decoded frame sequence (animated image) through an analyzer.
+ *
+ * The sequence is sampled on the same fixed tick as live video so both are
+ * scored identically, looping until `maxDurationMs` of play time (at least
+ * two loops when the animation is short).
+ *
+ * @param {Array<{data: Uint8ClampedArray, delay: number}>} frames -
+ *   FLASH_SAMPLE_WIDTH x FLASH_SAMPLE_HEIGHT RGBA samples with display time in ms
+ * @param {{ gridSize, profile, thresholds, displayArea, maxDurationMs }} options
+ * @returns {object|null} the detection with the highest flashesPerSecond
+ */
+function analyseFrameSequence(frames, { gridSize, profile, thresholds, displayArea, maxDurationMs = 10000 }) {
+  if (frames.length < 2) return null;
+  const loopMs = frames.reduce((sum, f) => sum + f.delay, 0);
+  if (loopMs <= 0) return null;
+
+  const tick = thresholds.sampleIntervalMs || 50;
+  const duration = Math.min(maxDurationMs, Math.max(loopMs * 2, 3000));
+  const analyzer = createFlashAnalyzer({ gridSize, profile });
+  const cellsCache = new Map();
+
+  const ends = [];
+  let acc = 0;
+  for (const f of frames) { acc += f.delay; ends.push(acc); }
+
+  let peak = null;
+  let frameIdx = 0;
+  let prevLocal = -1;
+  for (let t = 0; t < duration; t += tick) {
+    const local = t % loopMs;
+    if (local < prevLocal) frameIdx = 0; // wrapped into the next loop
+    prevLocal = local;
+    while (frameIdx < frames.length - 1 && local >= ends[frameIdx]) frameIdx++;
+    let cells = cellsCache.get(frameIdx);
+    if (!cells) {
+      cells = sampleRegions(frames[frameIdx].data, FLASH_SAMPLE_WIDTH, FLASH_SAMPLE_HEIGHT, gridSize);
+      cellsCache.set(frameIdx, cells);
+    }
+    const result = analyzer.push(cells, { ...thresholds, timestamp: t, displayArea });
+    if (result && (!peak || result.flashesPerSecond > peak.flashesPerSecond)) peak = result;
+  }
+  return peak;
+}
+
+const KEYFRAME_SCAN_MAX_MS = 10000;
+const KEYFRAME_SCAN_MAX_STEPS = 2000;
+
+/**
+ * Worst-case flash rate of one animated property (smart animation mode).
+ *
+ * The keyframes are played out on their own timing, iteration by iteration,
+ * and the same hysteresis counter as the WCAG profile counts opposing swings
+ * of at least `minDelta`. A `normal`-direction loop jumps from its last
+ * keyframe straight back to the first, which counts as a swing too.
+ *
+ * @param {Array<{offset: number, value: number}>} stops - the property's
+ *   brightness proxy (0..1) at each keyframe offset (0..1), in order
+ * @param {{ duration: number, iterations?: number, direction?: string }} timing -
+ *   duration of one iteration in ms; iterations may be Infinity
+ * @param {number} [minDelta=WCAG_LUMINANCE_DELTA]
+ * @returns {number} the most flashes (pairs of swings) in any one second
+ */
+function keyframeFlashRate(stops, { duration, iterations = 1, direction = 'normal' }, minDelta = WCAG_LUMINANCE_DELTA) {
+  if (stops.length < 2 || !(duration > 0)) return 0;
+
+  const counter = createTransitionCounter(minDelta, () => true);
+  const forward = stops.map(s => ({ t: s.offset * duration, value: s.value }));
+  const backward = forward.map(s => ({ t: duration - s.t, value: s.value })).reverse();
+  const total = Math.min(KEYFRAME_SCAN_MAX_MS, duration * iterations);
+
+  let peak = 0;
+  let steps = 0;
+  for (let i = 0; i * duration < total && steps < KEYFRAME_SCAN_MAX_STEPS; i++) {
+    const reversed = (direction === 'reverse') ||
+      (direction === 'alternate' && i % 2 === 1) ||
+      (direction === 'alternate-reverse' && i % 2 === 0);
+    for (const s of reversed ? backward : forward) {
+      const now = i * duration + s.t;
+      counter.push(s.value, null, now);
+      peak = Math.max(peak, counter.count(now, 1000));
+      steps++;
+    }
+  }
+  return Math.floor(peak / 2);
+}
+
+/**
+ * Human-readable location of a region rect (fractions of the frame).
+ * @param {{x:number,y:number,w:number,h:number}} region
+ */
+function describeRegion(region) {
+  if (!region || region.w * region.h >= 0.6) return 'across the whole frame';
+  const cx = region.x + region.w / 2;
+  const cy = region.y + region.h / 2;
+  const vert = cy < 1 / 3 ? 'top' : cy > 2 / 3 ? 'bottom' : 'middle';
+  const horiz = cx < 1 / 3 ? 'left' : cx > 2 / 3 ? 'right' : 'centre';
+  if (vert === 'middle' && horiz === 'centre') return 'in the centre';
+  if (vert === 'middle') return `on the ${horiz} side`;
+  if (horiz === 'centre') return `along the ${vert}`;
+  return `in the ${vert}-${horiz} corner`;
+}
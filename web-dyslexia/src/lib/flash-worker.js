@@ -0,0 +1,63 @@
+/**
+ * ScreenShield flash analysis worker.
+ *
+ * Runs the per-source analyzers off the page's main thread. The content script
+ * builds this worker from a Blob of lib/flash-analysis.js followed by this
+ * file (the source comes from the background script), so the functions below
+ * come from that script's global scope.
+ *
+ * Messages in:
+ *   { type: 'start', id, gridSize, profile }  create an analyzer for a source
+ *   { type: 'stop', id }                      drop it
+ *   { type: 'frame', id, seq, bitmap, opts }  score one ImageBitmap (transferred,
+ *                                             already at the sample size); opts
+ *                                             are the analyzer push() options
+ * Messages out:
+ *   { type: 'ready' }                         posted once this script has loaded
+ *   { type: 'result', id, seq, result }       push() result, null when clean
+ *   { type: 'error', id, seq }                the frame could not be read
+ *                                             (cross-origin pixels)
+ */
+
+const analyzers = new Map();
+const sampleCanvas = new OffscreenCanvas(FLASH_SAMPLE_WIDTH, FLASH_SAMPLE_HEIGHT);
+const sampleCtx = sampleCanvas.getContext('2d', { willReadFrequently: true });
+
+self.onmessage = ({ data: msg }) => {
+  switch (msg.type) {
+    case 'start':
+      analyzers.set(msg.id, {
+        gridSize: msg.gridSize,
+        analyzer: createFlashAnalyzer({ gridSize: msg.gridSize, profile: msg.profile })
+      });
+      break;
+
+    case 'stop':
+      analyzers.delete(msg.id);
+      break;
+
+    case 'frame': {
+      const entry = analyzers.get(msg.id);
+      if (!entry) {
+        msg.bitmap.close();
+        return;
+      }
+      try {
+        // Bitmaps arrive at the sample size; drawing one is only how its pixels are read
+        sampleCtx.clearRect(0, 0, FLASH_SAMPLE_WIDTH, FLASH_SAMPLE_HEIGHT);
+        sampleCtx.drawImage(msg.bitmap, 0, 0, FLASH_SAMPLE_WIDTH, FLASH_SAMPLE_HEIGHT);
+        const { data } = sampleCtx.getImageData(0, 0, FLASH_SAMPLE_WIDTH, FLASH_SAMPLE_HEIGHT);
+        const cells = sampleRegions(data, FLASH_SAMPLE_WIDTH, FLASH_SAMPLE_HEIGHT, entry.gridSize);
+        const result = entry.analyzer.push(cells, msg.opts);
+        self.postMessage({ type: 'result', id: msg.id, seq: msg.seq, result });
+      } catch {
+        self.postMessage({ type: 'error', id: msg.id, seq: msg.seq });
+      } finally {
+        msg.bitmap.close();
+      }
+      break;
+    }
+  }
+};
+
+self.postMessage({ type: 'ready' });
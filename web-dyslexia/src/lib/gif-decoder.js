@@ -0,0 +1,284 @@
+/**
+ * ScreenShield GIF decoder.
+ *
+ * Small, dependency-free GIF87a/GIF89a decoder used by seizure-safe mode to
+ * read animated GIF frames locally (no network, no page-world scripts). It
+ * parses the block structure once, then composites frames one at a time into
+ * a full-size RGBA buffer honouring each frame's disposal method, so memory
+ * stays at two canvases' worth regardless of frame count.
+ *
+ * Like palettes.js and flash-analysis.js this is a plain script with no DOM
+ * access; it is loaded ahead of the content script.
+ */
+
+/** True if the bytes start with a GIF signature. */
+function isGIF(bytes) {
+  return bytes.length > 6 &&
+    bytes[0] === 0x47 && bytes[1] === 0x49 && bytes[2] === 0x46 && // "GIF"
+    bytes[3] === 0x38 && (bytes[4] === 0x37 || bytes[4] === 0x39) && bytes[5] === 0x61;
+}
+
+function readColorTable(bytes, pos, size) {
+  const table = new Uint8Array(size * 3);
+  table.set(bytes.subarray(pos, pos + size * 3));
+  return table;
+}
+
+/** Concatenate a chain of data sub-blocks starting at pos. */
+function readSubBlocks(bytes, pos) {
+  const chunks = [];
+  let total = 0;
+  while (pos < bytes.length) {
+    const len = bytes[pos++];
+    if (len === 0) break;
+    chunks.push(bytes.subarray(pos, pos + len));
+    total += len;
+    pos += len;
+  }
+  const out = new Uint8Array(total);
+  let off = 0;
+  for (const c of chunks) { out.set(c, off); off += c.length; }
+  return { data: out, end: pos };
+}
+
+function skipSubBlocks(bytes, pos) {
+  while (pos < bytes.length) {
+    const len = bytes[pos++];
+    if (len === 0) break;
+    pos += len;
+  }
+  return pos;
+}
+
+/**
+ * Parse the GIF block structure.
+ * @param {Uint8Array} bytes
+ * @returns {{ width, height, frames: Array<object> }} frames hold the
+ *   undecoded LZW data plus their descriptor and graphic-control fields.
+ * @throws {Error} on a malformed header
+ */
+function parseGIF(bytes) {
+  if (!isGIF(bytes)) throw new Error('Not a GIF');
+
+  const width = bytes[6] | (bytes[7] << 8);
+  const height = bytes[8] | (bytes[9] << 8);
+  const packed = bytes[10];
+  let pos = 13;
+
+  let globalPalette = null;
+  if (packed & 0x80) {
+    const size = 1 << ((packed & 0x07) + 1);
+    globalPalette = readColorTable(bytes, pos, size);
+    pos += size * 3;
+  }
+
+  const frames = [];
+  let gce = null;
+
+  while (pos < bytes.length) {
+    const block = bytes[pos++];
+
+    if (block === 0x3B) break; // trailer
+
+    if (block === 0x21) { // extension
+      const label = bytes[pos++];
+      if (label === 0xF9 && bytes[pos] >= 4) { // graphic control extension
+        const flags = bytes[pos + 1];
+        gce = {
+          disposal: (flags >> 2) & 0x07,
+          transparentIndex: (flags & 0x01) ? bytes[pos + 4] : -1,
+          delay: (bytes[pos + 2] | (bytes[pos + 3] << 8)) * 10
+        };
+      }
+      pos = skipSubBlocks(bytes, pos);
+      continue;
+    }
+
+    if (block === 0x2C) { // image descriptor
+      const x = bytes[pos] | (bytes[pos + 1] << 8);
+      const y = bytes[pos + 2] | (bytes[pos + 3] << 8);
+      const w = bytes[pos + 4] | (bytes[pos + 5] << 8);
+      const h = bytes[pos + 6] | (bytes[pos + 7] << 8);
+      const flags = bytes[pos + 8];
+      pos += 9;
+
+      let palette = globalPalette;
+      if (flags & 0x80) {
+        const size = 1 << ((flags & 0x07) + 1);
+        palette = readColorTable(bytes, pos, size);
+        pos += size * 3;
+      }
+
+      const minCodeSize = bytes[pos++];
+      const { data, end } = readSubBlocks(bytes, pos);
+      pos = end;
+
+      frames.push({
+        x, y, w, h,
+        interlaced: !!(flags & 0x40),
+        palette,
+        minCodeSize,
+        data,
+        disposal: gce ? gce.disposal : 0,
+        transparentIndex: gce ? gce.transparentIndex : -1,
+        // Browsers treat 0 and 10ms delays as 100ms; match what users see.
+        delay: gce && gce.delay > 10 ? gce.delay : 100
+      });
+      gce = null;
+      continue;
+    }
+
+    // Unknown block: the file is truncated or corrupt past this point.
+    break;
+  }
+
+  return { width, height, frames };
+}
+
+/**
+ * Decode one frame's LZW data into palette indices.
+ * @returns {Uint8Array} w*h indices in display (de-interlaced) order
+ */
+function decodeLZW(minCodeSize, data, pixelCount) {
+  const out = new Uint8Array(pixelCount);
+  const clearCode = 1 << minCodeSize;
+  const eoiCode = clearCode + 1;
+
+  const prefix = new Int16Array(4096);
+  const suffix = new Uint8Array(4096);
+  const stack = new Uint8Array(4097);
+
+  let codeSize = minCodeSize + 1;
+  let codeMask = (1 << codeSize) - 1;
+  let nextCode = eoiCode + 1;
+  let oldCode = -1;
+  let first = 0;
+
+  let bits = 0, datum = 0, bytePos = 0, outPos = 0;
+
+  for (let i = 0; i < clearCode; i++) { prefix[i] = -1; suffix[i] = i; }
+
+  while (outPos < pixelCount) {
+    while (bits < codeSize) {
+      if (bytePos >= data.length) return out; // truncated frame: keep what we have
+      datum |= data[bytePos++] << bits;
+      bits += 8;
+    }
+    let code = datum & codeMask;
+    datum >>= codeSize;
+    bits -= codeSize;
+
+    if (code === clearCode) {
+      codeSize = minCodeSize + 1;
+      codeMask = (1 << codeSize) - 1;
+      nextCode = eoiCode + 1;
+      oldCode = -1;
+      continue;
+    }
+    if (code === eoiCode) break;
+
+    if (oldCode === -1) {
+      out[outPos++] = suffix[code];
+      oldCode = code;
+      first = code;
+      continue;
+    }
+
+    const inCode = code;
+    let top = 0;
+    if (code >= nextCode) {
+      stack[top++] = first;
+      code = oldCode;
+    }
+    while (code > clearCode) {
+      stack[top++] = suffix[code];
+      code = prefix[code];
+    }
+    first = suffix[code];
+    stack[top++] = first;
+
+    if (nextCode < 4096) {
+      prefix[nextCode] = oldCode;
+      suffix[nextCode] = first;
+      nextCode++;
+      if ((nextCode & codeMask) === 0 && nextCode < 4096) {
+        codeSize++;
+        codeMask = (1 << codeSize) - 1;
+      }
+    }
+    oldCode = inCode;
+
+    while (top > 0 && outPos < pixelCount) out[outPos++] = stack[--top];
+  }
+  return out;
+}
+
+function deinterlace(indices, w, h) {
+  const out = new Uint8Array(indices.length);
+  const passes = [[0, 8], [4, 8], [2, 4], [1, 2]];
+  let row = 0;
+  for (const [start, step] of passes) {
+    for (let y = start; y < h; y += step) {
+      out.set(indices.subarray(row * w, (row + 1) * w), y * w);
+      row++;
+    }
+  }
+  return out;
+}
+
+/**
+ * Composite GIF frames in order, calling onFrame with the full canvas after
+ * each one. The buffer passed to onFrame is reused; copy it to keep it.
+ *
+ * Transparent pixels stay at alpha 0 and colour 0, so a frame that flashes
+ * between transparent and a bright colour still scores as a flash.
+ *
+ * @param {{ width, height, frames }} gif - from parseGIF()
+ * @param {(rgba: Uint8ClampedArray, delayMs: number, index: number) => (boolean|void)} onFrame
+ *   return false to stop early
+ * @param {number} [maxFrames=Infinity]
+ */
+function renderGIFFrames(gif, onFrame, maxFrames = Infinity) {
+  const { width, height } = gif;
+  const canvas = new Uint8ClampedArray(width * height * 4);
+  let previous = null;
+
+  const count = Math.min(gif.frames.length, maxFrames);
+  for (let f = 0; f < count; f++) {
+    const frame = gif.frames[f];
+    if (!frame.palette) continue;
+
+    if (frame.disposal === 3) previous = canvas.slice();
+
+    let indices = decodeLZW(frame.minCodeSize, frame.data, frame.w * frame.h);
+    if (frame.interlaced) indices = deinterlace(indices, frame.w, frame.h);
+
+    const pal = frame.palette;
+    for (let y = 0; y < frame.h; y++) {
+      const cy = frame.y + y;
+      if (cy >= height) break;
+      for (let x = 0; x < frame.w; x++) {
+        const cx = frame.x + x;
+        if (cx >= width) break;
+        const idx = indices[y * frame.w + x];
+        if (idx === frame.transparentIndex) continue;
+        const o = (cy * width + cx) * 4;
+        canvas[o] = pal[idx * 3];
+        canvas[o + 1] = pal[idx * 3 + 1];
+        canvas[o + 2] = pal[idx * 3 + 2];
+        canvas[o + 3] = 255;
+      }
+    }
+
+    if (onFrame(canvas, frame.delay, f) === false) return;
+
+    // Apply disposal before the next frame is drawn
+    if (frame.disposal === 2) {
+      for (let y = frame.y; y < Math.min(height, frame.y + frame.h); y++) {
+        canvas.fill(0, (y * width + frame.x) * 4, (y * width + Math.min(width, frame.x + frame.w)) * 4);
+      }
+    } else if (frame.disposal === 3 && previous) {
+      canvas.set(previous);
+    }
+  }
+}
@@ -0,0 +1,90 @@
+/**
+ * ScreenShield syllable splitting and fixation emphasis.
+ *
+ * Syllables come from Liang's hyphenation algorithm (the one TeX uses) over
+ * the pattern files in assets/hyphenation/, one per tts-language that has
+ * them; scripts/build_hyphenation.py builds those files. Japanese, Korean,
+ * Chinese and Arabic are not hyphenated.
+ *
+ * Fixation emphasis marks the first part of each word (about 40% of its
+ * letters, at least one) so the eye has a point to land on.
+ *
+ * Like typography.js this is a plain script with no DOM access; it is loaded
+ * ahead of the content script, which fetches the pattern files.
+ */
+
+/** Languages with a pattern file, by primary language subtag. */
+const HYPHENATION_LANGUAGES = ['en', 'fr', 'es', 'de', 'it', 'pt', 'ru', 'nl', 'pl', 'tr', 'hi', 'ml'];
+
+/** A word: letters and their combining marks, with inner apostrophes (they're). */
+const TEXT_WORD_PATTERN = /[\p{L}\p{M}]+(?:['’][\p{L}\p{M}]+)*/gu;
+
+const FIXATION_RATIO = 0.4;
+/** Fixation only helps in alphabetic scripts read a letter at a time. */
+const FIXATION_SCRIPTS = /^[\p{Script=Latin}\p{Script=Cyrillic}\p{Script=Greek}]/u;
+
+const graphemeSegmenter = typeof Intl.Segmenter === 'function'
+  ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+  : null;
+
+/**
+ * A syllable splitter for one language.
+ * @param {{ lang: string, leftmin: number, rightmin: number, patterns: string }} data
+ *   a pattern file; patterns are space-separated, like "a1b" or ".ex5"
+ * @returns {(word: string) => string[]} the word's syllables, which join back
+ *   into the word exactly
+ */
+function createHyphenator({ lang, leftmin, rightmin, patterns }) {
+  const table = new Map();
+  let maxLength = 0;
+  for (const pattern of patterns.split(/\s+/)) {
+    if (!pattern) continue;
+    const letters = pattern.replace(/\d/g, '');
+    // values[i] is the score of the gap before letters[i]
+    const values = new Uint8Array(letters.length + 1);
+    let i = 0;
+    for (const ch of pattern) {
+      if (ch >= '0' && ch <= '9') values[i] = ch.charCodeAt(0) - 48;
+      else i += ch.length;
+    }
+    table.set(letters, values);
+    maxLength = Math.max(maxLength, letters.length);
+  }
+
+  return word => {
+    if (word.length < leftmin + rightmin) return [word];
+    const lower = word.toLocaleLowerCase(lang);
+    // Lower-casing can change the length ("İ"); such words stay whole
+    if (lower.length !== word.length) return [word];
+    const text = `.${lower}.`;
+    const points = new Uint8Array(text.length + 1);
+    for (let i = 0; i < text.length; i++) {
+      for (let j = i + 1; j <= Math.min(text.length, i + maxLength); j++) {
+        const values = table.get(text.slice(i, j));
+        if (!values) continue;
+        for (let k = 0; k < values.length; k++) {
+          if (values[k] > points[i + k]) points[i + k] = values[k];
+        }
+      }
+    }
+    // Odd scores are breaks; points[i + 1] is the gap before word[i]
+    const parts = [];
+    let start = 0;
+    for (let i = leftmin; i <= word.length - rightmin; i++) {
+      if (points[i + 1] % 2 && !/\p{M}/u.test(word[i])) {
+        parts.push(word.slice(start, i));
+        start = i;
+      }
+    }
+    parts.push(word.slice(start));
+    return parts;
+  };
+}
+
+/** How many UTF-16 code units of a word to emphasise; 0 outside FIXATION_SCRIPTS. */
+function fixationLength(word) {
+  if (!FIXATION_SCRIPTS.test(word)) return 0;
+  const graphemes = graphemeSegmenter ? [...graphemeSegmenter.segment(word)].map(s => s.segment) : [...word];
+  const count = graphemes.length <= 3 ? 1 : Math.ceil(graphemes.length * FIXATION_RATIO);
+  return graphemes.slice(0, count).join('').length;
+}
@@ -1,9 +1,11 @@
 /**
  * ScreenShield color palettes for accessibility.
- * Used by the popup (and optionally by extension-injected UI).
- * Each palette defines high-contrast, distinguishable colors.
+ * Used by the popup, the incident log and the panels the content script
+ * injects into pages. Each palette defines high-contrast, distinguishable colors.
  *
  * Keys map to CSS variables: --bg, --surface, --text, --accent, etc.
+ * `allow` colours "Always allow" actions, which must not be mistaken for the
+ * accent (the default green next to blue fails for red-green dichromats).
  */
 
 const PALETTES = {
@@ -23,6 +25,7 @@ const PALETTES = {
     error: '#e74c3c',
     tts: '#a855f7',
     ttsDim: 'rgba(168, 85, 247, 0.15)',
+    allow: '#2e7d32',
   },
 
   // Deuteranopia: red–green confusion. Use blue accent, amber warning, cyan/teal success, magenta error.
@@ -42,6 +45,7 @@ const PALETTES = {
     error: '#f778ba',
     tts: '#a371f7',
     ttsDim: 'rgba(163, 113, 247, 0.15)',
+    allow: '#b35c00',
   },
 
   // Protanopia: red–green confusion (similar strategy to deuteranopia).
@@ -61,6 +65,7 @@ const PALETTES = {
     error: '#e85d8a',
     tts: '#b87fff',
     ttsDim: 'rgba(184, 127, 255, 0.15)',
+    allow: '#a35400',
   },
 
   // Tritanopia: blue–yellow confusion. Use red/orange accent, green success; avoid blue–yellow pairing.
@@ -80,9 +85,26 @@ const PALETTES = {
     error: '#c01c28',
     tts: '#c678dd',
     ttsDim: 'rgba(198, 120, 221, 0.15)',
+    allow: '#1d6fa5',
   },
 };
 
+/**
+ * Palette colour for each confusable letter (b, d, p, q) and for homophone
+ * underlines. The letters take the palette's four most distinct hues, which
+ * each palette already keeps apart for its type of colour vision.
+ */
+const CONFUSABLE_PALETTE_KEYS = { b: 'accent', d: 'error', p: 'success', q: 'tts', homophone: 'warning' };
+
+/**
+ * @param {string} mode - a palette name
+ * @returns {{ b: string, d: string, p: string, q: string, homophone: string }} hex colours
+ */
+function getConfusableColors(mode) {
+  const palette = PALETTES[mode] || PALETTES.default;
+  return Object.fromEntries(Object.entries(CONFUSABLE_PALETTE_KEYS).map(([key, name]) => [key, palette[name]]));
+}
+
 /**
  * Apply a palette to a DOM element (e.g. document.documentElement) by setting CSS custom properties.
  * @param {string} mode - One of: 'default', 'deuteranopia', 'protanopia', 'tritanopia'
@@ -107,11 +129,14 @@ function applyPalette(mode, root = document.documentElement) {
   root.style.setProperty('--error', palette.error);
   root.style.setProperty('--tts', palette.tts);
   root.style.setProperty('--tts-dim', palette.ttsDim);
+  root.style.setProperty('--allow', palette.allow);
 }
 
 /**
  * Return a CSS string that sets palette variables on :host (for Shadow DOM).
- * Use this in content script when building extension-injected UI.
+ * Use this in content script when building extension-injected UI. Besides the
+ * palette itself it defines the hover, faint and danger shades panels need,
+ * mixed from the palette colours.
  * @param {string} mode - One of: 'default', 'deuteranopia', 'protanopia', 'tritanopia'
  * @returns {string} CSS string to prepend to shadow styles
  */
@@ -131,6 +156,16 @@ function getPaletteCSS(mode) {
   --error: ${palette.error};
   --tts: ${palette.tts};
   --tts-dim: ${palette.ttsDim};
+  --allow: ${palette.allow};
+  --surface-hover: color-mix(in srgb, ${palette.surface2} 75%, ${palette.textMuted});
+  --accent-hover: color-mix(in srgb, ${palette.accent} 80%, #000);
+  --accent-light: color-mix(in srgb, ${palette.accent} 80%, #fff);
+  --accent-ring: color-mix(in srgb, ${palette.accent} 45%, transparent);
+  --tts-hover: color-mix(in srgb, ${palette.tts} 85%, #000);
+  --tts-faint: color-mix(in srgb, ${palette.tts} 8%, transparent);
+  --warn-dim: color-mix(in srgb, ${palette.warning} 8%, transparent);
+  --error-bg: color-mix(in srgb, ${palette.error} 35%, #000);
+  --error-text: color-mix(in srgb, ${palette.error} 45%, #fff);
 }`;
 }
 
@@ -0,0 +1,183 @@
+/**
+ * ScreenShield spatial pattern analysis.
+ *
+ * Finds strong, regular light/dark patterns (stripes, grids, checkerboards,
+ * op-art) in a still frame. Pattern-sensitive epilepsy is triggered by high
+ * contrast repeating bars at a few cycles per degree of visual angle, even
+ * when nothing flashes, so the check is spatial rather than temporal.
+ *
+ * A set of evenly spaced rows and columns is read as relative luminance and
+ * each line is autocorrelated: a regular pattern gives a strong peak at its
+ * period after the first zero crossing. The frame matches when enough lines
+ * agree on one period, with enough cycles and enough contrast.
+ *
+ * Only bars of comparable width count. Ruled lines, table and layout grids and
+ * lines of text are thin dark marks on a light ground (or the reverse); they
+ * repeat just as regularly but are not the even light/dark bars that provoke
+ * seizures, so lines whose light share is far from half are skipped.
+ *
+ * Uses SRGB_TO_LINEAR and WCAG_FLASH_AREA_PX from lib/flash-analysis.js,
+ * which the manifest loads first. Nothing in here touches the DOM.
+ */
+
+const PATTERN_SAMPLE_MAX = 256;        // longest side of the analysed frame, in px
+const PATTERN_LINES = 16;              // rows and columns read per frame
+const PATTERN_MIN_CONTRAST = 0.5;      // Michelson contrast of relative luminance
+const PATTERN_MIN_CORRELATION = 0.6;   // autocorrelation peak that counts as periodic
+const PATTERN_MIN_CYCLES = 5;          // light/dark pairs along one line
+const PATTERN_MIN_DUTY = 0.25;         // light share of a line, and dark share, at least
+const PATTERN_MIN_COVERAGE = 0.5;      // share of lines that must agree
+const PATTERN_PERIOD_TOLERANCE = 0.2;  // lines within 20% of the median period agree
+// Bar periods of roughly 1 to 10 cycles per degree at desktop viewing
+// distance (about 40 CSS px per degree), which covers the most provocative
+// band around 3 cycles per degree.
+const PATTERN_MIN_PERIOD_PX = 4;
+const PATTERN_MAX_PERIOD_PX = 48;
+// Patterns need to fill about as much of the view as a failing flash
+const PATTERN_MIN_AREA_PX = WCAG_FLASH_AREA_PX;
+
+/**
+ * Size to draw an element at for analysis.
+ * @param {number} width - displayed width in CSS px
+ * @param {number} height - displayed height in CSS px
+ * @returns {{ width: number, height: number, scale: number }} scale is
+ *   sample px per CSS px (at most 1)
+ */
+function patternSampleSize(width, height) {
+  const scale = Math.min(1, PATTERN_SAMPLE_MAX / Math.max(width, height, 1));
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale)),
+    scale
+  };
+}
+
+/** Relative luminance (0..1) per pixel of an RGBA buffer. */
+function luminancePlane(data, width, height) {
+  const plane = new Float32Array(width * height);
+  for (let i = 0, p = 0; p < plane.length; i += 4, p++) {
+    plane[p] = 0.2126 * SRGB_TO_LINEAR[data[i]] +
+      0.7152 * SRGB_TO_LINEAR[data[i + 1]] +
+      0.0722 * SRGB_TO_LINEAR[data[i + 2]];
+  }
+  return plane;
+}
+
+/**
+ * Period of one line of luminance values, or null when it is not a strong,
+ * regular, high-contrast pattern.
+ * @param {Float32Array|number[]} line
+ * @param {number} minPeriod - shortest period to accept, in samples
+ * @param {number} maxPeriod - longest period to accept, in samples
+ * @returns {{ period: number, correlation: number, contrast: number }|null}
+ */
+function linePeriodicity(line, minPeriod, maxPeriod) {
+  const n = line.length;
+  const sorted = Array.from(line).sort((a, b) => a - b);
+  const lo = sorted[Math.floor(n * 0.1)];
+  const hi = sorted[Math.floor(n * 0.9)];
+  const contrast = hi + lo > 0 ? (hi - lo) / (hi + lo) : 0;
+  if (contrast < PATTERN_MIN_CONTRAST) return null;
+
+  const mid = (hi + lo) / 2;
+  let light = 0;
+  for (let i = 0; i < n; i++) if (line[i] > mid) light++;
+  if (light / n < PATTERN_MIN_DUTY || light / n > 1 - PATTERN_MIN_DUTY) return null;
+
+  let mean = 0;
+  for (let i = 0; i < n; i++) mean += line[i];
+  mean /= n;
+  let energy = 0;
+  for (let i = 0; i < n; i++) energy += (line[i] - mean) ** 2;
+  if (energy === 0) return null;
+
+  const maxLag = Math.min(Math.floor(maxPeriod), Math.floor(n / PATTERN_MIN_CYCLES));
+  let crossed = false;
+  let best = null;
+  for (let lag = 1; lag <= maxLag; lag++) {
+    let sum = 0;
+    for (let i = 0; i + lag < n; i++) sum += (line[i] - mean) * (line[i + lag] - mean);
+    // Unbiased estimate, so longer lags are not penalised for their shorter overlap
+    const r = (sum / energy) * (n / (n - lag));
+    if (!crossed) {
+      if (r < 0) crossed = true;
+      continue;
+    }
+    if (lag >= minPeriod && r >= PATTERN_MIN_CORRELATION && (!best || r > best.correlation + 0.05)) {
+      best = { period: lag, correlation: r, contrast };
+    }
+    // The first strong peak is the fundamental; later ones are its multiples
+    if (best && r < best.correlation - 0.2) break;
+  }
+  return best;
+}
+
+/**
+ * Lines along one axis that agree on a period.
+ * @returns {{ period: number, contrast: number, coverage: number }|null}
+ */
+function axisPattern(plane, width, height, horizontal, minPeriod, maxPeriod) {
+  const length = horizontal ? width : height;
+  const across = horizontal ? height : width;
+  const count = Math.min(PATTERN_LINES, across);
+  const found = [];
+
+  for (let k = 0; k < count; k++) {
+    const at = Math.floor(((k + 0.5) / count) * across);
+    const line = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+      line[i] = horizontal ? plane[at * width + i] : plane[i * width + at];
+    }
+    const result = linePeriodicity(line, minPeriod, maxPeriod);
+    if (result) found.push(result);
+  }
+  if (!found.length) return null;
+
+  const periods = found.map(f => f.period).sort((a, b) => a - b);
+  const median = periods[Math.floor(periods.length / 2)];
+  const agreeing = found.filter(f => Math.abs(f.period - median) <= Math.max(1, median * PATTERN_PERIOD_TOLERANCE));
+  const coverage = agreeing.length / count;
+  if (coverage < PATTERN_MIN_COVERAGE) return null;
+  return {
+    period: median,
+    contrast: agreeing.reduce((sum, f) => sum + f.contrast, 0) / agreeing.length,
+    coverage
+  };
+}
+
+/**
+ * Look for a high-contrast periodic pattern in one frame.
+ * @param {Uint8ClampedArray} data - RGBA pixels drawn at patternSampleSize()
+ * @param {number} width
+ * @param {number} height
+ * @param {{ scale: number, displayArea: number }} opts - sample px per CSS px
+ *   and the element's displayed area in CSS px²
+ * @returns {{ kind: 'vertical'|'horizontal'|'grid', period: number,
+ *   contrast: number, coverage: number }|null} period in CSS px; kind is the
+ *   direction of the bars ('grid' for checkerboards, grids and diagonals)
+ */
+function detectSpatialPattern(data, width, height, { scale, displayArea }) {
+  if (displayArea < PATTERN_MIN_AREA_PX) return null;
+  const minPeriod = Math.max(2, PATTERN_MIN_PERIOD_PX * scale);
+  const maxPeriod = PATTERN_MAX_PERIOD_PX * scale;
+  const plane = luminancePlane(data, width, height);
+
+  // Luminance changing along rows means vertical bars, and vice versa
+  const vertical = axisPattern(plane, width, height, true, minPeriod, maxPeriod);
+  const horizontal = axisPattern(plane, width, height, false, minPeriod, maxPeriod);
+  if (!vertical && !horizontal) return null;
+
+  const main = !horizontal || (vertical && vertical.coverage >= horizontal.coverage) ? vertical : horizontal;
+  return {
+    kind: vertical && horizontal ? 'grid' : (vertical ? 'vertical' : 'horizontal'),
+    period: Math.round(main.period / scale),
+    contrast: Math.round(main.contrast * 100) / 100,
+    coverage: main.coverage
+  };
+}
+
+/** Short description for the reveal card. */
+function describePattern(pattern) {
+  const what = pattern.kind === 'grid' ? 'grid or checkerboard' : `${pattern.kind} stripes`;
+  return `High-contrast ${what} (${pattern.period}px repeat)`;
+}
@@ -0,0 +1,262 @@
+/**
+ * ScreenShield reader view extraction.
+ *
+ * Finds the main article in a page and copies it into clean markup for the
+ * reader view, with a readability-style heuristic:
+ *
+ *   1. every paragraph with enough text scores its parent in full, its
+ *      grandparent by half and the next ancestor by a third (commas and
+ *      length add; class and id names like "sidebar" or "comment" subtract);
+ *   2. each candidate's score is scaled down by how much of its text is
+ *      links, and the best one wins, with any sibling that scores close to it
+ *      or is a solid paragraph of its own;
+ *   3. the result is rebuilt from an allowlist of tags and attributes, so only
+ *      text, structure, links and images come across: no scripts, styles,
+ *      handlers or page classes.
+ *
+ * Unlike the other lib files this reads the DOM it is given, but it never
+ * changes it. Loaded ahead of the content script.
+ */
+
+const READER_MIN_PARAGRAPH = 25;   // characters for a paragraph to score
+const READER_MIN_TEXT = 250;       // characters for the result to count as an article
+const READER_MIN_IMAGE = 48;       // px; smaller images are icons or trackers
+
+const READER_POSITIVE = /article|body|content|entry|hentry|h-entry|main|page|pagination|post|text|blog|story/i;
+const READER_NEGATIVE = /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|foot|footer|footnote|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|social|tags|tool|widget|nav|menu|breadcrumb|newsletter|subscribe/i;
+
+/** Never copied, nor their contents. */
+const READER_DROP_TAGS = new Set([
+  'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'LINK', 'META', 'IFRAME', 'FRAME', 'OBJECT', 'EMBED',
+  'FORM', 'BUTTON', 'INPUT', 'SELECT', 'TEXTAREA', 'LABEL', 'NAV', 'ASIDE', 'FOOTER', 'HEADER',
+  'CANVAS', 'VIDEO', 'AUDIO', 'DIALOG', 'MENU'
+]);
+const READER_DROP_ROLES = /^(navigation|complementary|banner|contentinfo|dialog|alertdialog|search|menu|menubar|toolbar)$/;
+
+/** Page tag -> reader tag. Anything else is unwrapped, or becomes a paragraph; see copyReaderNode(). */
+const READER_TAGS = {
+  P: 'P', H1: 'H2', H2: 'H2', H3: 'H3', H4: 'H4', H5: 'H5', H6: 'H6',
+  UL: 'UL', OL: 'OL', LI: 'LI', DL: 'DL', DT: 'DT', DD: 'DD',
+  BLOCKQUOTE: 'BLOCKQUOTE', PRE: 'PRE', CODE: 'CODE', FIGURE: 'FIGURE', FIGCAPTION: 'FIGCAPTION',
+  TABLE: 'TABLE', CAPTION: 'CAPTION', THEAD: 'THEAD', TBODY: 'TBODY', TFOOT: 'TFOOT', TR: 'TR', TH: 'TH', TD: 'TD',
+  A: 'A', EM: 'EM', I: 'EM', STRONG: 'STRONG', B: 'STRONG', MARK: 'MARK', Q: 'Q', ABBR: 'ABBR',
+  SUB: 'SUB', SUP: 'SUP', S: 'S', DEL: 'DEL', INS: 'INS', KBD: 'KBD', SAMP: 'SAMP', BR: 'BR', HR: 'HR'
+};
+const READER_VOID_TAGS = new Set(['BR', 'HR', 'IMG']);
+/** Containers that become a paragraph when they hold only inline content. */
+const READER_WRAPPERS = new Set(['DIV', 'SECTION', 'ARTICLE', 'MAIN']);
+const READER_BLOCK_SELECTOR = 'p, div, section, article, main, h1, h2, h3, h4, h5, h6, ul, ol, dl, table, blockquote, pre, figure';
+
+/**
+ * The main article of a document.
+ * @param {Document} doc
+ * @returns {{ title: string, byline: string, siteName: string, lang: string,
+ *   dir: string, content: DocumentFragment }|null} null when nothing on the
+ *   page looks like an article
+ */
+function extractArticle(doc) {
+  if (!doc.body) return null;
+  const nodes = findArticleNodes(doc);
+  if (!nodes.length) return null;
+
+  const title = getArticleTitle(doc);
+  const content = doc.createDocumentFragment();
+  nodes.forEach(node => copyReaderNode(node, content, doc));
+  // The title is shown separately
+  const firstHeading = content.querySelector('h2');
+  if (firstHeading && firstHeading.textContent.trim() === title) firstHeading.remove();
+  if (content.textContent.trim().length < READER_MIN_TEXT) return null;
+
+  return {
+    title,
+    byline: getArticleByline(doc),
+    siteName: doc.querySelector('meta[property="og:site_name"]')?.content?.trim() || doc.location?.hostname || '',
+    lang: doc.documentElement.lang || '',
+    dir: doc.documentElement.dir || doc.body.dir || '',
+    content
+  };
+}
+
+/** The winning container and the siblings that belong with it, in page order. */
+function findArticleNodes(doc) {
+  const scores = new Map();
+  const addScore = (el, score) => {
+    if (!el || el === doc.documentElement) return;
+    if (!scores.has(el)) scores.set(el, initialScore(el));
+    scores.set(el, scores.get(el) + score);
+  };
+
+  for (const p of doc.body.querySelectorAll('p, pre, td, blockquote')) {
+    if (isReaderClutter(p) || p.closest('nav, aside, footer, form, [role="navigation"], [role="complementary"]')) continue;
+    const text = p.textContent.trim();
+    if (text.length < READER_MIN_PARAGRAPH) continue;
+    const score = 1 + text.split(/[,，、]/).length - 1 + Math.min(3, Math.floor(text.length / 100));
+    addScore(p.parentElement, score);
+    addScore(p.parentElement?.parentElement, score / 2);
+    addScore(p.parentElement?.parentElement?.parentElement, score / 3);
+  }
+
+  let top = null;
+  let topScore = 0;
+  for (const [el, score] of scores) {
+    const scaled = score * (1 - linkDensity(el));
+    scores.set(el, scaled);
+    if (scaled > topScore) {
+      top = el;
+      topScore = scaled;
+    }
+  }
+  if (!top) return [];
+  if (top === doc.body) return [top];
+
+  const threshold = Math.max(10, topScore * 0.2);
+  return [...top.parentElement.children].filter(sibling => {
+    if (sibling === top) return true;
+    if ((scores.get(sibling) || 0) >= threshold) return true;
+    if (sibling.tagName !== 'P') return false;
+    const text = sibling.textContent.trim();
+    const density = linkDensity(sibling);
+    return (text.length > 80 && density < 0.25) || (text.length > 0 && density === 0 && /\.( |$)/.test(text));
+  });
+}
+
+function initialScore(el) {
+  let score = classWeight(el);
+  switch (el.tagName) {
+    case 'ARTICLE': score += 10; break;
+    case 'DIV': score += 5; break;
+    case 'PRE': case 'TD': case 'BLOCKQUOTE': score += 3; break;
+    case 'OL': case 'UL': case 'DL': case 'DD': case 'DT': case 'LI': case 'FORM': case 'ADDRESS': score -= 3; break;
+    case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6': case 'TH': score -= 5; break;
+  }
+  if (el.getAttribute('itemprop') === 'articleBody') score += 25;
+  return score;
+}
+
+/** +25 for an article-like class or id, -25 for a clutter-like one (each). */
+function classWeight(el) {
+  let weight = 0;
+  for (const name of [el.getAttribute('class'), el.id]) {
+    if (!name) continue;
+    if (READER_NEGATIVE.test(name)) weight -= 25;
+    if (READER_POSITIVE.test(name)) weight += 25;
+  }
+  return weight;
+}
+
+/** Share of an element's text that sits in links, 0..1. */
+function linkDensity(el) {
+  const length = el.textContent.trim().length;
+  if (!length) return 0;
+  let links = 0;
+  el.querySelectorAll('a').forEach(a => { links += a.textContent.trim().length; });
+  return Math.min(1, links / length);
+}
+
+/** Share bars, related-story lists and the like inside the article. */
+function isReaderClutter(el) {
+  if (READER_DROP_ROLES.test(el.getAttribute('role') || '')) return true;
+  return classWeight(el) < 0 && linkDensity(el) > 0.3;
+}
+
+function isReaderHidden(el) {
+  if (el.hidden || el.getAttribute('aria-hidden') === 'true') return true;
+  // Lazy images can have no box yet; everything else without one is not rendered
+  return el.tagName !== 'IMG' && el.tagName !== 'BR' && !el.getClientRects().length;
+}
+
+/** Copy one page node into the reader, keeping only allowlisted tags and attributes. */
+function copyReaderNode(node, parent, doc) {
+  if (node.nodeType === Node.TEXT_NODE) {
+    parent.appendChild(doc.createTextNode(node.data));
+    return;
+  }
+  if (node.nodeType !== Node.ELEMENT_NODE) return;
+  const tag = node.tagName;
+  if (READER_DROP_TAGS.has(tag) || isReaderHidden(node) || isReaderClutter(node)) return;
+
+  if (tag === 'IMG' || tag === 'PICTURE') {
+    const img = copyReaderImage(tag === 'IMG' ? node : node.querySelector('img'), doc);
+    if (img) parent.appendChild(img);
+    return;
+  }
+
+  let outTag = READER_TAGS[tag];
+  if (!outTag && READER_WRAPPERS.has(tag) && node.textContent.trim() && !node.querySelector(READER_BLOCK_SELECTOR)) {
+    outTag = 'P';
+  }
+  if (!outTag) {
+    // Unwrap: spans, divs around blocks, custom elements
+    node.childNodes.forEach(child => copyReaderNode(child, parent, doc));
+    return;
+  }
+
+  const out = doc.createElement(outTag);
+  if (outTag === 'A') {
+    const href = safeReaderUrl(node.getAttribute('href'), doc, false);
+    if (href) {
+      out.href = href;
+      out.target = '_blank';
+      out.rel = 'noopener noreferrer';
+    }
+  } else if (outTag === 'TD' || outTag === 'TH') {
+    ['colspan', 'rowspan'].forEach(name => {
+      const span = parseInt(node.getAttribute(name), 10);
+      if (span > 1) out.setAttribute(name, String(Math.min(span, 100)));
+    });
+  } else if (outTag === 'ABBR' && node.title) {
+    out.title = node.title;
+  }
+  node.childNodes.forEach(child => copyReaderNode(child, out, doc));
+  // Drop what the filtering emptied out
+  if (!READER_VOID_TAGS.has(outTag) && !out.textContent.trim() && !out.querySelector('img')) return;
+  parent.appendChild(out);
+}
+
+function copyReaderImage(img, doc) {
+  if (!img || img.hidden || img.getAttribute('aria-hidden') === 'true') return null;
+  if (img.naturalWidth && img.naturalWidth < READER_MIN_IMAGE) return null;
+  const src = safeReaderUrl(img.currentSrc || img.getAttribute('src') || img.dataset.src ||
+    img.dataset.lazySrc || img.getAttribute('data-original'), doc, true);
+  if (!src) return null;
+  const out = doc.createElement('img');
+  out.src = src;
+  out.alt = img.alt || '';
+  out.loading = 'lazy';
+  out.decoding = 'async';
+  return out;
+}
+
+/** Absolute http(s) URL, or data: for images; null for anything else (javascript: and the like). */
+function safeReaderUrl(value, doc, isImage) {
+  if (!value) return null;
+  try {
+    const url = new URL(value, doc.baseURI);
+    if (url.protocol === 'http:' || url.protocol === 'https:') return url.href;
+    if (isImage && url.protocol === 'data:' && /^data:image\//i.test(url.href)) return url.href;
+  } catch {
+    // Unparseable
+  }
+  return null;
+}
+
+/** og:title, a lone <h1>, or the document title without its " | Site name" part. */
+function getArticleTitle(doc) {
+  const og = doc.querySelector('meta[property="og:title"]')?.content?.trim();
+  if (og) return og;
+  const headings = doc.body.querySelectorAll('h1');
+  if (headings.length === 1 && headings[0].textContent.trim()) return headings[0].textContent.trim();
+  const title = doc.title.trim();
+  const head = title.split(/\s[|\-–—»:]\s/)[0].trim();
+  return head.split(/\s+/).length >= 3 ? head : title;
+}
+
+function getArticleByline(doc) {
+  const meta = doc.querySelector('meta[name="author"]')?.content?.trim();
+  if (meta) return meta;
+  for (const el of doc.body.querySelectorAll('[rel="author"], [itemprop="author"], .byline, .author')) {
+    const text = el.textContent.replace(/\s+/g, ' ').trim();
+    if (text && text.length < 100) return text;
+  }
+  return '';
+}
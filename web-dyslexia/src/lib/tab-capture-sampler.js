@@ -0,0 +1,53 @@
+/**
+ * ScreenShield tab capture sampling.
+ *
+ * Turns one captured frame of the visible tab into flash-analysis cells for
+ * each video rectangle the content script asked about, so cross-origin video
+ * can be scored without reading it in the page. Used by the Chrome offscreen
+ * document (frames of a tabCapture stream) and the Firefox background page
+ * (images from tabs.captureVisibleTab()).
+ *
+ * Uses FLASH_SAMPLE_WIDTH, FLASH_SAMPLE_HEIGHT and sampleRegions() from
+ * lib/flash-analysis.js, which has to be loaded first.
+ */
+
+let captureSampleCtx = null;
+
+/**
+ * @param {CanvasImageSource} frame - the captured tab
+ * @param {number} frameWidth - frame size in pixels
+ * @param {number} frameHeight
+ * @param {{ targets: Array<{ id: number, gridSize: number,
+ *   rect: { left: number, top: number, width: number, height: number } }>,
+ *   viewport: { width: number, height: number } }} request - rectangles in
+ *   CSS px of the viewport measured by the content script
+ * @param {number} timestamp - capture time in ms
+ * @returns {Array<{ id: number, timestamp: number, cells: object[] }>} one
+ *   entry per target with any part on screen
+ */
+function sampleCaptureFrame(frame, frameWidth, frameHeight, { targets, viewport }, timestamp) {
+  if (!captureSampleCtx) {
+    const canvas = new OffscreenCanvas(FLASH_SAMPLE_WIDTH, FLASH_SAMPLE_HEIGHT);
+    captureSampleCtx = canvas.getContext('2d', { willReadFrequently: true });
+  }
+  const ctx = captureSampleCtx;
+  const sx = frameWidth / viewport.width;
+  const sy = frameHeight / viewport.height;
+  const samples = [];
+
+  for (const { id, gridSize, rect } of targets) {
+    // Only the part of the video inside the viewport is in the capture
+    const left = Math.max(0, rect.left);
+    const top = Math.max(0, rect.top);
+    const right = Math.min(viewport.width, rect.left + rect.width);
+    const bottom = Math.min(viewport.height, rect.top + rect.height);
+    if (right - left < 1 || bottom - top < 1) continue;
+
+    ctx.clearRect(0, 0, FLASH_SAMPLE_WIDTH, FLASH_SAMPLE_HEIGHT);
+    ctx.drawImage(frame, left * sx, top * sy, (right - left) * sx, (bottom - top) * sy,
+      0, 0, FLASH_SAMPLE_WIDTH, FLASH_SAMPLE_HEIGHT);
+    const { data } = ctx.getImageData(0, 0, FLASH_SAMPLE_WIDTH, FLASH_SAMPLE_HEIGHT);
+    samples.push({ id, timestamp, cells: sampleRegions(data, FLASH_SAMPLE_WIDTH, FLASH_SAMPLE_HEIGHT, gridSize) });
+  }
+  return samples;
+}
@@ -0,0 +1,100 @@
+/**
+ * ScreenShield dyslexia typography settings.
+ *
+ * One settings object drives the dyslexia reading styles: font, text size,
+ * spacing, line length and the reading theme. It is stored globally as
+ * `typography`, and a site can keep its own copy in `siteTypography`
+ * (hostname -> settings), which then wins on that site.
+ *
+ * The spacing ranges reach past the WCAG 1.4.12 (Text Spacing) minimums, and
+ * WCAG_TEXT_SPACING holds those minimums for the panel's preset and check.
+ *
+ * Like palettes.js this is a plain script with no DOM access; it is loaded
+ * ahead of the content script.
+ */
+
+const TYPOGRAPHY_DEFAULTS = {
+  font: 'opendyslexic',
+  fontScale: 1,          // root font size, x 16px
+  lineHeight: 1.9,       // x font size
+  letterSpacing: 0.06,   // em
+  wordSpacing: 0.25,     // em
+  paragraphSpacing: 1,   // em after each paragraph
+  maxLineLength: 68,     // ch
+  dark: null,            // null follows the OS colour scheme
+  bgIndex: 0             // into the light or dark reading themes
+};
+
+/** Slider bounds for each numeric setting. */
+const TYPOGRAPHY_RANGES = {
+  fontScale: { min: 0.7, max: 2, step: 0.1 },
+  lineHeight: { min: 1, max: 2.6, step: 0.1 },
+  letterSpacing: { min: 0, max: 0.3, step: 0.01 },
+  wordSpacing: { min: 0, max: 0.6, step: 0.02 },
+  paragraphSpacing: { min: 0, max: 3, step: 0.25 },
+  maxLineLength: { min: 40, max: 120, step: 4 }
+};
+
+/** WCAG 1.4.12: line height 1.5, paragraphs 2, letters 0.12 and words 0.16 times the font size. */
+const WCAG_TEXT_SPACING = {
+  lineHeight: 1.5,
+  paragraphSpacing: 2,
+  letterSpacing: 0.12,
+  wordSpacing: 0.16
+};
+
+/** font-family stacks; 'page' keeps the site's own fonts. */
+const TYPOGRAPHY_FONTS = {
+  opendyslexic: "'OpenDyslexic', 'Lexend', 'Comic Sans MS', 'Comic Sans', Verdana, sans-serif",
+  lexend: "'Lexend', Verdana, sans-serif",
+  comic: "'Comic Sans MS', 'Comic Sans', 'Chalkboard SE', Verdana, sans-serif",
+  verdana: "Verdana, Tahoma, sans-serif",
+  page: null
+};
+
+/**
+ * Size cap for siteTypography, measured as storage.sync counts it (key plus
+ * JSON, UTF-8). The per-item quota is 8192 bytes; an entry takes about 200,
+ * so this keeps the most recent 35 or so sites.
+ */
+const SITE_TYPOGRAPHY_MAX_BYTES = 7680;
+
+/** Fill in defaults and clamp every value to its range. */
+function normalizeTypography(value) {
+  const typography = { ...TYPOGRAPHY_DEFAULTS, ...(value || {}) };
+  for (const [key, { min, max }] of Object.entries(TYPOGRAPHY_RANGES)) {
+    const n = Number(typography[key]);
+    typography[key] = Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : TYPOGRAPHY_DEFAULTS[key];
+  }
+  if (!(typography.font in TYPOGRAPHY_FONTS)) typography.font = TYPOGRAPHY_DEFAULTS.font;
+  if (typeof typography.dark !== 'boolean') typography.dark = null;
+  typography.bgIndex = Math.max(0, Math.floor(Number(typography.bgIndex) || 0));
+  return typography;
+}
+
+/** The typography in force on a site: its own if it has one, else the global one. */
+function resolveTypography(settings, hostname) {
+  const siteValue = hostname && settings.siteTypography ? settings.siteTypography[hostname] : null;
+  return normalizeTypography(siteValue || settings.typography);
+}
+
+/**
+ * siteTypography with one site's entry set (or removed when value is null).
+ * The oldest entries go first once it passes SITE_TYPOGRAPHY_MAX_BYTES.
+ */
+function withSiteTypography(siteValues, hostname, value) {
+  const next = { ...(siteValues || {}) };
+  delete next[hostname];
+  if (value) next[hostname] = value;
+  const size = () => new TextEncoder().encode('siteTypography' + JSON.stringify(next)).length;
+  for (const host of Object.keys(next)) {
+    if (host === hostname || size() <= SITE_TYPOGRAPHY_MAX_BYTES) break;
+    delete next[host];
+  }
+  return next;
+}
+
+/** Names of the spacing settings below the WCAG 1.4.12 minimums. */
+function textSpacingShortfalls(typography) {
+  return Object.keys(WCAG_TEXT_SPACING).filter(key => typography[key] < WCAG_TEXT_SPACING[key]);
+}
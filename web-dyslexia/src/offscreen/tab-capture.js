@@ -0,0 +1,84 @@
+/**
+ * ScreenShield tab capture (Chrome offscreen document).
+ *
+ * Chrome service workers have no getUserMedia, so the background script
+ * opens this document to turn tabCapture stream ids into frames. Frames are
+ * read with MediaStreamTrackProcessor rather than a timer, which keeps
+ * sampling steady in a document nobody looks at. One capture per tab.
+ *
+ * Messages in (all with target: 'offscreen'):
+ *   { action: 'tab-capture-start', tabId, streamId, request }  responds true/false
+ *   { action: 'tab-capture-targets', tabId, request }         new video rectangles
+ *   { action: 'tab-capture-stop', tabId }                     responds with the
+ *                                                             captures left
+ * Messages out:
+ *   { action: 'tab-capture-samples', tabId, samples }  see sampleCaptureFrame()
+ *   { action: 'tab-capture-ended', tabId }             the stream stopped by
+ *                                                      itself ("Stop sharing")
+ */
+
+const captures = new Map(); // tabId -> { stream, request }
+
+browser.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (msg?.target !== 'offscreen') return;
+  if (msg.action === 'tab-capture-start') {
+    startCapture(msg.tabId, msg.streamId, msg.request).then(() => sendResponse(true), err => {
+      console.warn('[ScreenShield tab capture] could not start:', err);
+      sendResponse(false);
+    });
+    return true;
+  }
+  if (msg.action === 'tab-capture-targets') {
+    const capture = captures.get(msg.tabId);
+    if (capture) capture.request = msg.request;
+  } else if (msg.action === 'tab-capture-stop') {
+    stopCapture(msg.tabId);
+    sendResponse(captures.size);
+  }
+});
+
+async function startCapture(tabId, streamId, request) {
+  stopCapture(tabId);
+  const stream = await navigator.mediaDevices.getUserMedia({
+    audio: false,
+    video: { mandatory: { chromeMediaSource: 'tab', chromeMediaSourceId: streamId } }
+  });
+  const capture = { stream, request };
+  captures.set(tabId, capture);
+
+  const [track] = stream.getVideoTracks();
+  track.addEventListener('ended', () => {
+    if (captures.get(tabId) !== capture) return;
+    captures.delete(tabId);
+    browser.runtime.sendMessage({ action: 'tab-capture-ended', tabId }).catch(() => {});
+  });
+  readFrames(tabId, capture, new MediaStreamTrackProcessor({ track }).readable.getReader());
+}
+
+function stopCapture(tabId) {
+  const capture = captures.get(tabId);
+  if (!capture) return;
+  captures.delete(tabId);
+  capture.stream.getTracks().forEach(track => track.stop());
+}
+
+async function readFrames(tabId, capture, reader) {
+  let due = 0;
+  for (;;) {
+    const { value: frame, done } = await reader.read();
+    if (done) return;
+    try {
+      // The tab only produces frames when it repaints; skip the ones between samples
+      const now = Date.now();
+      if (captures.get(tabId) !== capture) continue;
+      if (now < due || !capture.request.targets.length) continue;
+      due = now + capture.request.intervalMs;
+      const samples = sampleCaptureFrame(frame, frame.displayWidth, frame.displayHeight, capture.request, now);
+      if (samples.length) {
+        browser.runtime.sendMessage({ action: 'tab-capture-samples', tabId, samples }).catch(() => {});
+      }
+    } finally {
+      frame.close();
+    }
+  }
+}
@@ -1,7 +1,9 @@
 /**
  * ScreenShield popup script.
  * Reads settings from storage.sync, hydrates the UI, and persists changes back.
- * The content script reacts via storage.onChanged — no direct tab messaging needed.
+ * The content script reacts via storage.onChanged. The one exception is the
+ * "Videos on this page" list, read from the tab's frames while the popup is
+ * open, and its tab capture button, which needs the popup's user gesture.
  */
 
 const $ = id => document.getElementById(id);
@@ -14,16 +16,66 @@ const els = {
   sensitivitySection: $('sensitivity-section'),
   sensitivitySlider: $('sensitivity-slider'),
   sensitivityValue: $('sensitivity-value'),
+  flickerGrid: $('flicker-grid'),
+  detectionProfile: $('detection-profile'),
+  sensitivityControls: $('sensitivity-controls'),
+  wcagHint: $('wcag-hint'),
+  animationMode: $('animation-mode'),
+  flashMitigation: $('flash-mitigation'),
+  flashSmoothing: $('flash-smoothing'),
+  smoothingRow: $('smoothing-row'),
+  videoPrescan: $('video-prescan'),
+  openIncidents: $('open-incidents'),
+  videoProtection: $('video-protection'),
+  videoProtectionList: $('video-protection-list'),
+  tabCaptureRow: $('tab-capture-row'),
+  startTabCapture: $('start-tab-capture'),
+  tabCaptureHint: $('tab-capture-hint'),
   colorMode: $('color-mode'),
+  colorModeSite: $('color-mode-site'),
+  colorModeError: $('color-mode-error'),
+  colorStrengthSection: $('color-strength-section'),
+  colorStrengthSlider: $('color-strength-slider'),
+  colorStrengthValue: $('color-strength-value'),
+  contrastRepair: $('contrast-repair'),
+  customFilterList: $('custom-filter-list'),
+  customFilterNew: $('custom-filter-new'),
+  customFilterEditor: $('custom-filter-editor'),
+  customFilterName: $('custom-filter-name'),
+  customFilterType: $('custom-filter-type'),
+  customFilterRules: $('custom-filter-rules'),
+  customFilterAddRule: $('custom-filter-add-rule'),
+  customFilterGains: ['r', 'g', 'b'].map(c => $(`custom-filter-gain-${c}`)),
+  customFilterGainValues: ['r', 'g', 'b'].map(c => $(`custom-filter-gain-${c}-value`)),
+  customFilterHue: $('custom-filter-hue'),
+  customFilterHueValue: $('custom-filter-hue-value'),
+  customFilterMatrix: $('custom-filter-matrix'),
+  customFilterPalette: $('custom-filter-palette'),
+  customFilterSwatches: $('custom-filter-swatches'),
+  customFilterSwatchesFiltered: $('custom-filter-swatches-filtered'),
+  customFilterPreviewMatrix: $('custom-filter-preview-matrix'),
+  customFilterError: $('custom-filter-error'),
+  customFilterCancel: $('custom-filter-cancel'),
+  cvdSimulation: $('cvd-simulation'),
+  cvdOptions: $('cvd-options'),
+  cvdSeverityControls: $('cvd-severity-controls'),
+  cvdSeveritySlider: $('cvd-severity-slider'),
+  cvdSeverityValue: $('cvd-severity-value'),
+  cvdView: $('cvd-view'),
   allowlistToggle: $('allowlist-toggle'),
   allowlistDomain: $('allowlist-domain'),
   cardDyslexia: $('card-dyslexia'),
+  wordLookup: $('word-lookup'),
+  homophoneCommonWords: $('homophone-common-words'),
+  dictionaryPacks: [...document.querySelectorAll('[data-dictionary-pack]')],
   cardSeizure: $('card-seizure'),
   cardTts: $('card-tts'),
   cardSubtitles: $('card-subtitles'),
   ttsLangSection: $('tts-lang-section'),
   ttsLanguage: $('tts-language'),
   cardAllowlist: $('card-allowlist'),
+  allowRulesList: $('allow-rules-list'),
+  allowRulesEmpty: $('allow-rules-empty'),
   aslToggle: $('asl-toggle'),
   cardAsl: $('card-asl'),
   personalizeBtn: $('personalize-btn'),
@@ -31,6 +83,7 @@ const els = {
 };
 
 let currentHostname = '';
+let currentTabId = null;
 let settings = {
   dyslexiaMode: false,
   seizureSafeMode: false,
@@ -39,16 +92,64 @@ let settings = {
   ttsLanguage: 'en',
   aslMode: false,
   sensitivity: 5,
+  flickerGridSize: 8,
+  detectionProfile: 'heuristic',
+  animationMode: 'strict',
+  flashMitigation: 'pause',
+  flashSmoothing: false,
+  videoPrescan: true,
   colorMode: 'default',
-  allowlist: []
+  colorStrength: 100,
+  customFilters: [],
+  siteColorModes: {},
+  cvdSimulation: 'none',
+  cvdSeverity: 60,
+  cvdView: 'full',
+  contrastRepair: 'off',
+  wordLookup: true,
+  homophoneCommonWords: true,
+  dictionaryPacks: [],
+  allowlist: [],
+  allowRules: []
 };
 
+const ALLOW_FEATURE_LABELS = { all: 'Everything', seizure: 'Flashing content' };
+const ALLOW_SCOPE_LABELS = { media: 'this media', path: 'pages under', site: 'whole site' };
+
+const VIDEO_METHOD_LABELS = {
+  'pixels': 'Frame analysis',
+  'tab-capture': 'Tab capture',
+  'needs-capture': 'Cross-origin \u2014 needs tab capture',
+  'unreadable': 'Cross-origin \u2014 not monitored',
+  'allowed': 'Allowed by a remembered decision',
+  'idle': 'Not sampled right now'
+};
+/** Notices from several frames at once are answered with one refresh. */
+const VIDEO_PROTECTION_REFRESH_MS = 200;
+let videoProtectionTimer = null;
+
+const CUSTOM_FILTER_TYPE_LABELS = {
+  replace: 'Replacing colours',
+  gains: 'Channel gains',
+  hue: 'Rotating hues',
+  matrix: 'Colour matrix'
+};
+/** Rainbow plus neutrals for the editor preview; the rules' own colours are added to it. */
+const PREVIEW_SWATCHES = [
+  '#e53935', '#fb8c00', '#fdd835', '#43a047', '#00acc1', '#1e88e5',
+  '#8e24aa', '#d81b60', '#6d4c41', '#9e9e9e', '#ffffff', '#000000'
+];
+
+/** The filter being edited, with every kind's fields so switching kind keeps them. */
+let filterDraft = null;
+
 // ── Init ────────────────────────────────────────────────────
 
 async function init() {
   // Resolve current hostname via activeTab
   try {
     const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+    if (tab) currentTabId = tab.id;
     if (tab && tab.url) {
       try {
         currentHostname = new URL(tab.url).hostname;
@@ -64,8 +165,11 @@ async function init() {
   const stored = await browser.storage.sync.get(Object.keys(settings));
   settings = { ...settings, ...stored };
 
-  applyPaletteToPopup(settings.colorMode);
+  applyPaletteToPopup(getActiveColorMode());
+  buildMatrixInputs();
   hydrateUI();
+
+  refreshVideoProtection();
 }
 
 browser.storage.onChanged.addListener((changes) => {
@@ -77,22 +181,40 @@ browser.storage.onChanged.addListener((changes) => {
     }
   }
   if (updated) {
-    if (changes.colorMode) {
-      applyPaletteToPopup(settings.colorMode);
+    if (changes.colorMode || changes.customFilters || changes.siteColorModes) {
+      applyPaletteToPopup(getActiveColorMode());
     }
     hydrateUI();
   }
+  if (changes.seizureSafeMode || changes.allowRules) scheduleVideoProtectionRefresh();
 });
 
 // ── Render ───────────────────────────────────────────────────
 
 function hydrateUI() {
   els.dyslexiaToggle.checked = settings.dyslexiaMode;
+  els.wordLookup.checked = settings.wordLookup !== false;
+  els.homophoneCommonWords.checked = settings.homophoneCommonWords !== false;
+  els.dictionaryPacks.forEach(check => {
+    check.checked = (settings.dictionaryPacks || []).includes(check.dataset.dictionaryPack);
+  });
   els.seizureToggle.checked = settings.seizureSafeMode;
   els.ttsToggle.checked = settings.ttsMode;
   els.subtitleToggle.checked = settings.subtitleMode;
   els.sensitivitySlider.value = settings.sensitivity;
   els.sensitivityValue.textContent = settings.sensitivity;
+  els.flickerGrid.value = String(settings.flickerGridSize || 8);
+  els.detectionProfile.value = settings.detectionProfile || 'heuristic';
+  els.animationMode.value = settings.animationMode || 'strict';
+  els.flashMitigation.value = settings.flashMitigation || 'pause';
+  els.flashSmoothing.checked = !!settings.flashSmoothing;
+  els.smoothingRow.hidden = settings.flashMitigation !== 'soften';
+  els.videoPrescan.checked = settings.videoPrescan !== false;
+
+  // The sensitivity slider only drives the adaptive profile
+  const isWcag = settings.detectionProfile === 'wcag';
+  els.sensitivityControls.hidden = isWcag;
+  els.wcagHint.hidden = !isWcag;
 
   // Show sensitivity section only when seizure-safe is on
   els.sensitivitySection.hidden = !settings.seizureSafeMode;
@@ -104,6 +226,7 @@ function hydrateUI() {
   if (currentHostname) {
     els.cardAllowlist.classList.toggle('allowlisted', isAllowlisted);
   }
+  renderAllowRules();
 
   // Active card highlight
   els.cardDyslexia.classList.toggle('active', settings.dyslexiaMode);
@@ -120,16 +243,363 @@ function hydrateUI() {
   els.cardAsl.classList.toggle('active', settings.aslMode);
 
   // Color mode
-  if (els.colorMode) els.colorMode.value = settings.colorMode || 'default';
+  const colorMode = getActiveColorMode();
+  renderColorModeOptions();
+  if (els.colorMode) els.colorMode.value = colorMode;
+  els.colorModeSite.checked = !!getSiteColorMode();
+  els.colorModeSite.disabled = !currentHostname;
+  els.colorStrengthSection.hidden = colorMode === 'default';
+  els.colorStrengthSlider.value = settings.colorStrength ?? 100;
+  els.colorStrengthValue.textContent = `${settings.colorStrength ?? 100}%`;
+  els.contrastRepair.value = settings.contrastRepair || 'off';
+  renderCustomFilters();
+  renderSimulationControls();
+}
+
+/**
+ * List of remembered allow decisions: whole-site allowlist entries (every
+ * feature off) followed by the per-feature rules saved from warning cards.
+ */
+function renderAllowRules() {
+  const rules = [
+    ...(settings.allowlist || []).map(host => ({ feature: 'all', scope: 'site', value: host })),
+    ...(Array.isArray(settings.allowRules) ? settings.allowRules : [])
+  ];
+  els.allowRulesList.replaceChildren();
+  els.allowRulesEmpty.hidden = rules.length > 0;
+
+  for (const rule of rules) {
+    const item = document.createElement('li');
+    item.className = 'allow-rule';
+
+    const text = document.createElement('div');
+    text.className = 'allow-rule-text';
+    const kind = document.createElement('span');
+    kind.className = 'allow-rule-kind';
+    kind.textContent = `${ALLOW_FEATURE_LABELS[rule.feature] || rule.feature} \u00B7 ${ALLOW_SCOPE_LABELS[rule.scope] || rule.scope}`;
+    const value = document.createElement('span');
+    value.className = 'domain';
+    value.textContent = rule.value;
+    value.title = rule.value;
+    text.append(kind, value);
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'allow-rule-remove';
+    remove.textContent = '\u00D7';
+    remove.setAttribute('aria-label', `Remove ${kind.textContent} ${rule.value}`);
+    remove.addEventListener('click', () => removeAllowRule(rule));
+
+    item.append(text, remove);
+    els.allowRulesList.appendChild(item);
+  }
+}
+
+async function removeAllowRule(rule) {
+  if (rule.feature === 'all') {
+    settings.allowlist = settings.allowlist.filter(h => h !== rule.value);
+    await browser.storage.sync.set({ allowlist: settings.allowlist });
+  } else {
+    settings.allowRules = settings.allowRules.filter(r =>
+      !(r.feature === rule.feature && r.scope === rule.scope && r.value === rule.value));
+    await browser.storage.sync.set({ allowRules: settings.allowRules });
+  }
+  hydrateUI();
+}
+
+/**
+ * How each video in the tab is being watched, collected from every frame's
+ * content script. Hidden when epilepsy-safe mode is off or the page has no
+ * videos (or cannot be scripted).
+ */
+async function refreshVideoProtection() {
+  let videos = [];
+  if (settings.seizureSafeMode && currentTabId != null) {
+    try {
+      const results = await browser.scripting.executeScript({
+        target: { tabId: currentTabId, allFrames: true },
+        func: () => (typeof getVideoProtectionStatus === 'function' ? getVideoProtectionStatus() : [])
+      });
+      videos = results.flatMap(r => (Array.isArray(r.result) ? r.result : []));
+    } catch {
+      // Restricted page
+    }
+  }
+
+  els.videoProtection.hidden = videos.length === 0;
+  els.videoProtectionList.replaceChildren(...videos.map(video => {
+    const item = document.createElement('li');
+    item.className = 'video-protection-item';
+    const name = document.createElement('span');
+    name.className = 'video-protection-name';
+    name.textContent = video.frame ? `${video.label} (${video.frame})` : video.label;
+    name.title = name.textContent;
+    const method = document.createElement('span');
+    method.className = 'video-protection-method';
+    method.classList.toggle('unprotected', video.method === 'needs-capture' || video.method === 'unreadable');
+    method.textContent = VIDEO_METHOD_LABELS[video.method] || video.method;
+    item.append(name, method);
+    return item;
+  }));
+  els.tabCaptureRow.hidden = !videos.some(video => video.method === 'needs-capture');
+}
+
+function scheduleVideoProtectionRefresh() {
+  clearTimeout(videoProtectionTimer);
+  videoProtectionTimer = setTimeout(refreshVideoProtection, VIDEO_PROTECTION_REFRESH_MS);
+}
+
+/** Severity only applies to the anomalous (-omaly) variants. */
+function renderSimulationControls() {
+  const variant = settings.cvdSimulation || 'none';
+  els.cvdSimulation.value = variant;
+  els.cvdOptions.hidden = variant === 'none';
+  els.cvdSeverityControls.hidden = !variant.endsWith('omaly');
+  els.cvdSeveritySlider.value = settings.cvdSeverity ?? 60;
+  els.cvdSeverityValue.textContent = `${settings.cvdSeverity ?? 60}%`;
+  els.cvdView.value = settings.cvdView || 'full';
 }
 
 // Apply selected color palette to popup (CSS variables on document root)
 function applyPaletteToPopup(mode) {
   if (typeof applyPalette === 'function') {
-    applyPalette(mode, document.documentElement);
+    applyPalette(colorModePalette(mode, settings.customFilters), document.documentElement);
+  }
+}
+
+// ── Colour mode and custom filters ───────────────────────────
+
+/** The current site's own colour mode, if it has one. */
+function getSiteColorMode() {
+  return (currentHostname && settings.siteColorModes?.[currentHostname]) || null;
+}
+
+function getActiveColorMode() {
+  return resolveColorMode(settings, currentHostname);
+}
+
+/** Saved filters go in their own group under the presets. */
+function renderColorModeOptions() {
+  els.colorMode.querySelector('optgroup')?.remove();
+  const filters = Array.isArray(settings.customFilters) ? settings.customFilters : [];
+  if (!filters.length) return;
+  const group = document.createElement('optgroup');
+  group.label = 'Custom filters';
+  filters.forEach(filter => group.appendChild(new Option(filter.name, CUSTOM_COLOR_MODE_PREFIX + filter.id)));
+  els.colorMode.appendChild(group);
+}
+
+function renderCustomFilters() {
+  const filters = Array.isArray(settings.customFilters) ? settings.customFilters : [];
+  els.customFilterList.replaceChildren(...filters.map(filter => {
+    const item = document.createElement('li');
+    item.className = 'allow-rule';
+
+    const text = document.createElement('div');
+    text.className = 'allow-rule-text';
+    const kind = document.createElement('span');
+    kind.className = 'allow-rule-kind';
+    kind.textContent = CUSTOM_FILTER_TYPE_LABELS[filter.type] || filter.type;
+    const name = document.createElement('span');
+    name.className = 'domain';
+    name.textContent = filter.name;
+    name.title = filter.name;
+    text.append(name, kind);
+
+    const edit = document.createElement('button');
+    edit.type = 'button';
+    edit.className = 'setting-button';
+    edit.textContent = 'Edit';
+    edit.setAttribute('aria-label', `Edit ${filter.name}`);
+    edit.addEventListener('click', () => openFilterEditor(filter));
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'allow-rule-remove';
+    remove.textContent = '\u00D7';
+    remove.setAttribute('aria-label', `Delete ${filter.name}`);
+    remove.addEventListener('click', () => deleteCustomFilter(filter));
+
+    item.append(text, edit, remove);
+    return item;
+  }));
+  els.customFilterNew.disabled = filters.length >= CUSTOM_FILTERS_MAX;
+}
+
+/** The 3x3 grid of number fields behind the "Colour matrix" kind. */
+function buildMatrixInputs() {
+  const channels = ['red', 'green', 'blue'];
+  for (let i = 0; i < 3; i++) {
+    for (let j = 0; j < 3; j++) {
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.step = '0.05';
+      input.className = 'setting-input';
+      input.setAttribute('aria-label', `${channels[i]} from ${channels[j]}`);
+      input.addEventListener('input', () => {
+        const value = parseFloat(input.value);
+        filterDraft.matrix[i][j] = Number.isFinite(value) ? value : 0;
+        updateFilterPreview();
+      });
+      els.customFilterMatrix.appendChild(input);
+    }
+  }
+}
+
+function openFilterEditor(filter) {
+  filterDraft = {
+    id: null,
+    name: '',
+    type: 'replace',
+    palette: 'default',
+    rules: [{ from: '#ff0000', to: '#ff8c00' }],
+    gains: [1, 1, 1],
+    hue: 0,
+    matrix: IDENTITY_MATRIX.map(row => row.slice()),
+    ...JSON.parse(JSON.stringify(filter || {}))
+  };
+  els.customFilterName.value = filterDraft.name;
+  els.customFilterType.value = filterDraft.type;
+  els.customFilterPalette.value = filterDraft.palette;
+  els.customFilterError.hidden = true;
+  els.customFilterEditor.hidden = false;
+  els.customFilterNew.hidden = true;
+  renderFilterEditor();
+  els.customFilterName.focus();
+}
+
+function closeFilterEditor() {
+  filterDraft = null;
+  els.customFilterEditor.hidden = true;
+  els.customFilterNew.hidden = false;
+}
+
+function renderFilterEditor() {
+  els.customFilterEditor.querySelectorAll('.custom-filter-fields').forEach(fields => {
+    fields.hidden = fields.dataset.type !== filterDraft.type;
+  });
+  filterDraft.gains.forEach((gain, i) => {
+    els.customFilterGains[i].value = Math.round(gain * 100);
+    els.customFilterGainValues[i].textContent = `${Math.round(gain * 100)}%`;
+  });
+  els.customFilterHue.value = filterDraft.hue;
+  els.customFilterHueValue.textContent = `${filterDraft.hue}\u00B0`;
+  els.customFilterMatrix.querySelectorAll('input').forEach((input, k) => {
+    input.value = filterDraft.matrix[Math.floor(k / 3)][k % 3];
+  });
+  renderFilterRules();
+}
+
+function renderFilterRules() {
+  els.customFilterRules.replaceChildren(...filterDraft.rules.map((rule, index) => {
+    const item = document.createElement('li');
+    item.className = 'custom-filter-rule';
+    const colorInput = (key, label) => {
+      const input = document.createElement('input');
+      input.type = 'color';
+      input.value = rule[key];
+      input.setAttribute('aria-label', `${label}, rule ${index + 1}`);
+      input.addEventListener('input', () => {
+        rule[key] = input.value;
+        updateFilterPreview();
+      });
+      return input;
+    };
+    const arrow = document.createElement('span');
+    arrow.textContent = '\u2192';
+    arrow.setAttribute('aria-hidden', 'true');
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'allow-rule-remove';
+    remove.textContent = '\u00D7';
+    remove.setAttribute('aria-label', `Remove rule ${index + 1}`);
+    remove.addEventListener('click', () => {
+      filterDraft.rules.splice(index, 1);
+      renderFilterRules();
+    });
+    item.append(colorInput('from', 'Replace'), arrow, colorInput('to', 'With'), remove);
+    return item;
+  }));
+  els.customFilterAddRule.disabled = filterDraft.rules.length >= CUSTOM_FILTER_RULES_MAX;
+  updateFilterPreview();
+}
+
+/** What gets stored: the draft's name, palette and only its own kind's fields. */
+function toSavedFilter(draft) {
+  const filter = { id: draft.id, name: draft.name.trim(), palette: draft.palette, type: draft.type };
+  if (draft.type === 'replace') filter.rules = draft.rules.map(({ from, to }) => ({ from, to }));
+  else if (draft.type === 'gains') filter.gains = draft.gains.slice();
+  else if (draft.type === 'hue') filter.hue = draft.hue;
+  else filter.matrix = draft.matrix.map(row => row.slice());
+  return filter;
+}
+
+/** The same matrix the page will get, on swatches in the popup. */
+function updateFilterPreview() {
+  const filter = toSavedFilter(filterDraft);
+  els.customFilterPreviewMatrix.setAttribute('values', toColorMatrixValues(customFilterMatrix(filter) || IDENTITY_MATRIX));
+  const ruleColors = filter.type === 'replace' ? filter.rules.map(rule => rule.from) : [];
+  const colors = [...new Set([...ruleColors, ...PREVIEW_SWATCHES])];
+  for (const row of [els.customFilterSwatches, els.customFilterSwatchesFiltered]) {
+    row.replaceChildren(...colors.map(color => {
+      const swatch = document.createElement('span');
+      swatch.style.background = color;
+      return swatch;
+    }));
   }
 }
 
+async function saveCustomFilter() {
+  const filter = toSavedFilter(filterDraft);
+  if (!filter.name) {
+    showFilterError('Give the filter a name.');
+    return;
+  }
+  const filters = Array.isArray(settings.customFilters) ? settings.customFilters.slice() : [];
+  const index = filters.findIndex(f => f.id === filter.id);
+  if (index >= 0) {
+    filters[index] = filter;
+  } else {
+    filter.id = Date.now().toString(36);
+    filters.push(filter);
+  }
+  if (!customFiltersFit(filters)) {
+    showFilterError('There is no room left for this filter. Delete one you no longer use, or shorten its name.');
+    return;
+  }
+  try {
+    await browser.storage.sync.set({ customFilters: filters });
+  } catch (err) {
+    showFilterError(`Could not save: ${err.message}`);
+    return;
+  }
+  settings.customFilters = filters;
+  closeFilterEditor();
+  hydrateUI();
+}
+
+/** Anything set to a deleted filter goes back to no correction. */
+async function deleteCustomFilter(filter) {
+  const mode = CUSTOM_COLOR_MODE_PREFIX + filter.id;
+  const siteColorModes = Object.fromEntries(
+    Object.entries(settings.siteColorModes || {}).filter(([, siteMode]) => siteMode !== mode));
+  settings.customFilters = settings.customFilters.filter(f => f.id !== filter.id);
+  settings.siteColorModes = siteColorModes;
+  if (settings.colorMode === mode) settings.colorMode = 'default';
+  if (filterDraft?.id === filter.id) closeFilterEditor();
+  hydrateUI();
+  await browser.storage.sync.set({
+    customFilters: settings.customFilters,
+    siteColorModes,
+    colorMode: settings.colorMode
+  });
+}
+
+function showFilterError(message) {
+  els.customFilterError.textContent = message;
+  els.customFilterError.hidden = false;
+}
+
 // ── Event handlers ───────────────────────────────────────────
 
 els.dyslexiaToggle.addEventListener('change', async () => {
@@ -138,6 +608,21 @@ els.dyslexiaToggle.addEventListener('change', async () => {
   await browser.storage.sync.set({ dyslexiaMode: settings.dyslexiaMode });
 });
 
+els.wordLookup.addEventListener('change', async () => {
+  settings.wordLookup = els.wordLookup.checked;
+  await browser.storage.sync.set({ wordLookup: settings.wordLookup });
+});
+
+els.homophoneCommonWords.addEventListener('change', async () => {
+  settings.homophoneCommonWords = els.homophoneCommonWords.checked;
+  await browser.storage.sync.set({ homophoneCommonWords: settings.homophoneCommonWords });
+});
+
+els.dictionaryPacks.forEach(check => check.addEventListener('change', async () => {
+  settings.dictionaryPacks = els.dictionaryPacks.filter(c => c.checked).map(c => c.dataset.dictionaryPack);
+  await browser.storage.sync.set({ dictionaryPacks: settings.dictionaryPacks });
+}));
+
 els.seizureToggle.addEventListener('change', async () => {
   settings.seizureSafeMode = els.seizureToggle.checked;
   els.sensitivitySection.hidden = !settings.seizureSafeMode;
@@ -177,12 +662,154 @@ els.sensitivitySlider.addEventListener('input', () => {
 
 if (els.colorMode) {
   els.colorMode.addEventListener('change', async () => {
-    settings.colorMode = els.colorMode.value || 'default';
-    applyPaletteToPopup(settings.colorMode);
-    await browser.storage.sync.set({ colorMode: settings.colorMode });
+    const mode = els.colorMode.value || 'default';
+    els.colorStrengthSection.hidden = mode === 'default';
+    // A site with its own mode keeps the change to itself
+    if (els.colorModeSite.checked && currentHostname) {
+      settings.siteColorModes = withSiteColorMode(settings.siteColorModes, currentHostname, mode);
+      applyPaletteToPopup(getActiveColorMode());
+      await saveColorModes({ siteColorModes: settings.siteColorModes });
+    } else {
+      settings.colorMode = mode;
+      applyPaletteToPopup(getActiveColorMode());
+      await saveColorModes({ colorMode: settings.colorMode });
+    }
   });
 }
 
+/**
+ * Store a colour mode change. When storage refuses it, say so and show the
+ * modes that are still in force.
+ */
+async function saveColorModes(values) {
+  try {
+    await browser.storage.sync.set(values);
+    els.colorModeError.hidden = true;
+  } catch (err) {
+    Object.assign(settings, await browser.storage.sync.get(Object.keys(values)));
+    applyPaletteToPopup(getActiveColorMode());
+    hydrateUI();
+    els.colorModeError.textContent = `Could not save the colour mode: ${err.message}`;
+    els.colorModeError.hidden = false;
+  }
+}
+
+els.colorModeSite.addEventListener('change', async () => {
+  if (!currentHostname) return;
+  // Checking pins the mode shown now to this site; unchecking returns it to the global mode
+  const mode = els.colorModeSite.checked ? els.colorMode.value || 'default' : null;
+  settings.siteColorModes = withSiteColorMode(settings.siteColorModes, currentHostname, mode);
+  applyPaletteToPopup(getActiveColorMode());
+  hydrateUI();
+  await saveColorModes({ siteColorModes: settings.siteColorModes });
+});
+
+els.customFilterNew.addEventListener('click', () => openFilterEditor(null));
+els.customFilterCancel.addEventListener('click', closeFilterEditor);
+
+els.customFilterEditor.addEventListener('submit', e => {
+  e.preventDefault();
+  saveCustomFilter();
+});
+
+els.customFilterName.addEventListener('input', () => {
+  filterDraft.name = els.customFilterName.value;
+});
+
+els.customFilterType.addEventListener('change', () => {
+  filterDraft.type = els.customFilterType.value;
+  renderFilterEditor();
+});
+
+els.customFilterPalette.addEventListener('change', () => {
+  filterDraft.palette = els.customFilterPalette.value;
+});
+
+els.customFilterAddRule.addEventListener('click', () => {
+  filterDraft.rules.push({ from: '#00ff00', to: '#00bfff' });
+  renderFilterRules();
+});
+
+els.customFilterGains.forEach((slider, i) => {
+  slider.addEventListener('input', () => {
+    filterDraft.gains[i] = parseInt(slider.value, 10) / 100;
+    els.customFilterGainValues[i].textContent = `${slider.value}%`;
+    updateFilterPreview();
+  });
+});
+
+els.customFilterHue.addEventListener('input', () => {
+  filterDraft.hue = parseInt(els.customFilterHue.value, 10);
+  els.customFilterHueValue.textContent = `${filterDraft.hue}\u00B0`;
+  updateFilterPreview();
+});
+
+els.contrastRepair.addEventListener('change', async () => {
+  settings.contrastRepair = els.contrastRepair.value || 'off';
+  await browser.storage.sync.set({ contrastRepair: settings.contrastRepair });
+});
+
+els.cvdSimulation.addEventListener('change', async () => {
+  settings.cvdSimulation = els.cvdSimulation.value || 'none';
+  renderSimulationControls();
+  await browser.storage.sync.set({ cvdSimulation: settings.cvdSimulation });
+});
+
+els.cvdView.addEventListener('change', async () => {
+  settings.cvdView = els.cvdView.value || 'full';
+  await browser.storage.sync.set({ cvdView: settings.cvdView });
+});
+
+els.flickerGrid.addEventListener('change', async () => {
+  settings.flickerGridSize = parseInt(els.flickerGrid.value, 10) || 8;
+  await browser.storage.sync.set({ flickerGridSize: settings.flickerGridSize });
+});
+
+els.detectionProfile.addEventListener('change', async () => {
+  settings.detectionProfile = els.detectionProfile.value;
+  els.sensitivityControls.hidden = settings.detectionProfile === 'wcag';
+  els.wcagHint.hidden = settings.detectionProfile !== 'wcag';
+  await browser.storage.sync.set({ detectionProfile: settings.detectionProfile });
+});
+
+els.animationMode.addEventListener('change', async () => {
+  settings.animationMode = els.animationMode.value;
+  await browser.storage.sync.set({ animationMode: settings.animationMode });
+});
+
+els.flashMitigation.addEventListener('change', async () => {
+  settings.flashMitigation = els.flashMitigation.value;
+  els.smoothingRow.hidden = settings.flashMitigation !== 'soften';
+  await browser.storage.sync.set({ flashMitigation: settings.flashMitigation });
+});
+
+els.flashSmoothing.addEventListener('change', async () => {
+  settings.flashSmoothing = els.flashSmoothing.checked;
+  await browser.storage.sync.set({ flashSmoothing: settings.flashSmoothing });
+});
+
+els.videoPrescan.addEventListener('change', async () => {
+  settings.videoPrescan = els.videoPrescan.checked;
+  await browser.storage.sync.set({ videoPrescan: settings.videoPrescan });
+});
+
+els.openIncidents.addEventListener('click', () => {
+  browser.tabs.create({ url: browser.runtime.getURL('incidents/incidents.html') });
+  window.close();
+});
+
+els.startTabCapture.addEventListener('click', async () => {
+  els.startTabCapture.disabled = true;
+  const result = await browser.runtime.sendMessage({ action: 'tab-capture-start', tabId: currentTabId })
+    .catch(err => ({ ok: false, error: err.message }));
+  els.startTabCapture.disabled = false;
+  els.tabCaptureHint.hidden = false;
+  els.tabCaptureHint.textContent = result?.ok
+    ? 'Watching this tab. Capture stops when you leave the page or turn epilepsy-safe mode off.'
+    : result?.error || 'Tab capture could not start.';
+  refreshVideoProtection();
+});
+
 // Debounce storage write for slider to avoid hammering sync quota
 let sensitivityTimer = null;
 els.sensitivitySlider.addEventListener('change', async () => {
@@ -192,6 +819,27 @@ els.sensitivitySlider.addEventListener('change', async () => {
   }, 300);
 });
 
+let colorStrengthTimer = null;
+els.colorStrengthSlider.addEventListener('input', () => {
+  settings.colorStrength = parseInt(els.colorStrengthSlider.value, 10);
+  els.colorStrengthValue.textContent = `${settings.colorStrength}%`;
+  // Written while dragging so the page follows the slider
+  clearTimeout(colorStrengthTimer);
+  colorStrengthTimer = setTimeout(async () => {
+    await browser.storage.sync.set({ colorStrength: settings.colorStrength });
+  }, 300);
+});
+
+let cvdSeverityTimer = null;
+els.cvdSeveritySlider.addEventListener('input', () => {
+  settings.cvdSeverity = parseInt(els.cvdSeveritySlider.value, 10);
+  els.cvdSeverityValue.textContent = `${settings.cvdSeverity}%`;
+  clearTimeout(cvdSeverityTimer);
+  cvdSeverityTimer = setTimeout(async () => {
+    await browser.storage.sync.set({ cvdSeverity: settings.cvdSeverity });
+  }, 300);
+});
+
 els.allowlistToggle.addEventListener('change', async () => {
   if (!currentHostname) return;
 
@@ -227,7 +875,8 @@ els.personalizeBtn.addEventListener('click', async () => {
   }
 });
 
-// Listen for updates from the content script while listening
+// Listen for updates from the content script: voice personalization progress
+// and changes to how the tab's videos are protected
 browser.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'voice-status-update') {
     if (request.status) {
@@ -242,6 +891,8 @@ browser.runtime.onMessage.addListener((request, sender, sendResponse) => {
         setTimeout(() => { els.personalizeStatus.hidden = true; }, 4000);
       }
     }
+  } else if (request.action === 'video-protection-changed' && sender.tab?.id === currentTabId) {
+    scheduleVideoProtectionRefresh();
   }
 });
 
@@ -0,0 +1,53 @@
+/**
+ * Saved custom filters and per-site colour modes in lib/color-filters.js,
+ * each of which has to fit one storage.sync item.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, readBindings } = require('./load-scripts');
+
+const context = loadScripts(['lib/color-filters.js'], { TextEncoder });
+const { customFiltersFit, withSiteColorMode } = context;
+const { CUSTOM_FILTERS_MAX, CUSTOM_FILTER_RULES_MAX } = readBindings(context, ['CUSTOM_FILTERS_MAX', 'CUSTOM_FILTER_RULES_MAX']);
+
+const SYNC_QUOTA_BYTES_PER_ITEM = 8192;
+const itemSize = value => new TextEncoder().encode('customFilters' + JSON.stringify(value)).length;
+
+const largest = i => ({
+  id: Date.now().toString(36) + i,
+  name: 'é'.repeat(40),
+  palette: 'default',
+  type: 'replace',
+  rules: Array.from({ length: CUSTOM_FILTER_RULES_MAX }, () => ({ from: '#ff0000', to: '#00ff00' }))
+});
+
+test('a list that fits is always inside the sync per-item quota', () => {
+  const filters = [];
+  for (let i = 0; i < CUSTOM_FILTERS_MAX; i++) {
+    filters.push(largest(i));
+    if (!customFiltersFit(filters)) break;
+    assert.ok(itemSize(filters) < SYNC_QUOTA_BYTES_PER_ITEM);
+  }
+  // Twenty of the largest filters are more than one item holds
+  assert.ok(!customFiltersFit(filters));
+});
+
+test('twenty small filters fit', () => {
+  const filters = Array.from({ length: CUSTOM_FILTERS_MAX }, (_, i) => ({
+    id: Date.now().toString(36) + i, name: `Filter ${i}`, palette: 'default', type: 'hue', hue: 120
+  }));
+  assert.ok(customFiltersFit(filters));
+});
+
+test('siteColorModes stays inside the sync per-item quota, however long the hostnames', () => {
+  let sites = {};
+  for (let i = 0; i < 300; i++) {
+    const host = `${'subdomain.'.repeat(20)}site-${i}.example.com`;
+    sites = withSiteColorMode(sites, host, 'custom:' + Date.now().toString(36));
+    const size = new TextEncoder().encode('siteColorModes' + JSON.stringify(sites)).length;
+    assert.ok(size < SYNC_QUOTA_BYTES_PER_ITEM, `${Object.keys(sites).length} sites take ${size} bytes`);
+    assert.ok(host in sites);
+  }
+  // The oldest go first
+  assert.ok(!(`${'subdomain.'.repeat(20)}site-0.example.com` in sites));
+});
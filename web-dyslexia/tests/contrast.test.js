@@ -0,0 +1,74 @@
+/**
+ * Contrast math in lib/contrast.js, loaded the way the manifest injects it:
+ * in one scope with the scripts before it.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { SRC, loadScripts } = require('./load-scripts');
+
+const manifest = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'manifests', 'manifest.base.json'), 'utf8'));
+const contentScripts = manifest.content_scripts.flatMap(entry => entry.js);
+
+test('content scripts declare each top-level function once', () => {
+  // A later declaration silently replaces an earlier one in the shared scope
+  const owners = new Map();
+  for (const file of contentScripts) {
+    const source = fs.readFileSync(path.join(SRC, file), 'utf8');
+    for (const [, name] of source.matchAll(/^(?:async\s+)?function\*?\s+([\w$]+)/gm)) {
+      assert.ok(!owners.has(name), `${name}() is declared in both ${owners.get(name)} and ${file}`);
+      owners.set(name, file);
+    }
+  }
+});
+
+test('flash luminance survives contrast.js', () => {
+  const { relativeLuminance } = loadScripts(['lib/flash-analysis.js', 'lib/contrast.js']);
+  assert.strictEqual(relativeLuminance(255, 255, 255), 1);
+  assert.strictEqual(relativeLuminance(0, 0, 0), 0);
+});
+
+test('contrast ratios match WCAG', () => {
+  const { contrastRatio, contrastLuminance } = loadScripts(['lib/contrast.js']);
+  const black = { r: 0, g: 0, b: 0 };
+  const white = { r: 255, g: 255, b: 255 };
+  assert.strictEqual(contrastRatio(black, white), 21);
+  assert.strictEqual(contrastRatio(white, white), 1);
+  assert.ok(Math.abs(contrastRatio({ r: 118, g: 118, b: 118 }, white) - 4.54) < 0.01);
+  assert.ok(Math.abs(contrastLuminance({ r: 255, g: 0, b: 0 }) - 0.2126) < 1e-9);
+});
+
+test('compositeColor paints the top colour over the bottom', () => {
+  const { compositeColor } = loadScripts(['lib/contrast.js']);
+  const grey = compositeColor({ r: 0, g: 0, b: 0, a: 0.5 }, { r: 255, g: 255, b: 255, a: 1 });
+  assert.deepStrictEqual({ ...grey }, { r: 127.5, g: 127.5, b: 127.5, a: 1 });
+  assert.strictEqual(compositeColor({ r: 9, g: 9, b: 9, a: 0 }, { r: 0, g: 0, b: 0, a: 0 }).a, 0);
+});
+
+test('requiredContrast treats 24px, or 18.66px bold, as large text', () => {
+  const { requiredContrast } = loadScripts(['lib/contrast.js']);
+  assert.strictEqual(requiredContrast('aa', 16, 400), 4.5);
+  assert.strictEqual(requiredContrast('aa', 24, 400), 3);
+  assert.strictEqual(requiredContrast('aa', 19, 700), 3);
+  assert.strictEqual(requiredContrast('aaa', 16, 400), 7);
+  assert.strictEqual(requiredContrast('aaa', 19, 400), 7);
+});
+
+test('repairTextColor reaches the target with the smallest change', () => {
+  const { repairTextColor, contrastRatio } = loadScripts(['lib/contrast.js']);
+  const white = { r: 255, g: 255, b: 255 };
+  const light = { r: 170, g: 170, b: 170 };
+  assert.strictEqual(repairTextColor({ r: 0, g: 0, b: 0 }, white, 4.5), null);
+
+  const fixed = repairTextColor(light, white, 4.5);
+  assert.ok(contrastRatio(fixed, white) >= 4.5);
+  // One step lighter would fall short
+  const lighter = { r: fixed.r + 1, g: fixed.g + 1, b: fixed.b + 1 };
+  assert.ok(contrastRatio(lighter, white) < 4.5);
+
+  // Light text on a dark background gets lighter, keeping its hue
+  const onDark = repairTextColor({ r: 90, g: 40, b: 40 }, { r: 20, g: 20, b: 20 }, 7);
+  assert.ok(contrastRatio(onDark, { r: 20, g: 20, b: 20 }) >= 7);
+  assert.ok(onDark.r > onDark.g);
+});
@@ -0,0 +1,153 @@
+/**
+ * Flash thresholds in lib/flash-analysis.js, on synthetic cell sequences.
+ * These decide which media is held back, so each WCAG 2.3.1 rule has a case
+ * just inside and just outside it.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, readBindings } = require('./load-scripts');
+
+const context = loadScripts(['lib/flash-analysis.js']);
+const { createFlashAnalyzer, createTransitionCounter, sampleRegions, describeRegion } = context;
+const { WCAG_FLASH_AREA_PX } = readBindings(context, ['WCAG_FLASH_AREA_PX']);
+
+/** One grid cell of a single colour, as sampleRegions() averages it. */
+const color = (r, g, b = r) => sampleRegions(new Uint8ClampedArray([r, g, b, 255]), 1, 1, 1)[0];
+const BLACK = color(0, 0);
+const WHITE = color(255, 255);
+
+/**
+ * Play `samples` cell grids, one every `intervalMs`, through a WCAG analyzer
+ * and return the last detection (or null if none).
+ * @param {(i: number) => object[]} frame - the cells of sample i
+ */
+function play(frame, { gridSize = 1, samples = 20, intervalMs = 50, displayArea } = {}) {
+  const analyzer = createFlashAnalyzer({ gridSize, profile: 'wcag' });
+  let result = null;
+  for (let i = 0; i < samples; i++) {
+    result = analyzer.push(frame(i), { timestamp: i * intervalMs, displayArea }) || result;
+  }
+  return result;
+}
+
+/** Alternate two colours every `period` samples across the whole frame. */
+const alternate = (a, b, period = 1) => i => [Math.floor(i / period) % 2 ? b : a];
+
+test('more than three general flashes a second fail', () => {
+  const result = play(alternate(BLACK, WHITE));
+  assert.strictEqual(result.kind, 'general');
+  assert.ok(result.flashesPerSecond > 3);
+});
+
+test('three flashes a second pass', () => {
+  // Six transitions a second: one every 167 ms
+  assert.strictEqual(play(alternate(BLACK, WHITE), { intervalMs: 1000 / 6, samples: 30 }), null);
+});
+
+test('luminance swings below 0.10 are not flashes', () => {
+  assert.strictEqual(play(alternate(color(100, 100), color(110, 110))), null);
+});
+
+test('swings whose darker state is above 0.80 are not general flashes', () => {
+  // Relative luminance 0.83 against 1.0
+  assert.strictEqual(play(alternate(color(235, 235), WHITE)), null);
+});
+
+test('saturated red swings fail as red flashes when luminance hardly changes', () => {
+  // Pure red and mid grey have nearly the same relative luminance
+  const red = color(255, 0, 0);
+  const grey = color(128, 128);
+  assert.ok(Math.abs(red.lum - grey.lum) < 0.10);
+  assert.strictEqual(play(alternate(red, grey)).kind, 'red');
+});
+
+test('a swing counts as soon as it is large enough, before the next reversal', () => {
+  const counter = createTransitionCounter(0.1, () => true);
+  counter.push(0, null, 0);
+  counter.push(1, null, 50);
+  assert.strictEqual(counter.count(50, 1000), 1);
+  // Further in the same direction is still the same swing
+  counter.push(1, null, 100);
+  assert.strictEqual(counter.count(100, 1000), 1);
+  counter.push(0, null, 150);
+  assert.strictEqual(counter.count(150, 1000), 2);
+});
+
+test('the swing in progress can tip a second past three flashes', () => {
+  // Eight swings: the last one only ends when the frame settles, and without
+  // it the second would count 7 transitions, three flashes
+  const values = [0, 1, 0, 1, 0, 1, 0, 1, 0];
+  const analyzer = createFlashAnalyzer({ gridSize: 1, profile: 'wcag' });
+  let result = null;
+  values.forEach((v, i) => { result = analyzer.push([v ? WHITE : BLACK], { timestamp: i * 100 }); });
+  assert.strictEqual(result.flashesPerSecond, 4);
+});
+
+test('transitions older than a second drop out', () => {
+  const counter = createTransitionCounter(0.1, () => true);
+  [0, 1, 0, 1].forEach((v, i) => counter.push(v, null, i * 100));
+  assert.strictEqual(counter.count(300, 1000), 3);
+  // The last swing peaked at 300 ms and has not reversed since
+  assert.strictEqual(counter.count(1250, 1000), 1);
+  assert.strictEqual(counter.count(1350, 1000), 0);
+});
+
+test('a flash covering too little of the screen is ignored', () => {
+  // One cell of a 4x4 grid flashes: 1/16 of the frame
+  const corner = i => Array.from({ length: 16 }, (_, c) => (c === 0 && i % 2 ? WHITE : BLACK));
+  const minDisplay = WCAG_FLASH_AREA_PX * 16;
+  assert.ok(play(corner, { gridSize: 4, displayArea: minDisplay }));
+  // Shown eight times smaller, even the 2x2 block around it is too small
+  assert.strictEqual(play(corner, { gridSize: 4, displayArea: minDisplay / 8 }), null);
+  // Without a display size the area rule is skipped
+  assert.ok(play(corner, { gridSize: 4 }));
+});
+
+test('small separate flashes count once their combined area is large enough', () => {
+  // A checkerboard flipping phase: every 2x2 block and the frame stay mid-grey
+  const board = (lit, i) => Array.from({ length: 16 }, (_, c) => {
+    if (!lit.includes(c)) return BLACK;
+    return ((c + Math.floor(c / 4)) % 2) ^ (i % 2) ? WHITE : BLACK;
+  });
+  const displayArea = WCAG_FLASH_AREA_PX * 3;  // a third of the frame is needed
+  assert.strictEqual(play(i => board([0, 1], i), { gridSize: 4, displayArea }), null);
+  assert.ok(play(i => board([0, 1, 2, 3, 8, 9, 10, 11], i), { gridSize: 4, displayArea }));
+});
+
+test('each cell of a 3x3 grid is described by its position', () => {
+  const labels = [
+    ['in the top-left corner', 'along the top', 'in the top-right corner'],
+    ['on the left side', 'in the centre', 'on the right side'],
+    ['in the bottom-left corner', 'along the bottom', 'in the bottom-right corner']
+  ];
+  labels.forEach((row, y) => row.forEach((label, x) => {
+    assert.strictEqual(describeRegion({ x: x / 3, y: y / 3, w: 1 / 3, h: 1 / 3 }), label, `cell ${x},${y}`);
+  }));
+});
+
+test('regions of at least 60% of the frame, or none, are the whole frame', () => {
+  assert.strictEqual(describeRegion({ x: 0, y: 0, w: 0.8, h: 0.75 }), 'across the whole frame');
+  assert.strictEqual(describeRegion({ x: 0, y: 0, w: 0.5, h: 1 }), 'on the left side');
+  assert.strictEqual(describeRegion(null), 'across the whole frame');
+});
+
+/** A 4x4 grid where the cells in `lit` flash black and white together. */
+const flashing = lit => i => Array.from({ length: 16 }, (_, c) => (lit.includes(c) && i % 2 ? WHITE : BLACK));
+
+test('a flash in one cell is located at that cell', () => {
+  const result = play(flashing([15]), { gridSize: 4 });
+  assert.deepStrictEqual({ ...result.region }, { x: 0.75, y: 0.75, w: 0.25, h: 0.25 });
+  assert.strictEqual(describeRegion(result.region), 'in the bottom-right corner');
+});
+
+test('a flash over part of the frame covers the cells that flash', () => {
+  const result = play(flashing([0, 1, 4, 5, 8, 9, 12, 13]), { gridSize: 4 });
+  assert.deepStrictEqual({ ...result.region }, { x: 0, y: 0, w: 0.5, h: 1 });
+  assert.strictEqual(describeRegion(result.region), 'on the left side');
+});
+
+test('a flash over every cell is reported as full-frame', () => {
+  const result = play(flashing([...Array(16).keys()]), { gridSize: 4 });
+  assert.deepStrictEqual({ ...result.region }, { x: 0, y: 0, w: 1, h: 1 });
+  assert.strictEqual(describeRegion(result.region), 'across the whole frame');
+});
@@ -0,0 +1,29 @@
+/**
+ * Test fixture: runs extension scripts from src/ the way the manifest injects
+ * them, as classic scripts sharing one global scope, in a fresh vm context.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SRC = path.join(__dirname, '..', 'src');
+
+/**
+ * @param {string[]} files - paths under src/, in injection order
+ * @param {object} [globals] - browser globals the scripts need (TextEncoder, ...)
+ * @returns {vm.Context} the shared scope; top-level functions are its properties
+ */
+function loadScripts(files, globals = {}) {
+  const context = vm.createContext({ ...globals });
+  for (const file of files) {
+    vm.runInContext(fs.readFileSync(path.join(SRC, file), 'utf8'), context, { filename: file });
+  }
+  return context;
+}
+
+/** Top-level const and let bindings, which unlike functions are not properties of the context. */
+function readBindings(context, names) {
+  return vm.runInContext(`({ ${names.join(', ')} })`, context);
+}
+
+module.exports = { SRC, loadScripts, readBindings };
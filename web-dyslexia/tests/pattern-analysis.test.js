@@ -0,0 +1,40 @@
+/**
+ * Stripe and grid detection in lib/pattern-analysis.js, on synthetic frames.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { detectSpatialPattern } = loadScripts(['lib/flash-analysis.js', 'lib/pattern-analysis.js']);
+
+const SIZE = 256;
+
+/** An RGBA frame, black where dark(x, y) holds and white elsewhere. */
+function frame(dark) {
+  const data = new Uint8ClampedArray(SIZE * SIZE * 4);
+  for (let y = 0; y < SIZE; y++) {
+    for (let x = 0; x < SIZE; x++) {
+      const v = dark(x, y) ? 0 : 255;
+      data.set([v, v, v, 255], (y * SIZE + x) * 4);
+    }
+  }
+  return data;
+}
+
+const detect = dark => detectSpatialPattern(frame(dark), SIZE, SIZE, { scale: 1, displayArea: SIZE * SIZE });
+
+test('even stripes and checkerboards match', () => {
+  assert.strictEqual(detect(x => x % 16 < 8).kind, 'vertical');
+  assert.strictEqual(detect((x, y) => y % 12 < 6).kind, 'horizontal');
+  assert.strictEqual(detect((x, y) => (Math.floor(x / 10) + Math.floor(y / 10)) % 2 === 0).kind, 'grid');
+});
+
+test('thin ruled lines and layout grids do not match', () => {
+  assert.strictEqual(detect((x, y) => y % 20 < 2), null);
+  assert.strictEqual(detect((x, y) => x % 24 < 2 || y % 24 < 2), null);
+});
+
+test('lines of text do not match', () => {
+  // 16px lines with 10px of glyphs: short strokes every few pixels
+  assert.strictEqual(detect((x, y) => y % 16 < 10 && x % 7 < 2 && (x * 31 + y) % 5 !== 0), null);
+});
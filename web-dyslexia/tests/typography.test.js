@@ -0,0 +1,31 @@
+/**
+ * Per-site typography in lib/typography.js, which has to fit one
+ * storage.sync item.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { withSiteTypography, normalizeTypography } = loadScripts(['lib/typography.js'], { TextEncoder });
+
+const SYNC_QUOTA_BYTES_PER_ITEM = 8192;
+const itemSize = value => new TextEncoder().encode('siteTypography' + JSON.stringify(value)).length;
+
+test('siteTypography stays inside the sync per-item quota', () => {
+  let sites = {};
+  for (let i = 0; i < 200; i++) {
+    sites = withSiteTypography(sites, `www.some-long-site-name-${i}.example.com`, normalizeTypography({ dark: true }));
+    assert.ok(itemSize(sites) < SYNC_QUOTA_BYTES_PER_ITEM, `${Object.keys(sites).length} sites take ${itemSize(sites)} bytes`);
+  }
+  assert.ok(Object.keys(sites).length > 20);
+});
+
+test('the oldest sites go first and the one being set is kept', () => {
+  let sites = {};
+  for (let i = 0; i < 100; i++) sites = withSiteTypography(sites, `site${i}.example`, normalizeTypography());
+  const hosts = Object.keys(sites);
+  assert.strictEqual(hosts[hosts.length - 1], 'site99.example');
+  assert.ok(!('site0.example' in sites));
+  sites = withSiteTypography(sites, 'site99.example', null);
+  assert.ok(!('site99.example' in sites));
+});